@@ -6,7 +6,14 @@ import roadmapRoutes from "./src/routes/roadmapRoutes.js";
 import playlistRoutes from "./src/routes/playlistRoutes.js";
 import userRoutes from "./src/routes/userRoutes.js";
 import quizRoutes from "./src/routes/quizRoutes.js";
+import jobRoutes from "./src/routes/jobRoutes.js";
+import noteRoutes from "./src/routes/noteRoutes.js";
+import adminRoutes from "./src/routes/adminRoutes.js";
 import neonDbService from "./src/services/neonDbService.js";
+import jobQueueService from "./src/services/jobQueueService.js";
+import youtubeQuotaService from "./src/services/youtubeQuotaService.js";
+import fallbackVideoService from "./src/services/fallbackVideoService.js";
+import videoHealthService from "./src/services/videoHealthService.js";
 import {
   helmetConfig,
   generalLimiter,
@@ -20,11 +27,23 @@ import {
   appLogger,
 } from "./src/utils/logger.js";
 import { validateEnvironmentVariables } from "./src/utils/helpers.js";
+import { requestContext } from "./src/utils/requestContext.js";
+import {
+  createLlmProvider,
+  getLlmProviderName,
+} from "./src/services/llm/index.js";
 
 dotenv.config();
 
 try {
-  validateEnvironmentVariables(["GEMINI_API_KEY", "YOUTUBE_API_KEY", "DATABASE_URL"]);
+  validateEnvironmentVariables([
+    "YOUTUBE_API_KEY",
+    "DATABASE_URL",
+    "JWT_SECRET",
+    // Only the Gemini provider needs a key; openai-compatible servers may not
+    ...(getLlmProviderName() === "gemini" ? ["GEMINI_API_KEY"] : []),
+  ]);
+  createLlmProvider();
 } catch (error) {
   console.error("Environment validation failed:", error.message);
   process.exit(1);
@@ -45,8 +64,8 @@ const corsOptions = {
     : ["http://10.12.216.28:8081", "http://127.0.0.1:8081", "http://10.12.216.28:19000", "http://127.0.0.1:19000"],
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "x-api-key"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "x-api-key", "Cache-Control", "Pragma"],
 };
 
 app.use(cors(corsOptions));
@@ -54,6 +73,7 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(requestTimer);
+app.use(requestContext());
 app.use(sanitizeRequest);
 
 if (NODE_ENV === "production") {
@@ -68,6 +88,9 @@ app.use("/api/roadmaps", roadmapRoutes);
 app.use("/api/playlists", playlistRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/quizzes", quizRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/notes", noteRoutes);
+app.use("/api/admin", adminRoutes);
 
 app.get("/health", (req, res) => {
   res.json({
@@ -79,16 +102,20 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.get("/api/status", (req, res) => {
+app.get("/api/status", async (req, res) => {
+  await youtubeQuotaService.load();
+
   res.json({
     success: true,
     data: {
       status: "operational",
       services: {
         gemini: !!process.env.GEMINI_API_KEY,
+        llmProvider: getLlmProviderName(),
         youtube: !!process.env.YOUTUBE_API_KEY,
         database: !!process.env.DATABASE_URL,
       },
+      youtubeQuota: youtubeQuotaService.getStatus(),
       timestamp: new Date().toISOString(),
     },
   });
@@ -135,11 +162,15 @@ app.use("*", (req, res) => {
 
 process.on("SIGTERM", async () => {
   appLogger.info("SIGTERM received, shutting down gracefully");
+  jobQueueService.stop();
+  videoHealthService.stop();
   process.exit(0);
 });
 
 process.on("SIGINT", async () => {
   appLogger.info("SIGINT received, shutting down gracefully");
+  jobQueueService.stop();
+  videoHealthService.stop();
   process.exit(0);
 });
 
@@ -167,6 +198,15 @@ app.listen(PORT, "0.0.0.0", () => {
   });
 
   appLogger.info("Testing logging system", { test: true });
+
+  // Know today's YouTube usage before bulk jobs are claimed
+  youtubeQuotaService.load().finally(() => {
+    jobQueueService.start();
+    videoHealthService.start();
+  });
+
+  // First run against a fresh database: load the bundled fallback videos
+  fallbackVideoService.seedIfEmpty();
 });
 
 export default app;
@@ -0,0 +1,47 @@
+import usageService from "../services/usageService.js";
+import { ErrorResponse, ErrorDetails } from "../models/responseModels.js";
+import { appLogger } from "../utils/logger.js";
+
+// Rejects AI generation for signed-in users who have used up this month's
+// token budget. Anonymous requests are not metered per user and pass through.
+export const enforceAiBudget = async (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    const budget = await usageService.getBudgetStatus(req.user.id);
+
+    if (budget.exceeded) {
+      appLogger.warn("AI token budget exceeded", {
+        userId: req.user.id,
+        tokensUsed: budget.tokensUsed,
+        monthlyTokenLimit: budget.monthlyTokenLimit,
+        path: req.originalUrl,
+      });
+
+      res.set(
+        "Retry-After",
+        Math.ceil((new Date(budget.resetsAt).getTime() - Date.now()) / 1000).toString()
+      );
+      return res.status(429).json(
+        new ErrorResponse(
+          new ErrorDetails(
+            "BUDGET_EXCEEDED",
+            "Monthly AI token budget exceeded",
+            `Used ${budget.tokensUsed} of ${budget.monthlyTokenLimit} tokens this month; the budget resets at ${budget.resetsAt}`
+          )
+        )
+      );
+    }
+
+    return next();
+  } catch (error) {
+    // Fail open: a metering outage should not take generation down with it
+    appLogger.error("Failed to check AI token budget", error, {
+      userId: req.user.id,
+      path: req.originalUrl,
+    });
+    return next();
+  }
+};
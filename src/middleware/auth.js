@@ -0,0 +1,231 @@
+import authService from "../services/authService.js";
+import neonDbService from "../services/neonDbService.js";
+import { ErrorResponse, ErrorDetails } from "../models/responseModels.js";
+import { appLogger } from "../utils/logger.js";
+
+const sendAuthError = (res, status, code, message, details) => {
+  return res
+    .status(status)
+    .json(new ErrorResponse(new ErrorDetails(code, message, details)));
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || typeof header !== "string") {
+    return null;
+  }
+
+  const [scheme, token] = header.split(" ");
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+    return null;
+  }
+
+  return token.trim();
+};
+
+const authenticateRequest = async (req, res, next, token) => {
+  try {
+    req.user = await authService.authenticate(token);
+    return next();
+  } catch (error) {
+    if (error.status === 401) {
+      return sendAuthError(
+        res,
+        401,
+        error.code || "INVALID_TOKEN",
+        "Authentication failed",
+        error.message
+      );
+    }
+
+    appLogger.error("Failed to authenticate request", error, {
+      path: req.originalUrl,
+    });
+    return sendAuthError(
+      res,
+      500,
+      "AUTHENTICATION_ERROR",
+      "Failed to authenticate request",
+      process.env.NODE_ENV === "production"
+        ? "Please try again later"
+        : error.message
+    );
+  }
+};
+
+// Requires a valid access token and sets req.user = { id, username, sessionId }
+export const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return sendAuthError(
+      res,
+      401,
+      "AUTH_REQUIRED",
+      "Authentication required",
+      "Provide an access token in the Authorization header as 'Bearer <token>'"
+    );
+  }
+
+  return authenticateRequest(req, res, next, token);
+};
+
+// Sets req.user when a token is supplied; anonymous requests pass through
+export const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  return authenticateRequest(req, res, next, token);
+};
+
+// Rejects requests whose :userId route parameter is not the authenticated user
+export const authorizeUserParam = (paramName = "userId") => {
+  return (req, res, next) => {
+    if (!req.user || req.params[paramName] !== req.user.id) {
+      return sendAuthError(
+        res,
+        403,
+        "FORBIDDEN",
+        "You do not have access to this resource",
+        "The requested user does not match the authenticated user"
+      );
+    }
+
+    return next();
+  };
+};
+
+const resolveResourceId = (req, source) => {
+  return typeof source === "function" ? source(req) : req.params[source];
+};
+
+// Shared shape for the ownership guards below. `source` is a route parameter
+// name or a (req) => id getter for ids sent in the body.
+const requireOwnership = (authorize, attachAs, label, source, options = {}) => {
+  return async (req, res, next) => {
+    const resourceId = resolveResourceId(req, source);
+
+    if (!resourceId) {
+      if (options.optional) {
+        return next();
+      }
+      return sendAuthError(
+        res,
+        400,
+        "MISSING_PARAMETERS",
+        `${label} ID is required`,
+        `Please provide a valid ${label.toLowerCase()} ID`
+      );
+    }
+
+    if (!req.user) {
+      return sendAuthError(
+        res,
+        401,
+        "AUTH_REQUIRED",
+        "Authentication required",
+        `An access token is required to use a saved ${label.toLowerCase()}`
+      );
+    }
+
+    try {
+      req[attachAs] = await authorize(resourceId, req.user.id);
+      return next();
+    } catch (error) {
+      if (error.status === 403 || error.status === 404) {
+        appLogger.warn(`${label} access refused`, {
+          resourceId,
+          userId: req.user.id,
+          code: error.code,
+          path: req.originalUrl,
+        });
+        return sendAuthError(
+          res,
+          error.status,
+          error.code,
+          error.status === 404
+            ? `${label} not found`
+            : `You do not have access to this ${label.toLowerCase()}`,
+          error.message
+        );
+      }
+
+      appLogger.error(`Failed to authorize ${label.toLowerCase()} access`, error, {
+        resourceId,
+        userId: req.user.id,
+        path: req.originalUrl,
+      });
+      return sendAuthError(
+        res,
+        500,
+        "AUTHORIZATION_ERROR",
+        `Failed to verify ${label.toLowerCase()} access`,
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      );
+    }
+  };
+};
+
+// Loads the roadmap into req.roadmap if it belongs to req.user (403/404 otherwise)
+export const requireRoadmapOwnership = (source = "roadmapId", options = {}) =>
+  requireOwnership(
+    (roadmapId, userId) => neonDbService.authorizeRoadmapAccess(roadmapId, userId),
+    "roadmap",
+    "Roadmap",
+    source,
+    options
+  );
+
+// Loads the quiz into req.quiz if its roadmap belongs to req.user (403/404 otherwise)
+export const requireQuizOwnership = (source = "quizId", options = {}) =>
+  requireOwnership(
+    (quizId, userId) => neonDbService.authorizeQuizAccess(quizId, userId),
+    "quiz",
+    "Quiz",
+    source,
+    options
+  );
+
+// Loads the background job into req.job if it belongs to req.user (403/404 otherwise)
+export const requireJobOwnership = (source = "jobId", options = {}) =>
+  requireOwnership(
+    (jobId, userId) => neonDbService.authorizeGenerationJobAccess(jobId, userId),
+    "job",
+    "Job",
+    source,
+    options
+  );
+
+// Loads the video note into req.note if it belongs to req.user (403/404 otherwise)
+export const requireNoteOwnership = (source = "noteId", options = {}) =>
+  requireOwnership(
+    (noteId, userId) => neonDbService.authorizeVideoNoteAccess(noteId, userId),
+    "note",
+    "Note",
+    source,
+    options
+  );
+
+// Admins are listed by username in ADMIN_USERNAMES (comma separated)
+export const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_USERNAMES || "")
+    .split(",")
+    .map((username) => username.trim())
+    .filter(Boolean);
+
+  if (!req.user || !admins.includes(req.user.username)) {
+    return sendAuthError(
+      res,
+      403,
+      "FORBIDDEN",
+      "You do not have access to this resource",
+      "Administrator access is required"
+    );
+  }
+
+  return next();
+};
@@ -1,6 +1,13 @@
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
-import { body, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
+import { LANGUAGE_PATTERN, REGION_PATTERN } from "../utils/preferences.js";
+import { VIDEO_FEEDBACK_TYPES } from "../services/videoFeedbackService.js";
+import { MAX_NOTE_LENGTH } from "../services/videoNoteService.js";
+import {
+  ROADMAP_EDIT_OPERATIONS,
+  ROADMAP_LEVELS,
+} from "../services/roadmapEditService.js";
 
 export const createRateLimiter = (options = {}) => {
   return rateLimit({
@@ -93,6 +100,55 @@ export const validateRoadmapInput = [
     .optional()
     .isIn(["Short", "Medium", "Long"])
     .withMessage("Video length must be Short, Medium, or Long"),
+  body("userPreferences.language")
+    .optional()
+    .matches(LANGUAGE_PATTERN)
+    .withMessage("Language must be a language code such as en, es or pt-BR"),
+  body("userPreferences.region")
+    .optional()
+    .matches(REGION_PATTERN)
+    .withMessage("Region must be a two-letter country code such as US or IN"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+// Query-string variant of validateRoadmapInput for the SSE endpoint
+export const validateRoadmapStreamInput = [
+  query("topic")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Topic must be between 1 and 500 characters"),
+  query("depth")
+    .optional()
+    .isIn(["Fast", "Balanced", "Detailed"])
+    .withMessage("Depth must be Fast, Balanced, or Detailed"),
+  query("videoLength")
+    .optional()
+    .isIn(["Short", "Medium", "Long"])
+    .withMessage("Video length must be Short, Medium, or Long"),
+  query("language")
+    .optional()
+    .matches(LANGUAGE_PATTERN)
+    .withMessage("Language must be a language code such as en, es or pt-BR"),
+  query("region")
+    .optional()
+    .matches(REGION_PATTERN)
+    .withMessage("Region must be a two-letter country code such as US or IN"),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -133,6 +189,14 @@ export const validatePlaylistInput = [
     .optional()
     .isIn(["Short", "Medium", "Long"])
     .withMessage("Video length must be Short, Medium, or Long"),
+  body("userPreferences.language")
+    .optional()
+    .matches(LANGUAGE_PATTERN)
+    .withMessage("Language must be a language code such as en, es or pt-BR"),
+  body("userPreferences.region")
+    .optional()
+    .matches(REGION_PATTERN)
+    .withMessage("Region must be a two-letter country code such as US or IN"),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -153,10 +217,6 @@ export const validatePlaylistInput = [
 ];
 
 export const validateQuizInput = [
-  body("userId")
-    .optional()
-    .isUUID()
-    .withMessage("User ID must be a valid UUID"),
   body("answers")
     .optional()
     .isArray()
@@ -184,6 +244,360 @@ export const validateQuizInput = [
   },
 ];
 
+export const validateUsageQuery = [
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be an ISO 8601 date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("To must be an ISO 8601 date"),
+  query("userId")
+    .optional()
+    .isUUID()
+    .withMessage("User ID must be a UUID"),
+  query("endpoint")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Endpoint must be between 1 and 200 characters"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid usage query",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+// monthlyTokenLimit: null clears the override and restores the default budget
+export const validateBudgetInput = [
+  param("userId").isUUID().withMessage("User ID must be a UUID"),
+  body("monthlyTokenLimit")
+    .custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage("Monthly token limit must be a non-negative integer or null"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid budget input",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+// A rule names a channel by id (UC...), by title, or both
+export const validateChannelRuleInput = [
+  body("rule")
+    .isIn(["allow", "block", "boost"])
+    .withMessage("Rule must be allow, block, or boost"),
+  body("channelId")
+    .optional({ values: "null" })
+    .matches(/^UC[A-Za-z0-9_-]{22}$/)
+    .withMessage("Channel ID must be a YouTube channel id (UC...)"),
+  body("channelTitle")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Channel title must be between 1 and 200 characters"),
+  body()
+    .custom((value) => Boolean(value?.channelId || value?.channelTitle))
+    .withMessage("Either channelId or channelTitle is required"),
+  body("technology")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Technology must be between 1 and 100 characters"),
+  body("boost")
+    .optional({ values: "null" })
+    .isFloat({ min: 1, max: 100 })
+    .withMessage("Boost must be between 1 and 100 points")
+    .custom((value, { req }) => req.body.rule === "boost")
+    .withMessage("Boost only applies to boost rules"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid channel rule",
+          details: errors
+            .array()
+            .map((err) => `${err.path || "body"}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+// Either percentWatched or positionSeconds with durationSeconds gives the percent
+export const validateWatchEventInput = [
+  param("videoId")
+    .matches(/^[A-Za-z0-9_-]{11}$/)
+    .withMessage("Video ID must be an 11 character YouTube video id"),
+  body("pointId")
+    .isString()
+    .withMessage("Point ID is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Point ID must be between 1 and 100 characters"),
+  body("positionSeconds")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Position must be a non-negative number of seconds"),
+  body("durationSeconds")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Duration must be a non-negative number of seconds"),
+  body("percentWatched")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Percent watched must be between 0 and 100"),
+  body("completed")
+    .optional({ values: "null" })
+    .isBoolean({ strict: true })
+    .withMessage("Completed must be a boolean"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid watch event",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+export const validateVideoFeedbackInput = [
+  body("videoId")
+    .matches(/^[A-Za-z0-9_-]{11}$/)
+    .withMessage("Video ID must be an 11 character YouTube video id"),
+  body("topic")
+    .isString()
+    .withMessage("Topic is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Topic must be between 1 and 500 characters"),
+  body("feedback")
+    .isIn(VIDEO_FEEDBACK_TYPES)
+    .withMessage(`Feedback must be one of: ${VIDEO_FEEDBACK_TYPES.join(", ")}`),
+  body("userRoadmapId")
+    .optional({ values: "null" })
+    .isUUID()
+    .withMessage("User roadmap ID must be a UUID"),
+  body("pointId")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Point ID must be between 1 and 100 characters"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid video feedback",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+const videoNoteFields = [
+  body("timestampSeconds")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Timestamp must be a non-negative number of seconds"),
+  body("body")
+    .optional()
+    .isString()
+    .withMessage("Note body must be a string")
+    .bail()
+    .isLength({ max: MAX_NOTE_LENGTH })
+    .withMessage(`Note body must be at most ${MAX_NOTE_LENGTH} characters`),
+];
+
+const handleVideoNoteErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "Invalid note",
+        details: errors
+          .array()
+          .map((err) => `${err.path || "body"}: ${err.msg}`)
+          .join(", "),
+      },
+    });
+  }
+  next();
+};
+
+// A note without a body is a bookmark, so it needs a timestamp
+export const validateVideoNoteInput = [
+  body("roadmapId").isUUID().withMessage("Roadmap ID must be a UUID"),
+  body("pointId")
+    .isString()
+    .withMessage("Point ID is required")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Point ID must be between 1 and 100 characters"),
+  body("videoId")
+    .matches(/^[A-Za-z0-9_-]{11}$/)
+    .withMessage("Video ID must be an 11 character YouTube video id"),
+  ...videoNoteFields,
+  body()
+    .custom((value) => Boolean(value?.body?.trim()) || typeof value?.timestampSeconds === "number")
+    .withMessage("Either a note body or a timestamp is required"),
+  handleVideoNoteErrors,
+];
+
+export const validateVideoNoteUpdate = [...videoNoteFields, handleVideoNoteErrors];
+
+// Shape of each operation; which fields an operation needs is checked by
+// roadmapEditService, which reports the index of the failing operation
+export const validateRoadmapEditInput = [
+  body("operations")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Operations must be an array of 1 to 50 operations"),
+  body("operations.*.op")
+    .isIn(ROADMAP_EDIT_OPERATIONS)
+    .withMessage(`Op must be one of: ${ROADMAP_EDIT_OPERATIONS.join(", ")}`),
+  body("operations.*.pointId")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Point ID must be between 1 and 100 characters"),
+  body(["operations.*.level", "operations.*.fromLevel"])
+    .optional()
+    .isIn(ROADMAP_LEVELS)
+    .withMessage(`Level must be one of: ${ROADMAP_LEVELS.join(", ")}`),
+  body("operations.*.title")
+    .optional()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Title must be between 1 and 200 characters"),
+  body("operations.*.description")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage("Description must be at most 2000 characters"),
+  body("operations.*.position")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("Position must be a non-negative integer"),
+  body("operations.*.estimatedHours")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Estimated hours must be a non-negative number"),
+  body([
+    "operations.*.pointIds",
+    "operations.*.prerequisites",
+    "operations.*.learningObjectives",
+    "operations.*.keyConcepts",
+    "operations.*.practiceTasks",
+  ])
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Must be an array of at most 100 items"),
+  body([
+    "operations.*.pointIds.*",
+    "operations.*.prerequisites.*",
+    "operations.*.learningObjectives.*",
+    "operations.*.keyConcepts.*",
+    "operations.*.practiceTasks.*",
+  ])
+    .isString()
+    .withMessage("Must contain only strings"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid roadmap edit",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
+// Rejects malformed ids before they reach a UUID column
+export const validateUuidParam = (name) => [
+  param(name).isUUID().withMessage(`${name} must be a UUID`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Invalid input data",
+          details: errors
+            .array()
+            .map((err) => `${err.path}: ${err.msg}`)
+            .join(", "),
+        },
+      });
+    }
+    next();
+  },
+];
+
 export const sanitizeRequest = (req, res, next) => {
   if (req.body) {
     const sanitize = (obj) => {
@@ -1,8 +1,15 @@
+import { LANGUAGE_PATTERN, REGION_PATTERN } from "../utils/preferences.js";
+
 export class PointResponse {
   constructor(data) {
     this.id = data.id;
     this.title = data.title;
     this.description = data.description;
+    this.learningObjectives = data.learningObjectives || [];
+    this.estimatedHours = data.estimatedHours ?? null;
+    this.keyConcepts = data.keyConcepts || [];
+    this.practiceTasks = data.practiceTasks || [];
+    this.prerequisites = data.prerequisites || [];
     this.level = data.level;
     this.order = data.order;
     this.playlists = data.playlists || null;
@@ -63,6 +70,11 @@ export class PlaylistItem {
     this.description = data.description;
     this.channelTitle = data.channelTitle || null;
     this.publishedAt = data.publishedAt || null;
+    // Ranking score and its per-signal points (null for curated fallbacks)
+    this.qualityScore = data.qualityScore ?? null;
+    this.scoreBreakdown = data.scoreBreakdown || null;
+    // Audio/metadata language YouTube reports, null when unknown
+    this.language = data.language || null;
   }
 }
 
@@ -101,9 +113,22 @@ export const validateRoadmapRequest = (body) => {
         "Invalid videoLength preference. Must be 'Short' (8-15 min), 'Medium' (15-30 min), or 'Long' (30+ min)"
       );
     }
+    if (prefs.language && !LANGUAGE_PATTERN.test(prefs.language)) {
+      throw new Error(
+        "Invalid language preference. Must be a language code such as 'en', 'es' or 'pt-BR'"
+      );
+    }
+    if (prefs.region && !REGION_PATTERN.test(prefs.region)) {
+      throw new Error(
+        "Invalid region preference. Must be a two-letter country code such as 'US' or 'IN'"
+      );
+    }
+    // Language and region stay unset so saved settings can supply them
     userPreferences = {
       depth: prefs.depth || "Balanced",
       videoLength: prefs.videoLength || "Medium",
+      language: prefs.language || null,
+      region: prefs.region || null,
     };
   }
 
@@ -151,9 +176,22 @@ export const validatePlaylistRequest = (body) => {
         "Invalid videoLength preference. Must be 'Short' (8-15 min), 'Medium' (15-30 min), or 'Long' (30+ min)"
       );
     }
+    if (prefs.language && !LANGUAGE_PATTERN.test(prefs.language)) {
+      throw new Error(
+        "Invalid language preference. Must be a language code such as 'en', 'es' or 'pt-BR'"
+      );
+    }
+    if (prefs.region && !REGION_PATTERN.test(prefs.region)) {
+      throw new Error(
+        "Invalid region preference. Must be a two-letter country code such as 'US' or 'IN'"
+      );
+    }
+    // Language and region stay unset so saved settings can supply them
     userPreferences = {
       depth: prefs.depth || "Balanced",
       videoLength: prefs.videoLength || "Medium",
+      language: prefs.language || null,
+      region: prefs.region || null,
     };
   }
 
@@ -167,7 +205,6 @@ export const validatePlaylistRequest = (body) => {
     userRoadmapId: body.userRoadmapId || null,
     level: body.level || null,
     pointId: body.pointId || null, // Add pointId support
-    userId: body.userId || null,
   };
 };
 
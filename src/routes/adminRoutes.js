@@ -0,0 +1,647 @@
+import express from "express";
+import {
+  SuccessResponse,
+  ErrorResponse,
+  ErrorDetails,
+} from "../models/responseModels.js";
+import neonDbService from "../services/neonDbService.js";
+import usageService from "../services/usageService.js";
+import cacheService from "../services/cacheService.js";
+import videoRankingService from "../services/videoRankingService.js";
+import channelRuleService, {
+  formatChannelRule,
+} from "../services/channelRuleService.js";
+import fallbackVideoService, {
+  formatFallbackVideo,
+  fromCsvRow,
+} from "../services/fallbackVideoService.js";
+import { requireAuth, requireAdmin } from "../middleware/auth.js";
+import {
+  validateUsageQuery,
+  validateBudgetInput,
+  validateUuidParam,
+  validateChannelRuleInput,
+} from "../middleware/security.js";
+import { appLogger } from "../utils/logger.js";
+import { formatSchemaErrors } from "../utils/jsonSchema.js";
+import { parseCsv } from "../utils/csv.js";
+
+const router = express.Router();
+
+const DEFAULT_USAGE_WINDOW_DAYS = 30;
+
+router.use(requireAuth, requireAdmin);
+
+// Daily token and cost aggregates per user, endpoint and model.
+// `from` is inclusive, `to` exclusive; defaults to the last 30 days.
+router.get("/usage", validateUsageQuery, async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_USAGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "VALIDATION_ERROR",
+        "Invalid usage query",
+        "from must be earlier than to"
+      )
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const rows = await neonDbService.getDailyAiUsage({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      userId: req.query.userId || null,
+      endpoint: req.query.endpoint || null,
+    });
+
+    const days = rows.map((row) => ({
+      day: row.day,
+      userId: row.user_id,
+      endpoint: row.endpoint,
+      model: row.model,
+      calls: row.calls,
+      promptTokens: Number(row.prompt_tokens),
+      completionTokens: Number(row.completion_tokens),
+      totalTokens: Number(row.total_tokens),
+      costUsd: row.cost_usd === null ? null : Number(row.cost_usd),
+    }));
+
+    const totals = days.reduce(
+      (sum, day) => ({
+        calls: sum.calls + day.calls,
+        promptTokens: sum.promptTokens + day.promptTokens,
+        completionTokens: sum.completionTokens + day.completionTokens,
+        totalTokens: sum.totalTokens + day.totalTokens,
+        costUsd: Number((sum.costUsd + (day.costUsd || 0)).toFixed(6)),
+      }),
+      { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 }
+    );
+
+    res.json(
+      new SuccessResponse({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        days,
+        totals,
+      })
+    );
+  } catch (error) {
+    appLogger.error("Failed to get AI usage", error, {
+      adminId: req.user.id,
+      query: req.query,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "USAGE_FETCH_ERROR",
+        "Failed to get AI usage",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Current month's usage against a user's token budget
+router.get("/budgets/:userId", async (req, res) => {
+  try {
+    const budget = await usageService.getBudgetStatus(req.params.userId);
+    res.json(new SuccessResponse({ userId: req.params.userId, ...budget }));
+  } catch (error) {
+    appLogger.error("Failed to get AI budget", error, {
+      adminId: req.user.id,
+      userId: req.params.userId,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "BUDGET_FETCH_ERROR",
+        "Failed to get AI budget",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Set (or with null, clear) a user's monthly token budget
+router.put("/budgets/:userId", validateBudgetInput, async (req, res) => {
+  const { userId } = req.params;
+  const { monthlyTokenLimit } = req.body;
+
+  try {
+    const budget = await neonDbService.setUserAiBudget(userId, monthlyTokenLimit);
+
+    if (!budget) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails("USER_NOT_FOUND", "User not found", `No user with ID ${userId}`)
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    appLogger.info("AI budget updated", {
+      adminId: req.user.id,
+      userId,
+      monthlyTokenLimit,
+    });
+
+    const status = await usageService.getBudgetStatus(userId);
+    res.json(new SuccessResponse({ userId, ...status }));
+  } catch (error) {
+    appLogger.error("Failed to update AI budget", error, {
+      adminId: req.user.id,
+      userId,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "BUDGET_UPDATE_ERROR",
+        "Failed to update AI budget",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Hit/miss counters per cache namespace (since the process started)
+router.get("/cache", (req, res) => {
+  res.json(new SuccessResponse(cacheService.getStats()));
+});
+
+// Drop cached responses, optionally only one namespace (?namespace=roadmap)
+router.delete("/cache", async (req, res) => {
+  const namespace = req.query.namespace || null;
+
+  try {
+    const removed = await cacheService.clear(namespace);
+
+    appLogger.info("Response cache cleared", {
+      adminId: req.user.id,
+      namespace,
+      ...removed,
+    });
+
+    res.json(new SuccessResponse({ namespace, removed }));
+  } catch (error) {
+    appLogger.error("Failed to clear response cache", error, {
+      adminId: req.user.id,
+      namespace,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "CACHE_CLEAR_ERROR",
+        "Failed to clear response cache",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Active video ranking weights (defaults merged with YOUTUBE_RANKING_CONFIG)
+router.get("/ranking", (req, res) => {
+  res.json(new SuccessResponse(videoRankingService.getConfig()));
+});
+
+// Global channel rules (apply to every user; user rules take precedence)
+router.get("/channel-rules", async (req, res) => {
+  try {
+    const rows = await neonDbService.listChannelRules(null);
+    res.json(new SuccessResponse(rows.map(formatChannelRule)));
+  } catch (error) {
+    appLogger.error("Failed to list channel rules", error, {
+      adminId: req.user.id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "CHANNEL_RULE_FETCH_ERROR",
+        "Failed to list channel rules",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.post("/channel-rules", validateChannelRuleInput, async (req, res) => {
+  const rule = channelRuleService.normalize(req.body);
+
+  try {
+    const row = await neonDbService.createChannelRule(null, rule);
+    channelRuleService.invalidate();
+
+    appLogger.info("Global channel rule created", {
+      adminId: req.user.id,
+      ...rule,
+    });
+
+    res.status(201).json(new SuccessResponse(formatChannelRule(row)));
+  } catch (error) {
+    if (error.status === 409) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, "Channel rule already exists", error.message)
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    appLogger.error("Failed to create channel rule", error, {
+      adminId: req.user.id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "CHANNEL_RULE_CREATE_ERROR",
+        "Failed to create channel rule",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.delete("/channel-rules/:id", validateUuidParam("id"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await neonDbService.deleteChannelRule(id, null);
+
+    if (!deleted) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "CHANNEL_RULE_NOT_FOUND",
+          "Channel rule not found",
+          `No global channel rule with ID ${id}`
+        )
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    channelRuleService.invalidate();
+    appLogger.info("Global channel rule deleted", { adminId: req.user.id, id });
+
+    res.json(new SuccessResponse({ id, deleted: true }));
+  } catch (error) {
+    appLogger.error("Failed to delete channel rule", error, {
+      adminId: req.user.id,
+      id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "CHANNEL_RULE_DELETE_ERROR",
+        "Failed to delete channel rule",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Curated fallback videos (?technology=react, ?includeInactive=true)
+router.get("/fallback-videos", async (req, res) => {
+  try {
+    const rows = await neonDbService.listFallbackVideos({
+      technology: req.query.technology ? req.query.technology.toLowerCase() : null,
+      activeOnly: req.query.includeInactive !== "true",
+    });
+    res.json(new SuccessResponse(rows.map(formatFallbackVideo)));
+  } catch (error) {
+    appLogger.error("Failed to list fallback videos", error, {
+      adminId: req.user.id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_FETCH_ERROR",
+        "Failed to list fallback videos",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Preview which catalog video a point title would fall back to
+router.get("/fallback-videos/match", async (req, res) => {
+  const { title } = req.query;
+  const options = {
+    level: req.query.level || null,
+    language: req.query.language || null,
+  };
+
+  if (!title || !title.trim()) {
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails("MISSING_PARAMETERS", "Title is required", "Provide ?title=")
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const { technology, ranked } = await fallbackVideoService.rank(title, options);
+    const match = await fallbackVideoService.match(title, options);
+
+    res.json(
+      new SuccessResponse({
+        title,
+        technology,
+        match: match ? match.video : null,
+        ranked: ranked.slice(0, 10).map(({ video, score, relevance }) => ({
+          videoId: video.videoId,
+          title: video.title,
+          technology: video.technology,
+          score,
+          relevance,
+        })),
+      })
+    );
+  } catch (error) {
+    appLogger.error("Failed to match fallback videos", error, {
+      adminId: req.user.id,
+      title,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_MATCH_ERROR",
+        "Failed to match fallback videos",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.get("/fallback-videos/:id", validateUuidParam("id"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const row = await neonDbService.getFallbackVideoById(id);
+
+    if (!row) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "FALLBACK_VIDEO_NOT_FOUND",
+          "Fallback video not found",
+          `No fallback video with ID ${id}`
+        )
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    res.json(new SuccessResponse(formatFallbackVideo(row)));
+  } catch (error) {
+    appLogger.error("Failed to get fallback video", error, {
+      adminId: req.user.id,
+      id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_FETCH_ERROR",
+        "Failed to get fallback video",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.post("/fallback-videos", async (req, res) => {
+  const { video, errors } = fallbackVideoService.normalize(req.body);
+
+  if (errors.length > 0) {
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails("VALIDATION_ERROR", "Invalid fallback video", formatSchemaErrors(errors))
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const row = await neonDbService.createFallbackVideo(video);
+    fallbackVideoService.invalidate();
+
+    appLogger.info("Fallback video created", {
+      adminId: req.user.id,
+      videoId: video.videoId,
+    });
+
+    res.status(201).json(new SuccessResponse(formatFallbackVideo(row)));
+  } catch (error) {
+    if (error.status === 409) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, "Fallback video already exists", error.message)
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    appLogger.error("Failed to create fallback video", error, {
+      adminId: req.user.id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_CREATE_ERROR",
+        "Failed to create fallback video",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Partial update; fields left out keep their current values
+router.put("/fallback-videos/:id", validateUuidParam("id"), async (req, res) => {
+  const { id } = req.params;
+  const { video, errors } = fallbackVideoService.normalize(req.body, { partial: true });
+
+  if (errors.length > 0) {
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails("VALIDATION_ERROR", "Invalid fallback video", formatSchemaErrors(errors))
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const row = await neonDbService.updateFallbackVideo(id, video);
+
+    if (!row) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "FALLBACK_VIDEO_NOT_FOUND",
+          "Fallback video not found",
+          `No fallback video with ID ${id}`
+        )
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    fallbackVideoService.invalidate();
+    appLogger.info("Fallback video updated", { adminId: req.user.id, id });
+
+    res.json(new SuccessResponse(formatFallbackVideo(row)));
+  } catch (error) {
+    if (error.status === 409) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, "Fallback video already exists", error.message)
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    appLogger.error("Failed to update fallback video", error, {
+      adminId: req.user.id,
+      id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_UPDATE_ERROR",
+        "Failed to update fallback video",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.delete("/fallback-videos/:id", validateUuidParam("id"), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleted = await neonDbService.deleteFallbackVideo(id);
+
+    if (!deleted) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "FALLBACK_VIDEO_NOT_FOUND",
+          "Fallback video not found",
+          `No fallback video with ID ${id}`
+        )
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    fallbackVideoService.invalidate();
+    appLogger.info("Fallback video deleted", { adminId: req.user.id, id });
+
+    res.json(new SuccessResponse({ id, deleted: true }));
+  } catch (error) {
+    appLogger.error("Failed to delete fallback video", error, {
+      adminId: req.user.id,
+      id,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "FALLBACK_VIDEO_DELETE_ERROR",
+        "Failed to delete fallback video",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Bulk import, matched on videoId: a JSON array (or { videos: [...] }) or a
+// CSV document sent as text/csv. Nothing is saved if any row is invalid.
+router.post(
+  "/fallback-videos/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    const inputs =
+      typeof req.body === "string"
+        ? parseCsv(req.body).map(fromCsvRow)
+        : Array.isArray(req.body)
+        ? req.body
+        : req.body?.videos;
+
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "VALIDATION_ERROR",
+          "No fallback videos to import",
+          "Send a JSON array, { videos: [...] } or a CSV document with a header row"
+        )
+      );
+      return res.status(400).json(errorResponse);
+    }
+
+    const { videos, errors } = fallbackVideoService.normalizeBatch(inputs);
+
+    if (errors.length > 0) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "VALIDATION_ERROR",
+          `${errors.length} of ${inputs.length} rows are invalid`,
+          errors.map((row) => `row ${row.index + 1}: ${row.errors}`).join("\n")
+        )
+      );
+      return res.status(400).json(errorResponse);
+    }
+
+    try {
+      const results = await neonDbService.upsertFallbackVideos(videos);
+      fallbackVideoService.invalidate();
+
+      const created = results.filter((row) => row.inserted).length;
+      const summary = {
+        imported: results.length,
+        created,
+        updated: results.length - created,
+      };
+
+      appLogger.info("Fallback videos imported", { adminId: req.user.id, ...summary });
+      res.json(new SuccessResponse(summary));
+    } catch (error) {
+      appLogger.error("Failed to import fallback videos", error, {
+        adminId: req.user.id,
+      });
+
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "FALLBACK_VIDEO_IMPORT_ERROR",
+          "Failed to import fallback videos",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+      res.status(500).json(errorResponse);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,97 @@
+import express from "express";
+import {
+  SuccessResponse,
+  ErrorResponse,
+  ErrorDetails,
+} from "../models/responseModels.js";
+import neonDbService from "../services/neonDbService.js";
+import jobQueueService from "../services/jobQueueService.js";
+import { requireAuth, requireJobOwnership } from "../middleware/auth.js";
+import { appLogger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  cancelRequested: job.cancel_requested,
+  createdAt: job.created_at,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at,
+  updatedAt: job.updated_at,
+});
+
+// Get status, per-step progress and (once finished) the result of a job
+router.get("/:jobId", requireAuth, requireJobOwnership(), (req, res) => {
+  res.json(new SuccessResponse(formatJob(req.job)));
+});
+
+// Cancel a queued or running job. Running jobs stop after their current step.
+router.delete("/:jobId", requireAuth, requireJobOwnership(), async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    if (jobQueueService.isTerminal(req.job.status)) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "JOB_ALREADY_FINISHED",
+          "Job has already finished",
+          `Job ${jobId} is ${req.job.status}`
+        )
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    const job = await neonDbService.requestGenerationJobCancel(jobId);
+
+    if (!job) {
+      // Finished between the ownership check and the cancel request
+      const latest = await neonDbService.getGenerationJob(jobId);
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "JOB_ALREADY_FINISHED",
+          "Job has already finished",
+          `Job ${jobId} is ${latest?.status || "finished"}`
+        )
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    appLogger.info("Job cancellation requested", {
+      jobId,
+      status: job.status,
+      userId: req.user.id,
+      ip: req.ip,
+    });
+
+    res.status(job.status === "cancelled" ? 200 : 202).json(
+      new SuccessResponse(formatJob(job))
+    );
+  } catch (error) {
+    appLogger.error("Failed to cancel job", error, {
+      jobId,
+      userId: req.user.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "JOB_CANCEL_FAILED",
+        "Failed to cancel job",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+import express from "express";
+import {
+  SuccessResponse,
+  ErrorResponse,
+  ErrorDetails,
+} from "../models/responseModels.js";
+import neonDbService from "../services/neonDbService.js";
+import videoNoteService, { formatVideoNote } from "../services/videoNoteService.js";
+import {
+  requireAuth,
+  requireRoadmapOwnership,
+  requireNoteOwnership,
+} from "../middleware/auth.js";
+import {
+  userDataLimiter,
+  validateVideoNoteInput,
+  validateVideoNoteUpdate,
+} from "../middleware/security.js";
+import { appLogger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_SEARCH_LENGTH = 200;
+
+// The roadmap comes from the query string for listing and search, and from
+// the body when creating a note
+const roadmapIdFromQuery = (req) => req.query.roadmapId;
+const roadmapIdFromBody = (req) => req.body?.roadmapId;
+
+router.use(userDataLimiter, requireAuth);
+
+// Full-text search across the user's notes (?q=..., optionally &roadmapId=)
+router.get(
+  "/search",
+  requireRoadmapOwnership(roadmapIdFromQuery, { optional: true }),
+  async (req, res) => {
+    const searchText = String(req.query.q || "").trim();
+
+    if (!searchText || searchText.length > MAX_SEARCH_LENGTH) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "VALIDATION_ERROR",
+          "Invalid search",
+          `q must be between 1 and ${MAX_SEARCH_LENGTH} characters`
+        )
+      );
+      return res.status(400).json(errorResponse);
+    }
+
+    try {
+      const notes = await videoNoteService.search(req.user.id, searchText, {
+        roadmapId: req.query.roadmapId || null,
+        limit: req.query.limit,
+      });
+      res.json(new SuccessResponse({ notes, count: notes.length }));
+    } catch (error) {
+      appLogger.error("Failed to search notes", error, {
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "NOTE_SEARCH_FAILED",
+          "Failed to search notes",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+      res.status(500).json(errorResponse);
+    }
+  }
+);
+
+// Notes of a roadmap (?roadmapId=..., optionally &pointId= and &videoId=),
+// in playback order
+router.get("/", requireRoadmapOwnership(roadmapIdFromQuery), async (req, res) => {
+  try {
+    const notes = await videoNoteService.list(req.user.id, req.query.roadmapId, {
+      pointId: req.query.pointId || null,
+      videoId: req.query.videoId || null,
+    });
+    res.json(new SuccessResponse({ notes, count: notes.length }));
+  } catch (error) {
+    appLogger.error("Failed to list notes", error, {
+      roadmapId: req.query?.roadmapId,
+      userId: req.user.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "NOTE_FETCH_FAILED",
+        "Failed to list notes",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Create a markdown note, or a bookmark (timestamp without a body)
+router.post(
+  "/",
+  validateVideoNoteInput,
+  requireRoadmapOwnership(roadmapIdFromBody),
+  async (req, res) => {
+    try {
+      const note = await videoNoteService.create(req.user.id, req.body);
+
+      appLogger.info("Note created", {
+        noteId: note.id,
+        roadmapId: note.roadmapId,
+        pointId: note.pointId,
+        videoId: note.videoId,
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      res.status(201).json(new SuccessResponse(note));
+    } catch (error) {
+      appLogger.error("Failed to create note", error, {
+        roadmapId: req.body?.roadmapId,
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "NOTE_CREATE_FAILED",
+          "Failed to create note",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+      res.status(500).json(errorResponse);
+    }
+  }
+);
+
+router.get("/:noteId", requireNoteOwnership(), (req, res) => {
+  res.json(new SuccessResponse(formatVideoNote(req.note)));
+});
+
+// Change the body and/or timestamp; fields left out are kept
+router.put("/:noteId", requireNoteOwnership(), validateVideoNoteUpdate, async (req, res) => {
+  const body = req.body.body !== undefined ? req.body.body : req.note.body;
+  const timestampSeconds =
+    req.body.timestampSeconds !== undefined ? req.body.timestampSeconds : req.note.timestamp_seconds;
+
+  if (!body.trim() && timestampSeconds === null) {
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "VALIDATION_ERROR",
+        "Invalid note",
+        "A note without a body is a bookmark and needs a timestamp"
+      )
+    );
+    return res.status(400).json(errorResponse);
+  }
+
+  try {
+    const note = await videoNoteService.update(req.note, req.body);
+    res.json(new SuccessResponse(note));
+  } catch (error) {
+    appLogger.error("Failed to update note", error, {
+      noteId: req.params.noteId,
+      userId: req.user.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "NOTE_UPDATE_FAILED",
+        "Failed to update note",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.delete("/:noteId", requireNoteOwnership(), async (req, res) => {
+  try {
+    await neonDbService.deleteVideoNote(req.params.noteId);
+    res.json(new SuccessResponse({ deleted: true }));
+  } catch (error) {
+    appLogger.error("Failed to delete note", error, {
+      noteId: req.params.noteId,
+      userId: req.user.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "NOTE_DELETE_FAILED",
+        "Failed to delete note",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+    res.status(500).json(errorResponse);
+  }
+});
+
+export default router;
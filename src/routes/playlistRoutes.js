@@ -2,51 +2,95 @@ import express from "express";
 import {
   PlaylistItem,
   PlaylistSuccessResponse,
+  SuccessResponse,
   ErrorResponse,
   ErrorDetails,
   validatePlaylistRequest,
 } from "../models/responseModels.js";
-import geminiService from "../services/geminiService.js";
-import youtubeService from "../services/youtubeService.js";
 import neonDbService from "../services/neonDbService.js";
-import { generateId } from "../utils/helpers.js";
+import jobQueueService from "../services/jobQueueService.js";
+import youtubeQuotaService from "../services/youtubeQuotaService.js";
+import watchProgressService from "../services/watchProgressService.js";
+import videoFeedbackService from "../services/videoFeedbackService.js";
+import playlistGenerationService, { BULK_PLAYLIST_JOB } from "../services/playlistGenerationService.js";
 import {
   playlistLimiter,
   validatePlaylistInput,
+  validateVideoFeedbackInput,
 } from "../middleware/security.js";
+import {
+  requireAuth,
+  optionalAuth,
+  requireRoadmapOwnership,
+} from "../middleware/auth.js";
+import { enforceAiBudget } from "../middleware/aiBudget.js";
 import { appLogger } from "../utils/logger.js";
+import {
+  resolveRoadmapDepth,
+  resolveVideoLength,
+  resolveLanguage,
+  resolveRegion,
+} from "../utils/preferences.js";
 
 const router = express.Router();
 
-// Helper method to generate fallback titles
-const generateFallbackTitles = async (
-  topic,
-  pointTitle,
-  userPreferences,
-  usedVideoIds
-) => {
-  const fallbackPatterns = [
-    `${pointTitle} ${topic} tutorial`,
-    `Learn ${pointTitle} in ${topic}`,
-    `${topic} ${pointTitle} complete guide`,
-    `${pointTitle} for ${topic} developers`,
-    `${topic} ${pointTitle} step by step`,
-  ];
-
-  return fallbackPatterns;
+// Bulk and storage routes receive the roadmap id in the request body
+const roadmapIdFromBody = (req) => req.body?.userRoadmapId;
+
+// Queue a bulk generation job and answer 202 with its id; progress is
+// reported through GET /api/jobs/:jobId
+const enqueueBulkGeneration = async (req, res, { topic, level, userRoadmapId, steps }) => {
+  const jobSteps = steps.map((step) => ({
+    pointId: step.pointId,
+    pointTitle: step.pointTitle || step.title,
+  }));
+
+  const job = await jobQueueService.enqueue(
+    BULK_PLAYLIST_JOB,
+    req.user.id,
+    { topic, level, userRoadmapId, steps: jobSteps },
+    { progress: playlistGenerationService.buildBulkProgress(jobSteps) }
+  );
+
+  appLogger.info("Bulk video generation queued", {
+    jobId: job.id,
+    topic,
+    level,
+    userRoadmapId,
+    totalSteps: steps.length,
+    userId: req.user.id,
+    ip: req.ip,
+  });
+
+  // Bulk jobs wait while the YouTube quota is reserved for interactive use
+  const quota = youtubeQuotaService.getStatus();
+
+  return res.status(202).json(
+    new SuccessResponse({
+      jobId: job.id,
+      status: job.status,
+      totalSteps: steps.length,
+      statusUrl: `/api/jobs/${job.id}`,
+      deferredUntil: quota.bulkThrottled ? quota.resetsAt : null,
+    })
+  );
 };
 
 router.post(
   "/generate",
   playlistLimiter,
+  optionalAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(roadmapIdFromBody, { optional: true }),
   validatePlaylistInput,
   async (req, res) => {
     const startTime = Date.now();
 
     try {
-      const { topic, pointTitle, userPreferences, userRoadmapId, level, pointId, userId } = validatePlaylistRequest(
+      const { topic, pointTitle, userPreferences, userRoadmapId, level, pointId } = validatePlaylistRequest(
         req.body
       );
+      const userId = req.user?.id || null;
 
       console.log("🔍 DEBUG - Extracted values:", {
         topic,
@@ -80,7 +124,9 @@ router.post(
           // Use user settings as default preferences, but allow override from request
           finalUserPreferences = {
             default_roadmap_depth: userPreferences?.default_roadmap_depth || userSettings.default_roadmap_depth || 'detailed',
-            default_video_length: userPreferences?.default_video_length || userSettings.default_video_length || 'medium'
+            default_video_length: userPreferences?.default_video_length || userSettings.default_video_length || 'medium',
+            preferred_language: userPreferences?.language || userSettings.preferred_language || 'en',
+            region: userPreferences?.region || userSettings.region || null
           };
           
           appLogger.info("Using user settings for playlist generation", {
@@ -97,8 +143,10 @@ router.post(
           
           // Fall back to request preferences or defaults
           finalUserPreferences = {
-            default_roadmap_depth: userPreferences?.default_roadmap_depth || 'detailed',
-            default_video_length: userPreferences?.default_video_length || 'medium'
+            default_roadmap_depth: resolveRoadmapDepth(userPreferences),
+            default_video_length: resolveVideoLength(userPreferences),
+            preferred_language: resolveLanguage(userPreferences),
+            region: resolveRegion(userPreferences)
           };
         }
       }
@@ -143,106 +191,21 @@ router.post(
         }
       }
 
-      // Generate new videos if none exist
-      const videoTitles = await geminiService.generateVideoTitles(
+      // Generate new videos if none exist, skipping videos (and re-uploads
+      // of them) already used in this roadmap
+      const seen = await playlistGenerationService.roadmapDuplicateFilter(userRoadmapId);
+      playlists = await playlistGenerationService.generatePointVideos(
         topic,
         pointTitle,
-        finalUserPreferences
+        finalUserPreferences,
+        seen
       );
 
-      appLogger.info("Generated video titles", {
-        topic,
-        pointTitle,
-        titlesCount: videoTitles.length,
-        titles: videoTitles,
-        userPreferences: finalUserPreferences,
-        ip: req.ip,
-      });
-
-      // Use the improved searchMultipleVideos method
-      const videoResults = await youtubeService.searchMultipleVideos(
-        videoTitles,
-        finalUserPreferences
-      );
-
-      playlists = [];
-      const usedVideoIds = new Set();
-      const usedTitles = new Set();
-
-      for (const result of videoResults) {
-        // Additional deduplication check
-        if (
-          !usedVideoIds.has(result.videoId) &&
-          !usedTitles.has(result.title.toLowerCase())
-        ) {
-          const playlistItem = new PlaylistItem({
-            id: generateId("playlist"),
-            title: result.title,
-            videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
-            duration: result.duration || "N/A",
-            durationMinutes: result.durationMinutes || null,
-            description: result.description || "No description available",
-            channelTitle: result.channelTitle || null,
-            publishedAt: result.publishedAt || null,
-          });
-
-          playlists.push(playlistItem);
-          usedVideoIds.add(result.videoId);
-          usedTitles.add(result.title.toLowerCase());
-        }
-      }
-
-      // If we don't have enough videos, try with fallback search terms
-      if (playlists.length < 3) {
-        appLogger.info("Insufficient videos found, trying fallback search", {
-          topic,
-          pointTitle,
-          currentCount: playlists.length,
-          ip: req.ip,
-        });
-
-        const fallbackTitles = await generateFallbackTitles(
-          topic,
-          pointTitle,
-          finalUserPreferences,
-          usedVideoIds
-        );
-
-        const fallbackResults = await youtubeService.searchMultipleVideos(
-          fallbackTitles,
-          finalUserPreferences
-        );
-
-        for (const result of fallbackResults) {
-          if (
-            !usedVideoIds.has(result.videoId) &&
-            !usedTitles.has(result.title.toLowerCase()) &&
-            playlists.length < 5
-          ) {
-            const playlistItem = new PlaylistItem({
-              id: generateId("playlist"),
-              title: result.title,
-              videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
-              duration: result.duration || "N/A",
-              durationMinutes: result.durationMinutes || null,
-              description: result.description || "No description available",
-              channelTitle: result.channelTitle || null,
-              publishedAt: result.publishedAt || null,
-            });
-
-            playlists.push(playlistItem);
-            usedVideoIds.add(result.videoId);
-            usedTitles.add(result.title.toLowerCase());
-          }
-        }
-      }
-
       const processingTime = Date.now() - startTime;
 
       appLogger.info("Playlists generated successfully", {
         topic,
         pointTitle,
-        totalRequested: videoTitles.length,
         successCount: playlists.length,
         processingTime: `${processingTime}ms`,
         userPreferences: finalUserPreferences,
@@ -296,7 +259,7 @@ router.post(
         topic: req.body?.topic,
         pointTitle: req.body?.pointTitle,
         userPreferences: req.body?.userPreferences,
-        userId: req.body?.userId,
+        userId: req.user?.id,
         processingTime: `${processingTime}ms`,
         ip: req.ip,
         userAgent: req.get("user-agent"),
@@ -321,14 +284,18 @@ router.post(
 router.post(
   "/regenerate",
   playlistLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(roadmapIdFromBody),
   validatePlaylistInput,
   async (req, res) => {
     const startTime = Date.now();
 
     try {
-      const { topic, pointTitle, userPreferences, userRoadmapId, level, pointId, userId } = validatePlaylistRequest(
+      const { topic, pointTitle, userPreferences, userRoadmapId, level, pointId } = validatePlaylistRequest(
         req.body
       );
+      const userId = req.user?.id || null;
 
       // Validate required parameters for regeneration
       if (!userRoadmapId || !level) {
@@ -363,8 +330,10 @@ router.post(
           
           // Use user settings as default preferences, but allow override from request
           finalUserPreferences = {
-            defaultRoadmapDepth: userPreferences?.defaultRoadmapDepth || userSettings.default_roadmap_depth || 'detailed',
-            defaultVideoLength: userPreferences?.defaultVideoLength || userSettings.default_video_length || 'medium'
+            default_roadmap_depth: userPreferences?.default_roadmap_depth || userSettings.default_roadmap_depth || 'detailed',
+            default_video_length: userPreferences?.default_video_length || userSettings.default_video_length || 'medium',
+            preferred_language: userPreferences?.language || userSettings.preferred_language || 'en',
+            region: userPreferences?.region || userSettings.region || null
           };
           
           appLogger.info("Using user settings for playlist regeneration", {
@@ -381,112 +350,29 @@ router.post(
           
           // Fall back to request preferences or defaults
           finalUserPreferences = {
-            defaultRoadmapDepth: userPreferences?.defaultRoadmapDepth || 'detailed',
-            defaultVideoLength: userPreferences?.defaultVideoLength || 'medium'
+            default_roadmap_depth: resolveRoadmapDepth(userPreferences),
+            default_video_length: resolveVideoLength(userPreferences),
+            preferred_language: resolveLanguage(userPreferences),
+            region: resolveRegion(userPreferences)
           };
         }
       }
 
-      // Generate new videos
-      const videoTitles = await geminiService.generateVideoTitles(
-        topic,
-        pointTitle,
-        finalUserPreferences
-      );
-
-      appLogger.info("Generated video titles for regeneration", {
+      // Generate new videos, skipping videos (and re-uploads of them)
+      // already used in this roadmap
+      const seen = await playlistGenerationService.roadmapDuplicateFilter(userRoadmapId);
+      const playlists = await playlistGenerationService.generatePointVideos(
         topic,
         pointTitle,
-        titlesCount: videoTitles.length,
-        titles: videoTitles,
-        userPreferences: finalUserPreferences,
-        ip: req.ip,
-      });
-
-      // Use the improved searchMultipleVideos method
-      const videoResults = await youtubeService.searchMultipleVideos(
-        videoTitles,
-        finalUserPreferences
+        finalUserPreferences,
+        seen
       );
 
-      const playlists = [];
-      const usedVideoIds = new Set();
-      const usedTitles = new Set();
-
-      for (const result of videoResults) {
-        // Additional deduplication check
-        if (
-          !usedVideoIds.has(result.videoId) &&
-          !usedTitles.has(result.title.toLowerCase())
-        ) {
-          const playlistItem = new PlaylistItem({
-            id: generateId("playlist"),
-            title: result.title,
-            videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
-            duration: result.duration || "N/A",
-            durationMinutes: result.durationMinutes || null,
-            description: result.description || "No description available",
-            channelTitle: result.channelTitle || null,
-            publishedAt: result.publishedAt || null,
-          });
-
-          playlists.push(playlistItem);
-          usedVideoIds.add(result.videoId);
-          usedTitles.add(result.title.toLowerCase());
-        }
-      }
-
-      // If we don't have enough videos, try with fallback search terms
-      if (playlists.length < 3) {
-        appLogger.info("Insufficient videos found during regeneration, trying fallback search", {
-          topic,
-          pointTitle,
-          currentCount: playlists.length,
-          ip: req.ip,
-        });
-
-        const fallbackTitles = await generateFallbackTitles(
-          topic,
-          pointTitle,
-          finalUserPreferences,
-          usedVideoIds
-        );
-
-        const fallbackResults = await youtubeService.searchMultipleVideos(
-          fallbackTitles,
-          finalUserPreferences
-        );
-
-        for (const result of fallbackResults) {
-          if (
-            !usedVideoIds.has(result.videoId) &&
-            !usedTitles.has(result.title.toLowerCase()) &&
-            playlists.length < 5
-          ) {
-            const playlistItem = new PlaylistItem({
-              id: generateId("playlist"),
-              title: result.title,
-              videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
-              duration: result.duration || "N/A",
-              durationMinutes: result.durationMinutes || null,
-              description: result.description || "No description available",
-              channelTitle: result.channelTitle || null,
-              publishedAt: result.publishedAt || null,
-            });
-
-            playlists.push(playlistItem);
-            usedVideoIds.add(result.videoId);
-            usedTitles.add(result.title.toLowerCase());
-          }
-        }
-      }
-
       const processingTime = Date.now() - startTime;
 
       appLogger.info("Playlists regenerated successfully", {
         topic,
         pointTitle,
-        totalRequested: videoTitles.length,
         successCount: playlists.length,
         processingTime: `${processingTime}ms`,
         userPreferences: finalUserPreferences,
@@ -533,7 +419,7 @@ router.post(
         userPreferences: req.body?.userPreferences,
         userRoadmapId: req.body?.userRoadmapId,
         level: req.body?.level,
-        userId: req.body?.userId,
+        userId: req.user?.id,
         processingTime: `${processingTime}ms`,
         ip: req.ip,
         userAgent: req.get("user-agent"),
@@ -558,17 +444,17 @@ router.post(
 router.post(
   "/generate-bulk-from-roadmap",
   playlistLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(roadmapIdFromBody),
   async (req, res) => {
-    const startTime = Date.now();
-
     try {
       const { 
         topic, 
         level, 
-        userRoadmapId, 
-        userId,
-        userPreferences 
+        userRoadmapId 
       } = req.body;
+      const userId = req.user.id;
 
       // Validate required parameters
       if (!topic || !level || !userRoadmapId) {
@@ -582,26 +468,10 @@ router.post(
         return res.status(400).json(errorResponse);
       }
 
-      // Get roadmap data to extract points
-      const roadmapData = await neonDbService.getUserRoadmaps(userId);
-      const currentRoadmap = roadmapData.find(r => r.id == userRoadmapId);
-      
-      if (!currentRoadmap) {
-        const errorResponse = new ErrorResponse(
-          new ErrorDetails(
-            "ROADMAP_NOT_FOUND",
-            "Roadmap not found",
-            "The specified roadmap does not exist"
-          )
-        );
-        return res.status(404).json(errorResponse);
-      }
-
+      // Roadmap was loaded (and ownership verified) by requireRoadmapOwnership
       // Migrate roadmap if needed and extract points for the specified level
       let points = [];
-      const roadmapContent = typeof currentRoadmap.roadmap_data === 'string' 
-        ? JSON.parse(currentRoadmap.roadmap_data) 
-        : currentRoadmap.roadmap_data;
+      const roadmapContent = req.roadmap.roadmap_data;
 
       if (roadmapContent.roadmap && roadmapContent.roadmap[level]) {
         const levelData = roadmapContent.roadmap[level];
@@ -612,11 +482,8 @@ router.post(
           await neonDbService.migrateRoadmapToStepIds(userRoadmapId);
           
           // Extract points from migrated roadmap
-          const migratedRoadmap = await neonDbService.getUserRoadmaps(userId);
-          const updatedRoadmap = migratedRoadmap.find(r => r.id == userRoadmapId);
-          const updatedContent = typeof updatedRoadmap.roadmap_data === 'string' 
-            ? JSON.parse(updatedRoadmap.roadmap_data) 
-            : updatedRoadmap.roadmap_data;
+          const updatedRoadmap = await neonDbService.authorizeRoadmapAccess(userRoadmapId, userId);
+          const updatedContent = updatedRoadmap.roadmap_data;
             
           points = Object.values(updatedContent.roadmap[level]);
         } else {
@@ -636,152 +503,17 @@ router.post(
         return res.status(404).json(errorResponse);
       }
 
-      console.log(`🚀 Starting bulk video generation for ${points.length} points from roadmap`);
-      
-      // Get user preferences
-      let finalUserPreferences = {
-        defaultRoadmapDepth: 'detailed',
-        defaultVideoLength: 'medium'
-      };
-
-      if (userId) {
-        try {
-          const userSettings = await supabaseService.getUserSettings(userId);
-          finalUserPreferences = {
-            defaultRoadmapDepth: userSettings.default_roadmap_depth || 'detailed',
-            defaultVideoLength: userSettings.default_video_length || 'medium'
-          };
-        } catch (settingsError) {
-          console.log("Using default preferences for bulk generation");
-        }
-      }
-
-      const results = [];
-      const errors = [];
-
-      // Generate videos for each point using the step IDs from roadmap
-      for (const point of points) {
-        const stepId = point.pointId; // Use the step ID from roadmap
-        
-        try {
-          console.log(`📹 Generating videos for ${stepId}: ${point.pointTitle || point.title}`);
-          
-          // Check if videos already exist for this step
-          const existingVideos = await neonDbService.getUserVideos(userRoadmapId, level, 1, stepId);
-          if (existingVideos.length > 0) {
-            console.log(`📹 Videos already exist for ${stepId}, skipping`);
-            
-            // Convert stored video data to playlist format
-            const playlists = existingVideos[0].video_data.map(video => new PlaylistItem(video));
-            results.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              videoCount: playlists.length,
-              status: 'existing'
-            });
-            continue;
-          }
-
-          // Generate video titles for this specific point
-          const videoTitles = await geminiService.generateVideoTitles(
-            topic,
-            point.pointTitle || point.title,
-            finalUserPreferences
-          );
-
-          // Search for videos
-          const videoResults = await youtubeService.searchMultipleVideos(
-            videoTitles,
-            finalUserPreferences
-          );
-
-          // Create playlist items
-          const playlists = [];
-          const usedVideoIds = new Set();
-
-          for (const result of videoResults) {
-            if (result && result.videoId && !usedVideoIds.has(result.videoId)) {
-              const playlistItem = new PlaylistItem({
-                id: result.videoId,
-                title: result.title,
-                description: result.description,
-                duration: result.duration,
-                channelTitle: result.channelTitle,
-                publishedAt: result.publishedAt || null,
-              });
-
-              playlists.push(playlistItem);
-              usedVideoIds.add(result.videoId);
-            }
-          }
-
-          // Store videos in database with step ID from roadmap
-          if (playlists.length > 0) {
-            await neonDbService.storeUserVideos(userRoadmapId, level, playlists, 1, stepId);
-            
-            results.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              videoCount: playlists.length,
-              status: 'generated'
-            });
-
-            console.log(`✅ Generated ${playlists.length} videos for ${stepId}: ${point.pointTitle || point.title}`);
-          } else {
-            errors.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              error: 'No videos found'
-            });
-          }
-
-        } catch (pointError) {
-          console.error(`❌ Error generating videos for ${stepId}:`, pointError);
-          errors.push({
-            pointId: stepId,
-            pointTitle: point.pointTitle || point.title,
-            error: pointError.message
-          });
-        }
-      }
-
-      const processingTime = Date.now() - startTime;
-
-      appLogger.info("Bulk video generation from roadmap completed", {
+      return await enqueueBulkGeneration(req, res, {
         topic,
         level,
-        totalPoints: points.length,
-        successCount: results.length,
-        errorCount: errors.length,
-        processingTime: `${processingTime}ms`,
-        ip: req.ip,
+        userRoadmapId,
+        steps: points,
       });
-
-      const response = {
-        success: true,
-        data: {
-          results,
-          errors,
-          summary: {
-            totalPoints: points.length,
-            generated: results.filter(r => r.status === 'generated').length,
-            existing: results.filter(r => r.status === 'existing').length,
-            failed: errors.length,
-            processingTime: `${processingTime}ms`
-          }
-        }
-      };
-
-      res.json(response);
-
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-
-      appLogger.error("Error in bulk video generation from roadmap", error, {
+      appLogger.error("Error queueing bulk video generation from roadmap", error, {
         topic: req.body?.topic,
         level: req.body?.level,
         userRoadmapId: req.body?.userRoadmapId,
-        processingTime: `${processingTime}ms`,
         ip: req.ip,
       });
 
@@ -804,17 +536,16 @@ router.post(
 router.post(
   "/generate-bulk",
   playlistLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(roadmapIdFromBody),
   async (req, res) => {
-    const startTime = Date.now();
-
     try {
       const { 
         topic, 
         level, 
         userRoadmapId, 
-        userId, 
-        points, // Array of {pointId, pointTitle} objects
-        userPreferences 
+        points // Array of {pointId, pointTitle} objects
       } = req.body;
 
       // Validate required parameters
@@ -829,158 +560,24 @@ router.post(
         return res.status(400).json(errorResponse);
       }
 
-      console.log(`🚀 Starting bulk video generation for ${points.length} points`);
-      
-      // Get user preferences
-      let finalUserPreferences = {
-        defaultRoadmapDepth: 'detailed',
-        defaultVideoLength: 'medium'
-      };
-
-      if (userId) {
-        try {
-          const userSettings = await supabaseService.getUserSettings(userId);
-          finalUserPreferences = {
-            defaultRoadmapDepth: userSettings.default_roadmap_depth || 'detailed',
-            defaultVideoLength: userSettings.default_video_length || 'medium'
-          };
-        } catch (settingsError) {
-          console.log("Using default preferences for bulk generation");
-        }
-      }
-
-      const results = [];
-      const errors = [];
-
-      // Get the starting step number for this level
-      let currentStepNumber = await neonDbService.getNextStepNumber(userRoadmapId, level);
-
-      // Generate videos for each point with sequential step numbering
-      for (let i = 0; i < points.length; i++) {
-        const point = points[i];
-        const stepId = `step_${currentStepNumber + i}`;
-        
-        try {
-          console.log(`📹 Generating videos for ${stepId}: ${point.pointTitle || point.title}`);
-          
-          // Check if videos already exist for this step
-          const existingVideos = await neonDbService.getUserVideos(userRoadmapId, level, 1, stepId);
-          if (existingVideos.length > 0) {
-            console.log(`📹 Videos already exist for ${stepId}, skipping`);
-            
-            // Convert stored video data to playlist format
-            const playlists = existingVideos[0].video_data.map(video => new PlaylistItem(video));
-            results.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              videoCount: playlists.length,
-              status: 'existing'
-            });
-            continue;
-          }
-
-          // Generate video titles for this specific point
-          const videoTitles = await geminiService.generateVideoTitles(
-            topic,
-            point.pointTitle || point.title,
-            finalUserPreferences
-          );
-
-          // Search for videos
-          const videoResults = await youtubeService.searchMultipleVideos(
-            videoTitles,
-            finalUserPreferences
-          );
-
-          // Create playlist items
-          const playlists = [];
-          const usedVideoIds = new Set();
-
-          for (const result of videoResults) {
-            if (!usedVideoIds.has(result.videoId)) {
-              const playlistItem = new PlaylistItem({
-                id: generateId("playlist"),
-                title: result.title,
-                videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
-                duration: result.duration || "N/A",
-                durationMinutes: result.durationMinutes || null,
-                description: result.description || "No description available",
-                channelTitle: result.channelTitle || null,
-                publishedAt: result.publishedAt || null,
-              });
-
-              playlists.push(playlistItem);
-              usedVideoIds.add(result.videoId);
-            }
-          }
-
-          // Store videos in database with sequential step ID
-          if (playlists.length > 0) {
-            await neonDbService.storeUserVideos(userRoadmapId, level, playlists, 1, stepId);
-            
-            results.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              videoCount: playlists.length,
-              status: 'generated'
-            });
-
-            console.log(`✅ Generated ${playlists.length} videos for ${stepId}: ${point.pointTitle || point.title}`);
-          } else {
-            errors.push({
-              pointId: stepId,
-              pointTitle: point.pointTitle || point.title,
-              error: 'No videos found'
-            });
-          }
-
-        } catch (pointError) {
-          console.error(`❌ Error generating videos for ${stepId}:`, pointError);
-          errors.push({
-            pointId: stepId,
-            pointTitle: point.pointTitle || point.title,
-            error: pointError.message
-          });
-        }
-      }
-
-      const processingTime = Date.now() - startTime;
+      // Step ids are assigned now so a retried job stores videos under the same ids
+      const currentStepNumber = await neonDbService.getNextStepNumber(userRoadmapId, level);
+      const steps = points.map((point, i) => ({
+        pointId: `step_${currentStepNumber + i}`,
+        pointTitle: point.pointTitle || point.title,
+      }));
 
-      appLogger.info("Bulk video generation completed", {
+      return await enqueueBulkGeneration(req, res, {
         topic,
         level,
-        totalPoints: points.length,
-        successCount: results.length,
-        errorCount: errors.length,
-        processingTime: `${processingTime}ms`,
-        ip: req.ip,
+        userRoadmapId,
+        steps,
       });
-
-      const response = {
-        success: true,
-        data: {
-          results,
-          errors,
-          summary: {
-            totalPoints: points.length,
-            generated: results.filter(r => r.status === 'generated').length,
-            existing: results.filter(r => r.status === 'existing').length,
-            failed: errors.length,
-            processingTime: `${processingTime}ms`
-          }
-        }
-      };
-
-      res.json(response);
-
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-
-      appLogger.error("Error in bulk video generation", error, {
+      appLogger.error("Error queueing bulk video generation", error, {
         topic: req.body?.topic,
         level: req.body?.level,
         userRoadmapId: req.body?.userRoadmapId,
-        processingTime: `${processingTime}ms`,
         ip: req.ip,
       });
 
@@ -1000,7 +597,7 @@ router.post(
 );
 
 // New endpoint to get all point videos for a level
-router.get('/point-videos/:userRoadmapId/:level', async (req, res) => {
+router.get('/point-videos/:userRoadmapId/:level', requireAuth, requireRoadmapOwnership('userRoadmapId'), async (req, res) => {
   try {
     const { userRoadmapId, level } = req.params;
     const { page = 1 } = req.query;
@@ -1015,6 +612,11 @@ router.get('/point-videos/:userRoadmapId/:level', async (req, res) => {
     
     const pointVideos = await neonDbService.getAllPointVideosForLevel(userRoadmapId, level, parseInt(page));
     
+    const progressMap = await watchProgressService.getProgressMap(req.user.id, userRoadmapId);
+    for (const point of Object.values(pointVideos)) {
+      point.video_data = watchProgressService.withWatchProgress(point.video_data, progressMap);
+    }
+    
     res.status(200).json({
       success: true,
       data: pointVideos,
@@ -1037,16 +639,15 @@ router.get('/point-videos/:userRoadmapId/:level', async (req, res) => {
 router.post(
   "/generate-all-steps",
   playlistLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(roadmapIdFromBody),
   async (req, res) => {
-    const startTime = Date.now();
-
     try {
       const { 
         topic, 
         level, 
-        userRoadmapId, 
-        userId,
-        userPreferences 
+        userRoadmapId 
       } = req.body;
 
       // Validate required parameters
@@ -1061,8 +662,6 @@ router.post(
         return res.status(400).json(errorResponse);
       }
 
-      console.log(`🚀 Generating videos for ALL steps in ${level} level of roadmap ${userRoadmapId}`);
-      
       // Get all steps from the roadmap for this level
       const steps = await neonDbService.getRoadmapSteps(userRoadmapId, level);
       
@@ -1077,149 +676,17 @@ router.post(
         return res.status(404).json(errorResponse);
       }
 
-      console.log(`📚 Found ${steps.length} steps to generate videos for`);
-      
-      // Get user preferences
-      let finalUserPreferences = {
-        defaultRoadmapDepth: 'detailed',
-        defaultVideoLength: 'medium'
-      };
-
-      if (userId) {
-        try {
-          const userSettings = await supabaseService.getUserSettings(userId);
-          finalUserPreferences = {
-            defaultRoadmapDepth: userSettings.default_roadmap_depth || 'detailed',
-            defaultVideoLength: userSettings.default_video_length || 'medium'
-          };
-        } catch (settingsError) {
-          console.log("Using default preferences for video generation");
-        }
-      }
-
-      const results = [];
-      const errors = [];
-
-      // Generate videos for each step
-      for (const step of steps) {
-        try {
-          console.log(`📹 Generating videos for ${step.pointId}: ${step.pointTitle}`);
-          
-          // Check if videos already exist for this step
-          const existingVideos = await neonDbService.getUserVideos(userRoadmapId, level, 1, step.pointId);
-          if (existingVideos.length > 0) {
-            console.log(`📹 Videos already exist for ${step.pointId}, skipping`);
-            
-            results.push({
-              pointId: step.pointId,
-              pointTitle: step.pointTitle,
-              videoCount: existingVideos[0].video_data.length,
-              status: 'existing'
-            });
-            continue;
-          }
-
-          // Generate video titles for this specific step
-          const videoTitles = await geminiService.generateVideoTitles(
-            topic,
-            step.pointTitle,
-            finalUserPreferences
-          );
-
-          // Search for videos
-          const videoResults = await youtubeService.searchMultipleVideos(
-            videoTitles,
-            finalUserPreferences
-          );
-
-          // Create playlist items
-          const playlists = [];
-          const usedVideoIds = new Set();
-
-          for (const result of videoResults) {
-            if (result && result.videoId && !usedVideoIds.has(result.videoId)) {
-              const playlistItem = new PlaylistItem({
-                id: result.videoId,
-                title: result.title,
-                description: result.description,
-                duration: result.duration,
-                channelTitle: result.channelTitle,
-                publishedAt: result.publishedAt || null,
-              });
-
-              playlists.push(playlistItem);
-              usedVideoIds.add(result.videoId);
-            }
-          }
-
-          // Store videos in database with the step ID from roadmap
-          if (playlists.length > 0) {
-            await neonDbService.storeUserVideos(userRoadmapId, level, playlists, 1, step.pointId);
-            
-            results.push({
-              pointId: step.pointId,
-              pointTitle: step.pointTitle,
-              videoCount: playlists.length,
-              status: 'generated'
-            });
-
-            console.log(`✅ Generated and stored ${playlists.length} videos for ${step.pointId}: ${step.pointTitle}`);
-          } else {
-            errors.push({
-              pointId: step.pointId,
-              pointTitle: step.pointTitle,
-              error: 'No videos found'
-            });
-          }
-
-        } catch (stepError) {
-          console.error(`❌ Error generating videos for ${step.pointId}:`, stepError);
-          errors.push({
-            pointId: step.pointId,
-            pointTitle: step.pointTitle,
-            error: stepError.message
-          });
-        }
-      }
-
-      const processingTime = Date.now() - startTime;
-
-      appLogger.info("Generated videos for all steps in level", {
+      return await enqueueBulkGeneration(req, res, {
         topic,
         level,
         userRoadmapId,
-        totalSteps: steps.length,
-        successCount: results.length,
-        errorCount: errors.length,
-        processingTime: `${processingTime}ms`,
-        ip: req.ip,
+        steps,
       });
-
-      const response = {
-        success: true,
-        data: {
-          results,
-          errors,
-          summary: {
-            totalSteps: steps.length,
-            generated: results.filter(r => r.status === 'generated').length,
-            existing: results.filter(r => r.status === 'existing').length,
-            failed: errors.length,
-            processingTime: `${processingTime}ms`
-          }
-        }
-      };
-
-      res.json(response);
-
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-
-      appLogger.error("Error generating videos for all steps", error, {
+      appLogger.error("Error queueing video generation for all steps", error, {
         topic: req.body?.topic,
         level: req.body?.level,
         userRoadmapId: req.body?.userRoadmapId,
-        processingTime: `${processingTime}ms`,
         ip: req.ip,
       });
 
@@ -1238,4 +705,124 @@ router.post(
   }
 );
 
+// Rate a recommended video or report it. Feedback is kept per user, video and
+// topic; a user's new feedback on the same video and topic replaces the old.
+router.post(
+  "/feedback",
+  playlistLimiter,
+  requireAuth,
+  validateVideoFeedbackInput,
+  requireRoadmapOwnership(roadmapIdFromBody, { optional: true }),
+  async (req, res) => {
+    try {
+      const row = await videoFeedbackService.record(req.user.id, req.body);
+
+      appLogger.info("Video feedback recorded", {
+        videoId: row.video_id,
+        topic: row.topic,
+        feedback: row.feedback,
+        userId: req.user.id,
+        ip: req.ip,
+      });
+
+      const summary = await videoFeedbackService.getSummary(row.video_id);
+      res.json(
+        new SuccessResponse({
+          videoId: row.video_id,
+          topic: row.topic,
+          feedback: row.feedback,
+          updatedAt: row.updated_at,
+          summary,
+        })
+      );
+    } catch (error) {
+      appLogger.error("Error recording video feedback", error, {
+        videoId: req.body?.videoId,
+        userId: req.user?.id,
+        ip: req.ip,
+      });
+
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          "VIDEO_FEEDBACK_FAILED",
+          "Failed to record video feedback",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+
+      res.status(500).json(errorResponse);
+    }
+  }
+);
+
+// Take back the user's feedback on a video for a topic (?topic=...)
+router.delete("/feedback/:videoId", playlistLimiter, requireAuth, async (req, res) => {
+  try {
+    if (!req.query.topic) {
+      return res.status(400).json(
+        new ErrorResponse(
+          new ErrorDetails(
+            "VALIDATION_ERROR",
+            "Topic is required",
+            "Pass the topic the feedback was given for as ?topic="
+          )
+        )
+      );
+    }
+
+    const deleted = await videoFeedbackService.retract(
+      req.user.id,
+      req.params.videoId,
+      req.query.topic
+    );
+    res.json(new SuccessResponse({ deleted }));
+  } catch (error) {
+    appLogger.error("Error deleting video feedback", error, {
+      videoId: req.params?.videoId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "VIDEO_FEEDBACK_FAILED",
+        "Failed to delete video feedback",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Aggregated feedback on a video, overall and per topic
+router.get("/feedback/:videoId", playlistLimiter, requireAuth, async (req, res) => {
+  try {
+    const summary = await videoFeedbackService.getSummary(req.params.videoId);
+    res.json(new SuccessResponse(summary));
+  } catch (error) {
+    appLogger.error("Error fetching video feedback", error, {
+      videoId: req.params?.videoId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        "VIDEO_FEEDBACK_FAILED",
+        "Failed to fetch video feedback",
+        process.env.NODE_ENV === "production"
+          ? "Please try again later"
+          : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
 export default router;
@@ -11,7 +11,15 @@ import {
   quizProgressLimiter,
   validateQuizInput,
 } from "../middleware/security.js";
+import {
+  requireAuth,
+  authorizeUserParam,
+  requireRoadmapOwnership,
+  requireQuizOwnership,
+} from "../middleware/auth.js";
+import { enforceAiBudget } from "../middleware/aiBudget.js";
 import { appLogger } from "../utils/logger.js";
+import { openEventStream } from "../utils/sse.js";
 
 const router = express.Router();
 
@@ -19,22 +27,13 @@ const router = express.Router();
 router.post(
   "/generate/:roadmapId",
   quizLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(),
   async (req, res) => {
     const startTime = Date.now();
     const { roadmapId } = req.params;
-    const { userId } = req.body;
-
-    console.log('🚀 DEBUG - Quiz generation request received:');
-    console.log('📋 Request params:', req.params);
-    console.log('📋 Request body:', req.body);
-    console.log('📋 Request body type:', typeof req.body);
-    console.log('📋 Request body keys:', Object.keys(req.body || {}));
-    console.log('📋 Request headers:', req.headers);
-    console.log('📋 Content-Type:', req.get('content-type'));
-    console.log('📋 RoadmapId:', roadmapId);
-    console.log('📋 UserId:', userId);
-    console.log('📋 UserId from body direct:', req.body.userId);
-    console.log('📋 Raw body:', JSON.stringify(req.body));
+    const userId = req.user.id;
 
     try {
       if (!roadmapId || !userId) {
@@ -56,90 +55,13 @@ router.post(
         userAgent: req.get("user-agent"),
       });
 
-      // First, try direct roadmap lookup to debug
-      console.log(`🔍 Looking for roadmap: ${roadmapId} for user: ${userId}`);
-      
-      // Get the roadmap data directly
-      let roadmap;
-      try {
-        const directResult = await neonDbService.sql`
-          SELECT 
-            ur.id,
-            ur.roadmap_data,
-            ur.created_at,
-            ur.updated_at,
-            ut.user_id,
-            ut.topic
-          FROM user_roadmaps ur
-          INNER JOIN user_topics ut ON ur.user_topic_id = ut.id
-          WHERE ur.id = ${roadmapId} AND ut.user_id = ${userId}
-          LIMIT 1
-        `;
-        
-        if (directResult.length > 0) {
-          roadmap = directResult[0];
-          console.log(`✅ Found roadmap directly: ${roadmap.topic}`);
-        } else {
-          console.log(`❌ No roadmap found with direct query`);
-          
-          // Try alternate lookup - maybe roadmap exists without topic relation
-          const alternateResult = await neonDbService.sql`
-            SELECT ur.*, 'Unknown Topic' as topic
-            FROM user_roadmaps ur
-            WHERE ur.id = ${roadmapId}
-            LIMIT 1
-          `;
-          
-          if (alternateResult.length > 0) {
-            console.log(`⚠️ Found roadmap without topic relation`);
-            roadmap = alternateResult[0];
-          }
-        }
-      } catch (lookupError) {
-        console.error(`❌ Error in direct roadmap lookup:`, lookupError);
-      }
-
-      if (!roadmap) {
-        console.log(`🔍 Fallback: Trying getUserRoadmaps method...`);
-        const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-        console.log(`📊 Found ${userRoadmaps.length} roadmaps via getUserRoadmaps`);
-        roadmap = userRoadmaps.find(r => r.id === roadmapId);
-      }
-
-      if (!roadmap) {
-        console.error(`❌ Roadmap not found: ${roadmapId} for user: ${userId}`);
-        
-        // Additional debugging information
-        const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-        console.log(`📋 Debug info - User has ${userRoadmaps.length} total roadmaps`);
-        if (userRoadmaps.length > 0) {
-          console.log(`🗂️ Available roadmap IDs:`, userRoadmaps.map(r => r.id));
-        }
-        
-        // Ensure user exists in database
-        try {
-          await neonDbService.ensureUserExists(userId);
-          console.log(`✅ User exists in database`);
-        } catch (userError) {
-          console.error(`❌ User creation failed:`, userError.message);
-        }
-        
-        const errorResponse = new ErrorResponse(
-          new ErrorDetails(
-            "ROADMAP_NOT_FOUND",
-            "Roadmap not found",
-            userRoadmaps.length === 0 
-              ? "No roadmaps found for this user. Please create a roadmap first."
-              : `The specified roadmap does not exist. Available roadmaps: ${userRoadmaps.map(r => r.id).join(', ')}`
-          )
-        );
-        return res.status(404).json(errorResponse);
-      }
+      // Roadmap was loaded (and ownership verified) by requireRoadmapOwnership
+      const roadmap = req.roadmap;
 
       console.log(`✅ Using roadmap: ${roadmap.id} (${roadmap.topic || 'No topic'})`);
       
       // Generate or get existing quiz
-      const quiz = await neonDbService.generateOrGetQuiz(roadmapId, roadmap.roadmap_data || roadmap.roadmapData);
+      const quiz = await neonDbService.generateOrGetQuiz(roadmapId, roadmap.roadmap_data);
 
       const processingTime = Date.now() - startTime;
 
@@ -180,11 +102,125 @@ router.post(
   }
 );
 
+// A streamed question is final once the next one has started or it carries
+// every field the quiz format asks for
+const isCompleteQuestion = (question, index, questions) =>
+  index < questions.length - 1 ||
+  (typeof question?.question === "string" &&
+    Array.isArray(question.options) &&
+    typeof question.correctAnswer === "number" &&
+    typeof question.explanation === "string");
+
+// Server-Sent Events variant of POST /generate/:roadmapId. Emits `question`
+// as each question is parsed from the model output, then `complete` with the
+// stored quiz, or `error`. An existing quiz is sent as `complete` right away.
+router.get(
+  "/generate/:roadmapId/stream",
+  quizLimiter,
+  requireAuth,
+  enforceAiBudget,
+  requireRoadmapOwnership(),
+  async (req, res) => {
+    const startTime = Date.now();
+    const { roadmapId } = req.params;
+    const userId = req.user.id;
+    const stream = openEventStream(req, res);
+
+    try {
+      appLogger.info("Streaming quiz generation for roadmap", {
+        roadmapId,
+        userId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      const existingQuiz = await neonDbService.getUserQuiz(roadmapId);
+      if (existingQuiz) {
+        stream.send("complete", new QuizSuccessResponse(existingQuiz));
+        return stream.close();
+      }
+
+      stream.send("start", { roadmapId });
+
+      let sentCount = 0;
+      const sendQuestions = (questions, final) => {
+        while (
+          sentCount < questions.length &&
+          (final || isCompleteQuestion(questions[sentCount], sentCount, questions))
+        ) {
+          stream.send("question", {
+            index: sentCount,
+            question: questions[sentCount],
+          });
+          sentCount++;
+        }
+      };
+
+      const quizData = await geminiService.generateQuizStream(
+        req.roadmap.roadmap_data,
+        undefined,
+        [],
+        (partial) => {
+          if (Array.isArray(partial?.questions)) {
+            sendQuestions(partial.questions, false);
+          }
+        }
+      );
+
+      sendQuestions(quizData.questions, true);
+
+      const quiz = await neonDbService.createUserQuiz(
+        roadmapId,
+        quizData,
+        quizData.questions.length,
+        "mixed"
+      );
+
+      const processingTime = Date.now() - startTime;
+
+      appLogger.info("Quiz streamed successfully", {
+        roadmapId,
+        userId,
+        quizId: quiz.id,
+        totalQuestions: quiz.total_questions,
+        clientDisconnected: stream.isClosed(),
+        processingTime: `${processingTime}ms`,
+        ip: req.ip,
+      });
+
+      stream.send("complete", new QuizSuccessResponse(quiz));
+      stream.close();
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+
+      appLogger.error("Error streaming quiz", error, {
+        roadmapId,
+        userId,
+        processingTime: `${processingTime}ms`,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      stream.send(
+        "error",
+        new ErrorDetails(
+          "QUIZ_GENERATION_FAILED",
+          "Failed to generate quiz",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+      stream.close();
+    }
+  }
+);
+
 // Check if roadmap has quiz attempts (for enabling Results button)
-router.get("/attempts/check/:roadmapId", async (req, res) => {
+router.get("/attempts/check/:roadmapId", requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     if (!roadmapId || !userId) {
       const errorResponse = new ErrorResponse(
@@ -210,7 +246,7 @@ router.get("/attempts/check/:roadmapId", async (req, res) => {
     appLogger.error('Quiz attempts check failed', {
       error: error.message, 
       roadmapId: req.params.roadmapId, 
-      userId: req.query.userId 
+      userId: req.user?.id 
     });
     
     const errorResponse = new ErrorResponse(
@@ -228,7 +264,7 @@ router.get("/attempts/check/:roadmapId", async (req, res) => {
 });
 
 // Get quiz by specific ID (for regenerated quizzes)
-router.get("/id/:quizId", async (req, res) => {
+router.get("/id/:quizId", requireAuth, requireQuizOwnership(), async (req, res) => {
   try {
     const { quizId } = req.params;
 
@@ -248,38 +284,7 @@ router.get("/id/:quizId", async (req, res) => {
       ip: req.ip,
     });
 
-    // Get quiz by ID
-    const quizResult = await neonDbService.sql`
-      SELECT 
-        id,
-        user_roadmap_id,
-        quiz_data,
-        total_questions,
-        difficulty_level,
-        created_at,
-        updated_at
-      FROM user_quizzes 
-      WHERE id = ${quizId}
-      LIMIT 1
-    `;
-
-    if (quizResult.length === 0) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          "QUIZ_NOT_FOUND",
-          "Quiz not found", 
-          `No quiz found with ID: ${quizId}`
-        )
-      );
-      return res.status(404).json(errorResponse);
-    }
-
-    const quiz = quizResult[0];
-    
-    // Parse quiz_data if it's a string
-    if (typeof quiz.quiz_data === 'string') {
-      quiz.quiz_data = JSON.parse(quiz.quiz_data);
-    }
+    const quiz = req.quiz;
 
     appLogger.info("Quiz retrieved successfully by ID", {
       quizId,
@@ -310,10 +315,10 @@ router.get("/id/:quizId", async (req, res) => {
 });
 
 // Get existing quiz for a roadmap
-router.get("/:roadmapId", async (req, res) => {
+router.get("/:roadmapId", requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     if (!roadmapId || !userId) {
       const errorResponse = new ErrorResponse(
@@ -332,69 +337,6 @@ router.get("/:roadmapId", async (req, res) => {
       ip: req.ip,
     });
 
-    // Verify roadmap belongs to user with better error handling
-    console.log(`🔍 Looking for roadmap: ${roadmapId} for user: ${userId}`);
-    
-    let roadmap;
-    try {
-      // Try direct roadmap lookup first
-      const directResult = await neonDbService.sql`
-        SELECT 
-          ur.id,
-          ur.roadmap_data,
-          ur.created_at,
-          ur.updated_at,
-          ut.user_id,
-          ut.topic
-        FROM user_roadmaps ur
-        INNER JOIN user_topics ut ON ur.user_topic_id = ut.id
-        WHERE ur.id = ${roadmapId} AND ut.user_id = ${userId}
-        LIMIT 1
-      `;
-      
-      if (directResult.length > 0) {
-        roadmap = directResult[0];
-        console.log(`✅ Found roadmap directly: ${roadmap.topic}`);
-      } else {
-        console.log(`🔍 Fallback: Trying getUserRoadmaps method...`);
-        const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-        console.log(`📊 Found ${userRoadmaps.length} roadmaps via getUserRoadmaps`);
-        roadmap = userRoadmaps.find(r => r.id === roadmapId);
-      }
-    } catch (lookupError) {
-      console.error(`❌ Error in roadmap lookup:`, lookupError);
-    }
-
-    if (!roadmap) {
-      console.error(`❌ Roadmap not found: ${roadmapId} for user: ${userId}`);
-      
-      // Additional debugging information
-      const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-      console.log(`📋 Debug info - User has ${userRoadmaps.length} total roadmaps`);
-      if (userRoadmaps.length > 0) {
-        console.log(`🗂️ Available roadmap IDs:`, userRoadmaps.map(r => r.id));
-      }
-      
-      // Ensure user exists in database
-      try {
-        await neonDbService.ensureUserExists(userId);
-        console.log(`✅ User exists in database`);
-      } catch (userError) {
-        console.error(`❌ User creation failed:`, userError.message);
-      }
-      
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          "ROADMAP_NOT_FOUND",
-          "Roadmap not found",
-          userRoadmaps.length === 0 
-            ? "No roadmaps found for this user. Please create a roadmap first."
-            : `The specified roadmap does not exist. Available roadmaps: ${userRoadmaps.map(r => r.id).join(', ')}`
-        )
-      );
-      return res.status(404).json(errorResponse);
-    }
-
     const quiz = await neonDbService.getUserQuiz(roadmapId);
 
     if (!quiz) {
@@ -420,7 +362,7 @@ router.get("/:roadmapId", async (req, res) => {
   } catch (error) {
     appLogger.error("Error getting quiz", error, {
       roadmapId: req.params.roadmapId,
-      userId: req.query.userId,
+      userId: req.user?.id,
       ip: req.ip,
     });
 
@@ -442,26 +384,14 @@ router.get("/:roadmapId", async (req, res) => {
 router.post(
   "/:quizId/attempt",
   quizLimiter,
+  requireAuth,
+  requireQuizOwnership(),
   validateQuizInput,
   async (req, res) => {
     const startTime = Date.now();
     const { quizId } = req.params;
-    const { userId, answers, timeInSeconds } = req.body;
-
-    console.log('🚀 DEBUG - Quiz attempt submission request received:');
-    console.log('📋 Request params:', req.params);
-    console.log('📋 Request body:', req.body);
-    console.log('📋 Request body type:', typeof req.body);
-    console.log('📋 Request body keys:', Object.keys(req.body || {}));
-    console.log('📋 Request headers:', req.headers);
-    console.log('📋 Content-Type:', req.get('content-type'));
-    console.log('📋 QuizId:', quizId);
-    console.log('📋 UserId:', userId);
-    console.log('📋 Answers:', answers);
-    console.log('📋 Answers type:', typeof answers);
-    console.log('📋 Answers isArray:', Array.isArray(answers));
-    console.log('📋 TimeInSeconds:', timeInSeconds);
-    console.log('📋 Raw body:', JSON.stringify(req.body));
+    const userId = req.user.id;
+    const { answers, timeInSeconds } = req.body;
 
     try {
       if (!quizId || !userId || !answers || !Array.isArray(answers)) {
@@ -490,29 +420,8 @@ router.post(
         userAgent: req.get("user-agent"),
       });
 
-      // Get the quiz to validate answers
-      const quiz = await neonDbService.sql`
-        SELECT uq.*, ur.id as roadmap_id
-        FROM user_quizzes uq
-        INNER JOIN user_roadmaps ur ON uq.user_roadmap_id = ur.id
-        INNER JOIN user_topics ut ON ur.user_topic_id = ut.id
-        WHERE uq.id = ${quizId} AND ut.user_id = ${userId}
-      `;
-
-      if (quiz.length === 0) {
-        const errorResponse = new ErrorResponse(
-          new ErrorDetails(
-            "QUIZ_NOT_FOUND",
-            "Quiz not found",
-            "The specified quiz does not exist or doesn't belong to the user"
-          )
-        );
-        return res.status(404).json(errorResponse);
-      }
-
-      const quizData = typeof quiz[0].quiz_data === 'string' 
-        ? JSON.parse(quiz[0].quiz_data) 
-        : quiz[0].quiz_data;
+      // Quiz was loaded (and ownership verified) by requireQuizOwnership
+      const quizData = req.quiz.quiz_data;
 
       // Calculate score
       let score = 0;
@@ -624,7 +533,7 @@ router.post(
 );
 
 // Get user's quiz attempts
-router.get("/attempts/:userId", async (req, res) => {
+router.get("/attempts/:userId", requireAuth, authorizeUserParam(), async (req, res) => {
   try {
     const { userId } = req.params;
     const { roadmapId } = req.query;
@@ -688,10 +597,10 @@ router.get("/attempts/:userId", async (req, res) => {
 });
 
 // Get quiz results for a specific roadmap (with all attempts across all quiz versions)
-router.get("/results/:roadmapId", async (req, res) => {
+router.get("/results/:roadmapId", requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     if (!roadmapId || !userId) {
       const errorResponse = new ErrorResponse(
@@ -710,20 +619,7 @@ router.get("/results/:roadmapId", async (req, res) => {
       ip: req.ip,
     });
 
-    // Verify roadmap belongs to user
-    const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-    const roadmap = userRoadmaps.find(r => r.id === roadmapId);
-
-    if (!roadmap) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          "ROADMAP_NOT_FOUND",
-          "Roadmap not found",
-          "The specified roadmap does not exist or doesn't belong to the user"
-        )
-      );
-      return res.status(404).json(errorResponse);
-    }
+    const roadmap = req.roadmap;
 
     // Get the latest quiz for this roadmap
     const quiz = await neonDbService.getUserQuiz(roadmapId);
@@ -796,7 +692,7 @@ router.get("/results/:roadmapId", async (req, res) => {
         roadmap: {
           id: roadmap.id,
           topic: roadmap.topic,
-          roadmapData: roadmap.roadmapData
+          roadmapData: roadmap.roadmap_data
         },
         quiz: quiz, // Latest quiz
         attempts: attempts, // All attempts across all quiz versions
@@ -808,7 +704,7 @@ router.get("/results/:roadmapId", async (req, res) => {
   } catch (error) {
     appLogger.error("Error getting quiz results", error, {
       roadmapId: req.params.roadmapId,
-      userId: req.query.userId,
+      userId: req.user?.id,
       ip: req.ip,
     });
 
@@ -827,10 +723,10 @@ router.get("/results/:roadmapId", async (req, res) => {
 });
 
 // Get quiz statistics
-router.get("/stats/:roadmapId", async (req, res) => {
+router.get("/stats/:roadmapId", requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     if (!roadmapId || !userId) {
       const errorResponse = new ErrorResponse(
@@ -849,21 +745,6 @@ router.get("/stats/:roadmapId", async (req, res) => {
       ip: req.ip,
     });
 
-    // Verify roadmap belongs to user
-    const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-    const roadmap = userRoadmaps.find(r => r.id === roadmapId);
-
-    if (!roadmap) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          "ROADMAP_NOT_FOUND",
-          "Roadmap not found",
-          "The specified roadmap does not exist or doesn't belong to the user"
-        )
-      );
-      return res.status(404).json(errorResponse);
-    }
-
     const statistics = await neonDbService.getQuizStatistics(roadmapId);
 
     appLogger.info("Quiz statistics retrieved successfully", {
@@ -882,7 +763,7 @@ router.get("/stats/:roadmapId", async (req, res) => {
   } catch (error) {
     appLogger.error("Error getting quiz statistics", error, {
       roadmapId: req.params.roadmapId,
-      userId: req.query.userId,
+      userId: req.user?.id,
       ip: req.ip,
     });
 
@@ -901,10 +782,11 @@ router.get("/stats/:roadmapId", async (req, res) => {
 });
 
 // Route 7: Save quiz progress (individual answers)
-router.post('/:quizId/progress', quizProgressLimiter, validateQuizInput, async (req, res) => {
+router.post('/:quizId/progress', quizProgressLimiter, requireAuth, requireQuizOwnership(), validateQuizInput, async (req, res) => {
   const startTime = Date.now();
   const { quizId } = req.params;
-  const { userId, questionIndex, selectedOption, timeSpent } = req.body;
+  const userId = req.user.id;
+  const { questionIndex, selectedOption, timeSpent } = req.body;
   
   console.log('🚀 DEBUG - Quiz progress save request:');
   console.log('📋 Request params:', req.params);
@@ -989,10 +871,10 @@ router.post('/:quizId/progress', quizProgressLimiter, validateQuizInput, async (
 });
 
 // Route 8: Get quiz progress
-router.get('/:quizId/progress', quizProgressLimiter, async (req, res) => {
+router.get('/:quizId/progress', quizProgressLimiter, requireAuth, requireQuizOwnership(), async (req, res) => {
   const startTime = Date.now();
   const { quizId } = req.params;
-  const { userId } = req.query;
+  const userId = req.user.id;
  
   console.log('🚀 DEBUG - Quiz progress retrieval request:');
   console.log('📋 Request params:', req.params);
@@ -1044,12 +926,12 @@ router.get('/:quizId/progress', quizProgressLimiter, async (req, res) => {
 });
 
 // Regenerate quiz for a roadmap (create new quiz with different questions)
-router.post("/regenerate/:roadmapId", async (req, res) => {
+router.post("/regenerate/:roadmapId", requireAuth, enforceAiBudget, requireRoadmapOwnership(), async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.body;
+    const userId = req.user.id;
 
     console.log('🚀 DEBUG - Quiz regeneration request received:');
     console.log('📋 Request params:', req.params);
@@ -1073,25 +955,7 @@ router.post("/regenerate/:roadmapId", async (req, res) => {
 
     appLogger.info('Starting quiz regeneration (creating new quiz)', { roadmapId, userId });
 
-    // Get user roadmaps and find the specific roadmap
-    const userRoadmaps = await neonDbService.getUserRoadmaps(userId);
-    const roadmap = userRoadmaps.find(r => r.id === roadmapId);
-    
-    if (!roadmap) {
-      console.log(`❌ Roadmap not found: ${roadmapId} for user: ${userId}`);
-      console.log(`📋 Available roadmap IDs:`, userRoadmaps.map(r => r.id));
-      
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          "ROADMAP_NOT_FOUND",
-          "Roadmap not found",
-          userRoadmaps.length === 0 
-            ? "No roadmaps found for this user. Please create a roadmap first."
-            : `The specified roadmap does not exist. Available roadmaps: ${userRoadmaps.map(r => r.id).join(', ')}`
-        )
-      );
-      return res.status(404).json(errorResponse);
-    }
+    const roadmap = req.roadmap;
 
     // Get previously used questions for this roadmap to avoid repetition
     appLogger.info('Fetching used questions to avoid repetition', { roadmapId, userId });
@@ -1103,7 +967,7 @@ router.post("/regenerate/:roadmapId", async (req, res) => {
     });
 
     // Generate new quiz using the roadmap data and avoiding used questions
-    const roadmapData = roadmap.roadmapData || roadmap.roadmap_data;
+    const roadmapData = roadmap.roadmap_data;
     const topic = roadmap.topic;
 
     appLogger.info('Generating new quiz via Gemini service', { 
@@ -1198,7 +1062,7 @@ router.post("/regenerate/:roadmapId", async (req, res) => {
       error: error.message,
       stack: error.stack,
       roadmapId: req.params.roadmapId,
-      userId: req.body.userId,
+      userId: req.user?.id,
       processingTime: `${processingTime}ms`,
       ip: req.ip,
       userAgent: req.get("user-agent"),
@@ -10,6 +10,7 @@ import {
 } from "../models/responseModels.js";
 import geminiService from "../services/geminiService.js";
 import neonDbService from "../services/neonDbService.js";
+import crypto from "crypto";
 import {
   generateId,
   getCurrentTimestamp,
@@ -18,20 +19,186 @@ import {
 import {
   roadmapLimiter,
   validateRoadmapInput,
+  validateRoadmapStreamInput,
 } from "../middleware/security.js";
+import { optionalAuth } from "../middleware/auth.js";
+import { enforceAiBudget } from "../middleware/aiBudget.js";
 import { appLogger } from "../utils/logger.js";
+import {
+  resolveRoadmapDepth,
+  resolveVideoLength,
+  resolveLanguage,
+  resolveRegion,
+} from "../utils/preferences.js";
+import { openEventStream } from "../utils/sse.js";
+import { getPrerequisitePoints } from "../utils/prerequisiteGraph.js";
 
 const router = express.Router();
 
+const LEVELS = ["beginner", "intermediate", "advanced"];
+
+// persist defaults to true for authenticated callers; "false" opts out
+const shouldPersist = (req) => {
+  const value = req.body?.persist ?? req.query?.persist;
+  return !(value === false || value === "false");
+};
+
+// Stored user settings take over the request preferences when the caller is signed in
+const resolveRoadmapPreferences = async (userId, userPreferences, ip) => {
+  let finalUserPreferences = userPreferences || {};
+
+  if (userId) {
+    try {
+      const userSettings = await neonDbService.getUserSettings(userId);
+
+      // Use user settings as default preferences, but allow override from request
+      finalUserPreferences = {
+        default_roadmap_depth: userPreferences?.default_roadmap_depth || userSettings.default_roadmap_depth || 'detailed',
+        default_video_length: userPreferences?.default_video_length || userSettings.default_video_length || 'medium',
+        preferred_language: userPreferences?.language || userSettings.preferred_language || 'en',
+        region: userPreferences?.region || userSettings.region || null
+      };
+
+      appLogger.info("Using user settings for roadmap generation", {
+        userId,
+        finalUserPreferences,
+        ip,
+      });
+    } catch (settingsError) {
+      appLogger.warn("Could not fetch user settings, using defaults", {
+        userId,
+        error: settingsError.message,
+        ip,
+      });
+
+      // Fall back to request preferences or defaults
+      finalUserPreferences = {
+        default_roadmap_depth: resolveRoadmapDepth(userPreferences),
+        default_video_length: resolveVideoLength(userPreferences),
+        preferred_language: resolveLanguage(userPreferences),
+        region: resolveRegion(userPreferences)
+      };
+    }
+  }
+
+  return finalUserPreferences;
+};
+
+const buildRoadmapResponse = (roadmapData, persist) => {
+  const extractedTopic = roadmapData.extractedTopic || "programming";
+
+  // Assign step IDs the same way stored roadmaps do, so the returned point
+  // IDs match what progress and video endpoints expect
+  const generatedLevels = roadmapData.roadmap || {};
+  const { roadmap } = neonDbService.processRoadmapWithStepIds({
+    roadmap: Object.fromEntries(
+      LEVELS.filter((level) => Array.isArray(generatedLevels[level])).map(
+        (level) => [level, generatedLevels[level]]
+      )
+    ),
+  });
+
+  const prerequisites = new Map(
+    getPrerequisitePoints({ roadmap }).map((point) => [point.pointId, point.prerequisites])
+  );
+
+  const points = [];
+  let order = 1;
+
+  for (const level of LEVELS) {
+    for (const step of Object.values(roadmap[level] || {})) {
+      const point = new PointResponse({
+        id: step.pointId,
+        title: step.title,
+        // Cached roadmaps from before points had content only carry titles
+        description:
+          step.description || `Master ${step.title.toLowerCase()} concepts and patterns`,
+        learningObjectives: step.learningObjectives,
+        estimatedHours: step.estimatedHours,
+        keyConcepts: step.keyConcepts,
+        practiceTasks: step.practiceTasks,
+        prerequisites: prerequisites.get(step.pointId),
+        level: level,
+        order: order,
+        playlists: null,
+        isCompleted: false,
+      });
+      points.push(point);
+      order++;
+    }
+  }
+
+  const timestamp = getCurrentTimestamp();
+
+  const roadmapResponseData = new RoadmapDataResponse({
+    id: persist ? crypto.randomUUID() : generateId("roadmap"),
+    topic: extractedTopic,
+    title: `${capitalizeWords(extractedTopic)} Development Roadmap`,
+    description: `Complete learning path for ${extractedTopic} development`,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    points: points,
+    progress: new ProgressResponse({
+      completedPoints: 0,
+      totalPoints: points.length,
+      percentage: 0,
+    }),
+  });
+
+  return { roadmapResponseData, roadmap, extractedTopic, points };
+};
+
+// Topic and roadmap are created in one statement; the roadmap row id is the
+// id returned to the client
+const persistRoadmap = async (userId, extractedTopic, roadmapResponseData, roadmap, ip) => {
+  const storedRoadmap = await neonDbService.createRoadmapWithTopic(
+    userId,
+    extractedTopic,
+    { ...roadmapResponseData, roadmap },
+    roadmapResponseData.id
+  );
+
+  roadmapResponseData.createdAt = storedRoadmap.created_at;
+  roadmapResponseData.updatedAt = storedRoadmap.updated_at;
+
+  appLogger.info("Roadmap persisted", {
+    userId,
+    roadmapId: storedRoadmap.id,
+    userTopicId: storedRoadmap.user_topic_id,
+    ip,
+  });
+
+  return storedRoadmap;
+};
+
+// A streamed level is final once the next level has started. Points are
+// parsed as each object closes, so a level can still grow until then; levels
+// of title strings (older cached roadmaps) are only parsed once complete.
+const completedLevels = (partial) => {
+  const levels = partial?.roadmap || {};
+
+  return LEVELS.filter((level, index) => {
+    const items = levels[level];
+    if (!Array.isArray(items)) return false;
+    return (
+      items.every((item) => typeof item === "string") ||
+      LEVELS.slice(index + 1).some((next) => next in levels)
+    );
+  });
+};
+
 router.post(
   "/generate",
   roadmapLimiter,
+  optionalAuth,
+  enforceAiBudget,
   validateRoadmapInput,
   async (req, res) => {
     const startTime = Date.now();
 
     try {
-      const { topic, userPreferences, userId } = validateRoadmapRequest(req.body);
+      const { topic, userPreferences } = validateRoadmapRequest(req.body);
+      const userId = req.user?.id || null;
 
       appLogger.info("Generating roadmap", {
         topic,
@@ -41,94 +208,53 @@ router.post(
         userAgent: req.get("user-agent"),
       });
 
-      // Get user settings to use as preferences if userId is provided
-      let finalUserPreferences = userPreferences || {};
-      
-      if (userId) {
-        try {
-          const userSettings = await neonDbService.getUserSettings(userId);
-          
-          // Use user settings as default preferences, but allow override from request
-          finalUserPreferences = {
-            default_roadmap_depth: userPreferences?.default_roadmap_depth || userSettings.default_roadmap_depth || 'detailed',
-            default_video_length: userPreferences?.default_video_length || userSettings.default_video_length || 'medium'
-          };
-          
-          appLogger.info("Using user settings for roadmap generation", {
-            userId,
-            finalUserPreferences,
-            ip: req.ip,
-          });
-        } catch (settingsError) {
-          appLogger.warn("Could not fetch user settings, using defaults", {
-            userId,
-            error: settingsError.message,
-            ip: req.ip,
-          });
-          
-          // Fall back to request preferences or defaults
-          finalUserPreferences = {
-            default_roadmap_depth: userPreferences?.default_roadmap_depth || 'detailed',
-            default_video_length: userPreferences?.default_video_length || 'medium'
-          };
-        }
-      }
+      const finalUserPreferences = await resolveRoadmapPreferences(
+        userId,
+        userPreferences,
+        req.ip
+      );
 
       const roadmapData = await geminiService.generateRoadmap(
         topic,
         finalUserPreferences
       );
 
-      const extractedTopic = roadmapData.extractedTopic || "programming";
-      const roadmap = roadmapData.roadmap || {};
-
-      const points = [];
-      let order = 1;
-      let globalStepNumber = 1; // Global step counter across all levels
-
-      for (const level of ["beginner", "intermediate", "advanced"]) {
-        if (roadmap[level] && Array.isArray(roadmap[level])) {
-          for (const pointTitle of roadmap[level]) {
-            const point = new PointResponse({
-              id: `step_${globalStepNumber}`, // Use sequential step ID instead of random ID
-              title: pointTitle,
-              description: `Master ${pointTitle.toLowerCase()} concepts and patterns`,
-              level: level,
-              order: order,
-              playlists: null,
-              isCompleted: false,
-            });
-            points.push(point);
-            order++;
-            globalStepNumber++; // Increment global step number
-          }
+      const persist = Boolean(userId) && shouldPersist(req);
+      const { roadmapResponseData, roadmap, extractedTopic, points } =
+        buildRoadmapResponse(roadmapData, persist);
+
+      if (persist) {
+        try {
+          await persistRoadmap(userId, extractedTopic, roadmapResponseData, roadmap, req.ip);
+        } catch (persistError) {
+          appLogger.error("Failed to persist generated roadmap", persistError, {
+            userId,
+            topic: extractedTopic,
+            ip: req.ip,
+          });
+
+          const errorResponse = new ErrorResponse(
+            new ErrorDetails(
+              "ROADMAP_SAVE_FAILED",
+              "Roadmap was generated but could not be saved",
+              process.env.NODE_ENV === "production"
+                ? "Please try again later"
+                : persistError.message
+            )
+          );
+
+          return res.status(500).json(errorResponse);
         }
       }
 
-      const timestamp = getCurrentTimestamp();
-
-      const roadmapResponse = new SuccessResponse(
-        new RoadmapDataResponse({
-          id: generateId("roadmap"),
-          topic: extractedTopic,
-          title: `${capitalizeWords(extractedTopic)} Development Roadmap`,
-          description: `Complete learning path for ${extractedTopic} development`,
-          createdAt: timestamp,
-          updatedAt: timestamp,
-          points: points,
-          progress: new ProgressResponse({
-            completedPoints: 0,
-            totalPoints: points.length,
-            percentage: 0,
-          }),
-        })
-      );
+      const roadmapResponse = new SuccessResponse(roadmapResponseData);
 
       const processingTime = Date.now() - startTime;
 
       appLogger.info("Roadmap generated successfully", {
         topic: extractedTopic,
         pointsCount: points.length,
+        persisted: persist,
         processingTime: `${processingTime}ms`,
         userPreferences: finalUserPreferences,
         ip: req.ip,
@@ -140,7 +266,7 @@ router.post(
 
       appLogger.error("Error generating roadmap", error, {
         topic: req.body?.topic,
-        userId: req.body?.userId,
+        userId: req.user?.id,
         userPreferences: req.body?.userPreferences,
         processingTime: `${processingTime}ms`,
         ip: req.ip,
@@ -162,4 +288,139 @@ router.post(
   }
 );
 
+// Server-Sent Events variant of /generate. Emits `level` as each level is
+// parsed from the model output, then `complete` with the (persisted) roadmap,
+// or `error`.
+router.get(
+  "/generate/stream",
+  roadmapLimiter,
+  optionalAuth,
+  enforceAiBudget,
+  validateRoadmapStreamInput,
+  async (req, res) => {
+    const startTime = Date.now();
+    const userId = req.user?.id || null;
+    const stream = openEventStream(req, res);
+
+    try {
+      const { topic, userPreferences } = validateRoadmapRequest({
+        topic: req.query.topic,
+        userPreferences: {
+          depth: req.query.depth,
+          videoLength: req.query.videoLength,
+          language: req.query.language,
+          region: req.query.region,
+        },
+      });
+
+      appLogger.info("Streaming roadmap generation", {
+        topic,
+        userId,
+        userPreferences,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      const finalUserPreferences = await resolveRoadmapPreferences(
+        userId,
+        userPreferences,
+        req.ip
+      );
+
+      stream.send("start", { topic });
+
+      const sentLevels = new Set();
+      const sendLevels = (partial, levels) => {
+        for (const level of levels) {
+          if (sentLevels.has(level)) continue;
+          sentLevels.add(level);
+          stream.send("level", {
+            level,
+            topic: partial.extractedTopic || null,
+            points: partial.roadmap[level].map((item) =>
+              typeof item === "string" ? item : item.title || item.pointTitle
+            ),
+          });
+        }
+      };
+
+      const roadmapData = await geminiService.generateRoadmapStream(
+        topic,
+        finalUserPreferences,
+        (partial) => sendLevels(partial, completedLevels(partial))
+      );
+
+      // Whatever the partial parser held back is final now
+      sendLevels(
+        roadmapData,
+        LEVELS.filter((level) => Array.isArray(roadmapData.roadmap?.[level]))
+      );
+
+      const persist = Boolean(userId) && shouldPersist(req);
+      const { roadmapResponseData, roadmap, extractedTopic, points } =
+        buildRoadmapResponse(roadmapData, persist);
+
+      if (persist) {
+        try {
+          await persistRoadmap(userId, extractedTopic, roadmapResponseData, roadmap, req.ip);
+        } catch (persistError) {
+          appLogger.error("Failed to persist generated roadmap", persistError, {
+            userId,
+            topic: extractedTopic,
+            ip: req.ip,
+          });
+
+          stream.send(
+            "error",
+            new ErrorDetails(
+              "ROADMAP_SAVE_FAILED",
+              "Roadmap was generated but could not be saved",
+              process.env.NODE_ENV === "production"
+                ? "Please try again later"
+                : persistError.message
+            )
+          );
+          return stream.close();
+        }
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      appLogger.info("Roadmap streamed successfully", {
+        topic: extractedTopic,
+        pointsCount: points.length,
+        persisted: persist,
+        clientDisconnected: stream.isClosed(),
+        processingTime: `${processingTime}ms`,
+        ip: req.ip,
+      });
+
+      stream.send("complete", new SuccessResponse(roadmapResponseData));
+      stream.close();
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+
+      appLogger.error("Error streaming roadmap", error, {
+        topic: req.query?.topic,
+        userId,
+        processingTime: `${processingTime}ms`,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+
+      stream.send(
+        "error",
+        new ErrorDetails(
+          "GENERATION_FAILED",
+          "Failed to generate roadmap for the given topic",
+          process.env.NODE_ENV === "production"
+            ? "Please try again later"
+            : error.message
+        )
+      );
+      stream.close();
+    }
+  }
+);
+
 export default router;
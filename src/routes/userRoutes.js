@@ -1,9 +1,18 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import neonDbService from '../services/neonDbService.js';
+import authService from '../services/authService.js';
+import channelRuleService, { formatChannelRule } from '../services/channelRuleService.js';
+import { formatVideoReplacement } from '../services/videoHealthService.js';
+import watchProgressService, { formatWatchProgress } from '../services/watchProgressService.js';
+import { formatVideoNote } from '../services/videoNoteService.js';
+import prerequisiteService from '../services/prerequisiteService.js';
+import roadmapEditService from '../services/roadmapEditService.js';
 import { SuccessResponse, ErrorResponse, ErrorDetails } from '../models/responseModels.js';
 import { appLogger } from '../utils/logger.js';
-import { userDataLimiter } from '../middleware/security.js';
+import { LANGUAGE_PATTERN, REGION_PATTERN } from '../utils/preferences.js';
+import { userDataLimiter, validateChannelRuleInput, validateRoadmapEditInput, validateUuidParam, validateWatchEventInput } from '../middleware/security.js';
+import { requireAuth, requireAdmin, authorizeUserParam, requireRoadmapOwnership } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -136,6 +145,11 @@ router.post('/login', authLimiter, validateLogin, handleValidationErrors, async
       return res.status(401).json(errorResponse);
     }
 
+    const tokens = await authService.issueTokens(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
     const processingTime = Date.now() - startTime;
 
     appLogger.info('User login successful', {
@@ -148,6 +162,7 @@ router.post('/login', authLimiter, validateLogin, handleValidationErrors, async
     const successResponse = new SuccessResponse({
       id: user.id,
       username: user.username,
+      ...tokens,
       message: 'Login successful',
     });
 
@@ -174,10 +189,157 @@ router.post('/login', authLimiter, validateLogin, handleValidationErrors, async
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', authLimiter, [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tokens = await authService.refreshTokens(req.body.refreshToken);
+
+    appLogger.info('Tokens refreshed', {
+      sessionId: tokens.sessionId,
+      ip: req.ip,
+    });
+
+    const successResponse = new SuccessResponse(tokens);
+    res.json(successResponse);
+  } catch (error) {
+    if (error.status === 401) {
+      appLogger.warn('Token refresh rejected', {
+        code: error.code,
+        reason: error.message,
+        ip: req.ip,
+      });
+
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, 'Invalid refresh token', error.message)
+      );
+      return res.status(401).json(errorResponse);
+    }
+
+    appLogger.error('Failed to refresh tokens', error, {
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'TOKEN_REFRESH_FAILED',
+        'Failed to refresh tokens',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Logout endpoint - revokes the session of the presented access token
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.sessionId, req.user.id);
+
+    appLogger.info('User logged out', {
+      userId: req.user.id,
+      sessionId: req.user.sessionId,
+      ip: req.ip,
+    });
+
+    const successResponse = new SuccessResponse({
+      message: 'Logout successful',
+    });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to logout', error, {
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'LOGOUT_FAILED',
+        'Failed to logout',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Revoke tokens - either one session ({ sessionId }) or every session ({ all: true })
+router.post('/tokens/revoke', authLimiter, requireAuth, [
+  body('all').optional().isBoolean().withMessage('all must be a boolean'),
+  body('sessionId').optional().isUUID().withMessage('sessionId must be a valid UUID'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { all, sessionId } = req.body;
+    const userId = req.user.id;
+
+    if (!all && !sessionId) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          'VALIDATION_ERROR',
+          'Invalid input data',
+          'Provide either sessionId or all: true'
+        )
+      );
+      return res.status(400).json(errorResponse);
+    }
+
+    let revokedSessions;
+    if (all) {
+      revokedSessions = await authService.revokeAllSessions(userId);
+    } else {
+      const revoked = await authService.revokeSession(sessionId, userId);
+      if (!revoked) {
+        const errorResponse = new ErrorResponse(
+          new ErrorDetails(
+            'SESSION_NOT_FOUND',
+            'Session not found',
+            'The session does not exist, is already revoked, or belongs to another user'
+          )
+        );
+        return res.status(404).json(errorResponse);
+      }
+      revokedSessions = 1;
+    }
+
+    appLogger.info('Tokens revoked', {
+      userId,
+      all: !!all,
+      sessionId,
+      revokedSessions,
+      ip: req.ip,
+    });
+
+    const successResponse = new SuccessResponse({
+      message: 'Tokens revoked successfully',
+      revokedSessions,
+    });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to revoke tokens', error, {
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'TOKEN_REVOKE_FAILED',
+        'Failed to revoke tokens',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
 // Create user topic endpoint
-router.post('/topics', async (req, res) => {
+router.post('/topics', requireAuth, async (req, res) => {
   try {
-    const { userId, topic } = req.body;
+    const userId = req.user.id;
+    const { topic } = req.body;
 
     appLogger.info('Creating user topic', {
       userId,
@@ -191,7 +353,7 @@ router.post('/topics', async (req, res) => {
     res.json(successResponse);
   } catch (error) {
     appLogger.error('Failed to create user topic', error, {
-      userId: req.body?.userId,
+      userId: req.user?.id,
       topic: req.body?.topic,
       ip: req.ip,
     });
@@ -209,7 +371,7 @@ router.post('/topics', async (req, res) => {
 });
 
 // Get user topics endpoint
-router.get('/topics/:userId', async (req, res) => {
+router.get('/topics/:userId', requireAuth, authorizeUserParam(), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -241,9 +403,10 @@ router.get('/topics/:userId', async (req, res) => {
 });
 
 // Create or update user roadmap endpoint
-router.post('/roadmaps', async (req, res) => {
+router.post('/roadmaps', requireAuth, async (req, res) => {
   try {
-    const { userId, topic, roadmapData } = req.body;
+    const userId = req.user.id;
+    const { topic, roadmapData } = req.body;
 
     appLogger.info('Creating/updating user roadmap', {
       userId,
@@ -303,7 +466,7 @@ router.post('/roadmaps', async (req, res) => {
     res.json(successResponse);
   } catch (error) {
     appLogger.error('Failed to create/update user roadmap', error, {
-      userId: req.body?.userId,
+      userId: req.user?.id,
       topic: req.body?.topic,
       ip: req.ip,
     });
@@ -320,8 +483,9 @@ router.post('/roadmaps', async (req, res) => {
   }
 });
 
-// Migration endpoint to convert roadmaps to use sequential step IDs
-router.post('/migrate-roadmaps', async (req, res) => {
+// Migration endpoint to convert roadmaps to use sequential step IDs. It
+// rewrites every user's roadmaps, so only admins may run it.
+router.post('/migrate-roadmaps', requireAuth, requireAdmin, async (req, res) => {
   try {
     console.log('🔄 Starting roadmap migration to sequential step IDs');
     
@@ -356,7 +520,7 @@ router.post('/migrate-roadmaps', async (req, res) => {
 });
 
 // Get user roadmaps endpoint
-router.get('/roadmaps/:userId', userDataLimiter, async (req, res) => {
+router.get('/roadmaps/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -397,7 +561,9 @@ router.get('/roadmaps/:userId', userDataLimiter, async (req, res) => {
 });
 
 // Update user roadmap endpoint
-router.put('/roadmaps/:roadmapId', async (req, res) => {
+// Replaces the roadmap data. The stored revision and nextStepNumber carry
+// over; a body whose roadmapData.revision is stale answers 409.
+router.put('/roadmaps/:roadmapId', requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
     const { roadmapData } = req.body;
@@ -407,11 +573,18 @@ router.put('/roadmaps/:roadmapId', async (req, res) => {
       ip: req.ip,
     });
 
-    const updatedRoadmap = await neonDbService.updateUserRoadmap(roadmapId, roadmapData);
+    const updatedRoadmap = await roadmapEditService.replaceRoadmap(req.roadmap, roadmapData);
 
     const successResponse = new SuccessResponse(updatedRoadmap);
     res.json(successResponse);
   } catch (error) {
+    if (error.status) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, error.message, error.details)
+      );
+      return res.status(error.status).json(errorResponse);
+    }
+
     appLogger.error('Failed to update user roadmap', error, {
       roadmapId: req.params?.roadmapId,
       ip: req.ip,
@@ -429,23 +602,63 @@ router.put('/roadmaps/:roadmapId', async (req, res) => {
   }
 });
 
-// Mark roadmap point as complete/incomplete
-router.post('/roadmaps/:roadmapId/progress/:pointId', async (req, res) => {
+// Add, rename, delete, move and reorder points as one atomic batch
+// ({ operations: [...] }, see roadmapEditService). Point ids stay stable, so
+// progress and videos of the other points keep their links.
+router.patch('/roadmaps/:roadmapId/points', userDataLimiter, requireAuth, requireRoadmapOwnership(), validateRoadmapEditInput, async (req, res) => {
   try {
-    const { roadmapId, pointId } = req.params;
-    const { userId, isCompleted } = req.body;
+    const { roadmapId } = req.params;
+    const { operations } = req.body;
+
+    const result = await roadmapEditService.applyOperations(req.roadmap, operations);
+
+    appLogger.info('Roadmap points edited', {
+      roadmapId,
+      userId: req.user.id,
+      operations: operations.length,
+      added: result.added.length,
+      deleted: result.deleted.length,
+      moved: result.moved.length,
+      ip: req.ip,
+    });
 
-    if (!userId) {
+    const successResponse = new SuccessResponse(result);
+    res.json(successResponse);
+  } catch (error) {
+    if (error.status) {
       const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          'MISSING_USER_ID',
-          'User ID is required',
-          'Please provide a valid user ID'
-        )
+        new ErrorDetails(error.code, error.message, error.details)
       );
-      return res.status(400).json(errorResponse);
+      return res.status(error.status).json(errorResponse);
     }
 
+    appLogger.error('Failed to edit roadmap points', error, {
+      roadmapId: req.params?.roadmapId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'EDIT_ROADMAP_FAILED',
+        'Failed to edit roadmap points',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Mark roadmap point as complete/incomplete. Completing a point before its
+// prerequisites returns a warning, or 409 in strict mode (`strict` in the body
+// or PREREQUISITES_STRICT=true).
+router.post('/roadmaps/:roadmapId/progress/:pointId', requireAuth, requireRoadmapOwnership(), async (req, res) => {
+  try {
+    const { roadmapId, pointId } = req.params;
+    const userId = req.user.id;
+    const { isCompleted, strict } = req.body;
+
     appLogger.info('Updating roadmap point progress', {
       roadmapId,
       pointId,
@@ -454,6 +667,24 @@ router.post('/roadmaps/:roadmapId/progress/:pointId', async (req, res) => {
       ip: req.ip,
     });
 
+    const warnings = [];
+    if (isCompleted) {
+      const missingPrerequisites = await prerequisiteService.getUnmetPrerequisites(userId, req.roadmap, pointId);
+
+      if (missingPrerequisites.length > 0) {
+        const message = `Prerequisites of ${pointId} are not completed yet`;
+
+        if (prerequisiteService.isStrict(strict)) {
+          const errorResponse = new ErrorResponse(
+            new ErrorDetails('PREREQUISITES_NOT_MET', message, { missingPrerequisites })
+          );
+          return res.status(409).json(errorResponse);
+        }
+
+        warnings.push({ code: 'PREREQUISITES_NOT_MET', message, missingPrerequisites });
+      }
+    }
+
     const progressRecord = await neonDbService.markRoadmapPointComplete(
       userId, 
       roadmapId, 
@@ -463,7 +694,8 @@ router.post('/roadmaps/:roadmapId/progress/:pointId', async (req, res) => {
 
     const successResponse = new SuccessResponse({
       message: `Roadmap point ${isCompleted ? 'completed' : 'marked as incomplete'}`,
-      progress: progressRecord
+      progress: progressRecord,
+      warnings
     });
 
     res.json(successResponse);
@@ -471,7 +703,7 @@ router.post('/roadmaps/:roadmapId/progress/:pointId', async (req, res) => {
     appLogger.error('Failed to update roadmap point progress', error, {
       roadmapId: req.params?.roadmapId,
       pointId: req.params?.pointId,
-      userId: req.body?.userId,
+      userId: req.user?.id,
       ip: req.ip,
     });
 
@@ -488,21 +720,10 @@ router.post('/roadmaps/:roadmapId/progress/:pointId', async (req, res) => {
 });
 
 // Get roadmap progress for a specific roadmap
-router.get('/roadmaps/:roadmapId/progress', async (req, res) => {
+router.get('/roadmaps/:roadmapId/progress', requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
-
-    if (!userId) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails(
-          'MISSING_USER_ID',
-          'User ID is required',
-          'Please provide a valid user ID in query parameters'
-        )
-      );
-      return res.status(400).json(errorResponse);
-    }
+    const userId = req.user.id;
 
     appLogger.info('Fetching roadmap progress', {
       roadmapId,
@@ -517,7 +738,7 @@ router.get('/roadmaps/:roadmapId/progress', async (req, res) => {
   } catch (error) {
     appLogger.error('Failed to fetch roadmap progress', error, {
       roadmapId: req.params?.roadmapId,
-      userId: req.query?.userId,
+      userId: req.user?.id,
       ip: req.ip,
     });
 
@@ -533,8 +754,164 @@ router.get('/roadmaps/:roadmapId/progress', async (req, res) => {
   }
 });
 
+// Points the user can start now: not completed, with every prerequisite
+// completed. Locked points list the prerequisites they are still missing.
+router.get('/roadmaps/:roadmapId/next-steps', userDataLimiter, requireAuth, requireRoadmapOwnership(), async (req, res) => {
+  try {
+    const nextSteps = await prerequisiteService.getNextSteps(req.user.id, req.roadmap);
+
+    const successResponse = new SuccessResponse(nextSteps);
+    res.json(successResponse);
+  } catch (error) {
+    if (error.code === 'INVALID_PREREQUISITES') {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, error.message, error.errors)
+      );
+      return res.status(error.status).json(errorResponse);
+    }
+
+    appLogger.error('Failed to fetch next roadmap steps', error, {
+      roadmapId: req.params?.roadmapId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'FETCH_NEXT_STEPS_FAILED',
+        'Failed to fetch next roadmap steps',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Record a watch event for one video of a roadmap (resume position, percent
+// watched, completion). The point is completed once all its videos are watched.
+router.post('/roadmaps/:roadmapId/videos/:videoId/watch', userDataLimiter, requireAuth, requireRoadmapOwnership(), validateWatchEventInput, async (req, res) => {
+  try {
+    const { roadmapId, videoId } = req.params;
+    const userId = req.user.id;
+
+    const { progress, pointCompleted } = await watchProgressService.recordWatch(
+      userId,
+      roadmapId,
+      videoId,
+      req.body
+    );
+
+    const successResponse = new SuccessResponse({ progress, pointCompleted });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to record video watch progress', error, {
+      roadmapId: req.params?.roadmapId,
+      videoId: req.params?.videoId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'UPDATE_WATCH_PROGRESS_FAILED',
+        'Failed to record video watch progress',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Watch progress of every video the user has played in a roadmap
+router.get('/roadmaps/:roadmapId/watch-progress', userDataLimiter, requireAuth, requireRoadmapOwnership(), async (req, res) => {
+  try {
+    const { roadmapId } = req.params;
+    const userId = req.user.id;
+
+    const rows = await neonDbService.getVideoWatchProgress(userId, roadmapId);
+
+    const successResponse = new SuccessResponse(rows.map(formatWatchProgress));
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to fetch video watch progress', error, {
+      roadmapId: req.params?.roadmapId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'FETCH_WATCH_PROGRESS_FAILED',
+        'Failed to fetch video watch progress',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Everything the user has for one roadmap as a single JSON document: the
+// roadmap, point progress, current videos with watch progress, and notes
+router.get('/roadmaps/:roadmapId/export', userDataLimiter, requireAuth, requireRoadmapOwnership(), async (req, res) => {
+  try {
+    const { roadmapId } = req.params;
+    const userId = req.user.id;
+
+    const [progress, pointVideos, progressMap, notes] = await Promise.all([
+      neonDbService.getRoadmapProgress(userId, roadmapId),
+      neonDbService.getCurrentPointVideos(userId, roadmapId),
+      watchProgressService.getProgressMap(userId, roadmapId),
+      neonDbService.listVideoNotes(userId, roadmapId),
+    ]);
+
+    const successResponse = new SuccessResponse({
+      exportedAt: new Date().toISOString(),
+      roadmap: {
+        id: req.roadmap.id,
+        topic: req.roadmap.topic,
+        roadmapData: req.roadmap.roadmap_data,
+        createdAt: req.roadmap.created_at,
+        updatedAt: req.roadmap.updated_at,
+      },
+      progress: progress.map((row) => ({
+        pointId: row.point_id,
+        isCompleted: row.is_completed,
+        completedAt: row.completed_at,
+      })),
+      videos: pointVideos.map((point) => ({
+        level: point.level,
+        pointId: point.point_id,
+        videos: watchProgressService.withWatchProgress(point.video_data, progressMap),
+      })),
+      notes: notes.map(formatVideoNote),
+    });
+
+    res.set('Content-Disposition', `attachment; filename="roadmap-${roadmapId}.json"`);
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to export roadmap', error, {
+      roadmapId: req.params?.roadmapId,
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'EXPORT_ROADMAP_FAILED',
+        'Failed to export roadmap',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
 // Get all roadmap progress for a user
-router.get('/progress/:userId', userDataLimiter, async (req, res) => {
+router.get('/progress/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -566,17 +943,11 @@ router.get('/progress/:userId', userDataLimiter, async (req, res) => {
 });
 
 // Get user videos for a specific roadmap and level
-router.get('/videos/:roadmapId', userDataLimiter, async (req, res) => {
+router.get('/videos/:roadmapId', userDataLimiter, requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
-    const { level, userId, page = 1, pointId } = req.query;
-
-    if (!roadmapId || !userId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Roadmap ID and User ID are required' 
-      });
-    }
+    const userId = req.user.id;
+    const { level, page = 1, pointId } = req.query;
 
     appLogger.info('Getting user videos', {
       roadmapId,
@@ -587,17 +958,6 @@ router.get('/videos/:roadmapId', userDataLimiter, async (req, res) => {
       ip: req.ip,
     });
 
-    // Verify that the roadmap belongs to the user
-    const roadmaps = await neonDbService.getUserRoadmaps(userId);
-    const roadmap = roadmaps.find(rm => rm.id === roadmapId);
-    
-    if (!roadmap) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Roadmap not found or does not belong to user' 
-      });
-    }
-
     const videos = await neonDbService.getUserVideos(roadmapId, level, parseInt(page), pointId);
     
     console.log(`✅ Found ${videos.length} video records for roadmap: ${roadmapId}, page: ${page}`);
@@ -612,8 +972,13 @@ router.get('/videos/:roadmapId', userDataLimiter, async (req, res) => {
       hasMore = false;
     }
 
+    const progressMap = await watchProgressService.getProgressMap(userId, roadmapId);
+
     const successResponse = new SuccessResponse({
-      videos: videos.length > 0 ? videos[0].video_data : [],
+      videos: watchProgressService.withWatchProgress(
+        videos.length > 0 ? videos[0].video_data : [],
+        progressMap
+      ),
       page: parseInt(page),
       hasMore: hasMore
     });
@@ -624,7 +989,7 @@ router.get('/videos/:roadmapId', userDataLimiter, async (req, res) => {
     appLogger.error('Failed to get user videos', error, {
       roadmapId: req.params?.roadmapId,
       level: req.query?.level,
-      userId: req.query?.userId,
+      userId: req.user?.id,
       page: req.query?.page,
       ip: req.ip,
     });
@@ -642,7 +1007,7 @@ router.get('/videos/:roadmapId', userDataLimiter, async (req, res) => {
 });
 
 // Test endpoint to check video storage functionality
-router.get('/test-videos/:roadmapId', async (req, res) => {
+router.get('/test-videos/:roadmapId', requireAuth, requireRoadmapOwnership(), async (req, res) => {
   try {
     const { roadmapId } = req.params;
     
@@ -679,12 +1044,12 @@ router.get('/test-videos/:roadmapId', async (req, res) => {
 });
 
 // Delete roadmap endpoint
-router.delete('/roadmaps/:roadmapId', async (req, res) => {
+router.delete('/roadmaps/:roadmapId', requireAuth, requireRoadmapOwnership(), async (req, res) => {
   const startTime = Date.now();
   
   try {
     const { roadmapId } = req.params;
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     appLogger.info('Deleting roadmap', {
       roadmapId,
@@ -692,20 +1057,6 @@ router.delete('/roadmaps/:roadmapId', async (req, res) => {
       ip: req.ip
     });
 
-    if (!userId) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails('MISSING_USER_ID', 'User ID is required', 'userId query parameter is missing')
-      );
-      return res.status(400).json(errorResponse);
-    }
-
-    if (!roadmapId) {
-      const errorResponse = new ErrorResponse(
-        new ErrorDetails('MISSING_ROADMAP_ID', 'Roadmap ID is required', 'roadmapId parameter is missing')
-      );
-      return res.status(400).json(errorResponse);
-    }
-
     // Delete the roadmap
     await neonDbService.deleteUserRoadmap(roadmapId, userId);
     
@@ -723,15 +1074,15 @@ router.delete('/roadmaps/:roadmapId', async (req, res) => {
     appLogger.error('Error deleting roadmap', {
       error: error.message,
       roadmapId: req.params.roadmapId,
-      userId: req.query.userId,
+      userId: req.user?.id,
       ip: req.ip
     });
 
-    if (error.message.includes('not found') || error.message.includes('not owned')) {
+    if (error.status === 403 || error.status === 404) {
       const errorResponse = new ErrorResponse(
-        new ErrorDetails('ROADMAP_NOT_FOUND', 'Roadmap not found or access denied', error.message)
+        new ErrorDetails(error.code, 'Roadmap not found or access denied', error.message)
       );
-      return res.status(404).json(errorResponse);
+      return res.status(error.status).json(errorResponse);
     }
 
     const errorResponse = new ErrorResponse(
@@ -744,7 +1095,7 @@ router.delete('/roadmaps/:roadmapId', async (req, res) => {
 // User Settings Endpoints
 
 // Get user settings
-router.get('/settings/:userId', userDataLimiter, async (req, res) => {
+router.get('/settings/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -764,7 +1115,9 @@ router.get('/settings/:userId', userDataLimiter, async (req, res) => {
       about_description: null,
       theme: 'light',
       default_roadmap_depth: 'detailed',
-      default_video_length: 'medium'
+      default_video_length: 'medium',
+      preferred_language: 'en',
+      region: null
     };
 
     const processingTime = Date.now() - startTime;
@@ -799,7 +1152,7 @@ router.get('/settings/:userId', userDataLimiter, async (req, res) => {
 });
 
 // Update user settings
-router.put('/settings/:userId', userDataLimiter, [
+router.put('/settings/:userId', userDataLimiter, requireAuth, authorizeUserParam(), [
   body('full_name')
     .optional()
     .isLength({ max: 100 })
@@ -820,6 +1173,14 @@ router.put('/settings/:userId', userDataLimiter, [
     .optional()
     .isIn(['short', 'medium', 'long'])
     .withMessage('Default video length must be "short", "medium", or "long"'),
+  body('preferred_language')
+    .optional()
+    .matches(LANGUAGE_PATTERN)
+    .withMessage('Preferred language must be a language code such as "en", "es" or "pt-BR"'),
+  body('region')
+    .optional({ values: 'null' })
+    .matches(REGION_PATTERN)
+    .withMessage('Region must be a two-letter country code such as "US" or "IN"'),
 ], handleValidationErrors, async (req, res) => {
   const startTime = Date.now();
   
@@ -881,7 +1242,7 @@ router.put('/settings/:userId', userDataLimiter, [
 });
 
 // Create user settings (for initialization)
-router.post('/settings/:userId', userDataLimiter, [
+router.post('/settings/:userId', userDataLimiter, requireAuth, authorizeUserParam(), [
   body('full_name')
     .optional()
     .isLength({ max: 100 })
@@ -902,6 +1263,14 @@ router.post('/settings/:userId', userDataLimiter, [
     .optional()
     .isIn(['short', 'medium', 'long'])
     .withMessage('Default video length must be "short", "medium", or "long"'),
+  body('preferred_language')
+    .optional()
+    .matches(LANGUAGE_PATTERN)
+    .withMessage('Preferred language must be a language code such as "en", "es" or "pt-BR"'),
+  body('region')
+    .optional({ values: 'null' })
+    .matches(REGION_PATTERN)
+    .withMessage('Region must be a two-letter country code such as "US" or "IN"'),
 ], handleValidationErrors, async (req, res) => {
   const startTime = Date.now();
   
@@ -953,7 +1322,7 @@ router.post('/settings/:userId', userDataLimiter, [
 });
 
 // Delete user settings
-router.delete('/settings/:userId', userDataLimiter, async (req, res) => {
+router.delete('/settings/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -1011,8 +1380,189 @@ router.delete('/settings/:userId', userDataLimiter, async (req, res) => {
   }
 });
 
+// Channel rules: the user's own allow/block lists and trusted-creator boosts.
+// They take precedence over the global rules managed by admins.
+router.get('/settings/:userId/channel-rules', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const [userRules, globalRules] = await Promise.all([
+      neonDbService.listChannelRules(userId),
+      neonDbService.listChannelRules(null),
+    ]);
+
+    const successResponse = new SuccessResponse({
+      rules: userRules.map(formatChannelRule),
+      globalRules: globalRules.map(formatChannelRule),
+    });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to fetch channel rules', error, {
+      userId: req.params?.userId,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'FETCH_CHANNEL_RULES_FAILED',
+        'Failed to fetch channel rules',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.post('/settings/:userId/channel-rules', userDataLimiter, requireAuth, authorizeUserParam(), validateChannelRuleInput, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const rule = channelRuleService.normalize(req.body);
+
+    const created = await neonDbService.createChannelRule(userId, rule);
+    channelRuleService.invalidate(userId);
+
+    appLogger.info('Channel rule created', {
+      userId,
+      rule: rule.rule,
+      channelId: rule.channelId,
+      channelTitle: rule.channelTitle,
+      ip: req.ip,
+    });
+
+    const successResponse = new SuccessResponse(formatChannelRule(created));
+    res.status(201).json(successResponse);
+  } catch (error) {
+    if (error.status === 409) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(error.code, 'Channel rule already exists', error.message)
+      );
+      return res.status(409).json(errorResponse);
+    }
+
+    appLogger.error('Failed to create channel rule', error, {
+      userId: req.params?.userId,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'CREATE_CHANNEL_RULE_FAILED',
+        'Failed to create channel rule',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.delete('/settings/:userId/channel-rules/:ruleId', userDataLimiter, requireAuth, authorizeUserParam(), validateUuidParam('ruleId'), async (req, res) => {
+  try {
+    const { userId, ruleId } = req.params;
+
+    const deleted = await neonDbService.deleteChannelRule(ruleId, userId);
+
+    if (!deleted) {
+      const errorResponse = new ErrorResponse(
+        new ErrorDetails(
+          'CHANNEL_RULE_NOT_FOUND',
+          'Channel rule not found',
+          'No channel rule with this ID for this user'
+        )
+      );
+      return res.status(404).json(errorResponse);
+    }
+
+    channelRuleService.invalidate(userId);
+
+    appLogger.info('Channel rule deleted', {
+      userId,
+      ruleId,
+      ip: req.ip,
+    });
+
+    const successResponse = new SuccessResponse({
+      message: 'Channel rule deleted successfully'
+    });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to delete channel rule', error, {
+      userId: req.params?.userId,
+      ruleId: req.params?.ruleId,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'DELETE_CHANNEL_RULE_FAILED',
+        'Failed to delete channel rule',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+// Videos the scheduled health check found deleted, private or blocked in the
+// user's region, and what replaced them (newVideo null = none found yet)
+router.get('/video-replacements/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const replacements = await neonDbService.listVideoReplacements(userId, {
+      unseenOnly: req.query.unseen === 'true',
+    });
+
+    const successResponse = new SuccessResponse({
+      replacements: replacements.map(formatVideoReplacement),
+      unseen: replacements.filter((replacement) => !replacement.seen_at).length,
+    });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to fetch video replacements', error, {
+      userId: req.params?.userId,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'FETCH_VIDEO_REPLACEMENTS_FAILED',
+        'Failed to fetch video replacements',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+router.post('/video-replacements/:userId/seen', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const marked = await neonDbService.markVideoReplacementsSeen(userId);
+
+    const successResponse = new SuccessResponse({ marked });
+    res.json(successResponse);
+  } catch (error) {
+    appLogger.error('Failed to mark video replacements seen', error, {
+      userId: req.params?.userId,
+      ip: req.ip,
+    });
+
+    const errorResponse = new ErrorResponse(
+      new ErrorDetails(
+        'MARK_VIDEO_REPLACEMENTS_FAILED',
+        'Failed to mark video replacements seen',
+        process.env.NODE_ENV === 'production' ? 'Please try again later' : error.message
+      )
+    );
+
+    res.status(500).json(errorResponse);
+  }
+});
+
 // Clear all user data endpoint
-router.delete('/clear-data/:userId', userDataLimiter, async (req, res) => {
+router.delete('/clear-data/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -1025,10 +1575,13 @@ router.delete('/clear-data/:userId', userDataLimiter, async (req, res) => {
 
     // Delete all user data in correct order (child tables first)
     
-    // 1. Delete roadmap progress
+    // 1. Delete roadmap progress, video watch progress and notes
     await neonDbService.sql`DELETE FROM roadmap_progress WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_watch_progress WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_notes WHERE user_id = ${userId}`;
     
-    // 2. Delete user videos (via roadmaps)
+    // 2. Delete video replacement reports and user videos (via roadmaps)
+    await neonDbService.sql`DELETE FROM video_replacements WHERE user_id = ${userId}`;
     await neonDbService.sql`
       DELETE FROM user_videos 
       WHERE user_roadmap_id IN (
@@ -1049,8 +1602,14 @@ router.delete('/clear-data/:userId', userDataLimiter, async (req, res) => {
     // 4. Delete user topics
     await neonDbService.sql`DELETE FROM user_topics WHERE user_id = ${userId}`;
     
-    // 5. Delete user settings
+    // 5. Delete user settings, channel rules and video feedback
     await neonDbService.sql`DELETE FROM user_settings WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM channel_rules WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_feedback WHERE user_id = ${userId}`;
+    channelRuleService.invalidate(userId);
+    
+    // 6. Delete background generation jobs (running workers stop at their next step)
+    await neonDbService.sql`DELETE FROM generation_jobs WHERE user_id = ${userId}`;
 
     const processingTime = Date.now() - startTime;
 
@@ -1087,7 +1646,7 @@ router.delete('/clear-data/:userId', userDataLimiter, async (req, res) => {
 });
 
 // Delete user account endpoint
-router.delete('/account/:userId', userDataLimiter, async (req, res) => {
+router.delete('/account/:userId', userDataLimiter, requireAuth, authorizeUserParam(), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -1100,10 +1659,13 @@ router.delete('/account/:userId', userDataLimiter, async (req, res) => {
 
     // Delete all user data first (same as clear data)
     
-    // 1. Delete roadmap progress
+    // 1. Delete roadmap progress, video watch progress and notes
     await neonDbService.sql`DELETE FROM roadmap_progress WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_watch_progress WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_notes WHERE user_id = ${userId}`;
     
-    // 2. Delete user videos
+    // 2. Delete video replacement reports and user videos
+    await neonDbService.sql`DELETE FROM video_replacements WHERE user_id = ${userId}`;
     await neonDbService.sql`
       DELETE FROM user_videos 
       WHERE user_roadmap_id IN (
@@ -1124,10 +1686,23 @@ router.delete('/account/:userId', userDataLimiter, async (req, res) => {
     // 4. Delete user topics
     await neonDbService.sql`DELETE FROM user_topics WHERE user_id = ${userId}`;
     
-    // 5. Delete user settings
+    // 5. Delete user settings, channel rules and video feedback
     await neonDbService.sql`DELETE FROM user_settings WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM channel_rules WHERE user_id = ${userId}`;
+    await neonDbService.sql`DELETE FROM video_feedback WHERE user_id = ${userId}`;
+    channelRuleService.invalidate(userId);
+    
+    // 6. Delete background generation jobs
+    await neonDbService.sql`DELETE FROM generation_jobs WHERE user_id = ${userId}`;
+    
+    // 7. Delete the AI token budget and detach AI usage history (kept for cost totals)
+    await neonDbService.sql`DELETE FROM user_ai_budgets WHERE user_id = ${userId}`;
+    await neonDbService.sql`UPDATE ai_usage_events SET user_id = NULL WHERE user_id = ${userId}`;
+    
+    // 8. Delete login sessions so outstanding tokens stop working
+    await neonDbService.sql`DELETE FROM user_sessions WHERE user_id = ${userId}`;
     
-    // 6. Finally delete the user account
+    // 9. Finally delete the user account
     const userResult = await neonDbService.sql`DELETE FROM users WHERE id = ${userId} RETURNING username`;
     
     if (userResult.length === 0) {
@@ -1176,8 +1751,8 @@ router.delete('/account/:userId', userDataLimiter, async (req, res) => {
   }
 });
 
-// Migration route to update roadmap structure with step IDs
-router.post('/admin/migrate-roadmaps', async (req, res) => {
+// Migration route to update roadmap structure with step IDs (admins only)
+router.post('/admin/migrate-roadmaps', requireAuth, requireAdmin, async (req, res) => {
   try {
     console.log('🔄 Starting roadmap migration...');
     
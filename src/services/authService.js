@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { signToken, verifyToken } from "../utils/jwt.js";
+
+dotenv.config();
+
+const authError = (code, message, status = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.secret = process.env.JWT_SECRET || null;
+    this.accessTokenTtl =
+      parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+    this.refreshTokenTtl =
+      parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+  }
+
+  _getSecret() {
+    if (!this.secret) {
+      throw new Error("JWT_SECRET environment variable is required");
+    }
+    return this.secret;
+  }
+
+  _signAccessToken(user, sessionId) {
+    return signToken(
+      {
+        sub: user.id,
+        username: user.username,
+        sid: sessionId,
+        type: "access",
+        jti: crypto.randomUUID(),
+      },
+      this._getSecret(),
+      this.accessTokenTtl
+    );
+  }
+
+  _signRefreshToken(user, sessionId, refreshTokenId) {
+    return signToken(
+      {
+        sub: user.id,
+        sid: sessionId,
+        type: "refresh",
+        jti: refreshTokenId,
+      },
+      this._getSecret(),
+      this.refreshTokenTtl
+    );
+  }
+
+  _refreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTtl * 1000).toISOString();
+  }
+
+  _buildTokenResponse(user, sessionId, refreshTokenId) {
+    return {
+      accessToken: this._signAccessToken(user, sessionId),
+      refreshToken: this._signRefreshToken(user, sessionId, refreshTokenId),
+      tokenType: "Bearer",
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl,
+      sessionId,
+    };
+  }
+
+  _decode(token, expectedType) {
+    let claims;
+    try {
+      claims = verifyToken(token, this._getSecret());
+    } catch (error) {
+      throw authError(error.code || "INVALID_TOKEN", error.message);
+    }
+
+    if (claims.type !== expectedType || !claims.sub || !claims.sid) {
+      throw authError("INVALID_TOKEN", `Expected a valid ${expectedType} token`);
+    }
+
+    return claims;
+  }
+
+  async _getActiveSession(sessionId) {
+    const session = await neonDbService.getUserSession(sessionId);
+    if (!session || session.revoked_at) {
+      throw authError("TOKEN_REVOKED", "Session has been revoked");
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      throw authError("TOKEN_EXPIRED", "Session has expired");
+    }
+    return session;
+  }
+
+  /**
+   * Start a new session for an authenticated user
+   * @param {{id: string, username: string}} user - Authenticated user
+   * @param {{userAgent?: string, ipAddress?: string}} metadata - Client details
+   * @returns {Promise<Object>} Access and refresh tokens
+   */
+  async issueTokens(user, metadata = {}) {
+    this._getSecret();
+
+    const refreshTokenId = crypto.randomUUID();
+    const session = await neonDbService.createUserSession(
+      user.id,
+      refreshTokenId,
+      this._refreshExpiry(),
+      metadata
+    );
+
+    return this._buildTokenResponse(user, session.id, refreshTokenId);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Refresh tokens are single
+   * use; presenting an already rotated token revokes the whole session.
+   * @param {string} refreshToken - Refresh token from a previous login/refresh
+   * @returns {Promise<Object>} New access and refresh tokens
+   */
+  async refreshTokens(refreshToken) {
+    const claims = this._decode(refreshToken, "refresh");
+    const session = await this._getActiveSession(claims.sid);
+
+    if (session.user_id !== claims.sub) {
+      throw authError("INVALID_TOKEN", "Token does not match session");
+    }
+
+    if (session.refresh_token_id !== claims.jti) {
+      await neonDbService.revokeUserSession(session.id, session.user_id);
+      throw authError(
+        "TOKEN_REVOKED",
+        "Refresh token has already been used; session revoked"
+      );
+    }
+
+    const nextRefreshTokenId = crypto.randomUUID();
+    const rotated = await neonDbService.rotateSessionRefreshToken(
+      session.id,
+      claims.jti,
+      nextRefreshTokenId,
+      this._refreshExpiry()
+    );
+
+    if (!rotated) {
+      throw authError("TOKEN_REVOKED", "Refresh token is no longer valid");
+    }
+
+    return this._buildTokenResponse(
+      { id: session.user_id, username: session.username },
+      session.id,
+      nextRefreshTokenId
+    );
+  }
+
+  /**
+   * Verify an access token and its session
+   * @param {string} accessToken - Bearer token from the Authorization header
+   * @returns {Promise<{id: string, username: string, sessionId: string}>} Request identity
+   */
+  async authenticate(accessToken) {
+    const claims = this._decode(accessToken, "access");
+    const session = await this._getActiveSession(claims.sid);
+
+    if (session.user_id !== claims.sub) {
+      throw authError("INVALID_TOKEN", "Token does not match session");
+    }
+
+    return {
+      id: session.user_id,
+      username: session.username,
+      sessionId: session.id,
+    };
+  }
+
+  async revokeSession(sessionId, userId) {
+    return neonDbService.revokeUserSession(sessionId, userId);
+  }
+
+  async revokeAllSessions(userId) {
+    return neonDbService.revokeAllUserSessions(userId);
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,255 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { cleanTopic } from "../utils/helpers.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Default TTL per namespace; override with CACHE_TTL_<NAMESPACE>_SECONDS,
+// e.g. CACHE_TTL_YOUTUBE_SEARCH_SECONDS=3600
+const DEFAULT_TTLS = {
+  roadmap: 7 * DAY_SECONDS,
+  video_titles: 7 * DAY_SECONDS,
+  youtube_search: DAY_SECONDS,
+  youtube_videos: 3 * DAY_SECONDS,
+};
+
+const readTtl = (namespace) => {
+  const override = parseInt(
+    process.env[`CACHE_TTL_${namespace.toUpperCase()}_SECONDS`],
+    10
+  );
+  return Number.isFinite(override) && override >= 0
+    ? override
+    : DEFAULT_TTLS[namespace] ?? DAY_SECONDS;
+};
+
+/**
+ * Normalize free text for use in a cache key (case and whitespace
+ * differences map to the same key)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeKeyPart = (text) =>
+  String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+/**
+ * Cache key for a learning topic, based on cleanTopic. "+" and "#" are
+ * spelled out first so that "C++", "C#" and "C" do not share a key.
+ * @param {string} topic - Topic as entered by the user
+ * @returns {string} Normalized topic
+ */
+export const topicKey = (topic) =>
+  cleanTopic(String(topic ?? "").replace(/\+/g, " plus ").replace(/#/g, " sharp "));
+
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== "false";
+    this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+    this.usePostgres = process.env.CACHE_POSTGRES_ENABLED === "true";
+
+    // Map iteration order doubles as recency order: re-inserting on read
+    // moves an entry to the end, so the first key is always the LRU one
+    this.entries = new Map();
+    this.stats = new Map();
+  }
+
+  _stats(namespace) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, {
+        hits: 0,
+        memoryHits: 0,
+        postgresHits: 0,
+        misses: 0,
+        bypassed: 0,
+        sets: 0,
+        evictions: 0,
+        errors: 0,
+      });
+    }
+    return this.stats.get(namespace);
+  }
+
+  _memoryGet(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  _memorySet(namespace, key, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { namespace, value, expiresAt });
+
+    while (this.entries.size > this.maxEntries) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      this._stats(oldest.namespace).evictions++;
+    }
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} namespace - Cache namespace (also picks the TTL)
+   * @param {Array<string>} keyParts - Parts of the key, already normalized
+   * @returns {Promise<*>} Cached value, or undefined on a miss
+   */
+  async get(namespace, keyParts) {
+    const key = `${namespace}:${keyParts.join("|")}`;
+    const stats = this._stats(namespace);
+
+    const cached = this._memoryGet(key);
+    if (cached !== undefined) {
+      stats.hits++;
+      stats.memoryHits++;
+      return structuredClone(cached);
+    }
+
+    if (this.usePostgres) {
+      try {
+        const row = await neonDbService.getCacheEntry(key);
+        if (row) {
+          stats.hits++;
+          stats.postgresHits++;
+          this._memorySet(namespace, key, row.value, new Date(row.expires_at).getTime());
+          return structuredClone(row.value);
+        }
+      } catch (error) {
+        stats.errors++;
+        appLogger.warn("Cache read failed", { namespace, error: error.message });
+      }
+    }
+
+    stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value in memory and, when enabled, in Postgres
+   * @param {string} namespace - Cache namespace (also picks the TTL)
+   * @param {Array<string>} keyParts - Parts of the key, already normalized
+   * @param {*} value - JSON-serializable value
+   */
+  async set(namespace, keyParts, value) {
+    const ttlSeconds = readTtl(namespace);
+    if (!this.enabled || ttlSeconds === 0) {
+      return;
+    }
+
+    const key = `${namespace}:${keyParts.join("|")}`;
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+
+    this._memorySet(namespace, key, structuredClone(value), expiresAt);
+    this._stats(namespace).sets++;
+
+    if (this.usePostgres) {
+      try {
+        await neonDbService.setCacheEntry(
+          key,
+          namespace,
+          value,
+          new Date(expiresAt).toISOString()
+        );
+      } catch (error) {
+        this._stats(namespace).errors++;
+        appLogger.warn("Cache write failed", { namespace, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Cache lookup as seen by the current request: a request sent with
+   * `Cache-Control: no-cache` always misses (the fresh result still refreshes
+   * the entry through `set`)
+   * @param {string} namespace - Cache namespace (also picks the TTL)
+   * @param {Array<string>} keyParts - Parts of the key, already normalized
+   * @returns {Promise<*>} Cached value, or undefined
+   */
+  async lookup(namespace, keyParts) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    if (getRequestContext().noCache) {
+      this._stats(namespace).bypassed++;
+      return undefined;
+    }
+
+    return this.get(namespace, keyParts);
+  }
+
+  /**
+   * Return the cached value or compute, cache and return it. Null/undefined
+   * results are not cached.
+   * @param {string} namespace - Cache namespace (also picks the TTL)
+   * @param {Array<string>} keyParts - Parts of the key, already normalized
+   * @param {Function} compute - async () => value
+   * @returns {Promise<*>} Cached or freshly computed value
+   */
+  async wrap(namespace, keyParts, compute) {
+    const cached = await this.lookup(namespace, keyParts);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const value = await compute();
+    if (value !== null && value !== undefined) {
+      await this.set(namespace, keyParts, value);
+    }
+    return value;
+  }
+
+  getStats() {
+    const namespaces = {};
+    for (const [namespace, stats] of this.stats) {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+        ttlSeconds: readTtl(namespace),
+      };
+    }
+
+    return {
+      enabled: this.enabled,
+      postgres: this.usePostgres,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      namespaces,
+    };
+  }
+
+  // Drops a namespace (or everything) from both tiers; returns removed counts
+  async clear(namespace = null) {
+    let memory = 0;
+    for (const [key, entry] of this.entries) {
+      if (!namespace || entry.namespace === namespace) {
+        this.entries.delete(key);
+        memory++;
+      }
+    }
+
+    const postgres = this.usePostgres
+      ? await neonDbService.deleteCacheEntries(namespace)
+      : 0;
+
+    return { memory, postgres };
+  }
+}
+
+export default new CacheService();
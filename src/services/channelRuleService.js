@@ -0,0 +1,160 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+export const CHANNEL_RULE_TYPES = ["allow", "block", "boost"];
+export const DEFAULT_CHANNEL_BOOST = 20;
+
+const RULES_REFRESH_MS =
+  parseInt(process.env.CHANNEL_RULES_REFRESH_MS, 10) || 5 * 60 * 1000;
+// Users whose rules are kept in memory; the least recently loaded go first
+const MAX_CACHED_USERS = 500;
+
+const normalizeTitle = (title) =>
+  String(title ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const containsPhrase = (text, phrase) => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+};
+
+/**
+ * API representation of a channel_rules row
+ * @param {Object} row - Database row
+ * @returns {Object} Channel rule
+ */
+export const formatChannelRule = (row) => ({
+  id: row.id,
+  scope: row.user_id ? "user" : "global",
+  rule: row.rule,
+  channelId: row.channel_id,
+  channelTitle: row.channel_title,
+  technology: row.technology,
+  boost: row.boost === null ? null : Number(row.boost),
+  createdAt: row.created_at,
+});
+
+const ruleMatches = (rule, video, titleLower) =>
+  ((rule.channelId && rule.channelId === video.channelId) ||
+    (rule.channelTitle && normalizeTitle(rule.channelTitle) === normalizeTitle(video.channelTitle))) &&
+  (!rule.technology || containsPhrase(titleLower, rule.technology));
+
+/**
+ * Apply channel rules to a video. User rules win over global ones: a user
+ * allow lifts a global block and a user block overrides a global allow.
+ * Boosts from both scopes add up.
+ * @param {{global: Array<Object>, user: Array<Object>}} rules - From getRules
+ * @param {{channelId?: string, channelTitle?: string}} video - Video to check
+ * @param {string} searchTitle - Title the video was found for (technology-scoped rules)
+ * @returns {{blocked: boolean, allowed: boolean, boost: number}}
+ */
+export const evaluateChannelRules = (rules, video, searchTitle = "") => {
+  const verdict = { blocked: false, allowed: false, boost: 0 };
+  if (!rules || (!video.channelId && !video.channelTitle)) {
+    return verdict;
+  }
+
+  const titleLower = searchTitle.toLowerCase();
+  const matching = (scope) => rules[scope].filter((rule) => ruleMatches(rule, video, titleLower));
+  const user = matching("user");
+  const global = matching("global");
+
+  const decide = (scopeRules) =>
+    scopeRules.some((rule) => rule.rule === "block")
+      ? "block"
+      : scopeRules.some((rule) => rule.rule === "allow")
+      ? "allow"
+      : null;
+  const decision = decide(user) || decide(global);
+
+  verdict.blocked = decision === "block";
+  verdict.allowed = decision === "allow";
+  verdict.boost = [...user, ...global]
+    .filter((rule) => rule.rule === "boost")
+    .reduce((sum, rule) => sum + (rule.boost ?? DEFAULT_CHANNEL_BOOST), 0);
+
+  return verdict;
+};
+
+class ChannelRuleService {
+  constructor() {
+    this.global = null;
+    this.globalLoadedAt = 0;
+    this.users = new Map();
+  }
+
+  /**
+   * Normalize rule input (already checked by validateChannelRuleInput)
+   * @param {Object} input - Request body
+   * @returns {Object} Rule ready for createChannelRule
+   */
+  normalize(input) {
+    return {
+      rule: input.rule,
+      channelId: input.channelId?.trim() || null,
+      channelTitle: input.channelTitle?.trim() || null,
+      technology: input.technology?.trim().toLowerCase() || null,
+      boost: input.rule === "boost" ? input.boost ?? DEFAULT_CHANNEL_BOOST : null,
+    };
+  }
+
+  async _load(userId) {
+    const rows = await neonDbService.listChannelRules(userId);
+    return rows.map(formatChannelRule);
+  }
+
+  // Global rules plus the user's own. Both are reloaded every few minutes so
+  // changes made on another instance show up; a failed load means no rules.
+  async getRules(userId = null) {
+    const now = Date.now();
+    if (!neonDbService.sql) {
+      return { global: [], user: [] };
+    }
+
+    try {
+      if (!this.global || now - this.globalLoadedAt >= RULES_REFRESH_MS) {
+        this.global = await this._load(null);
+        this.globalLoadedAt = now;
+      }
+
+      let user = [];
+      if (userId) {
+        const cached = this.users.get(userId);
+        if (cached && now - cached.loadedAt < RULES_REFRESH_MS) {
+          user = cached.rules;
+        } else {
+          user = await this._load(userId);
+          this.users.delete(userId);
+          this.users.set(userId, { rules: user, loadedAt: now });
+          if (this.users.size > MAX_CACHED_USERS) {
+            this.users.delete(this.users.keys().next().value);
+          }
+        }
+      }
+
+      return { global: this.global, user };
+    } catch (error) {
+      appLogger.warn("Failed to load channel rules, ranking without them", {
+        userId,
+        error: error.message,
+      });
+      return { global: this.global || [], user: [] };
+    }
+  }
+
+  invalidate(userId = null) {
+    if (userId) {
+      this.users.delete(userId);
+    } else {
+      this.global = null;
+      this.globalLoadedAt = 0;
+    }
+  }
+}
+
+export default new ChannelRuleService();
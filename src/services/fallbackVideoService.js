@@ -0,0 +1,334 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { evaluateChannelRules } from "./channelRuleService.js";
+import videoRankingService from "./videoRankingService.js";
+import { validateSchema, formatSchemaErrors } from "../utils/jsonSchema.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+export const FALLBACK_VIDEO_LEVELS = ["beginner", "intermediate", "advanced", "any"];
+
+const SEED_FILE = new URL("../data/fallbackVideos.json", import.meta.url);
+const CATALOG_REFRESH_MS =
+  parseInt(process.env.FALLBACK_CATALOG_REFRESH_MS, 10) || 5 * 60 * 1000;
+const YOUTUBE_VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+// Input shape for create/import; updates accept any subset of it
+export const FALLBACK_VIDEO_SCHEMA = {
+  type: "object",
+  required: ["videoId", "title", "technology"],
+  additionalProperties: false,
+  properties: {
+    videoId: { type: "string", minLength: 1 },
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    channelTitle: { type: "string" },
+    duration: { type: "string" },
+    durationMinutes: { type: "integer", minimum: 0 },
+    publishedAt: { type: "string" },
+    viewCount: { type: "integer", minimum: 0 },
+    qualityScore: { type: "number", minimum: 0, maximum: 10 },
+    technology: { type: "string", minLength: 1 },
+    level: { type: "string", enum: FALLBACK_VIDEO_LEVELS },
+    language: { type: "string", minLength: 2 },
+    tags: { type: "array", items: { type: "string", minLength: 1 } },
+    isDefault: { type: "boolean" },
+    active: { type: "boolean" },
+  },
+};
+
+const DEFAULTS = {
+  description: "",
+  channelTitle: null,
+  duration: null,
+  durationMinutes: null,
+  publishedAt: null,
+  viewCount: 0,
+  qualityScore: null,
+  level: "any",
+  language: "en",
+  tags: [],
+  isDefault: false,
+  active: true,
+};
+
+// Heuristics for titles that do not name a catalog technology outright
+const TECHNOLOGY_HINTS = [
+  ["react", ["react", "jsx", "component"]],
+  ["javascript", ["javascript", "js ", "node"]],
+  ["python", ["python", "django", "flask"]],
+  ["java", ["java"]],
+  ["web", ["html", "css", "web"]],
+  ["mobile", ["android", "ios", "mobile"]],
+  ["database", ["sql", "database", "db"]],
+];
+
+const containsPhrase = (text, phrase) => {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+};
+
+const baseLanguage = (language) => String(language || "").toLowerCase().split("-")[0];
+
+const CSV_NUMBER_FIELDS = ["durationMinutes", "viewCount", "qualityScore"];
+const CSV_BOOLEAN_FIELDS = ["isDefault", "active"];
+
+/**
+ * Turn a CSV row (all strings) into the JSON input shape. Empty cells are
+ * left out, tags are separated by ";" or "|".
+ * @param {Object} row - Row from parseCsv
+ * @returns {Object} Fallback video input
+ */
+export const fromCsvRow = (row) => {
+  const video = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (value === "") continue;
+
+    if (CSV_NUMBER_FIELDS.includes(key)) {
+      video[key] = Number(value);
+    } else if (CSV_BOOLEAN_FIELDS.includes(key)) {
+      video[key] = ["true", "1", "yes"].includes(value.toLowerCase());
+    } else if (key === "tags") {
+      video.tags = value.split(/[;|]/).map((tag) => tag.trim()).filter(Boolean);
+    } else {
+      video[key] = value;
+    }
+  }
+  return video;
+};
+
+/**
+ * API representation of a fallback_videos row
+ * @param {Object} row - Database row
+ * @returns {Object} Fallback video
+ */
+export const formatFallbackVideo = (row) => ({
+  id: row.id,
+  videoId: row.video_id,
+  title: row.title,
+  description: row.description,
+  channelTitle: row.channel_title,
+  duration: row.duration,
+  durationMinutes: row.duration_minutes,
+  publishedAt: row.published_at,
+  viewCount: row.view_count === null ? null : Number(row.view_count),
+  qualityScore: row.quality_score === null ? null : Number(row.quality_score),
+  technology: row.technology,
+  level: row.level,
+  language: row.language,
+  tags: row.tags || [],
+  isDefault: row.is_default,
+  active: row.active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+class FallbackVideoService {
+  constructor() {
+    this.catalog = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Validate and normalize fallback video input
+   * @param {Object} input - Request body or import row
+   * @param {{partial?: boolean}} options - partial: validate an update (no
+   * required fields, no defaults)
+   * @returns {{video: Object|null, errors: Array<{path: string, message: string}>}}
+   */
+  normalize(input, { partial = false } = {}) {
+    const schema = partial ? { ...FALLBACK_VIDEO_SCHEMA, required: [] } : FALLBACK_VIDEO_SCHEMA;
+    const errors = validateSchema(input, schema);
+
+    if (typeof input?.videoId === "string" && !YOUTUBE_VIDEO_ID.test(input.videoId)) {
+      errors.push({ path: "$.videoId", message: "must be an 11 character YouTube video id" });
+    }
+    if (errors.length > 0) {
+      return { video: null, errors };
+    }
+
+    const video = partial ? { ...input } : { ...DEFAULTS, ...input };
+    if (video.technology) video.technology = video.technology.trim().toLowerCase();
+    if (video.language) video.language = video.language.trim().toLowerCase();
+    if (video.tags) video.tags = [...new Set(video.tags.map((tag) => tag.trim().toLowerCase()))];
+
+    return { video, errors: [] };
+  }
+
+  _loadSeed() {
+    const entries = JSON.parse(fs.readFileSync(SEED_FILE, "utf8"));
+    return entries.map((entry) => this.normalize(entry).video);
+  }
+
+  // Fill an empty table with the bundled seed catalog
+  async seedIfEmpty() {
+    if (!neonDbService.sql) {
+      return 0;
+    }
+
+    try {
+      if ((await neonDbService.countFallbackVideos()) > 0) {
+        return 0;
+      }
+
+      const seed = this._loadSeed();
+      await neonDbService.upsertFallbackVideos(seed);
+      this.invalidate();
+      appLogger.info("Seeded fallback video catalog", { count: seed.length });
+      return seed.length;
+    } catch (error) {
+      appLogger.warn("Failed to seed fallback video catalog", { error: error.message });
+      return 0;
+    }
+  }
+
+  invalidate() {
+    this.catalog = null;
+    this.loadedAt = 0;
+  }
+
+  // Active catalog entries, reloaded every few minutes so admin edits made on
+  // another instance show up. Falls back to the bundled seed without a database.
+  async getCatalog() {
+    if (this.catalog && Date.now() - this.loadedAt < CATALOG_REFRESH_MS) {
+      return this.catalog;
+    }
+
+    try {
+      if (!neonDbService.sql) {
+        throw new Error("Database is not configured");
+      }
+      const rows = await neonDbService.listFallbackVideos({ activeOnly: true });
+      this.catalog = rows.map(formatFallbackVideo);
+    } catch (error) {
+      appLogger.warn("Using bundled fallback videos", { error: error.message });
+      this.catalog = this.catalog || this._loadSeed();
+    }
+
+    this.loadedAt = Date.now();
+    return this.catalog;
+  }
+
+  detectTechnology(titleLower, catalog) {
+    const known = [...new Set(catalog.map((video) => video.technology))]
+      .filter((technology) => technology !== "general")
+      .sort((a, b) => b.length - a.length);
+
+    const named = known.find((technology) => containsPhrase(titleLower, technology));
+    if (named) {
+      return named;
+    }
+
+    for (const [technology, hints] of TECHNOLOGY_HINTS) {
+      if (technology === "java" && titleLower.includes("javascript")) continue;
+      if (hints.some((hint) => titleLower.includes(hint))) {
+        return technology;
+      }
+    }
+
+    return "general";
+  }
+
+  /**
+   * Rank catalog entries against a point title. Entries from blocked channels
+   * are left out; allowlisted and boosted channels score higher.
+   * @param {string} title - Point or search title
+   * @param {{excludeVideoIds?: Array<string>, level?: string, language?: string, channelRules?: Object}} options
+   * channelRules comes from channelRuleService.getRules
+   * @returns {Promise<{technology: string, ranked: Array<{video: Object, score: number, relevance: number}>}>}
+   */
+  async rank(
+    title,
+    { excludeVideoIds = [], level = null, language = null, channelRules = null } = {}
+  ) {
+    const catalog = await this.getCatalog();
+    const titleLower = title.toLowerCase();
+    const technology = this.detectTechnology(titleLower, catalog);
+
+    const ranked = catalog
+      .filter((video) => !excludeVideoIds.includes(video.videoId))
+      .map((video) => ({ video, verdict: evaluateChannelRules(channelRules, video, title) }))
+      .filter(({ verdict }) => !verdict.blocked)
+      .map(({ video, verdict }) => {
+        // Relevance: does this entry actually cover the title?
+        let relevance = 0;
+        if (video.technology === technology && technology !== "general") {
+          relevance += 150;
+        }
+        for (const tag of video.tags) {
+          if (containsPhrase(titleLower, tag)) {
+            relevance += 50 + tag.length * 2;
+          }
+        }
+
+        let score = relevance;
+        const titleWords = video.title.toLowerCase().split(/[^a-z0-9+#]+/);
+        score += Math.min(
+          titleWords.filter((word) => word.length > 3 && containsPhrase(titleLower, word)).length * 5,
+          30
+        );
+        if (level && video.level !== "any") {
+          score += video.level === level ? 20 : -20;
+        }
+        // "pt-br" entries serve "pt" users and the other way round
+        if (language && baseLanguage(video.language) !== baseLanguage(language)) {
+          score -= 100;
+        }
+        score += video.qualityScore || 0;
+        score += videoRankingService.channelRulePoints(verdict);
+
+        return { video, score, relevance };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return { technology, ranked };
+  }
+
+  /**
+   * Best catalog video for a title: the top relevant entry, else the default
+   * for the detected technology, else the general default
+   * @param {string} title - Point or search title
+   * @param {Object} options - Same as rank
+   * @returns {Promise<{video: Object, technology: string, score: number}|null>}
+   */
+  async match(title, options = {}) {
+    const { technology, ranked } = await this.rank(title, options);
+
+    const best =
+      ranked.find((entry) => entry.relevance > 0) ||
+      ranked.find((entry) => entry.video.isDefault && entry.video.technology === technology) ||
+      ranked.find((entry) => entry.video.isDefault && entry.video.technology === "general") ||
+      ranked[0];
+
+    return best ? { video: best.video, technology, score: best.score } : null;
+  }
+
+  /**
+   * Validate a batch for import; rows are reported by index
+   * @param {Array<Object>} inputs - Rows to import
+   * @returns {{videos: Array<Object>, errors: Array<{index: number, errors: string}>}}
+   */
+  normalizeBatch(inputs) {
+    const videos = [];
+    const errors = [];
+    const seen = new Set();
+
+    inputs.forEach((input, index) => {
+      const { video, errors: rowErrors } = this.normalize(input);
+      if (rowErrors.length > 0) {
+        errors.push({ index, errors: formatSchemaErrors(rowErrors) });
+      } else if (seen.has(video.videoId)) {
+        errors.push({ index, errors: `$.videoId: ${video.videoId} appears more than once` });
+      } else {
+        seen.add(video.videoId);
+        videos.push(video);
+      }
+    });
+
+    return { videos, errors };
+  }
+}
+
+export default new FallbackVideoService();
@@ -1,133 +1,291 @@
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
+import { parsePartialJson } from "../utils/partialJson.js";
+import { validateSchema, formatSchemaErrors } from "../utils/jsonSchema.js";
+import { createLlmProvider } from "./llm/index.js";
+import { LLM_SCHEMAS } from "./llm/schemas.js";
+import usageService from "./usageService.js";
+import cacheService, { topicKey } from "./cacheService.js";
+import {
+  resolveRoadmapDepth,
+  resolveVideoLength,
+  resolveLanguage,
+  getLanguageName,
+  DEFAULT_LANGUAGE,
+} from "../utils/preferences.js";
 
 dotenv.config();
 
+// Bumped whenever ROADMAP_SCHEMA changes so roadmaps cached in an older
+// shape are not served again
+const ROADMAP_SCHEMA_VERSION = 3;
+
+// Generation of roadmaps, video titles and quizzes. The model behind it is
+// chosen by LLM_PROVIDER (gemini by default, see ./llm/index.js).
 class GeminiService {
   constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error("GEMINI_API_KEY environment variable is required");
-    }
-
-    this.ai = new GoogleGenAI({
-      apiKey: process.env.GEMINI_API_KEY,
-    });
+    this.provider = null;
   }
 
-  async generateRoadmap(
-    topic,
-    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" }
-  ) {
-    try {
-      // Map new user preferences structure to generation parameters
-      const depthMapping = {
-        basic: { points: 3, detail: "concise", approach: "Fast" },
-        detailed: { points: 4, detail: "balanced", approach: "Balanced" },
-        comprehensive: { points: 6, detail: "comprehensive", approach: "Detailed" },
-      };
-
-      const videoLengthMapping = {
-        short: "Short",
-        medium: "Medium", 
-        long: "Long"
-      };
-
-      const currentDepth =
-        depthMapping[userPreferences.default_roadmap_depth] || depthMapping["detailed"];
-      const videoLength = 
-        videoLengthMapping[userPreferences.default_video_length] || "Medium";
+  // Created on first use so configuration errors surface from startup
+  // validation in index.js rather than at import time
+  get llm() {
+    if (!this.provider) {
+      this.provider = createLlmProvider();
+    }
+    return this.provider;
+  }
 
-      const prompt = `
-        Create a comprehensive learning roadmap for: "${topic}"
-        
-        User preferences:
-        - Depth: ${currentDepth.approach} (${currentDepth.detail} approach with ${currentDepth.points} main points)
-        - Video Length Preference: ${videoLength}
-        
-        First, extract the main technology/topic from the query "${topic}". For example:
-        - "help me learning with java" -> "java"
-        - "I want to learn React Native" -> "react native"
-        - "machine learning tutorial" -> "machine learning"
-        
-        Then provide a structured roadmap divided into 3 levels:
-        1. beginner: ${currentDepth.points} fundamental topics for beginners
-        2. intermediate: ${
-          currentDepth.points
-        } topics for intermediate learners  
-        3. advanced: ${currentDepth.points} topics for advanced learners
-        
-        Each level should contain only the topic names as strings, no descriptions or additional information.
-        Make the topics ${
-          currentDepth.detail
-        } and appropriate for someone who prefers ${videoLength.toLowerCase()} learning sessions.
-        
-        Format the response as a JSON structure with the following schema:
-        {
-            "extractedTopic": "main_technology_name",
-            "roadmap": {
-                "beginner": ["topic1", "topic2", "topic3", ...],
-                "intermediate": ["topic1", "topic2", "topic3", ...],
-                "advanced": ["topic1", "topic2", "topic3", ...]
-            }
-        }
-        
-        Make sure topics are progressive and build upon each other.
-        Return only the JSON, no additional text.
-      `;
+  // Depth, video length and language as the prompts resolve them, so
+  // preferences that produce the same prompt share a cache entry
+  _preferenceKey(userPreferences = {}) {
+    return [
+      resolveRoadmapDepth(userPreferences),
+      resolveVideoLength(userPreferences),
+      resolveLanguage(userPreferences),
+    ];
+  }
 
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
+  _roadmapCacheKey(topic, userPreferences) {
+    return [topicKey(topic), ...this._preferenceKey(userPreferences), `v${ROADMAP_SCHEMA_VERSION}`];
+  }
 
-      const responseText = response.text;
+  // Prompt line asking for output in the user's language; none for English
+  _languageInstruction(userPreferences, subject, note = "") {
+    const language = resolveLanguage(userPreferences);
+    if (language === DEFAULT_LANGUAGE) {
+      return "";
+    }
+    return `- Language: write ${subject} in ${getLanguageName(language)} (${language})${
+      note ? `; ${note}` : ""
+    }`;
+  }
 
-      // Clean up the response text and extract JSON
-      console.log("🔍 Raw Gemini response:", responseText);
+  _buildRoadmapPrompt(topic, userPreferences) {
+    // Map new user preferences structure to generation parameters
+    const depthMapping = {
+      basic: { points: 3, detail: "concise", approach: "Fast" },
+      detailed: { points: 4, detail: "balanced", approach: "Balanced" },
+      comprehensive: { points: 6, detail: "comprehensive", approach: "Detailed" },
+    };
+
+    const videoLengthMapping = {
+      short: "Short",
+      medium: "Medium", 
+      long: "Long"
+    };
+
+    const currentDepth = depthMapping[resolveRoadmapDepth(userPreferences)];
+    const videoLength = videoLengthMapping[resolveVideoLength(userPreferences)];
+
+    return `
+      Create a comprehensive learning roadmap for: "${topic}"
       
-      // Try to find JSON between triple backticks or directly
-      let jsonText = responseText;
+      User preferences:
+      - Depth: ${currentDepth.approach} (${currentDepth.detail} approach with ${currentDepth.points} main points)
+      - Video Length Preference: ${videoLength}
+      ${this._languageInstruction(
+        userPreferences,
+        "the topic names and their content",
+        'keep "extractedTopic" as the technology name'
+      )}
       
-      // Remove code block markers if present
-      const codeBlockMatch = responseText.match(/```(?:json)?\s*(\{.*\})\s*```/s);
-      if (codeBlockMatch) {
-        jsonText = codeBlockMatch[1];
-      } else {
-        // Try to extract JSON from the response
-        const jsonMatch = responseText.match(/\{.*\}/s);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-      }
+      First, extract the main technology/topic from the query "${topic}". For example:
+      - "help me learning with java" -> "java"
+      - "I want to learn React Native" -> "react native"
+      - "machine learning tutorial" -> "machine learning"
       
-      console.log("🔍 Extracted JSON text:", jsonText);
+      Then provide a structured roadmap divided into 3 levels:
+      1. beginner: ${currentDepth.points} fundamental topics for beginners
+      2. intermediate: ${
+        currentDepth.points
+      } topics for intermediate learners  
+      3. advanced: ${currentDepth.points} topics for advanced learners
       
-      if (!jsonText || jsonText.trim() === '') {
-        throw new Error("No valid JSON found in response");
-      }
+      Each topic in a level is an object with:
+      - "title": the topic name
+      - "description": 1-2 sentences on what the learner will cover and why it matters
+      - "learningObjectives": 2-4 things the learner will be able to do afterwards
+      - "estimatedHours": realistic number of study hours for the topic (a number, e.g. 4 or 1.5)
+      - "keyConcepts": 3-6 concepts, terms or APIs the topic covers
+      - "practiceTasks": 1-3 hands-on exercises or small projects to practise the topic
+      - "prerequisites": exact titles of the earlier topics (from any level) that must be learned first; [] if it can be started right away. Only list direct prerequisites and never a later topic.
+      Make the topics ${
+        currentDepth.detail
+      } and appropriate for someone who prefers ${videoLength.toLowerCase()} learning sessions.
       
-      // Clean up common JSON issues
-      jsonText = jsonText
-        .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-        .replace(/[\r\n\t]/g, ' ') // Replace line breaks and tabs
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
+      Format the response as a JSON structure with the following schema:
+      {
+          "extractedTopic": "main_technology_name",
+          "roadmap": {
+              "beginner": [
+                  {
+                      "title": "topic1",
+                      "description": "...",
+                      "learningObjectives": ["...", "..."],
+                      "estimatedHours": 3,
+                      "keyConcepts": ["...", "..."],
+                      "practiceTasks": ["..."],
+                      "prerequisites": []
+                  },
+                  ...
+              ],
+              "intermediate": [ ...topics in the same format ],
+              "advanced": [ ...topics in the same format ]
+          }
+      }
       
-      console.log("🔍 Cleaned JSON text:", jsonText);
+      Make sure topics are progressive and build upon each other.
+      Return only the JSON, no additional text.
+    `;
+  }
 
-      const roadmapData = JSON.parse(jsonText);
+  // Model output is JSON (structured response mode); only a surrounding code
+  // fence is tolerated. The text itself is never rewritten, so code inside
+  // strings survives intact.
+  _parseJson(responseText) {
+    const trimmed = (responseText || "").trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return JSON.parse(fenced ? fenced[1] : trimmed);
+  }
 
-      if (!roadmapData.extractedTopic || !roadmapData.roadmap) {
-        throw new Error("Invalid roadmap structure received");
+  _checkResponse(task, responseText) {
+    let data;
+    try {
+      data = this._parseJson(responseText);
+    } catch (error) {
+      return { data: null, errors: [{ path: "$", message: `invalid JSON (${error.message})` }] };
+    }
+    return { data, errors: validateSchema(data, LLM_SCHEMAS[task]) };
+  }
+
+  _recordUsage(task, response) {
+    return usageService.record({
+      task,
+      provider: this.llm.name,
+      model: response.model,
+      usage: response.usage,
+    });
+  }
+
+  // One re-prompt that shows the model its own output and what was wrong with it
+  async _repairResponse(prompt, task, responseText, errors) {
+    console.warn(`⚠️ ${task} response failed validation, asking for a repair:\n${formatSchemaErrors(errors)}`);
+
+    const repairPrompt = `
+      ${prompt}
+
+      Your previous response did not match the required JSON schema.
+
+      Previous response:
+      ${responseText}
+
+      Validation errors:
+      ${formatSchemaErrors(errors)}
+
+      Return the corrected JSON only.
+    `;
+
+    const response = await this.llm.generateText(repairPrompt, {
+      task,
+      json: true,
+      schema: LLM_SCHEMAS[task],
+    });
+    await this._recordUsage(task, response);
+    const repaired = this._checkResponse(task, response.text);
+
+    if (repaired.errors.length > 0) {
+      throw new Error(
+        `Invalid ${task} response after repair attempt:\n${formatSchemaErrors(repaired.errors)}`
+      );
+    }
+
+    return repaired.data;
+  }
+
+  async _generateStructured(prompt, task) {
+    const response = await this.llm.generateText(prompt, {
+      task,
+      json: true,
+      schema: LLM_SCHEMAS[task],
+    });
+    await this._recordUsage(task, response);
+
+    const { data, errors } = this._checkResponse(task, response.text);
+    if (errors.length > 0) {
+      return this._repairResponse(prompt, task, response.text, errors);
+    }
+
+    return data;
+  }
+
+  // Streams the response, passing each newly completed partial parse to onPartial
+  async _streamStructured(prompt, task, onPartial) {
+    let lastPartial = null;
+
+    const response = await this.llm.streamText(
+      prompt,
+      { task, json: true, schema: LLM_SCHEMAS[task] },
+      async (chunkText, responseText) => {
+        const partial = parsePartialJson(responseText);
+        if (partial) {
+          const serialized = JSON.stringify(partial);
+          if (serialized !== lastPartial) {
+            lastPartial = serialized;
+            await onPartial(partial);
+          }
+        }
       }
+    );
+    await this._recordUsage(task, response);
 
-      return roadmapData;
+    const { data, errors } = this._checkResponse(task, response.text);
+    if (errors.length > 0) {
+      return this._repairResponse(prompt, task, response.text, errors);
+    }
+
+    return data;
+  }
+
+  async generateRoadmap(
+    topic,
+    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" }
+  ) {
+    try {
+      return await cacheService.wrap(
+        "roadmap",
+        this._roadmapCacheKey(topic, userPreferences),
+        () => this._generateStructured(this._buildRoadmapPrompt(topic, userPreferences), "roadmap")
+      );
     } catch (error) {
       console.error("Error generating roadmap:", error);
       throw new Error(`Failed to generate roadmap: ${error.message}`);
     }
   }
 
+  // Same as generateRoadmap, but reports partial JSON while Gemini is still writing
+  async generateRoadmapStream(
+    topic,
+    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" },
+    onPartial = () => {}
+  ) {
+    try {
+      const cacheKey = this._roadmapCacheKey(topic, userPreferences);
+      const cached = await cacheService.lookup("roadmap", cacheKey);
+      if (cached !== undefined) {
+        await onPartial(cached);
+        return cached;
+      }
+
+      const prompt = this._buildRoadmapPrompt(topic, userPreferences);
+      const roadmap = await this._streamStructured(prompt, "roadmap", onPartial);
+      await cacheService.set("roadmap", cacheKey, roadmap);
+      return roadmap;
+    } catch (error) {
+      console.error("Error streaming roadmap:", error);
+      throw new Error(`Failed to generate roadmap: ${error.message}`);
+    }
+  }
+
   async generateVideoTitles(
     topic,
     pointTitle,
@@ -173,11 +331,8 @@ class GeminiService {
         },
       };
 
-      const videoLength =
-        videoLengthMapping[userPreferences.default_video_length] ||
-        videoLengthMapping["medium"];
-      const depth =
-        depthMapping[userPreferences.default_roadmap_depth] || depthMapping["detailed"];
+      const videoLength = videoLengthMapping[resolveVideoLength(userPreferences)];
+      const depth = depthMapping[resolveRoadmapDepth(userPreferences)];
 
       const prompt = `
         Generate 5 diverse and specific YouTube video titles for learning "${pointTitle}" in the context of "${topic}".
@@ -188,6 +343,11 @@ class GeminiService {
         - Approach: ${depth.approach}
         - Focus: ${depth.focus}
         - Include variety: ${videoLength.keywords}
+        ${this._languageInstruction(
+          userPreferences,
+          "the titles",
+          "phrase them the way videos in that language are titled"
+        )}
         
         Make titles that would attract videos with substantial content (minimum ${videoLength.duration}):
         
@@ -217,203 +377,141 @@ class GeminiService {
         No additional text, just the JSON array.
       `;
 
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
-
-      const responseText = response.text;
-
-      // Extract JSON array from the response
-      const jsonMatch = responseText.match(/\[.*\]/s);
-      if (!jsonMatch) {
-        throw new Error("No valid JSON array found in response");
-      }
-
-      const videoTitles = JSON.parse(jsonMatch[0]);
-
-      if (!Array.isArray(videoTitles) || videoTitles.length === 0) {
-        throw new Error("Invalid video titles array received");
-      }
-
-      return videoTitles;
+      return await cacheService.wrap(
+        "video_titles",
+        [topicKey(topic), topicKey(pointTitle), ...this._preferenceKey(userPreferences)],
+        () => this._generateStructured(prompt, "videoTitles")
+      );
     } catch (error) {
       console.error("Error generating video titles:", error);
       throw new Error(`Failed to generate video titles: ${error.message}`);
     }
   }
 
-  async generateQuiz(
-    roadmapData,
-    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" },
-    usedQuestions = []
-  ) {
-    try {
-      // Extract topic and roadmap structure
-      const topic = roadmapData.extractedTopic || roadmapData.topic || "General Programming";
-      const roadmap = roadmapData.roadmap || {};
-      
-      // Collect all learning points from all levels
-      const allPoints = [];
-      ['beginner', 'intermediate', 'advanced'].forEach(level => {
-        if (roadmap[level]) {
-          if (Array.isArray(roadmap[level])) {
-            // Old format: array of strings
-            roadmap[level].forEach((point, index) => {
-              allPoints.push({
-                title: typeof point === 'string' ? point : point.title || point.pointTitle,
-                level: level,
-                stepId: `step_${index + 1}`
-              });
+  _buildQuizPrompt(roadmapData, usedQuestions = []) {
+    // Extract topic and roadmap structure
+    const topic = roadmapData.extractedTopic || roadmapData.topic || "General Programming";
+    const roadmap = roadmapData.roadmap || {};
+    
+    // Collect all learning points from all levels
+    const allPoints = [];
+    ['beginner', 'intermediate', 'advanced'].forEach(level => {
+      if (roadmap[level]) {
+        if (Array.isArray(roadmap[level])) {
+          // Old format: array of strings
+          roadmap[level].forEach((point, index) => {
+            allPoints.push({
+              title: typeof point === 'string' ? point : point.title || point.pointTitle,
+              level: level,
+              stepId: `step_${index + 1}`
             });
-          } else if (typeof roadmap[level] === 'object') {
-            // New format: object with step keys
-            Object.entries(roadmap[level]).forEach(([stepId, stepData]) => {
-              allPoints.push({
-                title: stepData.pointTitle || stepData.title || stepData,
-                level: level,
-                stepId: stepId
-              });
+          });
+        } else if (typeof roadmap[level] === 'object') {
+          // New format: object with step keys
+          Object.entries(roadmap[level]).forEach(([stepId, stepData]) => {
+            allPoints.push({
+              title: stepData.pointTitle || stepData.title || stepData,
+              level: level,
+              stepId: stepId
             });
-          }
+          });
         }
-      });
-
-      // Create used questions section for the prompt (limit to prevent overload)
-      let usedQuestionsSection = '';
-      if (usedQuestions && usedQuestions.length > 0) {
-        // Limit to 5 most recent questions to avoid API overload
-        const recentQuestions = usedQuestions.slice(-5);
-        usedQuestionsSection = `
-        
-        IMPORTANT - GENERATE FRESH QUESTIONS:
-        You have generated ${usedQuestions.length} questions before for this roadmap. 
-        Most recent questions to avoid similar patterns:
-        ${recentQuestions.map((q, index) => `${index + 1}. ${q.substring(0, 100)}...`).join('\n')}
-        
-        Generate completely NEW questions with different approaches, scenarios, and perspectives.
-        `;
       }
+    });
 
-      const prompt = `
-        Generate 15 multiple choice questions for "${topic}" quiz.
-
-        Topics to cover:
-        ${allPoints.slice(0, 10).map(point => `- ${point.title}`).join('\n')}
-        ${usedQuestionsSection}
+    // Create used questions section for the prompt (limit to prevent overload)
+    let usedQuestionsSection = '';
+    if (usedQuestions && usedQuestions.length > 0) {
+      // Limit to 5 most recent questions to avoid API overload
+      const recentQuestions = usedQuestions.slice(-5);
+      usedQuestionsSection = `
+      
+      IMPORTANT - GENERATE FRESH QUESTIONS:
+      You have generated ${usedQuestions.length} questions before for this roadmap. 
+      Most recent questions to avoid similar patterns:
+      ${recentQuestions.map((q, index) => `${index + 1}. ${q.substring(0, 100)}...`).join('\n')}
+      
+      Generate completely NEW questions with different approaches, scenarios, and perspectives.
+      `;
+    }
 
-        Requirements:
-        - 5 beginner + 5 intermediate + 5 advanced questions
-        - 4 options each (A,B,C,D) with explanations
-        - Practical, scenario-based questions preferred
-        ${usedQuestions.length > 0 ? '- Generate FRESH questions different from previous ones' : ''}
-
-        JSON format:
-        {
-          "questions": [
-            {
-              "id": "q1",
-              "question": "Question text here?",
-              "options": ["Option A", "Option B", "Option C", "Option D"],
-              "correctAnswer": 1,
-              "explanation": "Why this answer is correct",
-              "difficulty": "beginner"
-            }
-          ],
-          "metadata": {
-            "topic": "${topic}",
-            "totalQuestions": 15,
-            "difficultyDistribution": {"beginner": 5, "intermediate": 5, "advanced": 5}
+    const prompt = `
+      Generate 15 multiple choice questions for "${topic}" quiz.
+
+      Topics to cover:
+      ${allPoints.slice(0, 10).map(point => `- ${point.title}`).join('\n')}
+      ${usedQuestionsSection}
+
+      Requirements:
+      - 5 beginner + 5 intermediate + 5 advanced questions
+      - 4 options each (A,B,C,D) with explanations
+      - Practical, scenario-based questions preferred
+      ${usedQuestions.length > 0 ? '- Generate FRESH questions different from previous ones' : ''}
+
+      JSON format:
+      {
+        "questions": [
+          {
+            "id": "q1",
+            "question": "Question text here?",
+            "options": ["Option A", "Option B", "Option C", "Option D"],
+            "correctAnswer": 1,
+            "explanation": "Why this answer is correct",
+            "difficulty": "beginner"
           }
+        ],
+        "metadata": {
+          "topic": "${topic}",
+          "totalQuestions": 15,
+          "difficultyDistribution": {"beginner": 5, "intermediate": 5, "advanced": 5}
         }
+      }
 
-        Return only the JSON object, no additional text or formatting.
-      `;
-
-      const response = await this.ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: prompt,
-      });
+      Return only the JSON object, no additional text or formatting.
+    `;
 
-      const responseText = response.text;
+    return { topic, prompt };
+  }
 
-      // Clean up the response text and extract JSON
-      console.log("🔍 Raw Gemini quiz response:", responseText);
-      
-      let jsonText = responseText;
-      
-      // Remove code block markers if present
-      const codeBlockMatch = responseText.match(/```(?:json)?\s*(\{.*\})\s*```/s);
-      if (codeBlockMatch) {
-        jsonText = codeBlockMatch[1];
-      } else {
-        // Try to extract JSON from the response
-        const jsonMatch = responseText.match(/\{.*\}/s);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-      }
-      
-      console.log("🔍 Extracted quiz JSON text:", jsonText);
-      
-      if (!jsonText || jsonText.trim() === '') {
-        throw new Error("No valid JSON found in quiz response");
-      }
-      
-      // Clean up common JSON issues
-      jsonText = jsonText
-        .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-        .replace(/[\r\n\t]/g, ' ') // Replace line breaks and tabs
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
-      
-      console.log("🔍 Cleaned quiz JSON text:", jsonText);
+  _finalizeQuiz(quizData, topic) {
+    if (quizData.questions.length !== 15) {
+      console.warn(`Expected 15 questions, got ${quizData.questions.length}`);
+    }
 
-      const quizData = JSON.parse(jsonText);
+    // Add metadata if missing
+    if (!quizData.metadata) {
+      quizData.metadata = {
+        topic: topic,
+        totalQuestions: quizData.questions.length,
+        difficultyDistribution: {
+          beginner: quizData.questions.filter(q => q.difficulty === 'beginner').length,
+          intermediate: quizData.questions.filter(q => q.difficulty === 'intermediate').length,
+          advanced: quizData.questions.filter(q => q.difficulty === 'advanced').length
+        },
+        generatedAt: new Date().toISOString()
+      };
+    }
 
-      // Validate quiz structure
-      if (!quizData.questions || !Array.isArray(quizData.questions)) {
-        throw new Error("Invalid quiz structure: questions array missing");
-      }
+    console.log("✅ Generated quiz successfully:", {
+      topic: quizData.metadata.topic,
+      totalQuestions: quizData.questions.length,
+      distribution: quizData.metadata.difficultyDistribution
+    });
 
-      if (quizData.questions.length !== 15) {
-        console.warn(`Expected 15 questions, got ${quizData.questions.length}`);
-      }
+    return quizData;
+  }
 
-      // Validate each question
-      quizData.questions.forEach((question, index) => {
-        if (!question.question || !question.options || !Array.isArray(question.options)) {
-          throw new Error(`Invalid question structure at index ${index}`);
-        }
-        if (question.options.length !== 4) {
-          throw new Error(`Question ${index + 1} must have exactly 4 options`);
-        }
-        if (typeof question.correctAnswer !== 'number' || question.correctAnswer < 0 || question.correctAnswer > 3) {
-          throw new Error(`Question ${index + 1} has invalid correctAnswer index`);
-        }
-      });
-
-      // Add metadata if missing
-      if (!quizData.metadata) {
-        quizData.metadata = {
-          topic: topic,
-          totalQuestions: quizData.questions.length,
-          difficultyDistribution: {
-            beginner: quizData.questions.filter(q => q.difficulty === 'beginner').length,
-            intermediate: quizData.questions.filter(q => q.difficulty === 'intermediate').length,
-            advanced: quizData.questions.filter(q => q.difficulty === 'advanced').length
-          },
-          generatedAt: new Date().toISOString()
-        };
-      }
+  async generateQuiz(
+    roadmapData,
+    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" },
+    usedQuestions = []
+  ) {
+    try {
+      const { topic, prompt } = this._buildQuizPrompt(roadmapData, usedQuestions);
 
-      console.log("✅ Generated quiz successfully:", {
-        topic: quizData.metadata.topic,
-        totalQuestions: quizData.questions.length,
-        distribution: quizData.metadata.difficultyDistribution
-      });
+      const quizData = await this._generateStructured(prompt, "quiz");
 
-      return quizData;
+      return this._finalizeQuiz(quizData, topic);
     } catch (error) {
       console.error("Error generating quiz:", error);
       
@@ -432,6 +530,24 @@ class GeminiService {
       throw new Error(`Failed to generate quiz: ${error.message}`);
     }
   }
+
+  // Same as generateQuiz, but reports partial JSON while Gemini is still writing
+  async generateQuizStream(
+    roadmapData,
+    userPreferences = { default_roadmap_depth: "detailed", default_video_length: "medium" },
+    usedQuestions = [],
+    onPartial = () => {}
+  ) {
+    try {
+      const { topic, prompt } = this._buildQuizPrompt(roadmapData, usedQuestions);
+      const quizData = await this._streamStructured(prompt, "quiz", onPartial);
+
+      return this._finalizeQuiz(quizData, topic);
+    } catch (error) {
+      console.error("Error streaming quiz:", error);
+      throw new Error(`Failed to generate quiz: ${error.message}`);
+    }
+  }
 }
 
 export default new GeminiService();
@@ -0,0 +1,264 @@
+import os from "os";
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { appLogger } from "../utils/logger.js";
+import { runWithContext } from "../utils/requestContext.js";
+
+dotenv.config();
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+// Raised from reportProgress to unwind a handler whose job was cancelled
+const cancelledError = (jobId) => {
+  const error = new Error(`Job ${jobId} was cancelled`);
+  error.code = "JOB_CANCELLED";
+  return error;
+};
+
+/**
+ * Error a handler throws to put its job back in the queue until `runAt`
+ * without using up an attempt (e.g. while an upstream quota is exhausted)
+ * @param {string} message - Reason, stored as the job's error
+ * @param {string|Date} runAt - Earliest time to run the job again
+ * @returns {Error} Error with code JOB_DEFERRED
+ */
+export const jobDeferredError = (message, runAt) => {
+  const error = new Error(message);
+  error.code = "JOB_DEFERRED";
+  error.runAt = new Date(runAt).toISOString();
+  return error;
+};
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.gates = new Map();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+    this.retryBaseDelayMs =
+      parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 5000;
+    this.staleAfterSeconds =
+      parseInt(process.env.JOB_STALE_AFTER_SECONDS, 10) || 10 * 60;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.active = new Set();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a given type
+   * @param {string} type - Job type stored in generation_jobs.type
+   * @param {Function} handler - async (context) => result; see _run for the context
+   * @param {{canRun?: Function}} options - `canRun() => boolean`; while it returns
+   * false, queued jobs of this type are left in the queue
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, handler);
+    this.gates.set(type, options.canRun || (() => true));
+  }
+
+  /**
+   * Queue a job for the worker pool
+   * @param {string} type - Registered job type
+   * @param {string} userId - Owner of the job
+   * @param {Object} payload - Handler input, stored as JSONB
+   * @param {{progress?: Object, maxAttempts?: number}} options - Initial progress and retry limit
+   * @returns {Promise<Object>} The queued job row
+   */
+  async enqueue(type, userId, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type ${type}`);
+    }
+
+    const job = await neonDbService.createGenerationJob(
+      userId,
+      type,
+      payload,
+      options.progress || {},
+      options.maxAttempts || 3
+    );
+
+    appLogger.info("Job queued", { jobId: job.id, type, userId });
+
+    // Pick it up now instead of waiting for the next poll
+    setImmediate(() => this._poll());
+
+    return job;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    if (!neonDbService.sql) {
+      appLogger.warn("Job queue not started: database is not configured");
+      return;
+    }
+
+    neonDbService
+      .requeueStaleGenerationJobs(this.staleAfterSeconds)
+      .then((count) => {
+        if (count > 0) {
+          appLogger.info("Requeued stale jobs", { count });
+        }
+      })
+      .catch((error) => {
+        appLogger.error("Failed to requeue stale jobs", error);
+      });
+
+    this.timer = setInterval(() => this._poll(), this.pollIntervalMs);
+    this.timer.unref();
+
+    appLogger.info("Job queue started", {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      types: [...this.handlers.keys()],
+    });
+  }
+
+  // Stop claiming new jobs; running jobs are picked up again after a restart
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _retryDelay(attempts) {
+    return this.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  async _poll() {
+    if (!this.timer || this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      while (this.active.size < this.concurrency) {
+        const types = [...this.handlers.keys()].filter((type) => this.gates.get(type)());
+        if (types.length === 0) {
+          break;
+        }
+
+        const job = await neonDbService.claimNextGenerationJob(this.workerId, types);
+        if (!job) {
+          break;
+        }
+
+        const run = this._run(job).finally(() => {
+          this.active.delete(run);
+          setImmediate(() => this._poll());
+        });
+        this.active.add(run);
+      }
+    } catch (error) {
+      appLogger.error("Failed to poll job queue", error, {
+        workerId: this.workerId,
+      });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async _run(job) {
+    const handler = this.handlers.get(job.type);
+    let progress = job.progress || {};
+    const startTime = Date.now();
+
+    // Persisting progress doubles as the heartbeat and the cancellation check
+    const context = {
+      job,
+      payload: job.payload,
+      progress,
+      async reportProgress(nextProgress = progress) {
+        progress = nextProgress;
+        context.progress = progress;
+        const cancelRequested = await neonDbService.updateGenerationJobProgress(
+          job.id,
+          progress
+        );
+        if (cancelRequested !== false) {
+          throw cancelledError(job.id);
+        }
+      },
+    };
+
+    appLogger.info("Job started", {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      workerId: this.workerId,
+    });
+
+    try {
+      // Attribute AI usage inside the handler to the job's owner
+      const result = await runWithContext(
+        { userId: job.user_id, endpoint: `job:${job.type}` },
+        () => handler(context)
+      );
+      await neonDbService.completeGenerationJob(job.id, result, progress);
+
+      appLogger.info("Job completed", {
+        jobId: job.id,
+        type: job.type,
+        processingTime: `${Date.now() - startTime}ms`,
+      });
+    } catch (error) {
+      if (error.code === "JOB_CANCELLED") {
+        await neonDbService
+          .markGenerationJobCancelled(job.id, progress)
+          .catch((cancelError) =>
+            appLogger.error("Failed to mark job cancelled", cancelError, {
+              jobId: job.id,
+            })
+          );
+        appLogger.info("Job cancelled", { jobId: job.id, type: job.type });
+        return;
+      }
+
+      if (error.code === "JOB_DEFERRED") {
+        await neonDbService
+          .deferGenerationJob(job.id, progress, error.runAt, error.message)
+          .catch((deferError) =>
+            appLogger.error("Failed to defer job", deferError, { jobId: job.id })
+          );
+        appLogger.info("Job deferred", {
+          jobId: job.id,
+          type: job.type,
+          runAt: error.runAt,
+          reason: error.message,
+        });
+        return;
+      }
+
+      const retryable = job.attempts < job.max_attempts;
+      const retryAt = retryable
+        ? error.retryAt ||
+          new Date(Date.now() + this._retryDelay(job.attempts)).toISOString()
+        : null;
+
+      appLogger.error("Job failed", error, {
+        jobId: job.id,
+        type: job.type,
+        attempt: job.attempts,
+        maxAttempts: job.max_attempts,
+        retryAt,
+      });
+
+      await neonDbService
+        .failGenerationJob(job.id, error.message, retryAt)
+        .catch((failError) =>
+          appLogger.error("Failed to record job failure", failError, {
+            jobId: job.id,
+          })
+        );
+    }
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+}
+
+export default new JobQueueService();
@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+
+const LEVELS = ["beginner", "intermediate", "advanced"];
+const CHUNK_SIZE = 32;
+
+const match = (prompt, pattern, fallback) => {
+  const result = prompt.match(pattern);
+  return result ? result[1] : fallback;
+};
+
+// Rough token estimate so usage numbers are stable between runs
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const builders = {
+  roadmap(prompt) {
+    const topic = match(prompt, /learning roadmap for: "([^"]+)"/, "programming");
+    const count = parseInt(match(prompt, /with (\d+) main points/, "4"), 10);
+
+    return {
+      extractedTopic: topic.toLowerCase(),
+      roadmap: Object.fromEntries(
+        LEVELS.map((level) => [
+          level,
+          Array.from({ length: count }, (_, i) => {
+            const title = `${topic} ${level} topic ${i + 1}`;
+            return {
+              title,
+              description: `What ${title} covers and why it matters`,
+              learningObjectives: [`Explain ${title}`, `Apply ${title} in a small project`],
+              estimatedHours: (LEVELS.indexOf(level) + 1) * 2,
+              keyConcepts: [`${title} concept A`, `${title} concept B`, `${title} concept C`],
+              practiceTasks: [`Build an exercise using ${title}`],
+              // Each level builds on the same topic of the level before; the
+              // other beginner topics only need the first one
+              prerequisites:
+                level === "beginner"
+                  ? i === 0 ? [] : [`${topic} beginner topic 1`]
+                  : [`${topic} ${LEVELS[LEVELS.indexOf(level) - 1]} topic ${i + 1}`],
+            };
+          }),
+        ])
+      ),
+    };
+  },
+
+  videoTitles(prompt) {
+    const pointTitle = match(prompt, /for learning "([^"]+)"/, "basics");
+    const topic = match(prompt, /in the context of "([^"]+)"/, "programming");
+
+    return [
+      `${pointTitle} in ${topic} - Full Tutorial`,
+      `Learn ${pointTitle} for ${topic} Step by Step`,
+      `${topic} ${pointTitle} Explained with Examples`,
+      `${pointTitle} Masterclass for ${topic} Developers`,
+      `${topic}: ${pointTitle} Complete Guide`,
+    ];
+  },
+
+  quiz(prompt) {
+    const topic = match(prompt, /questions for "([^"]+)" quiz/, "programming");
+
+    const questions = LEVELS.flatMap((difficulty, levelIndex) =>
+      Array.from({ length: 5 }, (_, i) => {
+        const number = levelIndex * 5 + i + 1;
+        return {
+          id: `q${number}`,
+          question: `${topic} ${difficulty} question ${number}?`,
+          options: ["Option A", "Option B", "Option C", "Option D"],
+          correctAnswer: number % 4,
+          explanation: `Option ${"ABCD"[number % 4]} is correct for question ${number}`,
+          difficulty,
+        };
+      })
+    );
+
+    return {
+      questions,
+      metadata: {
+        topic,
+        totalQuestions: questions.length,
+        difficultyDistribution: { beginner: 5, intermediate: 5, advanced: 5 },
+      },
+    };
+  },
+};
+
+// Deterministic offline provider. Answers come from LLM_FIXTURES_DIR/<task>.json
+// when that file exists, otherwise from the built-in builders above.
+class FixtureProvider {
+  constructor({ fixturesDir } = {}) {
+    this.name = "fixture";
+    this.model = "fixture";
+    this.fixturesDir = fixturesDir || null;
+  }
+
+  _respond(prompt, options) {
+    const task = options.task;
+
+    if (this.fixturesDir && task) {
+      const file = path.join(this.fixturesDir, `${task}.json`);
+      if (fs.existsSync(file)) {
+        return fs.readFileSync(file, "utf8");
+      }
+    }
+
+    const builder = builders[task];
+    if (!builder) {
+      throw new Error(`No LLM fixture available for task "${task}"`);
+    }
+
+    return JSON.stringify(builder(prompt), null, 2);
+  }
+
+  _usage(prompt, text) {
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(text);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    const text = this._respond(prompt, options);
+    return { text, usage: this._usage(prompt, text), model: this.model };
+  }
+
+  async streamText(prompt, options = {}, onText = () => {}) {
+    const text = this._respond(prompt, options);
+
+    let streamed = "";
+    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+      const chunkText = text.slice(i, i + CHUNK_SIZE);
+      streamed += chunkText;
+      await onText(chunkText, streamed);
+    }
+
+    return { text, usage: this._usage(prompt, text), model: this.model };
+  }
+}
+
+export default FixtureProvider;
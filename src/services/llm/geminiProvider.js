@@ -0,0 +1,106 @@
+import { GoogleGenAI } from "@google/genai";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+const toUsage = (usageMetadata) => ({
+  promptTokens: usageMetadata?.promptTokenCount || 0,
+  completionTokens: usageMetadata?.candidatesTokenCount || 0,
+  totalTokens: usageMetadata?.totalTokenCount || 0,
+});
+
+// Gemini takes an OpenAPI-style schema: upper-case types, int64 counts as
+// strings, no minLength/additionalProperties, and fields ordered explicitly
+// (it otherwise emits them alphabetically)
+const toGeminiSchema = (schema) => {
+  const converted = { type: schema.type.toUpperCase() };
+
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.minimum !== undefined) converted.minimum = schema.minimum;
+  if (schema.maximum !== undefined) converted.maximum = schema.maximum;
+  if (schema.minItems !== undefined) converted.minItems = String(schema.minItems);
+  if (schema.maxItems !== undefined) converted.maxItems = String(schema.maxItems);
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGeminiSchema(child)])
+    );
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) converted.required = schema.required;
+
+  return converted;
+};
+
+class GeminiProvider {
+  constructor({ apiKey, model } = {}) {
+    this.name = "gemini";
+    this.apiKey = apiKey || null;
+    this.model = model || DEFAULT_MODEL;
+    this.ai = null;
+  }
+
+  // The client is created on first use so a missing key only fails the calls
+  // that need it, not the whole process at import time
+  _client() {
+    if (!this.apiKey) {
+      throw new Error("GEMINI_API_KEY environment variable is required for the gemini LLM provider");
+    }
+    if (!this.ai) {
+      this.ai = new GoogleGenAI({ apiKey: this.apiKey });
+    }
+    return this.ai;
+  }
+
+  _config(options) {
+    if (!options.json) {
+      return undefined;
+    }
+    return {
+      responseMimeType: "application/json",
+      ...(options.schema ? { responseSchema: toGeminiSchema(options.schema) } : {}),
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    const model = options.model || this.model;
+    const response = await this._client().models.generateContent({
+      model,
+      contents: prompt,
+      config: this._config(options),
+    });
+
+    return {
+      text: response.text || "",
+      usage: toUsage(response.usageMetadata),
+      model,
+    };
+  }
+
+  async streamText(prompt, options = {}, onText = () => {}) {
+    const model = options.model || this.model;
+    const stream = await this._client().models.generateContentStream({
+      model,
+      contents: prompt,
+      config: this._config(options),
+    });
+
+    let text = "";
+    let usageMetadata = null;
+
+    for await (const chunk of stream) {
+      const chunkText = chunk.text || "";
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+      if (chunkText) {
+        text += chunkText;
+        await onText(chunkText, text);
+      }
+    }
+
+    return { text, usage: toUsage(usageMetadata), model };
+  }
+}
+
+export default GeminiProvider;
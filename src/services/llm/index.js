@@ -0,0 +1,51 @@
+import GeminiProvider from "./geminiProvider.js";
+import OpenAiProvider from "./openAiProvider.js";
+import FixtureProvider from "./fixtureProvider.js";
+
+export const LLM_PROVIDERS = ["gemini", "openai", "fixture"];
+
+/**
+ * Name of the configured LLM provider
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string} One of LLM_PROVIDERS
+ */
+export const getLlmProviderName = (env = process.env) => {
+  return (env.LLM_PROVIDER || "gemini").trim().toLowerCase();
+};
+
+/**
+ * Create the LLM provider selected by LLM_PROVIDER.
+ *
+ * Every provider exposes:
+ * - generateText(prompt, options) => Promise<{text, usage, model}>
+ * - streamText(prompt, options, onText) => Promise<{text, usage, model}>
+ *
+ * `options` may carry `model`, `json` (ask for a JSON response), `schema`
+ * and `task` (used by the fixture provider to pick an answer). `usage` is
+ * {promptTokens, completionTokens, totalTokens}.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Provider instance
+ */
+export const createLlmProvider = (env = process.env) => {
+  const name = getLlmProviderName(env);
+
+  switch (name) {
+    case "gemini":
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.LLM_MODEL,
+      });
+    case "openai":
+      return new OpenAiProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL,
+        model: env.LLM_MODEL,
+      });
+    case "fixture":
+      return new FixtureProvider({ fixturesDir: env.LLM_FIXTURES_DIR });
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${name}". Expected one of: ${LLM_PROVIDERS.join(", ")}`
+      );
+  }
+};
@@ -0,0 +1,115 @@
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  completionTokens: usage?.completion_tokens || 0,
+  totalTokens: usage?.total_tokens || 0,
+});
+
+// Any server implementing the OpenAI chat completions API (OpenAI, Azure
+// OpenAI, vLLM, Ollama, LM Studio, ...)
+class OpenAiProvider {
+  constructor({ apiKey, baseUrl, model } = {}) {
+    this.name = "openai";
+    this.apiKey = apiKey || null;
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+    this.model = model || DEFAULT_MODEL;
+  }
+
+  async _request(body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => "");
+      throw new Error(
+        `LLM request failed with status ${response.status}: ${details.slice(0, 500)}`
+      );
+    }
+
+    return response;
+  }
+
+  _responseFormat(options) {
+    if (!options.schema) {
+      return { type: "json_object" };
+    }
+    return {
+      type: "json_schema",
+      json_schema: { name: options.task || "response", schema: options.schema },
+    };
+  }
+
+  _body(prompt, options, model) {
+    return {
+      model,
+      messages: [{ role: "user", content: prompt }],
+      ...(options.json ? { response_format: this._responseFormat(options) } : {}),
+    };
+  }
+
+  async generateText(prompt, options = {}) {
+    const model = options.model || this.model;
+    const response = await this._request(this._body(prompt, options, model));
+    const data = await response.json();
+
+    return {
+      text: data.choices?.[0]?.message?.content || "",
+      usage: toUsage(data.usage),
+      model: data.model || model,
+    };
+  }
+
+  async streamText(prompt, options = {}, onText = () => {}) {
+    const model = options.model || this.model;
+    const response = await this._request({
+      ...this._body(prompt, options, model),
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let text = "";
+    let usage = null;
+
+    // Server-sent events: one `data: {json}` line per chunk, ending with `data: [DONE]`
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === "[DONE]") continue;
+
+        const chunk = JSON.parse(payload);
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const chunkText = chunk.choices?.[0]?.delta?.content || "";
+        if (chunkText) {
+          text += chunkText;
+          await onText(chunkText, text);
+        }
+      }
+    }
+
+    return { text, usage: toUsage(usage), model };
+  }
+}
+
+export default OpenAiProvider;
@@ -0,0 +1,114 @@
+// JSON Schemas for structured LLM output. Providers pass them to the model's
+// structured response mode and geminiService validates every response against
+// them (see utils/jsonSchema.js for the supported keywords).
+
+const stringList = {
+  type: "array",
+  minItems: 1,
+  items: { type: "string", minLength: 1 },
+};
+
+const roadmapPoint = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string", minLength: 1 },
+    learningObjectives: stringList,
+    estimatedHours: { type: "number", minimum: 0 },
+    keyConcepts: stringList,
+    practiceTasks: stringList,
+    prerequisites: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+  required: [
+    "title",
+    "description",
+    "learningObjectives",
+    "estimatedHours",
+    "keyConcepts",
+    "practiceTasks",
+    "prerequisites",
+  ],
+};
+
+const pointList = {
+  type: "array",
+  minItems: 1,
+  items: roadmapPoint,
+};
+
+export const ROADMAP_SCHEMA = {
+  type: "object",
+  properties: {
+    extractedTopic: { type: "string", minLength: 1 },
+    roadmap: {
+      type: "object",
+      properties: {
+        beginner: pointList,
+        intermediate: pointList,
+        advanced: pointList,
+      },
+      required: ["beginner", "intermediate", "advanced"],
+    },
+  },
+  required: ["extractedTopic", "roadmap"],
+};
+
+export const VIDEO_TITLES_SCHEMA = {
+  type: "array",
+  minItems: 1,
+  maxItems: 10,
+  items: { type: "string", minLength: 1 },
+};
+
+export const QUIZ_SCHEMA = {
+  type: "object",
+  properties: {
+    questions: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          question: { type: "string", minLength: 1 },
+          options: {
+            type: "array",
+            minItems: 4,
+            maxItems: 4,
+            items: { type: "string", minLength: 1 },
+          },
+          correctAnswer: { type: "integer", minimum: 0, maximum: 3 },
+          explanation: { type: "string" },
+          difficulty: {
+            type: "string",
+            enum: ["beginner", "intermediate", "advanced"],
+          },
+        },
+        required: ["question", "options", "correctAnswer", "explanation", "difficulty"],
+      },
+    },
+    metadata: {
+      type: "object",
+      properties: {
+        topic: { type: "string" },
+        totalQuestions: { type: "integer" },
+        difficultyDistribution: {
+          type: "object",
+          properties: {
+            beginner: { type: "integer" },
+            intermediate: { type: "integer" },
+            advanced: { type: "integer" },
+          },
+        },
+      },
+    },
+  },
+  required: ["questions"],
+};
+
+// Keyed by the `task` geminiService passes to the provider
+export const LLM_SCHEMAS = {
+  roadmap: ROADMAP_SCHEMA,
+  videoTitles: VIDEO_TITLES_SCHEMA,
+  quiz: QUIZ_SCHEMA,
+};
@@ -1,9 +1,36 @@
 import { neon } from '@neondatabase/serverless';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/password.js';
+import { createPrerequisiteResolver } from '../utils/prerequisiteGraph.js';
 
 dotenv.config();
 
+// Placeholder stored for users created through ensureUserExists; these
+// accounts have no password and must never authenticate with one.
+const OAUTH_PASSWORD_PLACEHOLDER = 'oauth';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns of user_settings that updateUserSettings may change
+const USER_SETTINGS_FIELDS = [
+  'full_name',
+  'about_description',
+  'theme',
+  'default_roadmap_depth',
+  'default_video_length',
+  'preferred_language',
+  'region',
+];
+
+// Errors carrying an HTTP status/code so routes can answer 403/404 consistently
+const accessError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
 class DatabaseService {
   constructor() {
     if (!process.env.DATABASE_URL) {
@@ -62,9 +89,11 @@ class DatabaseService {
   async createUser(username, password) {
     this._checkConnection();
     try {
+      const passwordHash = await hashPassword(password);
+
       const result = await this.sql`
         INSERT INTO users (username, password)
-        VALUES (${username}, ${password})
+        VALUES (${username}, ${passwordHash})
         RETURNING id, username, created_at
       `;
       
@@ -80,9 +109,9 @@ class DatabaseService {
       console.log('🔍 Attempting to get user by credentials via Neon:', username);
       
       const result = await this.sql`
-        SELECT id, username 
+        SELECT id, username, password 
         FROM users 
-        WHERE username = ${username} AND password = ${password}
+        WHERE username = ${username}
       `;
       
       console.log('📊 Query result:', {
@@ -91,7 +120,32 @@ class DatabaseService {
         firstRow: result.length > 0 ? { id: result[0].id, username: result[0].username } : null
       });
       
-      return result.length > 0 ? result[0] : null;
+      if (result.length === 0) {
+        return null;
+      }
+
+      const user = result[0];
+      if (!user.password || user.password === OAUTH_PASSWORD_PLACEHOLDER) {
+        return null;
+      }
+
+      const isValid = await verifyPassword(password, user.password);
+      if (!isValid) {
+        return null;
+      }
+
+      // Transparently upgrade legacy plaintext rows and outdated hashes
+      if (needsRehash(user.password)) {
+        try {
+          await this.updateUserPassword(user.id, password);
+          console.log(`🔐 Upgraded stored password hash for user ${user.id}`);
+        } catch (upgradeError) {
+          // Login still succeeds; the upgrade is retried on the next login
+          console.warn('⚠️ Failed to upgrade password hash:', upgradeError.message);
+        }
+      }
+
+      return { id: user.id, username: user.username };
     } catch (error) {
       console.error('❌ Database query error:', {
         message: error.message,
@@ -103,6 +157,24 @@ class DatabaseService {
     }
   }
 
+  async updateUserPassword(userId, password) {
+    this._checkConnection();
+    try {
+      const passwordHash = await hashPassword(password);
+
+      const result = await this.sql`
+        UPDATE users 
+        SET password = ${passwordHash}
+        WHERE id = ${userId}
+        RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to update user password: ${error.message}`);
+    }
+  }
+
   async checkUserExists(username) {
     this._checkConnection();
     try {
@@ -136,7 +208,7 @@ class DatabaseService {
       console.log(`👤 Creating user record for UUID: ${userId}`);
       const result = await this.sql`
         INSERT INTO users (id, username, password)
-        VALUES (${userId}, ${username || 'user_' + userId.slice(0, 8)}, 'oauth')
+        VALUES (${userId}, ${username || 'user_' + userId.slice(0, 8)}, ${OAUTH_PASSWORD_PLACEHOLDER})
         RETURNING id, username, created_at
       `;
       
@@ -146,6 +218,89 @@ class DatabaseService {
     }
   }
 
+  // User Sessions (one row per login; access and refresh tokens carry its id)
+  async createUserSession(userId, refreshTokenId, expiresAt, metadata = {}) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO user_sessions (user_id, refresh_token_id, user_agent, ip_address, expires_at)
+        VALUES (${userId}, ${refreshTokenId}, ${metadata.userAgent || null}, ${metadata.ipAddress || null}, ${expiresAt})
+        RETURNING id, user_id, refresh_token_id, expires_at, created_at
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to create user session: ${error.message}`);
+    }
+  }
+
+  async getUserSession(sessionId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT s.id, s.user_id, s.refresh_token_id, s.expires_at, s.revoked_at, u.username
+        FROM user_sessions s
+        INNER JOIN users u ON s.user_id = u.id
+        WHERE s.id = ${sessionId}
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to get user session: ${error.message}`);
+    }
+  }
+
+  async rotateSessionRefreshToken(sessionId, currentRefreshTokenId, nextRefreshTokenId, expiresAt) {
+    this._checkConnection();
+    try {
+      // Compare-and-swap on the current token id so concurrent refreshes cannot both succeed
+      const result = await this.sql`
+        UPDATE user_sessions 
+        SET refresh_token_id = ${nextRefreshTokenId}, expires_at = ${expiresAt}, updated_at = NOW()
+        WHERE id = ${sessionId} 
+          AND refresh_token_id = ${currentRefreshTokenId}
+          AND revoked_at IS NULL
+        RETURNING id, user_id, refresh_token_id, expires_at
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to rotate session refresh token: ${error.message}`);
+    }
+  }
+
+  async revokeUserSession(sessionId, userId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE user_sessions 
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE id = ${sessionId} AND user_id = ${userId} AND revoked_at IS NULL
+        RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to revoke user session: ${error.message}`);
+    }
+  }
+
+  async revokeAllUserSessions(userId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE user_sessions 
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE user_id = ${userId} AND revoked_at IS NULL
+        RETURNING id
+      `;
+      
+      return result.length;
+    } catch (error) {
+      throw new Error(`Failed to revoke user sessions: ${error.message}`);
+    }
+  }
+
   // User Topics
   async createUserTopic(userId, topic) {
     this._checkConnection();
@@ -193,27 +348,143 @@ class DatabaseService {
     }
   }
 
+  // Resource ownership (roadmap -> topic -> user). Throws 404 when the roadmap
+  // does not exist and 403 when it belongs to another user.
+  async authorizeRoadmapAccess(roadmapId, userId) {
+    this._checkConnection();
+
+    if (!roadmapId || !UUID_PATTERN.test(String(roadmapId))) {
+      throw accessError(404, 'ROADMAP_NOT_FOUND', `Roadmap ${roadmapId} not found`);
+    }
+
+    let result;
+    try {
+      result = await this.sql`
+        SELECT 
+          ur.id,
+          ur.user_topic_id,
+          ur.roadmap_data,
+          ur.created_at,
+          ur.updated_at,
+          ut.user_id,
+          ut.topic
+        FROM user_roadmaps ur
+        INNER JOIN user_topics ut ON ur.user_topic_id = ut.id
+        WHERE ur.id = ${roadmapId}
+      `;
+    } catch (error) {
+      throw new Error(`Failed to authorize roadmap access: ${error.message}`);
+    }
+
+    if (result.length === 0) {
+      throw accessError(404, 'ROADMAP_NOT_FOUND', `Roadmap ${roadmapId} not found`);
+    }
+
+    const roadmap = result[0];
+    if (roadmap.user_id !== userId) {
+      throw accessError(403, 'ROADMAP_FORBIDDEN', 'Roadmap does not belong to the authenticated user');
+    }
+
+    return {
+      ...roadmap,
+      roadmap_data: typeof roadmap.roadmap_data === 'string' ? JSON.parse(roadmap.roadmap_data) : roadmap.roadmap_data
+    };
+  }
+
+  // Quiz ownership goes through the quiz's roadmap (quiz -> roadmap -> topic -> user)
+  async authorizeQuizAccess(quizId, userId) {
+    this._checkConnection();
+
+    if (!quizId || !UUID_PATTERN.test(String(quizId))) {
+      throw accessError(404, 'QUIZ_NOT_FOUND', `Quiz ${quizId} not found`);
+    }
+
+    let result;
+    try {
+      result = await this.sql`
+        SELECT 
+          uq.id,
+          uq.user_roadmap_id,
+          uq.quiz_data,
+          uq.total_questions,
+          uq.difficulty_level,
+          uq.created_at,
+          uq.updated_at,
+          ut.user_id
+        FROM user_quizzes uq
+        INNER JOIN user_roadmaps ur ON uq.user_roadmap_id = ur.id
+        INNER JOIN user_topics ut ON ur.user_topic_id = ut.id
+        WHERE uq.id = ${quizId}
+      `;
+    } catch (error) {
+      throw new Error(`Failed to authorize quiz access: ${error.message}`);
+    }
+
+    if (result.length === 0) {
+      throw accessError(404, 'QUIZ_NOT_FOUND', `Quiz ${quizId} not found`);
+    }
+
+    const quiz = result[0];
+    if (quiz.user_id !== userId) {
+      throw accessError(403, 'QUIZ_FORBIDDEN', 'Quiz does not belong to the authenticated user');
+    }
+
+    return {
+      ...quiz,
+      quiz_data: typeof quiz.quiz_data === 'string' ? JSON.parse(quiz.quiz_data) : quiz.quiz_data
+    };
+  }
+
   // User Roadmaps
   processRoadmapWithStepIds(roadmapData) {
-    // Convert simple array format to object format with sequential step IDs
+    // Convert simple array format to object format with sequential step IDs.
+    // Step numbers run across all levels (beginner step_1..step_N, intermediate
+    // continues at step_N+1) so a step ID is unique within the roadmap and
+    // matches the point IDs used for progress and videos.
     const processedRoadmap = { ...roadmapData };
     
     if (processedRoadmap.roadmap) {
+      processedRoadmap.roadmap = { ...processedRoadmap.roadmap };
       const levels = ['beginner', 'intermediate', 'advanced'];
+      let stepNumber = 1;
+      // Prerequisites are declared by title or step ID; generated points may
+      // only depend on points before them
+      const prerequisites = createPrerequisiteResolver();
       
       levels.forEach(level => {
-        if (processedRoadmap.roadmap[level] && Array.isArray(processedRoadmap.roadmap[level])) {
+        const levelData = processedRoadmap.roadmap[level];
+        
+        if (levelData && !Array.isArray(levelData) && typeof levelData === 'object') {
+          // Already converted - keep its IDs and continue numbering after it
+          stepNumber += Object.keys(levelData).length;
+          Object.entries(levelData).forEach(([stepId, step]) => {
+            prerequisites.add(step.pointId || stepId, step.pointTitle || step.title);
+          });
+        } else if (levelData && Array.isArray(levelData)) {
           // Convert array to object with step IDs
-          const points = processedRoadmap.roadmap[level];
+          const points = levelData;
           const processedPoints = {};
           
-          points.forEach((point, index) => {
-            const stepId = `step_${index + 1}`;
+          points.forEach((point) => {
+            const stepId = `step_${stepNumber++}`;
+            // Older roadmaps list points as title strings and have no content
+            const content = typeof point === 'string' ? { title: point } : point;
+            const title = content.pointTitle || content.title;
+            const pointPrerequisites = prerequisites.resolve(content.prerequisites);
             processedPoints[stepId] = {
               pointId: stepId,
-              pointTitle: typeof point === 'string' ? point : point.pointTitle || point.title || point,
-              title: typeof point === 'string' ? point : point.pointTitle || point.title || point
+              pointTitle: title,
+              title,
+              description: content.description || null,
+              learningObjectives: content.learningObjectives || [],
+              estimatedHours: content.estimatedHours ?? null,
+              keyConcepts: content.keyConcepts || [],
+              practiceTasks: content.practiceTasks || [],
+              // Only set when the point declares prerequisites; older points
+              // follow the point before them
+              ...(pointPrerequisites && { prerequisites: pointPrerequisites })
             };
+            prerequisites.add(stepId, title);
           });
           
           processedRoadmap.roadmap[level] = processedPoints;
@@ -348,6 +619,42 @@ class DatabaseService {
     }
   }
 
+  // Create the roadmap and (if needed) its topic in a single statement so a
+  // failed insert never leaves an orphaned topic behind
+  async createRoadmapWithTopic(userId, topic, roadmapData, roadmapId = crypto.randomUUID()) {
+    this._checkConnection();
+    try {
+      const processedRoadmapData = this.processRoadmapWithStepIds({ ...roadmapData, id: roadmapId });
+      
+      const result = await this.sql`
+        WITH existing_topic AS (
+          SELECT id FROM user_topics 
+          WHERE user_id = ${userId} AND topic = ${topic}
+          ORDER BY created_at ASC
+          LIMIT 1
+        ),
+        new_topic AS (
+          INSERT INTO user_topics (user_id, topic)
+          SELECT ${userId}, ${topic}
+          WHERE NOT EXISTS (SELECT 1 FROM existing_topic)
+          RETURNING id
+        ),
+        topic_row AS (
+          SELECT id FROM existing_topic
+          UNION ALL
+          SELECT id FROM new_topic
+        )
+        INSERT INTO user_roadmaps (id, user_topic_id, roadmap_data)
+        SELECT ${roadmapId}, id, ${JSON.stringify(processedRoadmapData)} FROM topic_row
+        RETURNING id, user_topic_id, roadmap_data, created_at, updated_at
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to create roadmap with topic: ${error.message}`);
+    }
+  }
+
   async createUserRoadmap(userTopicId, roadmapData) {
     this._checkConnection();
     try {
@@ -843,6 +1150,25 @@ class DatabaseService {
     }
   }
 
+  // Every stored video entry of a roadmap, across levels, pages and generations
+  async getRoadmapStoredVideos(userRoadmapId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT video_data
+        FROM user_videos 
+        WHERE user_roadmap_id = ${userRoadmapId}
+      `;
+      
+      return result.flatMap((row) => {
+        const videoData = typeof row.video_data === 'string' ? JSON.parse(row.video_data) : row.video_data;
+        return Array.isArray(videoData) ? videoData : [];
+      });
+    } catch (error) {
+      throw new Error(`Failed to get roadmap stored videos: ${error.message}`);
+    }
+  }
+
   async getNextGenerationNumber(userRoadmapId, level, pageNumber) {
     this._checkConnection();
     try {
@@ -869,19 +1195,27 @@ class DatabaseService {
         WHERE id = ${userRoadmapId}
       `;
       
-      let maxStepsInRoadmap = 0;
+      // Step numbers are global across levels, so a level may start at e.g. step_6
+      let firstStepInLevel = 1;
+      let lastStepInLevel = 0;
       if (roadmapResult.length > 0) {
         const roadmapData = typeof roadmapResult[0].roadmap_data === 'string' 
           ? JSON.parse(roadmapResult[0].roadmap_data) 
           : roadmapResult[0].roadmap_data;
           
         if (roadmapData.roadmap && roadmapData.roadmap[level]) {
-          // If it's an object with step keys, count them
+          // If it's an object with step keys, use their numbers
           if (typeof roadmapData.roadmap[level] === 'object' && !Array.isArray(roadmapData.roadmap[level])) {
-            maxStepsInRoadmap = Object.keys(roadmapData.roadmap[level]).length;
+            const stepNumbers = Object.keys(roadmapData.roadmap[level])
+              .map(stepId => parseInt(stepId.split('_')[1]))
+              .filter(stepNumber => !isNaN(stepNumber));
+            if (stepNumbers.length > 0) {
+              firstStepInLevel = Math.min(...stepNumbers);
+              lastStepInLevel = Math.max(...stepNumbers);
+            }
           } else if (Array.isArray(roadmapData.roadmap[level])) {
             // If it's still an array, count the items
-            maxStepsInRoadmap = roadmapData.roadmap[level].length;
+            lastStepInLevel = roadmapData.roadmap[level].length;
           }
         }
       }
@@ -899,16 +1233,16 @@ class DatabaseService {
       `;
       
       if (result.length === 0) {
-        return 1; // First step
+        return firstStepInLevel; // First step
       }
       
       // Extract number from step_X and increment
       const lastStepId = result[0].point_id; // e.g., "step_3"
       const lastStepNumber = parseInt(lastStepId.split('_')[1]);
-      const nextStepNumber = lastStepNumber + 1;
+      const nextStepNumber = Math.max(lastStepNumber + 1, firstStepInLevel);
       
       // Don't exceed the number of steps defined in the roadmap
-      return Math.min(nextStepNumber, maxStepsInRoadmap + 1);
+      return Math.min(nextStepNumber, lastStepInLevel + 1);
       
     } catch (error) {
       console.error('Error getting next step number:', error);
@@ -979,19 +1313,7 @@ class DatabaseService {
     try {
       console.log(`🗑️ Deleting roadmap ${roadmapId} for user ${userId} using Neon database`);
       
-      // First, get the user_topic_id for the roadmap to verify ownership
-      const ownershipResult = await this.sql`
-        SELECT ur.user_topic_id 
-        FROM user_roadmaps ur
-        JOIN user_topics ut ON ur.user_topic_id = ut.id
-        WHERE ur.id = ${roadmapId} AND ut.user_id = ${userId}
-      `;
-      
-      if (ownershipResult.length === 0) {
-        throw new Error('Roadmap not found or not owned by user');
-      }
-      
-      const userTopicId = ownershipResult[0].user_topic_id;
+      const { user_topic_id: userTopicId } = await this.authorizeRoadmapAccess(roadmapId, userId);
       
       // Delete in correct order: child tables first, then parent tables
       
@@ -1036,6 +1358,9 @@ class DatabaseService {
       console.log(`✅ Successfully deleted roadmap ${roadmapId} and all related data`);
       return true;
     } catch (error) {
+      if (error.status) {
+        throw error;
+      }
       throw new Error(`Failed to delete roadmap: ${error.message}`);
     }
   }
@@ -1073,15 +1398,17 @@ class DatabaseService {
         about_description,
         theme = 'light',
         default_roadmap_depth = 'detailed',
-        default_video_length = 'medium'
+        default_video_length = 'medium',
+        preferred_language = 'en',
+        region = null
       } = settings;
 
       const result = await this.sql`
         INSERT INTO user_settings (
           user_id, full_name, about_description, theme, 
-          default_roadmap_depth, default_video_length
+          default_roadmap_depth, default_video_length, preferred_language, region
         )
-        VALUES (${userId}, ${full_name}, ${about_description}, ${theme}, ${default_roadmap_depth}, ${default_video_length})
+        VALUES (${userId}, ${full_name}, ${about_description}, ${theme}, ${default_roadmap_depth}, ${default_video_length}, ${preferred_language}, ${region})
         RETURNING *
       `;
       
@@ -1110,47 +1437,25 @@ class DatabaseService {
         throw new Error('No valid fields to update');
       }
 
-      // Handle different field updates with tagged templates
-      let result;
-      
-      if (updateFields.full_name !== undefined) {
-        result = await this.sql`
-          UPDATE user_settings 
-          SET full_name = ${updateFields.full_name}, updated_at = NOW()
-          WHERE user_id = ${userId}
-          RETURNING *
-        `;
-      } else if (updateFields.about_description !== undefined) {
-        result = await this.sql`
-          UPDATE user_settings 
-          SET about_description = ${updateFields.about_description}, updated_at = NOW()
-          WHERE user_id = ${userId}
-          RETURNING *
-        `;
-      } else if (updateFields.theme !== undefined) {
-        result = await this.sql`
-          UPDATE user_settings 
-          SET theme = ${updateFields.theme}, updated_at = NOW()
-          WHERE user_id = ${userId}
-          RETURNING *
-        `;
-      } else if (updateFields.default_roadmap_depth !== undefined) {
-        result = await this.sql`
-          UPDATE user_settings 
-          SET default_roadmap_depth = ${updateFields.default_roadmap_depth}, updated_at = NOW()
-          WHERE user_id = ${userId}
-          RETURNING *
-        `;
-      } else if (updateFields.default_video_length !== undefined) {
-        result = await this.sql`
-          UPDATE user_settings 
-          SET default_video_length = ${updateFields.default_video_length}, updated_at = NOW()
-          WHERE user_id = ${userId}
-          RETURNING *
-        `;
-      } else {
+      // Every field present in the update is written; the others keep their values
+      const has = (field) => updateFields[field] !== undefined;
+      if (!USER_SETTINGS_FIELDS.some(has)) {
         throw new Error(`Unsupported field update: ${Object.keys(updateFields).join(', ')}`);
       }
+
+      const result = await this.sql`
+        UPDATE user_settings 
+        SET full_name = CASE WHEN ${has('full_name')} THEN ${updateFields.full_name ?? null} ELSE full_name END,
+            about_description = CASE WHEN ${has('about_description')} THEN ${updateFields.about_description ?? null} ELSE about_description END,
+            theme = CASE WHEN ${has('theme')} THEN ${updateFields.theme ?? null} ELSE theme END,
+            default_roadmap_depth = CASE WHEN ${has('default_roadmap_depth')} THEN ${updateFields.default_roadmap_depth ?? null} ELSE default_roadmap_depth END,
+            default_video_length = CASE WHEN ${has('default_video_length')} THEN ${updateFields.default_video_length ?? null} ELSE default_video_length END,
+            preferred_language = CASE WHEN ${has('preferred_language')} THEN ${updateFields.preferred_language ?? null} ELSE preferred_language END,
+            region = CASE WHEN ${has('region')} THEN ${updateFields.region ?? null} ELSE region END,
+            updated_at = NOW()
+        WHERE user_id = ${userId}
+        RETURNING *
+      `;
       
       if (result.length === 0) {
         throw new Error('No user settings found to update');
@@ -1189,15 +1494,17 @@ class DatabaseService {
         about_description,
         theme = 'light',
         default_roadmap_depth = 'detailed',
-        default_video_length = 'medium'
+        default_video_length = 'medium',
+        preferred_language = 'en',
+        region = null
       } = settings;
 
       const result = await this.sql`
         INSERT INTO user_settings (
           user_id, full_name, about_description, theme, 
-          default_roadmap_depth, default_video_length
+          default_roadmap_depth, default_video_length, preferred_language, region
         )
-        VALUES (${userId}, ${full_name}, ${about_description}, ${theme}, ${default_roadmap_depth}, ${default_video_length})
+        VALUES (${userId}, ${full_name}, ${about_description}, ${theme}, ${default_roadmap_depth}, ${default_video_length}, ${preferred_language}, ${region})
         ON CONFLICT (user_id) 
         DO UPDATE SET 
           full_name = EXCLUDED.full_name,
@@ -1205,6 +1512,8 @@ class DatabaseService {
           theme = EXCLUDED.theme,
           default_roadmap_depth = EXCLUDED.default_roadmap_depth,
           default_video_length = EXCLUDED.default_video_length,
+          preferred_language = EXCLUDED.preferred_language,
+          region = EXCLUDED.region,
           updated_at = NOW()
         RETURNING *
       `;
@@ -1841,6 +2150,1173 @@ class DatabaseService {
       return false;
     }
   }
+
+  // Channel Rules (allow/block/boost per YouTube channel; user_id NULL = global)
+  async listChannelRules(userId = null) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT *
+        FROM channel_rules
+        WHERE user_id IS NOT DISTINCT FROM ${userId}::uuid
+        ORDER BY rule ASC, created_at ASC
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to list channel rules: ${error.message}`);
+    }
+  }
+
+  async createChannelRule(userId, rule) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO channel_rules (user_id, rule, channel_id, channel_title, technology, boost)
+        VALUES (
+          ${userId}, ${rule.rule}, ${rule.channelId}, ${rule.channelTitle},
+          ${rule.technology}, ${rule.boost}
+        )
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw accessError(409, 'CHANNEL_RULE_EXISTS', 'An identical channel rule already exists');
+      }
+      throw new Error(`Failed to create channel rule: ${error.message}`);
+    }
+  }
+
+  // Only deletes the rule within the given scope (a user's own, or global)
+  async deleteChannelRule(id, userId = null) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        DELETE FROM channel_rules 
+        WHERE id = ${id} AND user_id IS NOT DISTINCT FROM ${userId}::uuid
+        RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete channel rule: ${error.message}`);
+    }
+  }
+
+  // Fallback Videos (curated catalog used when YouTube search is unavailable)
+  async listFallbackVideos({ technology = null, activeOnly = false } = {}) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT *
+        FROM fallback_videos
+        WHERE (${technology}::text IS NULL OR technology = ${technology}::text)
+          AND (${activeOnly} = false OR active = true)
+        ORDER BY technology ASC, quality_score DESC NULLS LAST, title ASC
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to list fallback videos: ${error.message}`);
+    }
+  }
+
+  async getFallbackVideoById(id) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT * FROM fallback_videos WHERE id = ${id}
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to get fallback video: ${error.message}`);
+    }
+  }
+
+  async createFallbackVideo(video) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO fallback_videos (
+          video_id, title, description, channel_title, duration, duration_minutes,
+          published_at, view_count, quality_score, technology, level, language,
+          tags, is_default, active
+        )
+        VALUES (
+          ${video.videoId}, ${video.title}, ${video.description}, ${video.channelTitle},
+          ${video.duration}, ${video.durationMinutes}, ${video.publishedAt}, ${video.viewCount},
+          ${video.qualityScore}, ${video.technology}, ${video.level}, ${video.language},
+          ${video.tags}, ${video.isDefault}, ${video.active}
+        )
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw accessError(409, 'FALLBACK_VIDEO_EXISTS', `Video ${video.videoId} is already in the fallback catalog`);
+      }
+      throw new Error(`Failed to create fallback video: ${error.message}`);
+    }
+  }
+
+  // Only the fields present in `video` are changed
+  async updateFallbackVideo(id, video) {
+    this._checkConnection();
+    try {
+      const has = (field) => video[field] !== undefined;
+      const result = await this.sql`
+        UPDATE fallback_videos 
+        SET video_id = CASE WHEN ${has('videoId')} THEN ${video.videoId ?? null} ELSE video_id END,
+            title = CASE WHEN ${has('title')} THEN ${video.title ?? null} ELSE title END,
+            description = CASE WHEN ${has('description')} THEN ${video.description ?? null} ELSE description END,
+            channel_title = CASE WHEN ${has('channelTitle')} THEN ${video.channelTitle ?? null} ELSE channel_title END,
+            duration = CASE WHEN ${has('duration')} THEN ${video.duration ?? null} ELSE duration END,
+            duration_minutes = CASE WHEN ${has('durationMinutes')} THEN ${video.durationMinutes ?? null}::int ELSE duration_minutes END,
+            published_at = CASE WHEN ${has('publishedAt')} THEN ${video.publishedAt ?? null}::timestamptz ELSE published_at END,
+            view_count = CASE WHEN ${has('viewCount')} THEN ${video.viewCount ?? null}::bigint ELSE view_count END,
+            quality_score = CASE WHEN ${has('qualityScore')} THEN ${video.qualityScore ?? null}::numeric ELSE quality_score END,
+            technology = CASE WHEN ${has('technology')} THEN ${video.technology ?? null} ELSE technology END,
+            level = CASE WHEN ${has('level')} THEN ${video.level ?? null} ELSE level END,
+            language = CASE WHEN ${has('language')} THEN ${video.language ?? null} ELSE language END,
+            tags = CASE WHEN ${has('tags')} THEN ${video.tags ?? null}::text[] ELSE tags END,
+            is_default = CASE WHEN ${has('isDefault')} THEN ${video.isDefault ?? null}::boolean ELSE is_default END,
+            active = CASE WHEN ${has('active')} THEN ${video.active ?? null}::boolean ELSE active END,
+            updated_at = NOW()
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw accessError(409, 'FALLBACK_VIDEO_EXISTS', `Video ${video.videoId} is already in the fallback catalog`);
+      }
+      throw new Error(`Failed to update fallback video: ${error.message}`);
+    }
+  }
+
+  async deleteFallbackVideo(id) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        DELETE FROM fallback_videos WHERE id = ${id} RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete fallback video: ${error.message}`);
+    }
+  }
+
+  // Insert or update by YouTube video id, all rows in one transaction
+  async upsertFallbackVideos(videos) {
+    this._checkConnection();
+    try {
+      const results = await this.sql.transaction(
+        videos.map(
+          (video) => this.sql`
+            INSERT INTO fallback_videos (
+              video_id, title, description, channel_title, duration, duration_minutes,
+              published_at, view_count, quality_score, technology, level, language,
+              tags, is_default, active
+            )
+            VALUES (
+              ${video.videoId}, ${video.title}, ${video.description}, ${video.channelTitle},
+              ${video.duration}, ${video.durationMinutes}, ${video.publishedAt}, ${video.viewCount},
+              ${video.qualityScore}, ${video.technology}, ${video.level}, ${video.language},
+              ${video.tags}, ${video.isDefault}, ${video.active}
+            )
+            ON CONFLICT (video_id) DO UPDATE SET
+              title = EXCLUDED.title,
+              description = EXCLUDED.description,
+              channel_title = EXCLUDED.channel_title,
+              duration = EXCLUDED.duration,
+              duration_minutes = EXCLUDED.duration_minutes,
+              published_at = EXCLUDED.published_at,
+              view_count = EXCLUDED.view_count,
+              quality_score = EXCLUDED.quality_score,
+              technology = EXCLUDED.technology,
+              level = EXCLUDED.level,
+              language = EXCLUDED.language,
+              tags = EXCLUDED.tags,
+              is_default = EXCLUDED.is_default,
+              active = EXCLUDED.active,
+              updated_at = NOW()
+            RETURNING id, video_id, (xmax = 0) AS inserted
+          `
+        )
+      );
+      
+      return results.map((rows) => rows[0]);
+    } catch (error) {
+      throw new Error(`Failed to import fallback videos: ${error.message}`);
+    }
+  }
+
+  async countFallbackVideos() {
+    this._checkConnection();
+    try {
+      const result = await this.sql`SELECT COUNT(*)::int AS count FROM fallback_videos`;
+      return result[0].count;
+    } catch (error) {
+      throw new Error(`Failed to count fallback videos: ${error.message}`);
+    }
+  }
+
+  // YouTube Quota (units spent per Pacific-time quota day, see youtubeQuotaService)
+  async addYoutubeQuotaUsage(quotaDay, method, units) {
+    this._checkConnection();
+    try {
+      await this.sql`
+        INSERT INTO youtube_quota_usage (quota_day, method, units, calls)
+        VALUES (${quotaDay}, ${method}, ${units}, 1)
+        ON CONFLICT (quota_day, method) 
+        DO UPDATE SET 
+          units = youtube_quota_usage.units + EXCLUDED.units,
+          calls = youtube_quota_usage.calls + 1,
+          updated_at = NOW()
+      `;
+      
+      const result = await this.sql`
+        SELECT COALESCE(SUM(units), 0)::int AS units
+        FROM youtube_quota_usage
+        WHERE quota_day = ${quotaDay}
+      `;
+      
+      return result[0].units;
+    } catch (error) {
+      throw new Error(`Failed to record YouTube quota usage: ${error.message}`);
+    }
+  }
+
+  async getYoutubeQuotaUsage(quotaDay) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT method, units, calls
+        FROM youtube_quota_usage
+        WHERE quota_day = ${quotaDay}
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get YouTube quota usage: ${error.message}`);
+    }
+  }
+
+  // Response Cache (optional shared tier behind cacheService's in-memory LRU)
+  async getCacheEntry(cacheKey) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT value, expires_at
+        FROM response_cache
+        WHERE cache_key = ${cacheKey} AND expires_at > NOW()
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to get cache entry: ${error.message}`);
+    }
+  }
+
+  async setCacheEntry(cacheKey, namespace, value, expiresAt) {
+    this._checkConnection();
+    try {
+      await this.sql`
+        INSERT INTO response_cache (cache_key, namespace, value, expires_at)
+        VALUES (${cacheKey}, ${namespace}, ${JSON.stringify(value)}, ${expiresAt})
+        ON CONFLICT (cache_key) 
+        DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, created_at = NOW()
+      `;
+    } catch (error) {
+      throw new Error(`Failed to set cache entry: ${error.message}`);
+    }
+  }
+
+  // Removes a namespace (or everything when null) plus any expired rows
+  async deleteCacheEntries(namespace = null) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        DELETE FROM response_cache
+        WHERE ${namespace}::text IS NULL 
+          OR namespace = ${namespace}::text 
+          OR expires_at <= NOW()
+        RETURNING cache_key
+      `;
+      
+      return result.length;
+    } catch (error) {
+      throw new Error(`Failed to delete cache entries: ${error.message}`);
+    }
+  }
+
+  // AI Usage (one row per model call, see usageService)
+  async createAiUsageEvent(event) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO ai_usage_events (
+          user_id, endpoint, task, provider, model,
+          prompt_tokens, completion_tokens, total_tokens, cost_usd
+        )
+        VALUES (
+          ${event.userId}, ${event.endpoint}, ${event.task}, ${event.provider}, ${event.model},
+          ${event.promptTokens}, ${event.completionTokens}, ${event.totalTokens}, ${event.costUsd}
+        )
+        RETURNING id, created_at
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to record AI usage: ${error.message}`);
+    }
+  }
+
+  async getUserTokenUsageSince(userId, since) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT COALESCE(SUM(total_tokens), 0)::bigint AS total_tokens
+        FROM ai_usage_events
+        WHERE user_id = ${userId} AND created_at >= ${since}
+      `;
+      
+      return Number(result[0].total_tokens);
+    } catch (error) {
+      throw new Error(`Failed to get user token usage: ${error.message}`);
+    }
+  }
+
+  async getDailyAiUsage({ from, to, userId = null, endpoint = null }) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT 
+          DATE_TRUNC('day', created_at AT TIME ZONE 'UTC')::date AS day,
+          user_id,
+          endpoint,
+          model,
+          COUNT(*)::int AS calls,
+          SUM(prompt_tokens)::bigint AS prompt_tokens,
+          SUM(completion_tokens)::bigint AS completion_tokens,
+          SUM(total_tokens)::bigint AS total_tokens,
+          SUM(cost_usd) AS cost_usd
+        FROM ai_usage_events
+        WHERE created_at >= ${from} 
+          AND created_at < ${to}
+          AND (${userId}::uuid IS NULL OR user_id = ${userId}::uuid)
+          AND (${endpoint}::text IS NULL OR endpoint = ${endpoint}::text)
+        GROUP BY 1, 2, 3, 4
+        ORDER BY day DESC, total_tokens DESC
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get daily AI usage: ${error.message}`);
+    }
+  }
+
+  async getUserAiBudget(userId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT user_id, monthly_token_limit, updated_at
+        FROM user_ai_budgets
+        WHERE user_id = ${userId}
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to get user AI budget: ${error.message}`);
+    }
+  }
+
+  // A null limit removes the override so the default budget applies again.
+  // Returns null when the user does not exist.
+  async setUserAiBudget(userId, monthlyTokenLimit) {
+    this._checkConnection();
+    try {
+      const user = await this.sql`SELECT id FROM users WHERE id = ${userId}`;
+      if (user.length === 0) {
+        return null;
+      }
+
+      if (monthlyTokenLimit === null) {
+        await this.sql`DELETE FROM user_ai_budgets WHERE user_id = ${userId}`;
+        return { user_id: userId, monthly_token_limit: null, updated_at: null };
+      }
+
+      const result = await this.sql`
+        INSERT INTO user_ai_budgets (user_id, monthly_token_limit)
+        VALUES (${userId}, ${monthlyTokenLimit})
+        ON CONFLICT (user_id) 
+        DO UPDATE SET monthly_token_limit = EXCLUDED.monthly_token_limit, updated_at = NOW()
+        RETURNING user_id, monthly_token_limit, updated_at
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to set user AI budget: ${error.message}`);
+    }
+  }
+
+  // Generation Jobs (background work queued by the bulk playlist endpoints)
+  async createGenerationJob(userId, type, payload, progress = {}, maxAttempts = 3) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO generation_jobs (user_id, type, payload, progress, max_attempts)
+        VALUES (${userId}, ${type}, ${JSON.stringify(payload)}, ${JSON.stringify(progress)}, ${maxAttempts})
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to create generation job: ${error.message}`);
+    }
+  }
+
+  async getGenerationJob(jobId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT * FROM generation_jobs WHERE id = ${jobId}
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to get generation job: ${error.message}`);
+    }
+  }
+
+  // Throws 404 when the job does not exist and 403 when it belongs to another user
+  async authorizeGenerationJobAccess(jobId, userId) {
+    this._checkConnection();
+
+    if (!jobId || !UUID_PATTERN.test(String(jobId))) {
+      throw accessError(404, 'JOB_NOT_FOUND', `Job ${jobId} not found`);
+    }
+
+    const job = await this.getGenerationJob(jobId);
+    if (!job) {
+      throw accessError(404, 'JOB_NOT_FOUND', `Job ${jobId} not found`);
+    }
+    if (job.user_id !== userId) {
+      throw accessError(403, 'JOB_FORBIDDEN', 'Job does not belong to the authenticated user');
+    }
+
+    return job;
+  }
+
+  // Atomically hand the oldest runnable job to one worker; SKIP LOCKED keeps
+  // concurrent workers (or server instances) from claiming the same row
+  async claimNextGenerationJob(workerId, types) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE generation_jobs 
+        SET status = 'running',
+            attempts = attempts + 1,
+            locked_by = ${workerId},
+            locked_at = NOW(),
+            started_at = COALESCE(started_at, NOW()),
+            updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM generation_jobs
+          WHERE status = 'queued' 
+            AND run_at <= NOW()
+            AND type = ANY(${types})
+          ORDER BY run_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to claim generation job: ${error.message}`);
+    }
+  }
+
+  // Returns whether cancellation was requested, or null if the job is gone
+  async updateGenerationJobProgress(jobId, progress) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE generation_jobs 
+        SET progress = ${JSON.stringify(progress)}, locked_at = NOW(), updated_at = NOW()
+        WHERE id = ${jobId}
+        RETURNING cancel_requested
+      `;
+      
+      return result.length > 0 ? result[0].cancel_requested : null;
+    } catch (error) {
+      throw new Error(`Failed to update generation job progress: ${error.message}`);
+    }
+  }
+
+  async completeGenerationJob(jobId, result, progress) {
+    this._checkConnection();
+    try {
+      const rows = await this.sql`
+        UPDATE generation_jobs 
+        SET status = 'completed',
+            result = ${JSON.stringify(result)},
+            progress = ${JSON.stringify(progress)},
+            error = NULL,
+            locked_by = NULL,
+            locked_at = NULL,
+            finished_at = NOW(),
+            updated_at = NOW()
+        WHERE id = ${jobId}
+        RETURNING *
+      `;
+      
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to complete generation job: ${error.message}`);
+    }
+  }
+
+  // With retryAt the job goes back to the queue, otherwise it fails for good
+  async failGenerationJob(jobId, errorMessage, retryAt = null) {
+    this._checkConnection();
+    try {
+      const rows = retryAt
+        ? await this.sql`
+            UPDATE generation_jobs 
+            SET status = 'queued',
+                error = ${errorMessage},
+                run_at = ${retryAt},
+                locked_by = NULL,
+                locked_at = NULL,
+                updated_at = NOW()
+            WHERE id = ${jobId}
+            RETURNING *
+          `
+        : await this.sql`
+            UPDATE generation_jobs 
+            SET status = 'failed',
+                error = ${errorMessage},
+                locked_by = NULL,
+                locked_at = NULL,
+                finished_at = NOW(),
+                updated_at = NOW()
+            WHERE id = ${jobId}
+            RETURNING *
+          `;
+      
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to fail generation job: ${error.message}`);
+    }
+  }
+
+  // Put a running job back in the queue without using up an attempt
+  async deferGenerationJob(jobId, progress, runAt, reason) {
+    this._checkConnection();
+    try {
+      const rows = await this.sql`
+        UPDATE generation_jobs 
+        SET status = 'queued',
+            attempts = GREATEST(attempts - 1, 0),
+            progress = ${JSON.stringify(progress)},
+            error = ${reason},
+            run_at = ${runAt},
+            locked_by = NULL,
+            locked_at = NULL,
+            updated_at = NOW()
+        WHERE id = ${jobId}
+        RETURNING *
+      `;
+      
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to defer generation job: ${error.message}`);
+    }
+  }
+
+  // Queued jobs are cancelled immediately; running jobs are flagged and
+  // stopped by their worker at the next step boundary
+  async requestGenerationJobCancel(jobId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE generation_jobs 
+        SET cancel_requested = true,
+            status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+            finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+            updated_at = NOW()
+        WHERE id = ${jobId} AND status IN ('queued', 'running')
+        RETURNING *
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to cancel generation job: ${error.message}`);
+    }
+  }
+
+  async markGenerationJobCancelled(jobId, progress) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE generation_jobs 
+        SET status = 'cancelled',
+            progress = ${JSON.stringify(progress)},
+            locked_by = NULL,
+            locked_at = NULL,
+            finished_at = NOW(),
+            updated_at = NOW()
+        WHERE id = ${jobId}
+        RETURNING *
+      `;
+      
+      return result.length > 0 ? result[0] : null;
+    } catch (error) {
+      throw new Error(`Failed to mark generation job cancelled: ${error.message}`);
+    }
+  }
+
+  // Jobs whose worker stopped reporting (crash, redeploy) go back to the queue,
+  // or fail once they are out of attempts
+  async requeueStaleGenerationJobs(staleAfterSeconds) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE generation_jobs 
+        SET status = CASE 
+              WHEN cancel_requested THEN 'cancelled'
+              WHEN attempts >= max_attempts THEN 'failed'
+              ELSE 'queued'
+            END,
+            error = CASE 
+              WHEN cancel_requested OR attempts < max_attempts THEN error
+              ELSE 'Worker stopped while processing the job'
+            END,
+            finished_at = CASE 
+              WHEN cancel_requested OR attempts >= max_attempts THEN NOW()
+              ELSE finished_at
+            END,
+            locked_by = NULL,
+            locked_at = NULL,
+            run_at = NOW(),
+            updated_at = NOW()
+        WHERE status = 'running' 
+          AND locked_at < NOW() - make_interval(secs => ${staleAfterSeconds})
+        RETURNING id
+      `;
+      
+      return result.length;
+    } catch (error) {
+      throw new Error(`Failed to requeue stale generation jobs: ${error.message}`);
+    }
+  }
+
+  // Video Health Checks (see videoHealthService)
+  // Users with stored videos and no health check job queued, running or
+  // created within the last recheckSeconds
+  async listUsersDueForVideoHealthCheck(jobType, recheckSeconds, limit = 50) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT DISTINCT ut.user_id
+        FROM user_topics ut
+        JOIN user_roadmaps ur ON ur.user_topic_id = ut.id
+        JOIN user_videos uv ON uv.user_roadmap_id = ur.id
+        WHERE NOT EXISTS (
+          SELECT 1 FROM generation_jobs gj
+          WHERE gj.user_id = ut.user_id 
+            AND gj.type = ${jobType}
+            AND (
+              gj.status IN ('queued', 'running')
+              OR gj.created_at > NOW() - make_interval(secs => ${recheckSeconds})
+            )
+        )
+        LIMIT ${limit}
+      `;
+      
+      return result.map((row) => row.user_id);
+    } catch (error) {
+      throw new Error(`Failed to list users due for video health check: ${error.message}`);
+    }
+  }
+
+  // The playlist a user currently sees for each point: the latest generation on page 1
+  async getCurrentPointVideos(userId, userRoadmapId = null) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT DISTINCT ON (uv.user_roadmap_id, uv.level, uv.point_id)
+          uv.user_roadmap_id, uv.level, uv.point_id, uv.page_number,
+          uv.generation_number, uv.video_data, ut.topic
+        FROM user_videos uv
+        JOIN user_roadmaps ur ON uv.user_roadmap_id = ur.id
+        JOIN user_topics ut ON ur.user_topic_id = ut.id
+        WHERE ut.user_id = ${userId} 
+          AND (${userRoadmapId}::uuid IS NULL OR uv.user_roadmap_id = ${userRoadmapId})
+          AND uv.page_number = 1
+          AND uv.point_id IS NOT NULL
+        ORDER BY uv.user_roadmap_id, uv.level, uv.point_id, uv.generation_number DESC, uv.created_at DESC
+      `;
+      
+      return result.map((row) => ({
+        ...row,
+        video_data: typeof row.video_data === 'string' ? JSON.parse(row.video_data) : row.video_data
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get current point videos: ${error.message}`);
+    }
+  }
+
+  // Store the checked playlist as the point's next generation together with
+  // its replacement report, in one statement. Nothing is written when the
+  // playlist changed since it was read (e.g. the user regenerated it);
+  // generation_number is then null.
+  async storeHealthCheckedVideos(userId, current, videoData, replacements) {
+    this._checkConnection();
+    try {
+      const { user_roadmap_id, level, page_number, point_id, generation_number } = current;
+      const result = await this.sql`
+        WITH stored AS (
+          INSERT INTO user_videos (user_roadmap_id, level, video_data, page_number, generation_number, point_id, created_at, updated_at)
+          SELECT ${user_roadmap_id}, ${level}, ${JSON.stringify(videoData)}, ${page_number},
+                 ${generation_number + 1}, ${point_id}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+          WHERE EXISTS (
+            SELECT 1 FROM user_videos 
+            WHERE user_roadmap_id = ${user_roadmap_id} AND level = ${level}
+              AND page_number = ${page_number} AND point_id = ${point_id}
+              AND generation_number = ${generation_number}
+              AND video_data = ${JSON.stringify(current.video_data)}::jsonb
+          ) AND NOT EXISTS (
+            SELECT 1 FROM user_videos 
+            WHERE user_roadmap_id = ${user_roadmap_id} AND level = ${level}
+              AND page_number = ${page_number} AND point_id = ${point_id}
+              AND generation_number > ${generation_number}
+          )
+          ON CONFLICT DO NOTHING
+          RETURNING generation_number
+        ),
+        reported AS (
+          INSERT INTO video_replacements (
+            user_id, user_roadmap_id, level, point_id, generation_number,
+            old_video_id, old_title, new_video_id, new_title, reason
+          )
+          SELECT ${userId}, ${user_roadmap_id}, ${level}, ${point_id}, stored.generation_number,
+                 r.old_video_id, r.old_title, r.new_video_id, r.new_title, r.reason
+          FROM stored, jsonb_to_recordset(${JSON.stringify(replacements)}::jsonb) AS r(
+            old_video_id TEXT, old_title TEXT, new_video_id TEXT, new_title TEXT, reason TEXT
+          )
+          RETURNING id
+        )
+        SELECT 
+          (SELECT generation_number FROM stored) AS generation_number,
+          (SELECT COUNT(*)::int FROM reported) AS reported
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to store health checked videos: ${error.message}`);
+    }
+  }
+
+  async listVideoReplacements(userId, { unseenOnly = false, limit = 100 } = {}) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT *
+        FROM video_replacements
+        WHERE user_id = ${userId}
+          AND (${unseenOnly} = false OR seen_at IS NULL)
+        ORDER BY created_at DESC
+        LIMIT ${limit}
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to list video replacements: ${error.message}`);
+    }
+  }
+
+  async markVideoReplacementsSeen(userId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE video_replacements 
+        SET seen_at = NOW()
+        WHERE user_id = ${userId} AND seen_at IS NULL
+        RETURNING id
+      `;
+      
+      return result.length;
+    } catch (error) {
+      throw new Error(`Failed to mark video replacements seen: ${error.message}`);
+    }
+  }
+
+  // Video Watch Progress (see watchProgressService)
+  async upsertVideoWatchProgress(userId, roadmapId, videoId, progress) {
+    this._checkConnection();
+    try {
+      const { pointId, positionSeconds, durationSeconds, percentWatched, completed } = progress;
+      
+      // The furthest percent and completion are kept; the position is the latest
+      // one sent, so the player resumes where the user left off
+      const result = await this.sql`
+        INSERT INTO video_watch_progress (
+          user_id, roadmap_id, point_id, video_id, position_seconds, duration_seconds,
+          percent_watched, completed, completed_at
+        )
+        VALUES (
+          ${userId}, ${roadmapId}, ${pointId}, ${videoId}, COALESCE(${positionSeconds}::numeric, 0), ${durationSeconds},
+          COALESCE(${percentWatched}::numeric, 0), ${completed}, ${completed ? new Date().toISOString() : null}
+        )
+        ON CONFLICT (user_id, roadmap_id, video_id) DO UPDATE SET
+          point_id = EXCLUDED.point_id,
+          position_seconds = COALESCE(${positionSeconds}::numeric, video_watch_progress.position_seconds),
+          duration_seconds = COALESCE(EXCLUDED.duration_seconds, video_watch_progress.duration_seconds),
+          percent_watched = GREATEST(video_watch_progress.percent_watched, EXCLUDED.percent_watched),
+          completed = video_watch_progress.completed OR EXCLUDED.completed,
+          completed_at = COALESCE(video_watch_progress.completed_at, EXCLUDED.completed_at),
+          last_watched_at = NOW(),
+          updated_at = NOW()
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to save video watch progress: ${error.message}`);
+    }
+  }
+
+  async getVideoWatchProgress(userId, roadmapId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT * FROM video_watch_progress 
+        WHERE user_id = ${userId} AND roadmap_id = ${roadmapId}
+        ORDER BY last_watched_at DESC
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get video watch progress: ${error.message}`);
+    }
+  }
+
+  // The playlist the user currently sees for a point (latest generation on page 1)
+  async getCurrentPointVideoData(userRoadmapId, pointId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT video_data
+        FROM user_videos 
+        WHERE user_roadmap_id = ${userRoadmapId}
+          AND point_id = ${pointId}
+          AND page_number = 1
+        ORDER BY generation_number DESC, created_at DESC
+        LIMIT 1
+      `;
+      
+      if (result.length === 0) {
+        return [];
+      }
+      const videoData = result[0].video_data;
+      return typeof videoData === 'string' ? JSON.parse(videoData) : videoData;
+    } catch (error) {
+      throw new Error(`Failed to get current point videos: ${error.message}`);
+    }
+  }
+
+  // Video Feedback (see videoFeedbackService)
+  async upsertVideoFeedback(userId, { videoId, topic, feedback, userRoadmapId, pointId }) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO video_feedback (user_id, video_id, topic, feedback, user_roadmap_id, point_id)
+        VALUES (${userId}, ${videoId}, ${topic}, ${feedback}, ${userRoadmapId}, ${pointId})
+        ON CONFLICT (user_id, video_id, topic) DO UPDATE SET
+          feedback = EXCLUDED.feedback,
+          user_roadmap_id = COALESCE(EXCLUDED.user_roadmap_id, video_feedback.user_roadmap_id),
+          point_id = COALESCE(EXCLUDED.point_id, video_feedback.point_id),
+          updated_at = NOW()
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to save video feedback: ${error.message}`);
+    }
+  }
+
+  async deleteVideoFeedback(userId, videoId, topic) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        DELETE FROM video_feedback 
+        WHERE user_id = ${userId} AND video_id = ${videoId} AND topic = ${topic}
+        RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete video feedback: ${error.message}`);
+    }
+  }
+
+  // Feedback counts per video, for one topic or (topic null) across all topics
+  async getVideoFeedbackCounts(videoIds, topic = null) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT 
+          video_id,
+          COUNT(*) FILTER (WHERE feedback = 'helpful')::int AS helpful,
+          COUNT(*) FILTER (WHERE feedback = 'not_helpful')::int AS not_helpful,
+          COUNT(*) FILTER (WHERE feedback = 'off_topic')::int AS off_topic,
+          COUNT(*) FILTER (WHERE feedback = 'outdated')::int AS outdated,
+          COUNT(*) FILTER (WHERE feedback = 'wrong_language')::int AS wrong_language
+        FROM video_feedback
+        WHERE video_id = ANY(${videoIds})
+          AND (${topic}::text IS NULL OR topic = ${topic})
+        GROUP BY video_id
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get video feedback counts: ${error.message}`);
+    }
+  }
+
+  // Feedback counts for one video, per topic
+  async getVideoFeedbackByTopic(videoId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT 
+          topic,
+          COUNT(*) FILTER (WHERE feedback = 'helpful')::int AS helpful,
+          COUNT(*) FILTER (WHERE feedback = 'not_helpful')::int AS not_helpful,
+          COUNT(*) FILTER (WHERE feedback = 'off_topic')::int AS off_topic,
+          COUNT(*) FILTER (WHERE feedback = 'outdated')::int AS outdated,
+          COUNT(*) FILTER (WHERE feedback = 'wrong_language')::int AS wrong_language
+        FROM video_feedback
+        WHERE video_id = ${videoId}
+        GROUP BY topic
+        ORDER BY COUNT(*) DESC
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get video feedback by topic: ${error.message}`);
+    }
+  }
+
+  // Video Notes
+  async createVideoNote(userId, { roadmapId, pointId, videoId, timestampSeconds, body }) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        INSERT INTO video_notes (user_id, roadmap_id, point_id, video_id, timestamp_seconds, body)
+        VALUES (${userId}, ${roadmapId}, ${pointId}, ${videoId}, ${timestampSeconds}, ${body})
+        RETURNING *
+      `;
+      
+      return result[0];
+    } catch (error) {
+      throw new Error(`Failed to create video note: ${error.message}`);
+    }
+  }
+
+  async getVideoNote(noteId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT * FROM video_notes WHERE id = ${noteId}
+      `;
+      
+      return result[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to get video note: ${error.message}`);
+    }
+  }
+
+  async authorizeVideoNoteAccess(noteId, userId) {
+    this._checkConnection();
+
+    if (!noteId || !UUID_PATTERN.test(String(noteId))) {
+      throw accessError(404, 'NOTE_NOT_FOUND', `Note ${noteId} not found`);
+    }
+
+    const note = await this.getVideoNote(noteId);
+    if (!note) {
+      throw accessError(404, 'NOTE_NOT_FOUND', `Note ${noteId} not found`);
+    }
+    if (note.user_id !== userId) {
+      throw accessError(403, 'NOTE_FORBIDDEN', 'Note does not belong to the authenticated user');
+    }
+
+    return note;
+  }
+
+  // Notes of a roadmap, optionally for one point and/or video, in playback order
+  async listVideoNotes(userId, roadmapId, { pointId = null, videoId = null } = {}) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT * FROM video_notes 
+        WHERE user_id = ${userId} 
+          AND roadmap_id = ${roadmapId}
+          AND (${pointId}::text IS NULL OR point_id = ${pointId})
+          AND (${videoId}::text IS NULL OR video_id = ${videoId})
+        ORDER BY point_id, video_id, timestamp_seconds NULLS FIRST, created_at
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to list video notes: ${error.message}`);
+    }
+  }
+
+  async updateVideoNote(noteId, { timestampSeconds, body }) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        UPDATE video_notes 
+        SET timestamp_seconds = ${timestampSeconds}, body = ${body}, updated_at = NOW()
+        WHERE id = ${noteId}
+        RETURNING *
+      `;
+      
+      return result[0] || null;
+    } catch (error) {
+      throw new Error(`Failed to update video note: ${error.message}`);
+    }
+  }
+
+  async deleteVideoNote(noteId) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        DELETE FROM video_notes WHERE id = ${noteId} RETURNING id
+      `;
+      
+      return result.length > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete video note: ${error.message}`);
+    }
+  }
+
+  // Full-text search over a user's notes ('simple' config: notes may be in any
+  // language), best matches first, with a highlighted snippet
+  async searchVideoNotes(userId, searchText, { roadmapId = null, limit = 50 } = {}) {
+    this._checkConnection();
+    try {
+      const result = await this.sql`
+        SELECT 
+          vn.*,
+          ut.topic,
+          ts_rank(vn.search_vector, query) AS rank,
+          ts_headline('simple', vn.body, query, 'MaxFragments=2, MinWords=5, MaxWords=20') AS snippet
+        FROM video_notes vn
+        CROSS JOIN websearch_to_tsquery('simple', ${searchText}) AS query
+        JOIN user_roadmaps ur ON vn.roadmap_id = ur.id
+        JOIN user_topics ut ON ur.user_topic_id = ut.id
+        WHERE vn.user_id = ${userId}
+          AND vn.search_vector @@ query
+          AND (${roadmapId}::uuid IS NULL OR vn.roadmap_id = ${roadmapId})
+        ORDER BY rank DESC, vn.updated_at DESC
+        LIMIT ${limit}
+      `;
+      
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to search video notes: ${error.message}`);
+    }
+  }
+
+  // Roadmap Editing
+  // Saves an edited roadmap in one transaction with the cleanup it needs.
+  // Videos and replacement history of deleted points are removed from their
+  // level; progress, watch progress and notes have no level and are removed
+  // for removedPointIds, the ids no level uses any more. Videos of moved
+  // points follow them from fromLevel to their new level. The update only
+  // applies while the stored revision is still expectedRevision; otherwise
+  // nothing changes and null is returned.
+  async applyRoadmapEdit(roadmapId, roadmapData, expectedRevision, { deletedPoints = [], removedPointIds = [], movedPoints = [] } = {}) {
+    this._checkConnection();
+    try {
+      const deletedIds = deletedPoints.map((point) => point.pointId);
+      const deletedLevels = deletedPoints.map((point) => point.level);
+      const movedIds = movedPoints.map((point) => point.pointId);
+      const movedFromLevels = movedPoints.map((point) => point.fromLevel);
+      const movedLevels = movedPoints.map((point) => point.level);
+
+      // The cleanup statements run only if the update matched, which is when
+      // the row carries this transaction's NOW(). Deletes run before moves, so
+      // a point moved into a level takes the place of one deleted from it;
+      // each move statement sees the levels as they were, so swaps work too.
+      const results = await this.sql.transaction([
+        this.sql`
+          UPDATE user_roadmaps
+          SET roadmap_data = ${JSON.stringify(roadmapData)}, updated_at = NOW()
+          WHERE id = ${roadmapId}
+            AND COALESCE((roadmap_data::jsonb ->> 'revision')::int, 0) = ${expectedRevision}
+          RETURNING id, user_topic_id, roadmap_data, created_at, updated_at
+        `,
+        this.sql`
+          DELETE FROM user_videos uv
+          USING unnest(${deletedIds}::text[], ${deletedLevels}::text[]) AS deleted(point_id, level)
+          WHERE uv.user_roadmap_id = ${roadmapId} AND uv.point_id = deleted.point_id AND uv.level = deleted.level
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          DELETE FROM video_replacements vr
+          USING unnest(${deletedIds}::text[], ${deletedLevels}::text[]) AS deleted(point_id, level)
+          WHERE vr.user_roadmap_id = ${roadmapId} AND vr.point_id = deleted.point_id AND vr.level = deleted.level
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          DELETE FROM roadmap_progress
+          WHERE roadmap_id = ${roadmapId} AND point_id = ANY(${removedPointIds})
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          DELETE FROM video_watch_progress
+          WHERE roadmap_id = ${roadmapId} AND point_id = ANY(${removedPointIds})
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          DELETE FROM video_notes
+          WHERE roadmap_id = ${roadmapId} AND point_id = ANY(${removedPointIds})
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          UPDATE user_videos uv SET level = moved.level
+          FROM unnest(${movedIds}::text[], ${movedFromLevels}::text[], ${movedLevels}::text[]) AS moved(point_id, from_level, level)
+          WHERE uv.user_roadmap_id = ${roadmapId} AND uv.point_id = moved.point_id AND uv.level = moved.from_level
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `,
+        this.sql`
+          UPDATE video_replacements vr SET level = moved.level
+          FROM unnest(${movedIds}::text[], ${movedFromLevels}::text[], ${movedLevels}::text[]) AS moved(point_id, from_level, level)
+          WHERE vr.user_roadmap_id = ${roadmapId} AND vr.point_id = moved.point_id AND vr.level = moved.from_level
+            AND EXISTS (SELECT 1 FROM user_roadmaps WHERE id = ${roadmapId} AND updated_at = NOW())
+        `
+      ]);
+      
+      return results[0][0] || null;
+    } catch (error) {
+      throw new Error(`Failed to apply roadmap edit: ${error.message}`);
+    }
+  }
 }
 
 export default new DatabaseService();
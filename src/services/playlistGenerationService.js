@@ -0,0 +1,311 @@
+import { PlaylistItem } from "../models/responseModels.js";
+import geminiService from "./geminiService.js";
+import youtubeService from "./youtubeService.js";
+import neonDbService from "./neonDbService.js";
+import jobQueueService, { jobDeferredError } from "./jobQueueService.js";
+import youtubeQuotaService, { getQuotaResetTime } from "./youtubeQuotaService.js";
+import { generateId } from "../utils/helpers.js";
+import { DEFAULT_LANGUAGE } from "../utils/preferences.js";
+import { createDuplicateFilter } from "../utils/videoDedup.js";
+import { appLogger } from "../utils/logger.js";
+
+export const BULK_PLAYLIST_JOB = "playlist_bulk_generation";
+
+const MIN_VIDEOS_PER_POINT = 3;
+const MAX_VIDEOS_PER_POINT = 5;
+
+// Helper method to generate fallback titles
+export const generateFallbackTitles = async (
+  topic,
+  pointTitle,
+  userPreferences,
+  usedVideoIds
+) => {
+  const fallbackPatterns = [
+    `${pointTitle} ${topic} tutorial`,
+    `Learn ${pointTitle} in ${topic}`,
+    `${topic} ${pointTitle} complete guide`,
+    `${pointTitle} for ${topic} developers`,
+    `${topic} ${pointTitle} step by step`,
+  ];
+
+  return fallbackPatterns;
+};
+
+export const toPlaylistItem = (result) =>
+  new PlaylistItem({
+    id: generateId("playlist"),
+    title: result.title,
+    videoUrl: `https://youtube.com/watch?v=${result.videoId}`,
+    duration: result.duration || "N/A",
+    durationMinutes: result.durationMinutes || null,
+    description: result.description || "No description available",
+    channelTitle: result.channelTitle || null,
+    publishedAt: result.publishedAt || null,
+    qualityScore: result.qualityScore,
+    scoreBreakdown: result.scoreBreakdown,
+    language: result.language,
+  });
+
+class PlaylistGenerationService {
+  // Stored user settings, falling back to defaults when they cannot be read
+  async resolveUserPreferences(userId) {
+    const defaults = {
+      default_roadmap_depth: "detailed",
+      default_video_length: "medium",
+      preferred_language: DEFAULT_LANGUAGE,
+      region: null,
+    };
+
+    if (!userId) {
+      return defaults;
+    }
+
+    try {
+      const userSettings = await neonDbService.getUserSettings(userId);
+      return {
+        default_roadmap_depth:
+          userSettings?.default_roadmap_depth || defaults.default_roadmap_depth,
+        default_video_length:
+          userSettings?.default_video_length || defaults.default_video_length,
+        preferred_language:
+          userSettings?.preferred_language || defaults.preferred_language,
+        region: userSettings?.region || defaults.region,
+      };
+    } catch (error) {
+      appLogger.warn("Could not fetch user settings for bulk generation, using defaults", {
+        userId,
+        error: error.message,
+      });
+      return defaults;
+    }
+  }
+
+  // Every video stored for the roadmap (all levels, pages and generations), so
+  // new searches skip them and their re-uploads. A failed read skips nothing.
+  async roadmapDuplicateFilter(userRoadmapId) {
+    if (!userRoadmapId) {
+      return createDuplicateFilter();
+    }
+
+    try {
+      return createDuplicateFilter(await neonDbService.getRoadmapStoredVideos(userRoadmapId));
+    } catch (error) {
+      appLogger.warn("Could not load stored roadmap videos for deduplication", {
+        userRoadmapId,
+        error: error.message,
+      });
+      return createDuplicateFilter();
+    }
+  }
+
+  // Titles from Gemini -> YouTube search -> dedupe, topped up with fallback
+  // searches. Used by /generate, /regenerate and the bulk job alike. `seen`
+  // is shared across the steps of one roadmap.
+  async generatePointVideos(topic, pointTitle, userPreferences, seen = createDuplicateFilter()) {
+    const videoTitles = await geminiService.generateVideoTitles(
+      topic,
+      pointTitle,
+      userPreferences
+    );
+    appLogger.info("Generated video titles", {
+      topic,
+      pointTitle,
+      titlesCount: videoTitles.length,
+      titles: videoTitles,
+    });
+
+    const playlists = [];
+    const usedVideoIds = new Set();
+    const usedTitles = new Set();
+
+    const addResults = (results, limit) => {
+      for (const result of results) {
+        if (
+          result &&
+          result.videoId &&
+          !usedVideoIds.has(result.videoId) &&
+          !usedTitles.has(result.title.toLowerCase()) &&
+          playlists.length < limit
+        ) {
+          playlists.push(toPlaylistItem(result));
+          usedVideoIds.add(result.videoId);
+          usedTitles.add(result.title.toLowerCase());
+        }
+      }
+    };
+
+    addResults(
+      await youtubeService.searchMultipleVideos(videoTitles, userPreferences, { seen, topic }),
+      Infinity
+    );
+
+    if (playlists.length < MIN_VIDEOS_PER_POINT) {
+      appLogger.info("Insufficient videos found, trying fallback search", {
+        topic,
+        pointTitle,
+        currentCount: playlists.length,
+      });
+      const fallbackTitles = await generateFallbackTitles(
+        topic,
+        pointTitle,
+        userPreferences,
+        usedVideoIds
+      );
+      addResults(
+        await youtubeService.searchMultipleVideos(fallbackTitles, userPreferences, { seen, topic }),
+        MAX_VIDEOS_PER_POINT
+      );
+    }
+
+    return playlists;
+  }
+
+  /**
+   * Initial progress for a bulk job; every step starts as pending
+   * @param {Array<{pointId: string, pointTitle: string}>} steps - Steps to generate videos for
+   * @returns {Object} Progress object stored on the job
+   */
+  buildBulkProgress(steps) {
+    return {
+      total: steps.length,
+      completed: 0,
+      steps: steps.map((step) => ({
+        pointId: step.pointId,
+        pointTitle: step.pointTitle,
+        status: "pending",
+        videoCount: 0,
+        error: null,
+      })),
+    };
+  }
+
+  // Job handler for BULK_PLAYLIST_JOB. Steps already generated by an earlier
+  // attempt are kept, so a retry only redoes what failed or never ran.
+  async runBulkGenerationJob(context) {
+    const { job, payload } = context;
+    const { topic, level, userRoadmapId, steps } = payload;
+    const startTime = Date.now();
+
+    const progress =
+      context.progress?.steps?.length === steps.length
+        ? context.progress
+        : this.buildBulkProgress(steps);
+
+    const userPreferences = await this.resolveUserPreferences(job.user_id);
+    // Loaded once: steps generated below are added as they are picked
+    const seen = await this.roadmapDuplicateFilter(userRoadmapId);
+
+    for (const stepProgress of progress.steps) {
+      if (stepProgress.status === "generated" || stepProgress.status === "existing") {
+        continue;
+      }
+
+      // Leave the rest of the quota to interactive requests; finished steps
+      // are kept and the job resumes after the daily reset
+      if (youtubeQuotaService.isBulkThrottled()) {
+        throw jobDeferredError(
+          "YouTube quota is reserved for interactive requests until the daily reset",
+          getQuotaResetTime()
+        );
+      }
+
+      stepProgress.status = "running";
+      stepProgress.error = null;
+      await context.reportProgress(progress);
+
+      try {
+        const existingVideos = await neonDbService.getUserVideos(
+          userRoadmapId,
+          level,
+          1,
+          stepProgress.pointId
+        );
+
+        if (existingVideos.length > 0) {
+          stepProgress.status = "existing";
+          stepProgress.videoCount = existingVideos[0].video_data.length;
+        } else {
+          const playlists = await this.generatePointVideos(
+            topic,
+            stepProgress.pointTitle,
+            userPreferences,
+            seen
+          );
+
+          if (playlists.length > 0) {
+            await neonDbService.storeUserVideos(
+              userRoadmapId,
+              level,
+              playlists,
+              1,
+              stepProgress.pointId
+            );
+            stepProgress.status = "generated";
+            stepProgress.videoCount = playlists.length;
+          } else {
+            stepProgress.status = "failed";
+            stepProgress.error = "No videos found";
+          }
+        }
+      } catch (error) {
+        appLogger.warn("Bulk generation step failed", {
+          jobId: job.id,
+          pointId: stepProgress.pointId,
+          error: error.message,
+        });
+        stepProgress.status = "failed";
+        stepProgress.error = error.message;
+      }
+
+      progress.completed = progress.steps.filter(
+        (step) => step.status !== "pending" && step.status !== "running"
+      ).length;
+      await context.reportProgress(progress);
+    }
+
+    const failed = progress.steps.filter((step) => step.status === "failed");
+
+    // Nothing succeeded: most likely an upstream outage, so let the queue retry
+    if (failed.length > 0 && failed.length === progress.steps.length) {
+      throw new Error(
+        `Video generation failed for all ${failed.length} steps: ${failed[0].error}`
+      );
+    }
+
+    const results = progress.steps
+      .filter((step) => step.status === "generated" || step.status === "existing")
+      .map(({ pointId, pointTitle, videoCount, status }) => ({
+        pointId,
+        pointTitle,
+        videoCount,
+        status,
+      }));
+
+    return {
+      results,
+      errors: failed.map(({ pointId, pointTitle, error }) => ({
+        pointId,
+        pointTitle,
+        error,
+      })),
+      summary: {
+        totalPoints: progress.steps.length,
+        generated: results.filter((r) => r.status === "generated").length,
+        existing: results.filter((r) => r.status === "existing").length,
+        failed: failed.length,
+        processingTime: `${Date.now() - startTime}ms`,
+      },
+    };
+  }
+}
+
+const playlistGenerationService = new PlaylistGenerationService();
+
+jobQueueService.registerHandler(
+  BULK_PLAYLIST_JOB,
+  (context) => playlistGenerationService.runBulkGenerationJob(context),
+  { canRun: () => !youtubeQuotaService.isBulkThrottled() }
+);
+
+export default playlistGenerationService;
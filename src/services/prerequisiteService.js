@@ -0,0 +1,156 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import {
+  getPrerequisitePoints,
+  validatePrerequisiteGraph,
+  unmetPrerequisites,
+} from "../utils/prerequisiteGraph.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+// With PREREQUISITES_STRICT=true a point cannot be completed before its
+// prerequisites; otherwise completing it early only returns a warning.
+// Requests can override this with `strict`.
+const STRICT_PREREQUISITES = process.env.PREREQUISITES_STRICT === "true";
+
+const graphError = (errors) => {
+  const error = new Error("Roadmap prerequisites do not form a valid graph");
+  error.status = 422;
+  error.code = "INVALID_PREREQUISITES";
+  error.errors = errors;
+  return error;
+};
+
+// Roadmaps still stored as title arrays get their step IDs first
+const stepRoadmapData = (roadmapData) => {
+  const data = typeof roadmapData === "string" ? JSON.parse(roadmapData) : roadmapData || {};
+  const hasArrayLevels = Object.values(data.roadmap || {}).some(Array.isArray);
+  return hasArrayLevels ? neonDbService.processRoadmapWithStepIds(data) : data;
+};
+
+const pointSummary = (point) => ({
+  pointId: point.pointId,
+  title: point.title,
+  level: point.level,
+  order: point.order,
+  prerequisites: point.prerequisites,
+});
+
+class PrerequisiteService {
+  /**
+   * Whether completing a point with unmet prerequisites is an error
+   * @param {boolean|string} [override] - `strict` from the request
+   * @returns {boolean}
+   */
+  isStrict(override) {
+    if (override === true || override === "true") return true;
+    if (override === false || override === "false") return false;
+    return STRICT_PREREQUISITES;
+  }
+
+  /**
+   * Problems with the prerequisites of roadmap data about to be stored
+   * @param {Object} roadmapData - Roadmap data (array or step-keyed levels)
+   * @returns {Array<{pointId: string, message: string}>} Errors (empty when valid)
+   */
+  validate(roadmapData) {
+    return validatePrerequisiteGraph(getPrerequisitePoints(stepRoadmapData(roadmapData)));
+  }
+
+  /**
+   * Points of a stored roadmap with their prerequisites. Throws a 422
+   * INVALID_PREREQUISITES error (with `errors`) when they are not a DAG.
+   * @param {Object} roadmap - Row with roadmap_data (e.g. req.roadmap)
+   * @returns {Array<Object>} Points from getPrerequisitePoints
+   */
+  getGraph(roadmap) {
+    const points = getPrerequisitePoints(stepRoadmapData(roadmap.roadmap_data));
+    const errors = validatePrerequisiteGraph(points);
+    if (errors.length > 0) {
+      throw graphError(errors);
+    }
+    return points;
+  }
+
+  async _completedIds(userId, roadmapId) {
+    const progress = await neonDbService.getRoadmapProgress(userId, roadmapId);
+    return new Set(progress.filter((row) => row.is_completed).map((row) => row.point_id));
+  }
+
+  /**
+   * Points the user can start now (not completed, every prerequisite
+   * completed), and the locked ones with what they are still missing
+   * @param {string} userId - Roadmap owner
+   * @param {Object} roadmap - Row with id and roadmap_data
+   * @returns {Promise<{nextSteps: Array<Object>, locked: Array<Object>, completedPoints: number, totalPoints: number}>}
+   */
+  async getNextSteps(userId, roadmap) {
+    const points = this.getGraph(roadmap);
+    const completedIds = await this._completedIds(userId, roadmap.id);
+
+    const nextSteps = [];
+    const locked = [];
+    for (const point of points) {
+      if (completedIds.has(point.pointId)) continue;
+
+      const missing = unmetPrerequisites(point, completedIds);
+      if (missing.length === 0) {
+        nextSteps.push(pointSummary(point));
+      } else {
+        locked.push({ ...pointSummary(point), missingPrerequisites: missing });
+      }
+    }
+
+    return {
+      nextSteps,
+      locked,
+      completedPoints: points.filter((point) => completedIds.has(point.pointId)).length,
+      totalPoints: points.length,
+    };
+  }
+
+  /**
+   * Prerequisites of a point that are not completed yet. A roadmap whose
+   * prerequisites are not a valid graph does not block completion.
+   * @param {string} userId - Roadmap owner
+   * @param {Object} roadmap - Row with id and roadmap_data
+   * @param {string} pointId - Point being completed
+   * @param {Set<string>} [completedIds] - Completed point ids, when already loaded
+   * @returns {Promise<Array<{pointId: string, title: string}>>}
+   */
+  async getUnmetPrerequisites(userId, roadmap, pointId, completedIds = null) {
+    let points;
+    try {
+      points = this.getGraph(roadmap);
+    } catch (error) {
+      if (error.code !== "INVALID_PREREQUISITES") throw error;
+      appLogger.warn("Skipping prerequisite check for invalid roadmap graph", {
+        roadmapId: roadmap.id,
+        errors: error.errors,
+      });
+      return [];
+    }
+
+    // Levels sharing a point id (older roadmaps) are completed together
+    const prerequisites = [
+      ...new Set(
+        points
+          .filter((candidate) => candidate.pointId === pointId)
+          .flatMap((candidate) => candidate.prerequisites)
+      ),
+    ];
+    if (prerequisites.length === 0) {
+      return [];
+    }
+
+    const completed = completedIds || (await this._completedIds(userId, roadmap.id));
+    const titles = new Map(points.map((candidate) => [candidate.pointId, candidate.title]));
+    return unmetPrerequisites({ pointId, prerequisites }, completed).map((id) => ({
+      pointId: id,
+      title: titles.get(id),
+    }));
+  }
+}
+
+export default new PrerequisiteService();
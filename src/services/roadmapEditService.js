@@ -0,0 +1,332 @@
+import neonDbService from "./neonDbService.js";
+import prerequisiteService from "./prerequisiteService.js";
+import { PointResponse } from "../models/responseModels.js";
+import { getPrerequisitePoints } from "../utils/prerequisiteGraph.js";
+
+export const ROADMAP_EDIT_OPERATIONS = ["add", "rename", "delete", "move", "reorder"];
+export const ROADMAP_LEVELS = ["beginner", "intermediate", "advanced"];
+
+const editError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const invalidOperation = (index, message) =>
+  editError(400, "INVALID_OPERATION", "Invalid roadmap edit", `operations[${index}]: ${message}`);
+
+const conflictError = () =>
+  editError(409, "ROADMAP_CONFLICT", "Roadmap was changed by another request", "Reload the roadmap and apply the edit again");
+
+const invalidPrerequisites = (errors) =>
+  editError(400, "INVALID_PREREQUISITES", "Roadmap prerequisites must form a graph without cycles", errors);
+
+const stepNumberOf = (pointId) => parseInt(String(pointId).match(/^step_(\d+)$/)?.[1], 10) || 0;
+
+const parseRoadmapData = (roadmapData) =>
+  typeof roadmapData === "string" ? JSON.parse(roadmapData) : roadmapData || {};
+
+const pointIdsOf = (roadmapData) =>
+  ROADMAP_LEVELS.flatMap((level) =>
+    Object.entries(roadmapData.roadmap?.[level] || {}).map(([stepId, step]) => step.pointId || stepId)
+  );
+
+// Next free step number: past every id in use and every id handed out before
+const nextStepNumberFor = (roadmapData, pointIds, previous = 0) =>
+  Math.max(previous, roadmapData.nextStepNumber || 0, ...pointIds.map((pointId) => stepNumberOf(pointId) + 1), 1);
+
+// Level a step was stored in before the edit; symbols survive the spreads
+// below and are left out of the stored JSON
+const ORIGINAL_LEVEL = Symbol("originalLevel");
+
+const pointKey = (level, pointId) => `${level}:${pointId}`;
+
+// Inserts at `position` (0-based), or at the end when it is missing or too large
+const insertAt = (steps, step, position) => {
+  const index = position === undefined || position === null ? steps.length : Math.min(position, steps.length);
+  steps.splice(index, 0, step);
+};
+
+// roadmap_data.points mirrors the steps for clients that read the generated
+// response shape; it is rebuilt so titles, levels and order stay in sync
+// (keyed by level as well, since older roadmaps reuse ids across levels)
+const rebuildPoints = (roadmapData) => {
+  const previous = new Map(roadmapData.points.map((point) => [pointKey(point.level, point.id), point]));
+  const prerequisites = new Map(
+    getPrerequisitePoints(roadmapData).map((point) => [pointKey(point.level, point.pointId), point.prerequisites])
+  );
+  let order = 1;
+
+  return ROADMAP_LEVELS.flatMap((level) =>
+    Object.values(roadmapData.roadmap[level] || {}).map((step) => {
+      const point = previous.get(pointKey(step[ORIGINAL_LEVEL] || level, step.pointId)) || {};
+      return new PointResponse({
+        ...point,
+        id: step.pointId,
+        title: step.title,
+        description: step.description || point.description || `Master ${step.title.toLowerCase()} concepts and patterns`,
+        learningObjectives: step.learningObjectives,
+        estimatedHours: step.estimatedHours,
+        keyConcepts: step.keyConcepts,
+        practiceTasks: step.practiceTasks,
+        prerequisites: prerequisites.get(pointKey(level, step.pointId)),
+        level,
+        order: order++,
+      });
+    })
+  );
+};
+
+class RoadmapEditService {
+  /**
+   * Apply a batch of point operations to a roadmap, all or nothing. Point ids
+   * never change and are never reused. Deleted points lose their progress,
+   * videos, watch progress and notes; moved points take their videos along.
+   * Operations (checked by validateRoadmapEditInput):
+   * - `{ op: "add", level, title, position?, description?, learningObjectives?, estimatedHours?, keyConcepts?, practiceTasks?, prerequisites? }`
+   * - `{ op: "rename", pointId, fromLevel?, title }`
+   * - `{ op: "delete", pointId, fromLevel? }`
+   * - `{ op: "move", pointId, fromLevel?, level, position? }`
+   * - `{ op: "reorder", level, pointIds }` (every point of the level, in the new order)
+   * `fromLevel` is the level the point is in. It is required when the id is
+   * used in several levels, as in roadmaps converted before step numbers ran
+   * across levels.
+   * @param {Object} roadmap - Row with id and roadmap_data (e.g. req.roadmap)
+   * @param {Array<Object>} operations - Applied in order
+   * @returns {Promise<{roadmap: Object, added: Array<Object>, deleted: Array<Object>, moved: Array<Object>}>}
+   */
+  async applyOperations(roadmap, operations) {
+    const roadmapData = neonDbService.processRoadmapWithStepIds(parseRoadmapData(roadmap.roadmap_data));
+
+    const levels = Object.fromEntries(
+      ROADMAP_LEVELS.map((level) => [
+        level,
+        Object.entries(roadmapData.roadmap?.[level] || {}).map(([stepId, step]) => ({
+          ...step,
+          pointId: step.pointId || stepId,
+          [ORIGINAL_LEVEL]: level,
+        })),
+      ])
+    );
+    const originalPoints = ROADMAP_LEVELS.flatMap((level) =>
+      levels[level].map((step) => ({ pointId: step.pointId, level }))
+    );
+
+    let nextStepNumber = nextStepNumberFor(
+      roadmapData,
+      originalPoints.map((point) => point.pointId)
+    );
+
+    const requireLevel = (index, level) => {
+      if (!ROADMAP_LEVELS.includes(level)) {
+        throw invalidOperation(index, `level must be one of ${ROADMAP_LEVELS.join(", ")}`);
+      }
+    };
+
+    const hasPoint = (level, pointId) => levels[level].some((step) => step.pointId === pointId);
+
+    const locate = (index, pointId, fromLevel) => {
+      if (fromLevel !== undefined) requireLevel(index, fromLevel);
+
+      const found = (fromLevel ? [fromLevel] : ROADMAP_LEVELS)
+        .map((level) => ({ level, position: levels[level].findIndex((step) => step.pointId === pointId) }))
+        .filter(({ position }) => position !== -1);
+
+      if (found.length === 0) {
+        throw invalidOperation(index, `unknown point ${pointId}${fromLevel ? ` in ${fromLevel}` : ""}`);
+      }
+      if (found.length > 1) {
+        throw invalidOperation(
+          index,
+          `point ${pointId} is in ${found.map(({ level }) => level).join(" and ")}; set fromLevel`
+        );
+      }
+      return found[0];
+    };
+
+    const added = [];
+
+    operations.forEach((operation, index) => {
+      switch (operation.op) {
+        case "add": {
+          requireLevel(index, operation.level);
+          if (!operation.title) throw invalidOperation(index, "title is required");
+
+          const pointId = `step_${nextStepNumber++}`;
+          insertAt(
+            levels[operation.level],
+            {
+              pointId,
+              pointTitle: operation.title,
+              title: operation.title,
+              description: operation.description || null,
+              learningObjectives: operation.learningObjectives || [],
+              estimatedHours: operation.estimatedHours ?? null,
+              keyConcepts: operation.keyConcepts || [],
+              practiceTasks: operation.practiceTasks || [],
+              // Without prerequisites the point follows the point before it
+              ...(operation.prerequisites && { prerequisites: operation.prerequisites }),
+            },
+            operation.position
+          );
+          added.push({ pointId, title: operation.title, level: operation.level });
+          break;
+        }
+
+        case "rename": {
+          if (!operation.title) throw invalidOperation(index, "title is required");
+          const { level, position } = locate(index, operation.pointId, operation.fromLevel);
+          levels[level][position] = {
+            ...levels[level][position],
+            pointTitle: operation.title,
+            title: operation.title,
+          };
+          break;
+        }
+
+        case "delete": {
+          const { level, position } = locate(index, operation.pointId, operation.fromLevel);
+          levels[level].splice(position, 1);
+
+          // Another level may still have a point with this id (older roadmaps)
+          if (ROADMAP_LEVELS.some((other) => hasPoint(other, operation.pointId))) break;
+
+          for (const steps of Object.values(levels)) {
+            steps.forEach((step, stepIndex) => {
+              if (Array.isArray(step.prerequisites) && step.prerequisites.includes(operation.pointId)) {
+                steps[stepIndex] = {
+                  ...step,
+                  prerequisites: step.prerequisites.filter((id) => id !== operation.pointId),
+                };
+              }
+            });
+          }
+          break;
+        }
+
+        case "move": {
+          requireLevel(index, operation.level);
+          const { level, position } = locate(index, operation.pointId, operation.fromLevel);
+          if (operation.level !== level && hasPoint(operation.level, operation.pointId)) {
+            throw invalidOperation(index, `${operation.level} already has a point ${operation.pointId}`);
+          }
+          const [step] = levels[level].splice(position, 1);
+          insertAt(levels[operation.level], step, operation.position);
+          break;
+        }
+
+        case "reorder": {
+          requireLevel(index, operation.level);
+          const steps = levels[operation.level];
+          const pointIds = operation.pointIds || [];
+          const byId = new Map(steps.map((step) => [step.pointId, step]));
+
+          if (
+            pointIds.length !== steps.length ||
+            new Set(pointIds).size !== pointIds.length ||
+            !pointIds.every((pointId) => byId.has(pointId))
+          ) {
+            throw invalidOperation(index, `pointIds must list every point of ${operation.level} once`);
+          }
+          levels[operation.level] = pointIds.map((pointId) => byId.get(pointId));
+          break;
+        }
+
+        default:
+          throw invalidOperation(index, `op must be one of ${ROADMAP_EDIT_OPERATIONS.join(", ")}`);
+      }
+    });
+
+    const expectedRevision = roadmapData.revision || 0;
+    const editedData = {
+      ...roadmapData,
+      roadmap: {
+        ...roadmapData.roadmap,
+        ...Object.fromEntries(
+          ROADMAP_LEVELS.map((level) => [
+            level,
+            Object.fromEntries(levels[level].map((step) => [step.pointId, step])),
+          ])
+        ),
+      },
+      nextStepNumber,
+      revision: expectedRevision + 1,
+    };
+    if (Array.isArray(editedData.points)) {
+      editedData.points = rebuildPoints(editedData);
+    }
+
+    const prerequisiteErrors = prerequisiteService.validate(editedData);
+    if (prerequisiteErrors.length > 0) {
+      throw invalidPrerequisites(prerequisiteErrors);
+    }
+
+    // Stored points are tracked by their original level, so a point deleted
+    // from one level is not confused with another level's point of that id
+    const remaining = ROADMAP_LEVELS.flatMap((level) =>
+      levels[level].filter((step) => step[ORIGINAL_LEVEL]).map((step) => ({ step, level }))
+    );
+    const kept = new Set(remaining.map(({ step }) => pointKey(step[ORIGINAL_LEVEL], step.pointId)));
+    const deletedPoints = originalPoints.filter((point) => !kept.has(pointKey(point.level, point.pointId)));
+    const movedPoints = remaining
+      .filter(({ step, level }) => step[ORIGINAL_LEVEL] !== level)
+      .map(({ step, level }) => ({ pointId: step.pointId, fromLevel: step[ORIGINAL_LEVEL], level }));
+    // Progress, watch progress and notes have no level; they go once no
+    // level has the id any more
+    const editedIds = new Set(pointIdsOf(editedData));
+    const removedPointIds = [
+      ...new Set(deletedPoints.map((point) => point.pointId).filter((pointId) => !editedIds.has(pointId))),
+    ];
+
+    const updated = await neonDbService.applyRoadmapEdit(roadmap.id, editedData, expectedRevision, {
+      deletedPoints,
+      removedPointIds,
+      movedPoints,
+    });
+    if (!updated) {
+      throw conflictError();
+    }
+
+    return { roadmap: updated, added, deleted: deletedPoints, moved: movedPoints };
+  }
+
+  /**
+   * Replace the data of a roadmap (PUT). The stored revision and
+   * nextStepNumber carry over: the revision still increments, so edits based
+   * on the old data conflict, and ids handed out before are not reused.
+   * Progress and videos are left as they are.
+   * @param {Object} roadmap - Row with id and roadmap_data (e.g. req.roadmap)
+   * @param {Object} roadmapData - New roadmap data. A `revision` in it must
+   * match the stored one, otherwise the replace answers 409 ROADMAP_CONFLICT.
+   * @returns {Promise<Object>} Updated roadmap row
+   */
+  async replaceRoadmap(roadmap, roadmapData) {
+    const stored = parseRoadmapData(roadmap.roadmap_data);
+    const expectedRevision = stored.revision || 0;
+    if (roadmapData?.revision !== undefined && roadmapData.revision !== expectedRevision) {
+      throw conflictError();
+    }
+
+    const prerequisiteErrors = prerequisiteService.validate(roadmapData);
+    if (prerequisiteErrors.length > 0) {
+      throw invalidPrerequisites(prerequisiteErrors);
+    }
+
+    const processed = neonDbService.processRoadmapWithStepIds(roadmapData);
+    const replacedData = {
+      ...processed,
+      nextStepNumber: nextStepNumberFor(processed, pointIdsOf(processed), stored.nextStepNumber),
+      revision: expectedRevision + 1,
+    };
+
+    const updated = await neonDbService.applyRoadmapEdit(roadmap.id, replacedData, expectedRevision);
+    if (!updated) {
+      throw conflictError();
+    }
+    return updated;
+  }
+}
+
+export default new RoadmapEditService();
@@ -0,0 +1,129 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+// USD per 1M tokens. Models are matched by prefix, so "gemini-2.5-flash"
+// also prices "gemini-2.5-flash-preview-05-20".
+const DEFAULT_MODEL_PRICING = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.0 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+  fixture: { input: 0, output: 0 },
+};
+
+class UsageService {
+  constructor() {
+    this.pricing = { ...DEFAULT_MODEL_PRICING, ...this._loadPricingOverrides() };
+  }
+
+  // AI_MODEL_PRICING='{"my-model": {"input": 0.2, "output": 0.8}}'
+  _loadPricingOverrides() {
+    if (!process.env.AI_MODEL_PRICING) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(process.env.AI_MODEL_PRICING);
+    } catch (error) {
+      appLogger.warn("Ignoring invalid AI_MODEL_PRICING", { error: error.message });
+      return {};
+    }
+  }
+
+  _priceFor(model) {
+    const match = Object.keys(this.pricing)
+      .filter((prefix) => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.pricing[match] : null;
+  }
+
+  estimateCost(model, usage) {
+    const price = this._priceFor(model);
+    if (!price) {
+      return null;
+    }
+
+    const cost =
+      ((usage.promptTokens || 0) * price.input +
+        (usage.completionTokens || 0) * price.output) /
+      1_000_000;
+    return Number(cost.toFixed(6));
+  }
+
+  // Stores one usage row for a model call, attributed to the current request
+  // or job. Never throws: accounting must not fail the generation itself.
+  async record({ task, provider, model, usage }) {
+    const { userId, endpoint } = getRequestContext();
+    const tokens = {
+      promptTokens: usage?.promptTokens || 0,
+      completionTokens: usage?.completionTokens || 0,
+      totalTokens:
+        usage?.totalTokens ||
+        (usage?.promptTokens || 0) + (usage?.completionTokens || 0),
+    };
+
+    try {
+      await neonDbService.createAiUsageEvent({
+        userId,
+        endpoint,
+        task,
+        provider,
+        model,
+        ...tokens,
+        costUsd: this.estimateCost(model, tokens),
+      });
+    } catch (error) {
+      appLogger.warn("Failed to record AI usage", {
+        userId,
+        endpoint,
+        task,
+        model,
+        error: error.message,
+      });
+    }
+  }
+
+  _monthStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  // Per-user override first, then AI_DEFAULT_MONTHLY_TOKEN_BUDGET; null = unlimited
+  async getMonthlyLimit(userId) {
+    const budget = await neonDbService.getUserAiBudget(userId);
+    if (budget) {
+      return Number(budget.monthly_token_limit);
+    }
+
+    const defaultLimit = parseInt(process.env.AI_DEFAULT_MONTHLY_TOKEN_BUDGET, 10);
+    return Number.isFinite(defaultLimit) && defaultLimit > 0 ? defaultLimit : null;
+  }
+
+  async getBudgetStatus(userId) {
+    const monthStart = this._monthStart();
+    const resetsAt = new Date(
+      Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1)
+    );
+
+    const [limit, used] = await Promise.all([
+      this.getMonthlyLimit(userId),
+      neonDbService.getUserTokenUsageSince(userId, monthStart.toISOString()),
+    ]);
+
+    return {
+      monthlyTokenLimit: limit,
+      tokensUsed: used,
+      tokensRemaining: limit === null ? null : Math.max(limit - used, 0),
+      exceeded: limit !== null && used >= limit,
+      periodStart: monthStart.toISOString(),
+      resetsAt: resetsAt.toISOString(),
+    };
+  }
+}
+
+export default new UsageService();
@@ -0,0 +1,116 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+// A rating, or a report (which counts against the video like a downvote)
+export const VIDEO_FEEDBACK_TYPES = [
+  "helpful",
+  "not_helpful",
+  "off_topic",
+  "outdated",
+  "wrong_language",
+];
+const REPORT_TYPES = ["off_topic", "outdated", "wrong_language"];
+
+/**
+ * Topic key feedback is grouped under ("React Native " -> "react native")
+ * @param {string} topic - Roadmap topic
+ * @returns {string|null}
+ */
+export const normalizeFeedbackTopic = (topic) =>
+  String(topic ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ") || null;
+
+/**
+ * API representation of aggregated feedback counts
+ * @param {Object} row - Row from getVideoFeedbackCounts/getVideoFeedbackByTopic
+ * @returns {{helpful: number, notHelpful: number, reports: Object, negative: number, total: number}}
+ */
+export const formatFeedbackCounts = (row) => {
+  const reports = {
+    offTopic: row.off_topic,
+    outdated: row.outdated,
+    wrongLanguage: row.wrong_language,
+  };
+  const negative = row.not_helpful + REPORT_TYPES.reduce((sum, type) => sum + row[type], 0);
+
+  return {
+    helpful: row.helpful,
+    notHelpful: row.not_helpful,
+    reports,
+    negative,
+    total: row.helpful + negative,
+  };
+};
+
+class VideoFeedbackService {
+  /**
+   * Store a user's rating or report of a video for a topic, replacing their
+   * earlier feedback on it (input checked by validateVideoFeedbackInput)
+   * @param {string} userId - User giving the feedback
+   * @param {{videoId: string, topic: string, feedback: string, userRoadmapId?: string, pointId?: string}} input
+   * @returns {Promise<Object>} Stored row
+   */
+  async record(userId, input) {
+    return neonDbService.upsertVideoFeedback(userId, {
+      videoId: input.videoId,
+      topic: normalizeFeedbackTopic(input.topic),
+      feedback: input.feedback,
+      userRoadmapId: input.userRoadmapId || null,
+      pointId: input.pointId || null,
+    });
+  }
+
+  async retract(userId, videoId, topic) {
+    return neonDbService.deleteVideoFeedback(userId, videoId, normalizeFeedbackTopic(topic));
+  }
+
+  /**
+   * Aggregated feedback for search candidates, for ranking. Without a topic
+   * the counts span every topic. A failed read ranks without feedback.
+   * @param {Array<string>} videoIds - Candidate video ids
+   * @param {string|null} topic - Roadmap topic the search is for
+   * @returns {Promise<Map<string, Object>>} formatFeedbackCounts by video id
+   */
+  async getFeedback(videoIds, topic = null) {
+    if (!neonDbService.sql || videoIds.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const rows = await neonDbService.getVideoFeedbackCounts(
+        videoIds,
+        normalizeFeedbackTopic(topic)
+      );
+      return new Map(rows.map((row) => [row.video_id, formatFeedbackCounts(row)]));
+    } catch (error) {
+      appLogger.warn("Failed to load video feedback, ranking without it", {
+        topic,
+        error: error.message,
+      });
+      return new Map();
+    }
+  }
+
+  /**
+   * Feedback on one video, overall and per topic
+   * @param {string} videoId - YouTube video id
+   * @returns {Promise<{videoId: string, overall: Object|null, topics: Array<Object>}>}
+   */
+  async getSummary(videoId) {
+    const [overall] = await neonDbService.getVideoFeedbackCounts([videoId]);
+    const topics = await neonDbService.getVideoFeedbackByTopic(videoId);
+
+    return {
+      videoId,
+      overall: overall ? formatFeedbackCounts(overall) : null,
+      topics: topics.map((row) => ({ topic: row.topic, ...formatFeedbackCounts(row) })),
+    };
+  }
+}
+
+export default new VideoFeedbackService();
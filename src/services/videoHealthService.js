@@ -0,0 +1,322 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import youtubeService from "./youtubeService.js";
+import jobQueueService, { jobDeferredError } from "./jobQueueService.js";
+import youtubeQuotaService, { getQuotaResetTime } from "./youtubeQuotaService.js";
+import playlistGenerationService, {
+  generateFallbackTitles,
+  toPlaylistItem,
+} from "./playlistGenerationService.js";
+import { getVideoId } from "../utils/videoDedup.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+export const VIDEO_HEALTH_JOB = "video_health_check";
+
+// How often the scheduler looks for users to check, and how long a user's
+// stored videos are trusted after a check
+const SCHEDULE_INTERVAL_MS =
+  parseInt(process.env.VIDEO_HEALTH_SCHEDULE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const RECHECK_AFTER_SECONDS =
+  (parseInt(process.env.VIDEO_HEALTH_RECHECK_HOURS, 10) || 7 * 24) * 60 * 60;
+const USERS_PER_RUN = parseInt(process.env.VIDEO_HEALTH_USERS_PER_RUN, 10) || 50;
+// Replacement searches tried per unavailable video (search.list, 100 units each)
+const MAX_REPLACEMENT_SEARCHES = 2;
+
+/**
+ * API representation of a video_replacements row
+ * @param {Object} row - Database row
+ * @returns {Object} Video replacement
+ */
+export const formatVideoReplacement = (row) => ({
+  id: row.id,
+  roadmapId: row.user_roadmap_id,
+  level: row.level,
+  pointId: row.point_id,
+  generationNumber: row.generation_number,
+  oldVideo: { videoId: row.old_video_id, title: row.old_title },
+  newVideo: row.new_video_id ? { videoId: row.new_video_id, title: row.new_title } : null,
+  reason: row.reason,
+  seenAt: row.seen_at,
+  createdAt: row.created_at,
+});
+
+class VideoHealthService {
+  constructor() {
+    this.timer = null;
+    this.scheduling = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    if (!neonDbService.sql) {
+      appLogger.warn("Video health checks not scheduled: database is not configured");
+      return;
+    }
+
+    this.timer = setInterval(() => this.scheduleChecks(), SCHEDULE_INTERVAL_MS);
+    this.timer.unref();
+    this.scheduleChecks();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queue a check for every user whose videos were not checked recently. Each
+  // instance runs this; a user already queued or running is skipped.
+  async scheduleChecks() {
+    if (this.scheduling || youtubeQuotaService.isBulkThrottled()) {
+      return 0;
+    }
+
+    this.scheduling = true;
+    try {
+      const userIds = await neonDbService.listUsersDueForVideoHealthCheck(
+        VIDEO_HEALTH_JOB,
+        RECHECK_AFTER_SECONDS,
+        USERS_PER_RUN
+      );
+
+      for (const userId of userIds) {
+        await jobQueueService.enqueue(VIDEO_HEALTH_JOB, userId, {});
+      }
+
+      if (userIds.length > 0) {
+        appLogger.info("Scheduled video health checks", { users: userIds.length });
+      }
+      return userIds.length;
+    } catch (error) {
+      appLogger.error("Failed to schedule video health checks", error);
+      return 0;
+    } finally {
+      this.scheduling = false;
+    }
+  }
+
+  _throwIfThrottled() {
+    if (youtubeQuotaService.isBulkThrottled()) {
+      throw jobDeferredError(
+        "YouTube quota is reserved for interactive requests until the daily reset",
+        getQuotaResetTime()
+      );
+    }
+  }
+
+  // Next-best video for the point that is not (a near-duplicate of one)
+  // stored anywhere in the roadmap yet
+  async _findReplacement(point, pointTitle, seen, userPreferences) {
+    const titles = await generateFallbackTitles(point.topic, pointTitle, userPreferences);
+
+    for (const title of titles.slice(0, MAX_REPLACEMENT_SEARCHES)) {
+      this._throwIfThrottled();
+      const [result] = await youtubeService.searchMultipleVideos([title], userPreferences, {
+        seen,
+        topic: point.topic,
+      });
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  // Unavailable videos (flagged earlier or not) and flagged ones that came back
+  _needsRepair(video, availability) {
+    const status = availability.get(getVideoId(video));
+    return Boolean(status) && (!status.available || Boolean(video.unavailable));
+  }
+
+  // Unavailable videos are swapped for the next-best candidate, or flagged
+  // when none is found; videos that came back lose their flag. The result is
+  // stored as the point's next generation and every swap or new flag is
+  // reported in video_replacements.
+  async _repairPoint(job, point, pointTitle, seen, availability, userPreferences) {
+    const checkedAt = new Date().toISOString();
+    const replacements = [];
+    const videoData = [];
+    let changed = false;
+
+    for (const video of point.video_data) {
+      const videoId = getVideoId(video);
+      const status = availability.get(videoId);
+
+      if (!status || status.available) {
+        if (status && video.unavailable) {
+          const { unavailable, unavailableReason, ...restored } = video;
+          videoData.push(restored);
+          changed = true;
+        } else {
+          videoData.push(video);
+        }
+        continue;
+      }
+
+      const result = await this._findReplacement(
+        point,
+        pointTitle,
+        seen,
+        userPreferences
+      );
+
+      if (result) {
+        videoData.push({
+          ...toPlaylistItem(result),
+          pointId: video.pointId || point.point_id,
+          generatedAt: checkedAt,
+        });
+      } else {
+        videoData.push({ ...video, unavailable: true, unavailableReason: status.reason });
+        // Flagged by an earlier check and still nothing to swap in
+        if (video.unavailable) continue;
+      }
+
+      changed = true;
+      replacements.push({
+        old_video_id: videoId,
+        old_title: video.title,
+        new_video_id: result?.videoId || null,
+        new_title: result?.title || null,
+        reason: status.reason,
+      });
+    }
+
+    if (!changed) {
+      return [];
+    }
+
+    const stored = await neonDbService.storeHealthCheckedVideos(
+      job.user_id,
+      point,
+      videoData,
+      replacements
+    );
+    if (stored.generation_number === null) {
+      appLogger.info("Skipped video health repair, playlist changed meanwhile", {
+        jobId: job.id,
+        roadmapId: point.user_roadmap_id,
+        pointId: point.point_id,
+      });
+      return [];
+    }
+
+    return replacements;
+  }
+
+  // Point titles of a roadmap level, for replacement searches
+  async _pointTitles(cache, point) {
+    const key = `${point.user_roadmap_id}:${point.level}`;
+    if (!cache.has(key)) {
+      const steps = await neonDbService
+        .getRoadmapSteps(point.user_roadmap_id, point.level)
+        .catch(() => []);
+      cache.set(key, new Map(steps.map((step) => [step.pointId, step.pointTitle])));
+    }
+    return cache.get(key);
+  }
+
+  // Job handler for VIDEO_HEALTH_JOB: one videos.list call per 50 stored
+  // videos, then searches only for the ones that are no longer watchable
+  async runHealthCheckJob(context) {
+    const { job } = context;
+    const startTime = Date.now();
+
+    this._throwIfThrottled();
+
+    const points = (await neonDbService.getCurrentPointVideos(job.user_id)).filter(
+      (point) => Array.isArray(point.video_data) && point.video_data.length > 0
+    );
+    const userPreferences = await playlistGenerationService.resolveUserPreferences(job.user_id);
+
+    const availability = await youtubeService.getVideosAvailability(
+      points.flatMap((point) => point.video_data.map(getVideoId).filter(Boolean)),
+      userPreferences.region
+    );
+
+    const progress = {
+      total: points.length,
+      completed: 0,
+      checkedVideos: availability.size,
+      unavailable: [...availability.values()].filter((status) => !status.available).length,
+      replaced: 0,
+    };
+    await context.reportProgress(progress);
+
+    const titleCache = new Map();
+    const roadmapVideos = new Map();
+    const replacements = [];
+
+    for (const point of points) {
+      if (point.video_data.some((video) => this._needsRepair(video, availability))) {
+        const pointTitles = await this._pointTitles(titleCache, point);
+        if (!roadmapVideos.has(point.user_roadmap_id)) {
+          roadmapVideos.set(
+            point.user_roadmap_id,
+            await playlistGenerationService.roadmapDuplicateFilter(point.user_roadmap_id)
+          );
+        }
+
+        const pointReplacements = await this._repairPoint(
+          job,
+          point,
+          pointTitles.get(point.point_id) || point.topic,
+          roadmapVideos.get(point.user_roadmap_id),
+          availability,
+          userPreferences
+        );
+
+        for (const replacement of pointReplacements) {
+          replacements.push({
+            roadmapId: point.user_roadmap_id,
+            level: point.level,
+            pointId: point.point_id,
+            oldVideoId: replacement.old_video_id,
+            newVideoId: replacement.new_video_id,
+            reason: replacement.reason,
+          });
+        }
+        progress.replaced = replacements.filter((replacement) => replacement.newVideoId).length;
+      }
+
+      progress.completed++;
+      await context.reportProgress(progress);
+    }
+
+    if (replacements.length > 0) {
+      appLogger.info("Repaired unavailable videos", {
+        jobId: job.id,
+        userId: job.user_id,
+        reported: replacements.length,
+        replaced: progress.replaced,
+      });
+    }
+
+    return {
+      replacements,
+      summary: {
+        points: points.length,
+        checkedVideos: progress.checkedVideos,
+        unavailable: progress.unavailable,
+        replaced: progress.replaced,
+        processingTime: `${Date.now() - startTime}ms`,
+      },
+    };
+  }
+}
+
+const videoHealthService = new VideoHealthService();
+
+jobQueueService.registerHandler(
+  VIDEO_HEALTH_JOB,
+  (context) => videoHealthService.runHealthCheckJob(context),
+  { canRun: () => !youtubeQuotaService.isBulkThrottled() }
+);
+
+export default videoHealthService;
@@ -0,0 +1,87 @@
+import neonDbService from "./neonDbService.js";
+
+export const MAX_NOTE_LENGTH = 20000;
+const MAX_SEARCH_RESULTS = 100;
+
+// Whitespace-only bodies are stored empty, which makes the note a bookmark
+const normalizeBody = (body) => (body?.trim() ? body : "");
+
+/**
+ * "m:ss" / "h:mm:ss" label for a note timestamp
+ * @param {number|null} seconds - Position in the video
+ * @returns {string|null}
+ */
+export const formatNoteTimestamp = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+
+  const total = Math.floor(Number(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * API representation of a video_notes row. A note with an empty body is a
+ * bookmark.
+ * @param {Object} row - Database row (search rows add topic, rank and snippet)
+ * @returns {Object} Note
+ */
+export const formatVideoNote = (row) => ({
+  id: row.id,
+  roadmapId: row.roadmap_id,
+  pointId: row.point_id,
+  videoId: row.video_id,
+  timestampSeconds: row.timestamp_seconds === null ? null : Number(row.timestamp_seconds),
+  timestamp: formatNoteTimestamp(row.timestamp_seconds),
+  body: row.body,
+  isBookmark: row.body === "",
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(row.snippet !== undefined && {
+    topic: row.topic,
+    rank: Number(row.rank),
+    snippet: row.snippet,
+  }),
+});
+
+class VideoNoteService {
+  // Input is checked by validateVideoNoteInput
+  async create(userId, input) {
+    const row = await neonDbService.createVideoNote(userId, {
+      roadmapId: input.roadmapId,
+      pointId: input.pointId,
+      videoId: input.videoId,
+      timestampSeconds: input.timestampSeconds ?? null,
+      body: normalizeBody(input.body),
+    });
+    return formatVideoNote(row);
+  }
+
+  // Fields left out of the update keep their current values
+  async update(note, input) {
+    const row = await neonDbService.updateVideoNote(note.id, {
+      timestampSeconds:
+        input.timestampSeconds !== undefined ? input.timestampSeconds : note.timestamp_seconds,
+      body: normalizeBody(input.body !== undefined ? input.body : note.body),
+    });
+    return formatVideoNote(row);
+  }
+
+  async list(userId, roadmapId, filters = {}) {
+    const rows = await neonDbService.listVideoNotes(userId, roadmapId, filters);
+    return rows.map(formatVideoNote);
+  }
+
+  async search(userId, searchText, { roadmapId = null, limit } = {}) {
+    const rows = await neonDbService.searchVideoNotes(userId, searchText, {
+      roadmapId,
+      limit: Math.min(parseInt(limit, 10) || 20, MAX_SEARCH_RESULTS),
+    });
+    return rows.map(formatVideoNote);
+  }
+}
+
+export default new VideoNoteService();
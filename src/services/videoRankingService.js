@@ -0,0 +1,203 @@
+import dotenv from "dotenv";
+import { getVideoLengthProfile, isWithinRange } from "../utils/preferences.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points per signal before weighting. A signal's weight multiplies its
+// points; weight 0 turns it off.
+const DEFAULT_RANKING_CONFIG = {
+  views: { weight: 1, perLog10: 10, max: 50 },
+  titleMatch: { weight: 1, perWord: 10, max: 30 },
+  duration: { weight: 1, ideal: 20, acceptable: 10 },
+  channel: {
+    weight: 1,
+    perKeyword: 5,
+    keywords: ["academy", "university", "course", "official", "education", "tutorial"],
+  },
+  recency: { weight: 1, recentDays: 365, recent: 10, olderDays: 1095, older: 5 },
+  // Likes per view: full points at `target`, ignored below `minViews`
+  likeRatio: { weight: 1, target: 0.04, max: 15, minViews: 1000 },
+  captions: { weight: 1, points: 5 },
+  definition: { weight: 1, hd: 5 },
+  // Compares the video's audio (or metadata) language with the user's;
+  // `preferred` applies when no language is known for the search
+  language: { weight: 1, preferred: "en", match: 5, mismatch: -25 },
+  // Allowlisted channels get `allow`; trusted-creator boosts add their own points
+  channelRules: { weight: 1, allow: 15 },
+  // User ratings and reports for the topic: `perVote` per helpful vote minus
+  // each downvote or report, capped at ±`max`. Once a video has `minVotes`,
+  // it is dropped when at least `excludeShare` of them are negative.
+  feedback: { weight: 1, perVote: 4, max: 40, minVotes: 5, excludeShare: 0.7 },
+};
+
+const SIGNALS = {
+  views(video, config) {
+    const viewCount = parseInt(video.viewCount) || 0;
+    return viewCount > 0 ? Math.min(Math.log10(viewCount) * config.perLog10, config.max) : 0;
+  },
+
+  titleMatch(video, config, { searchTitle }) {
+    const titleLower = video.title.toLowerCase();
+    const matches = searchTitle
+      .toLowerCase()
+      .split(" ")
+      .filter((word) => word.length > 2 && titleLower.includes(word)).length;
+    return Math.min(matches * config.perWord, config.max);
+  },
+
+  duration(video, config, { profile }) {
+    if (isWithinRange(profile.idealRange, video.durationMinutes)) return config.ideal;
+    if (isWithinRange(profile.range, video.durationMinutes)) return config.acceptable;
+    return 0;
+  },
+
+  channel(video, config) {
+    if (!video.channelTitle) return 0;
+    const channelLower = video.channelTitle.toLowerCase();
+    return config.keywords.filter((keyword) => channelLower.includes(keyword)).length * config.perKeyword;
+  },
+
+  recency(video, config) {
+    if (!video.publishedAt) return 0;
+    const daysOld = (Date.now() - new Date(video.publishedAt).getTime()) / DAY_MS;
+    if (daysOld <= config.recentDays) return config.recent;
+    if (daysOld <= config.olderDays) return config.older;
+    return 0;
+  },
+
+  likeRatio(video, config) {
+    const viewCount = parseInt(video.viewCount) || 0;
+    const likeCount = parseInt(video.likeCount);
+    // Hidden like counts are not held against a video
+    if (!Number.isFinite(likeCount) || viewCount < config.minViews) return 0;
+    return Math.min(likeCount / viewCount / config.target, 1) * config.max;
+  },
+
+  captions(video, config) {
+    return video.hasCaptions ? config.points : 0;
+  },
+
+  definition(video, config) {
+    return video.definition === "hd" ? config.hd : 0;
+  },
+
+  language(video, config, { language }) {
+    if (!video.language) return 0;
+    const preferred = (language || config.preferred).toLowerCase().split("-")[0];
+    return video.language.toLowerCase().split("-")[0] === preferred
+      ? config.match
+      : config.mismatch;
+  },
+
+  channelRules(video, config, { channelVerdict }) {
+    if (!channelVerdict) return 0;
+    return (channelVerdict.allowed ? config.allow : 0) + channelVerdict.boost;
+  },
+
+  feedback(video, config, { feedback }) {
+    if (!feedback) return 0;
+    const points = (feedback.helpful - feedback.negative) * config.perVote;
+    return Math.max(-config.max, Math.min(points, config.max));
+  },
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class VideoRankingService {
+  constructor() {
+    this.config = this._buildConfig(this._loadOverrides());
+  }
+
+  // YOUTUBE_RANKING_CONFIG='{"views": {"weight": 0.5}, "captions": {"points": 10}}'
+  _loadOverrides() {
+    if (!process.env.YOUTUBE_RANKING_CONFIG) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(process.env.YOUTUBE_RANKING_CONFIG);
+    } catch (error) {
+      appLogger.warn("Ignoring invalid YOUTUBE_RANKING_CONFIG", { error: error.message });
+      return {};
+    }
+  }
+
+  // Overrides are merged per signal; unknown signals are ignored
+  _buildConfig(overrides) {
+    const config = {};
+    for (const [signal, defaults] of Object.entries(DEFAULT_RANKING_CONFIG)) {
+      config[signal] = { ...defaults, ...(overrides[signal] || {}) };
+    }
+
+    const unknown = Object.keys(overrides).filter((signal) => !SIGNALS[signal]);
+    if (unknown.length > 0) {
+      appLogger.warn("Ignoring unknown ranking signals", { signals: unknown });
+    }
+    return config;
+  }
+
+  getConfig() {
+    return structuredClone(this.config);
+  }
+
+  // Weighted channelRules points on their own, for curated fallback videos
+  channelRulePoints(channelVerdict) {
+    const config = this.config.channelRules;
+    return round(SIGNALS.channelRules(null, config, { channelVerdict }) * config.weight);
+  }
+
+  /**
+   * Whether users have voted a video down for the topic often enough to drop it
+   * @param {Object|null} feedback - From videoFeedbackService.getFeedback
+   * @returns {boolean}
+   */
+  isExcludedByFeedback(feedback) {
+    const config = this.config.feedback;
+    return Boolean(
+      feedback &&
+        config.weight &&
+        feedback.total >= config.minVotes &&
+        feedback.negative / feedback.total >= config.excludeShare
+    );
+  }
+
+  /**
+   * Score a search result. The breakdown holds each signal's weighted points
+   * and is stored with the video so the choice can be explained later.
+   * @param {Object} video - Search result merged with its videos.list details
+   * @param {{searchTitle: string, profile?: Object, language?: string, channelVerdict?: Object, feedback?: Object}} context
+   * channelVerdict comes from evaluateChannelRules, feedback from videoFeedbackService.getFeedback
+   * @returns {{score: number, breakdown: Object<string, number>}}
+   */
+  score(
+    video,
+    {
+      searchTitle,
+      profile = getVideoLengthProfile(),
+      language = null,
+      channelVerdict = null,
+      feedback = null,
+    }
+  ) {
+    const breakdown = {};
+    let score = 0;
+
+    for (const [signal, config] of Object.entries(this.config)) {
+      const points = config.weight
+        ? round(
+            SIGNALS[signal](video, config, { searchTitle, profile, language, channelVerdict, feedback }) *
+              config.weight
+          )
+        : 0;
+      breakdown[signal] = points;
+      score += points;
+    }
+
+    return { score: round(score), breakdown };
+  }
+}
+
+export default new VideoRankingService();
@@ -0,0 +1,166 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import prerequisiteService from "./prerequisiteService.js";
+import { getVideoId } from "../utils/videoDedup.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+// A video counts as watched at this percent; once every video of a point is
+// watched the point is marked complete (unless AUTO_COMPLETE_POINTS=false)
+const WATCHED_PERCENT = parseFloat(process.env.VIDEO_WATCHED_PERCENT) || 90;
+const AUTO_COMPLETE_POINTS = process.env.AUTO_COMPLETE_POINTS !== "false";
+
+/**
+ * API representation of a video_watch_progress row
+ * @param {Object} row - Database row
+ * @returns {Object} Watch progress
+ */
+export const formatWatchProgress = (row) => ({
+  videoId: row.video_id,
+  pointId: row.point_id,
+  positionSeconds: Number(row.position_seconds),
+  durationSeconds: row.duration_seconds === null ? null : Number(row.duration_seconds),
+  percentWatched: Number(row.percent_watched),
+  completed: row.completed,
+  completedAt: row.completed_at,
+  lastWatchedAt: row.last_watched_at,
+});
+
+class WatchProgressService {
+  /**
+   * Store a watch event. Without percentWatched the percent is worked out
+   * from the position and duration; reaching WATCHED_PERCENT completes the video.
+   * Fields left out keep their stored values.
+   * @param {string} userId - Viewer
+   * @param {string} roadmapId - Roadmap the video belongs to
+   * @param {string} videoId - YouTube video id
+   * @param {{pointId: string, positionSeconds?: number, durationSeconds?: number, percentWatched?: number, completed?: boolean}} event
+   * @returns {Promise<{progress: Object, pointCompleted: boolean}>} pointCompleted:
+   * this event completed the point
+   */
+  async recordWatch(userId, roadmapId, videoId, event) {
+    const positionSeconds = event.positionSeconds ?? null;
+    const durationSeconds = Number(event.durationSeconds) || null;
+    let percentWatched = event.percentWatched ?? null;
+    if (percentWatched === null && positionSeconds !== null && durationSeconds) {
+      percentWatched = Math.min(100, Math.round((positionSeconds / durationSeconds) * 10000) / 100);
+    }
+
+    const row = await neonDbService.upsertVideoWatchProgress(userId, roadmapId, videoId, {
+      pointId: event.pointId,
+      positionSeconds,
+      durationSeconds,
+      percentWatched,
+      completed: event.completed === true || (percentWatched ?? 0) >= WATCHED_PERCENT,
+    });
+
+    const pointCompleted =
+      row.completed && AUTO_COMPLETE_POINTS
+        ? await this._completePointIfWatched(userId, roadmapId, event.pointId)
+        : false;
+
+    return { progress: formatWatchProgress(row), pointCompleted };
+  }
+
+  // Marks the point complete once every available video in its current
+  // playlist is watched; never marks a point incomplete. In strict
+  // prerequisite mode a point waits for its prerequisites.
+  async _completePointIfWatched(userId, roadmapId, pointId) {
+    try {
+      const [videos, watched, pointProgress] = await Promise.all([
+        neonDbService.getCurrentPointVideoData(roadmapId, pointId),
+        neonDbService.getVideoWatchProgress(userId, roadmapId),
+        neonDbService.getRoadmapProgress(userId, roadmapId),
+      ]);
+
+      const completedIds = new Set(
+        watched.filter((row) => row.completed).map((row) => row.video_id)
+      );
+      const videoIds = videos
+        .filter((video) => !video.unavailable)
+        .map(getVideoId)
+        .filter(Boolean);
+      const alreadyCompleted = pointProgress.some(
+        (row) => row.point_id === pointId && row.is_completed
+      );
+
+      if (
+        alreadyCompleted ||
+        videoIds.length === 0 ||
+        !videoIds.every((videoId) => completedIds.has(videoId))
+      ) {
+        return false;
+      }
+
+      if (prerequisiteService.isStrict()) {
+        const roadmap = await neonDbService.authorizeRoadmapAccess(roadmapId, userId);
+        const completedPointIds = new Set(
+          pointProgress.filter((row) => row.is_completed).map((row) => row.point_id)
+        );
+        const missing = await prerequisiteService.getUnmetPrerequisites(
+          userId,
+          roadmap,
+          pointId,
+          completedPointIds
+        );
+        if (missing.length > 0) {
+          return false;
+        }
+      }
+
+      await neonDbService.markRoadmapPointComplete(userId, roadmapId, pointId, true);
+      appLogger.info("Roadmap point completed from watched videos", {
+        roadmapId,
+        pointId,
+        userId,
+        videoCount: videoIds.length,
+      });
+      return true;
+    } catch (error) {
+      appLogger.warn("Could not auto-complete roadmap point", {
+        roadmapId,
+        pointId,
+        userId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Watch progress of a roadmap keyed by video id. A failed read returns an
+   * empty map so video listings still load.
+   * @param {string} userId - Viewer
+   * @param {string} roadmapId - Roadmap
+   * @returns {Promise<Map<string, Object>>} Formatted progress by video id
+   */
+  async getProgressMap(userId, roadmapId) {
+    try {
+      const rows = await neonDbService.getVideoWatchProgress(userId, roadmapId);
+      return new Map(rows.map((row) => [row.video_id, formatWatchProgress(row)]));
+    } catch (error) {
+      appLogger.warn("Could not load video watch progress", {
+        roadmapId,
+        userId,
+        error: error.message,
+      });
+      return new Map();
+    }
+  }
+
+  /**
+   * Stored playlist items with their `watchProgress` (null = not watched yet)
+   * @param {Array<Object>} videos - Items from user_videos.video_data
+   * @param {Map<string, Object>} progressMap - From getProgressMap
+   * @returns {Array<Object>}
+   */
+  withWatchProgress(videos, progressMap) {
+    return (videos || []).map((video) => ({
+      ...video,
+      watchProgress: progressMap.get(getVideoId(video)) || null,
+    }));
+  }
+}
+
+export default new WatchProgressService();
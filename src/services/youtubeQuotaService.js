@@ -0,0 +1,206 @@
+import dotenv from "dotenv";
+import neonDbService from "./neonDbService.js";
+import { appLogger } from "../utils/logger.js";
+
+dotenv.config();
+
+// Units charged per call, see https://developers.google.com/youtube/v3/determine_quota_cost
+export const YOUTUBE_UNIT_COSTS = {
+  "search.list": 100,
+  "videos.list": 1,
+};
+
+// The YouTube quota day starts at midnight Pacific time
+const QUOTA_TIME_ZONE = "America/Los_Angeles";
+
+const quotaDayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: QUOTA_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+const offsetFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: QUOTA_TIME_ZONE,
+  timeZoneName: "longOffset",
+});
+
+/**
+ * Pacific-time calendar day a moment belongs to
+ * @param {Date} date - Moment to convert
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export const getQuotaDay = (date = new Date()) => quotaDayFormatter.format(date);
+
+// Minutes Pacific time is ahead of UTC at a given moment (negative)
+const pacificOffsetMinutes = (date) => {
+  const name = offsetFormatter
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName").value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === "-" ? -minutes : minutes;
+};
+
+/**
+ * Next Pacific midnight, when the daily quota resets
+ * @param {Date} date - Moment to start from
+ * @returns {Date} Reset time
+ */
+export const getQuotaResetTime = (date = new Date()) => {
+  const [year, month, day] = getQuotaDay(date).split("-").map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, day + 1);
+
+  // The offset at the reset can differ from today's on DST change days
+  let reset = midnightUtc - pacificOffsetMinutes(date) * 60000;
+  reset = midnightUtc - pacificOffsetMinutes(new Date(reset)) * 60000;
+  return new Date(reset);
+};
+
+const quotaExhaustedError = (method) => {
+  const error = new Error(
+    `YouTube quota exhausted for today, not calling ${method} (quotaExceeded)`
+  );
+  error.code = "QUOTA_EXHAUSTED";
+  return error;
+};
+
+class YouTubeQuotaService {
+  constructor() {
+    this.dailyLimit = parseInt(process.env.YOUTUBE_DAILY_QUOTA, 10) || 10000;
+    // Share of the daily quota after which bulk (background) generation waits
+    this.bulkThreshold =
+      parseFloat(process.env.YOUTUBE_QUOTA_BULK_THRESHOLD) || 0.8;
+
+    this.day = getQuotaDay();
+    this.used = 0;
+    this.byMethod = {};
+    this.exhausted = false;
+    this.loadedDay = null;
+  }
+
+  // Counters roll over at Pacific midnight
+  _rollover() {
+    const today = getQuotaDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.used = 0;
+      this.byMethod = {};
+      this.exhausted = false;
+    }
+  }
+
+  // Picks up what other instances (or this one before a restart) spent today
+  async load() {
+    this._rollover();
+    if (!neonDbService.sql || this.loadedDay === this.day) {
+      return;
+    }
+
+    try {
+      const rows = await neonDbService.getYoutubeQuotaUsage(this.day);
+      let used = 0;
+      for (const row of rows) {
+        used += row.units;
+        this.byMethod[row.method] = {
+          units: Math.max(row.units, this.byMethod[row.method]?.units || 0),
+          calls: Math.max(row.calls, this.byMethod[row.method]?.calls || 0),
+        };
+      }
+      this.used = Math.max(this.used, used);
+      this.loadedDay = this.day;
+    } catch (error) {
+      appLogger.warn("Failed to load YouTube quota usage", { error: error.message });
+    }
+  }
+
+  /**
+   * Reserve the units for a call before making it. Checking and counting
+   * happen together, so concurrent searches cannot overspend the quota
+   * (YouTube charges failed calls too, so nothing is refunded).
+   * @param {string} method - API method, a key of YOUTUBE_UNIT_COSTS
+   * @throws {Error} QUOTA_EXHAUSTED (message contains "quota" so callers fall back)
+   */
+  async reserve(method) {
+    await this.load();
+    const units = YOUTUBE_UNIT_COSTS[method];
+
+    if (this.exhausted || this.used + units > this.dailyLimit) {
+      throw quotaExhaustedError(method);
+    }
+
+    const day = this.day;
+    this.used += units;
+    const methodUsage = this.byMethod[method] || { units: 0, calls: 0 };
+    this.byMethod[method] = {
+      units: methodUsage.units + units,
+      calls: methodUsage.calls + 1,
+    };
+
+    if (!neonDbService.sql) {
+      return;
+    }
+
+    try {
+      const dayTotal = await neonDbService.addYoutubeQuotaUsage(day, method, units);
+      if (day === this.day) {
+        this.used = Math.max(this.used, dayTotal);
+      }
+    } catch (error) {
+      appLogger.warn("Failed to record YouTube quota usage", {
+        method,
+        error: error.message,
+      });
+    }
+  }
+
+  // YouTube said the quota is gone; trust it over our own count until reset
+  markExhausted() {
+    this._rollover();
+    if (!this.exhausted) {
+      appLogger.warn("YouTube quota reported exhausted", {
+        day: this.day,
+        used: this.used,
+        resetsAt: getQuotaResetTime().toISOString(),
+      });
+    }
+    this.exhausted = true;
+  }
+
+  /**
+   * Whether today's remaining quota still covers a call, by the counts known
+   * to this instance (reserve() is still the check that counts)
+   * @param {string} method - API method, a key of YOUTUBE_UNIT_COSTS
+   * @returns {boolean}
+   */
+  canAfford(method) {
+    this._rollover();
+    return !this.exhausted && this.used + YOUTUBE_UNIT_COSTS[method] <= this.dailyLimit;
+  }
+
+  isBulkThrottled() {
+    this._rollover();
+    return this.exhausted || this.used >= this.dailyLimit * this.bulkThreshold;
+  }
+
+  getStatus() {
+    this._rollover();
+    const used = this.exhausted ? Math.max(this.used, this.dailyLimit) : this.used;
+
+    return {
+      day: this.day,
+      used,
+      limit: this.dailyLimit,
+      remaining: Math.max(this.dailyLimit - used, 0),
+      percentUsed: Number(((used / this.dailyLimit) * 100).toFixed(1)),
+      bulkThreshold: this.bulkThreshold,
+      bulkThrottled: this.isBulkThrottled(),
+      exhausted: this.exhausted || used >= this.dailyLimit,
+      byMethod: this.byMethod,
+      resetsAt: getQuotaResetTime().toISOString(),
+    };
+  }
+}
+
+export default new YouTubeQuotaService();
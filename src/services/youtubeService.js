@@ -1,8 +1,34 @@
 import { google } from "googleapis";
 import dotenv from "dotenv";
+import cacheService, { normalizeKeyPart } from "./cacheService.js";
+import youtubeQuotaService from "./youtubeQuotaService.js";
+import fallbackVideoService from "./fallbackVideoService.js";
+import videoRankingService from "./videoRankingService.js";
+import channelRuleService, { evaluateChannelRules } from "./channelRuleService.js";
+import videoFeedbackService from "./videoFeedbackService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { createDuplicateFilter } from "../utils/videoDedup.js";
+import { mapWithConcurrency } from "../utils/helpers.js";
+import {
+  getVideoLengthProfile,
+  isWithinRange,
+  resolveLanguage,
+  resolveRegion,
+} from "../utils/preferences.js";
 
 dotenv.config();
 
+// videos.list accepts at most 50 ids per call
+const VIDEOS_LIST_MAX_IDS = 50;
+const SEARCH_CONCURRENCY = parseInt(process.env.YOUTUBE_SEARCH_CONCURRENCY, 10) || 3;
+// A title's search is widened (next bucket, next page) until this many
+// videos pass the length filter, at most YOUTUBE_MAX_SEARCHES_PER_TITLE
+// search.list calls (100 quota units each). Widening also stops once the
+// remaining quota no longer covers another search.
+const MIN_CANDIDATES = 3;
+const MAX_SEARCHES_PER_TITLE =
+  parseInt(process.env.YOUTUBE_MAX_SEARCHES_PER_TITLE, 10) || 3;
+
 class YouTubeService {
   constructor() {
     if (!process.env.YOUTUBE_API_KEY) {
@@ -15,408 +41,362 @@ class YouTubeService {
     });
   }
 
-  async searchVideoByTitle(
-    title,
-    excludeVideoIds = [],
-    minDurationMinutes = 8
-  ) {
+  // Every API call goes through here so it is charged against the daily quota
+  async _callApi(method, call) {
+    await youtubeQuotaService.reserve(method);
+
     try {
-      const response = await this.youtube.search.list({
-        part: "snippet",
-        q: title,
-        type: "video",
-        maxResults: 10,
-        order: "relevance",
-        videoDuration: "medium",
-      });
+      return await call();
+    } catch (error) {
+      if (this._isQuotaError(error)) {
+        youtubeQuotaService.markExhausted();
+      }
+      throw error;
+    }
+  }
+
+  // search.list responses are cached; only `data` is kept
+  async _searchList(params) {
+    return cacheService.wrap(
+      "youtube_search",
+      [
+        normalizeKeyPart(params.q),
+        params.type,
+        params.videoDuration,
+        params.order,
+        String(params.maxResults),
+        params.pageToken || "",
+        params.relevanceLanguage || "",
+        params.regionCode || "",
+      ],
+      async () =>
+        (await this._callApi("search.list", () => this.youtube.search.list(params))).data
+    );
+  }
+
+  // Search pages to try for a profile: the first page of each bucket, then
+  // the next pages, in bucket order
+  async *_searchPages(title, { profile, language, region }) {
+    const pageTokens = new Map();
+
+    for (let page = 0; ; page++) {
+      const buckets = profile.buckets.filter(
+        (bucket) => page === 0 || pageTokens.get(bucket)
+      );
+      if (buckets.length === 0) {
+        return;
+      }
+
+      for (const bucket of buckets) {
+        const data = await this._searchList({
+          part: "snippet",
+          q: title,
+          type: "video",
+          maxResults: 10,
+          order: "relevance",
+          videoDuration: bucket,
+          pageToken: pageTokens.get(bucket),
+          relevanceLanguage: language,
+          ...(region && { regionCode: region }),
+        });
+        pageTokens.set(bucket, data.nextPageToken);
+        yield data;
+      }
+    }
+  }
+
+  // Channel rules of the user the current request or job runs for
+  async _channelRules() {
+    return channelRuleService.getRules(getRequestContext().userId);
+  }
+
+  // Length profile, language and region for a search, from stored settings
+  // or request preferences. `topic` (the roadmap topic) selects the user
+  // feedback used in ranking.
+  async _searchOptions(userPreferences = {}, topic = null) {
+    return {
+      profile: getVideoLengthProfile(userPreferences),
+      language: resolveLanguage(userPreferences),
+      region: resolveRegion(userPreferences),
+      channelRules: await this._channelRules(),
+      topic,
+    };
+  }
 
-      if (response.data.items && response.data.items.length > 0) {
-        const validVideos = [];
-
-        for (const item of response.data.items) {
-          if (!excludeVideoIds.includes(item.id.videoId)) {
-            const videoDetails = await this.getVideoDetails(item.id.videoId);
-
-            if (
-              videoDetails &&
-              videoDetails.durationMinutes >= minDurationMinutes
-            ) {
-              const videoData = {
-                title: item.snippet.title,
-                videoId: item.id.videoId,
-                description: item.snippet.description,
-                duration: videoDetails.duration,
-                durationMinutes: videoDetails.durationMinutes,
-                publishedAt: item.snippet.publishedAt,
-                channelTitle: item.snippet.channelTitle,
-                viewCount: videoDetails.viewCount || 0,
-              };
-
-              videoData.qualityScore = this.calculateQualityScore(
-                videoData,
-                title
-              );
-              validVideos.push(videoData);
-            }
-          }
+  // Search hits that fit the length profile, ranked by quality score. Videos
+  // from blocked channels, or voted down for the topic, are dropped before
+  // counting, so the search is
+  // widened while fewer than MIN_CANDIDATES fit; if it still falls short,
+  // videos in the relaxed range are ranked after the ones that fit.
+  // Exclusions are left to the caller so concurrent searches can share a result.
+  // `search` comes from _searchOptions.
+  async _rankSearchResults(title, search) {
+    const { profile, language, channelRules = null, topic = null } = search;
+    const candidates = new Map();
+    // Blocked or missing details: skipped on later pages too
+    const seen = new Set();
+    let searches = 0;
+
+    try {
+      for await (const data of this._searchPages(title, search)) {
+        searches++;
+        const items = (data.items || []).filter(
+          (item) => !candidates.has(item.id.videoId) && !seen.has(item.id.videoId)
+        );
+        const details = await this.getVideosDetails(
+          items.map((item) => item.id.videoId)
+        );
+        const feedback = await videoFeedbackService.getFeedback(
+          items.map((item) => item.id.videoId),
+          topic
+        );
+
+        for (const item of items) {
+          seen.add(item.id.videoId);
+          const videoDetails = details.get(item.id.videoId);
+          if (!videoDetails) continue;
+
+          const channelVerdict = evaluateChannelRules(channelRules, item.snippet, title);
+          if (channelVerdict.blocked) continue;
+
+          const videoFeedback = feedback.get(item.id.videoId) || null;
+          if (videoRankingService.isExcludedByFeedback(videoFeedback)) continue;
+
+          const videoData = {
+            title: item.snippet.title,
+            videoId: item.id.videoId,
+            description: item.snippet.description,
+            duration: videoDetails.duration,
+            durationMinutes: videoDetails.durationMinutes,
+            publishedAt: item.snippet.publishedAt,
+            channelId: item.snippet.channelId,
+            channelTitle: item.snippet.channelTitle,
+            viewCount: videoDetails.viewCount || 0,
+            likeCount: videoDetails.likeCount,
+            hasCaptions: videoDetails.hasCaptions,
+            definition: videoDetails.definition,
+            language: videoDetails.language,
+          };
+
+          const { score, breakdown } = videoRankingService.score(videoData, {
+            searchTitle: title,
+            profile,
+            language,
+            channelVerdict,
+            feedback: videoFeedback,
+          });
+          videoData.qualityScore = score;
+          videoData.scoreBreakdown = breakdown;
+          candidates.set(videoData.videoId, videoData);
         }
 
-        validVideos.sort((a, b) => b.qualityScore - a.qualityScore);
-        return validVideos.length > 0 ? validVideos[0] : null;
+        const fitting = [...candidates.values()].filter((video) =>
+          isWithinRange(profile.range, video.durationMinutes)
+        );
+        if (
+          fitting.length >= MIN_CANDIDATES ||
+          searches >= MAX_SEARCHES_PER_TITLE ||
+          !youtubeQuotaService.canAfford("search.list")
+        ) {
+          break;
+        }
+      }
+    } catch (error) {
+      // A failed widening search still leaves the earlier results usable
+      if (candidates.size === 0) {
+        throw error;
       }
+      console.error(`Error widening search for "${title}":`, error.message);
+    }
 
-      return null;
+    if (searches > 1) {
+      console.log(`🔎 Widened search for "${title}" (${profile.label}) to ${searches} pages`);
+    }
+
+    const byScore = (a, b) => b.qualityScore - a.qualityScore;
+    const all = [...candidates.values()];
+    const fitting = all.filter((video) => isWithinRange(profile.range, video.durationMinutes));
+
+    if (fitting.length >= MIN_CANDIDATES) {
+      return fitting.sort(byScore);
+    }
+
+    const relaxed = all.filter(
+      (video) =>
+        !isWithinRange(profile.range, video.durationMinutes) &&
+        isWithinRange(profile.relaxedRange, video.durationMinutes)
+    );
+    return [...fitting.sort(byScore), ...relaxed.sort(byScore)];
+  }
+
+  _isQuotaError(error) {
+    return error.message.includes('quota') || error.message.includes('quotaExceeded');
+  }
+
+  // `topic` is the roadmap topic, for ranking by user feedback
+  async searchVideoByTitle(title, excludeVideoIds = [], userPreferences = {}, topic = null) {
+    let search = null;
+    try {
+      search = await this._searchOptions(userPreferences, topic);
+      const ranked = await this._rankSearchResults(title, search);
+      return ranked.find((video) => !excludeVideoIds.includes(video.videoId)) || null;
     } catch (error) {
       console.error("Error searching YouTube video:", error);
       
       // Check if it's a quota exceeded error
-      if (error.message.includes('quota') || error.message.includes('quotaExceeded')) {
+      if (this._isQuotaError(error)) {
         console.log("📊 YouTube API quota exceeded, using fallback video");
-        return this.getFallbackVideo(title, excludeVideoIds);
+        return this.getFallbackVideo(title, excludeVideoIds, {
+          language: resolveLanguage(userPreferences),
+          channelRules: search?.channelRules,
+        });
       }
       
       throw new Error(`Failed to search YouTube video: ${error.message}`);
     }
   }
 
-  getFallbackVideo(title, excludeVideoIds = []) {
-    // Fallback videos for different topics
-    const fallbackVideos = {
-      // Python Topics
-      "python basics": {
-        title: "Python Tutorial - Python for Beginners (Full Course)",
-        videoId: "_uQrJ0TkZlc",
-        description: "Complete Python Programming Tutorial for Beginners",
-        duration: "06:14:07",
-        durationMinutes: 374,
-        publishedAt: "2022-01-15T00:00:00Z",
-        channelTitle: "Programming with Mosh",
-        viewCount: 8000000,
-        qualityScore: 9.2
-      },
-      "python fundamentals": {
-        title: "Python Fundamentals: Syntax, Variables, Data Types",
-        videoId: "kqtD5dpn9C8",
-        description: "Learn Python fundamentals with practical examples",
-        duration: "01:45:30",
-        durationMinutes: 105,
-        publishedAt: "2023-03-20T00:00:00Z",
-        channelTitle: "Programming with Python",
-        viewCount: 3500000,
-        qualityScore: 8.8
-      },
-      "python functions": {
-        title: "Python Functions Tutorial - Complete Guide",
-        videoId: "9Os0o3wzS_I",
-        description: "Master Python functions: definition, arguments, scope",
-        duration: "01:25:15",
-        durationMinutes: 85,
-        publishedAt: "2023-04-05T00:00:00Z",
-        channelTitle: "Corey Schafer",
-        viewCount: 4200000,
-        qualityScore: 9.0
-      },
-      "python data types": {
-        title: "Python Data Types and Variables Explained",
-        videoId: "ppkiuIbfTD8",
-        description: "Complete guide to Python data types and variables",
-        duration: "01:12:45",
-        durationMinutes: 72,
-        publishedAt: "2023-02-10T00:00:00Z",
-        channelTitle: "Real Python",
-        viewCount: 2800000,
-        qualityScore: 8.7
-      },
-      "python control flow": {
-        title: "Python Control Flow - If Statements and Loops",
-        videoId: "f79MRyMsjrQ",
-        description: "Learn Python control flow with practical examples",
-        duration: "01:08:20",
-        durationMinutes: 68,
-        publishedAt: "2023-01-25T00:00:00Z",
-        channelTitle: "Sentdex",
-        viewCount: 2100000,
-        qualityScore: 8.5
-      },
-      "python variables": {
-        title: "Python Variables and Data Types - Complete Tutorial",
-        videoId: "cQT33yu9pY8",
-        description: "Learn Python variables, data types, and basic operations",
-        duration: "00:58:30",
-        durationMinutes: 58,
-        publishedAt: "2023-06-15T00:00:00Z",
-        channelTitle: "Tech With Tim",
-        viewCount: 1900000,
-        qualityScore: 8.4
-      },
-      
-      // Java Topics (keeping existing ones)
-      "java basics": {
-        title: "Java Programming Tutorial - Learn Java in 2 Hours",
-        videoId: "eIrMbAQSU34",
-        description: "Complete Java Programming Tutorial for Beginners",
-        duration: "02:28:12",
-        durationMinutes: 148,
-        publishedAt: "2022-01-15T00:00:00Z",
-        channelTitle: "Programming with Mosh",
-        viewCount: 5000000,
-        qualityScore: 8.5
-      },
-      "java control flow": {
-        title: "Java Control Flow - If Statements, Loops, and Switch",
-        videoId: "ldYLYRNaucM",
-        description: "Learn Java Control Flow with practical examples",
-        duration: "01:15:30",
-        durationMinutes: 75,
-        publishedAt: "2023-03-20T00:00:00Z",
-        channelTitle: "Code with Harry",
-        viewCount: 2500000,
-        qualityScore: 8.2
-      },
-      "java data types": {
-        title: "Java Data Types and Variables Explained",
-        videoId: "so1iUWaLmKE",
-        description: "Complete guide to Java data types and variables",
-        duration: "01:02:45",
-        durationMinutes: 62,
-        publishedAt: "2023-02-10T00:00:00Z",
-        channelTitle: "Derek Banas",
-        viewCount: 1800000,
-        qualityScore: 8.0
-      },
-      "java functions": {
-        title: "Java Methods (Functions) Tutorial - Complete Guide",
-        videoId: "vvanI8NRlSI",
-        description: "Learn Java methods with practical examples",
-        duration: "01:25:15",
-        durationMinutes: 85,
-        publishedAt: "2023-04-05T00:00:00Z",
-        channelTitle: "Coding with John",
-        viewCount: 3200000,
-        qualityScore: 8.7
-      },
-      
-      // React Topics
-      "react components": {
-        title: "React Components Tutorial - Props, State, and Events",
-        videoId: "Y2hgEGPzTZY",
-        description: "Learn React components, props, state, and event handling",
-        duration: "01:08:30",
-        durationMinutes: 68,
-        publishedAt: "2023-05-12T00:00:00Z",
-        channelTitle: "React Tutorial",
-        viewCount: 1800000,
-        qualityScore: 8.5
-      },
-      "react props": {
-        title: "React Props Explained - Passing Data Between Components",
-        videoId: "PHaECbrKgs0",
-        description: "Understanding React props and component communication",
-        duration: "00:45:20",
-        durationMinutes: 45,
-        publishedAt: "2023-06-05T00:00:00Z",
-        channelTitle: "Dev Ed",
-        viewCount: 1200000,
-        qualityScore: 8.3
-      },
-      "react state": {
-        title: "React State and Lifecycle Methods Complete Guide",
-        videoId: "4ORZ1GmjaMc",
-        description: "Master React state management and component lifecycle",
-        duration: "01:15:45",
-        durationMinutes: 75,
-        publishedAt: "2023-04-20T00:00:00Z",
-        channelTitle: "Traversy Media",
-        viewCount: 2100000,
-        qualityScore: 8.8
-      },
-      "react basics": {
-        title: "React.js Course - Beginner's Tutorial for React JavaScript Library",
-        videoId: "bMknfKXIFA8",
-        description: "Learn React.js in this full course for beginners",
-        duration: "11:55:27",
-        durationMinutes: 715,
-        publishedAt: "2022-12-15T00:00:00Z",
-        channelTitle: "freeCodeCamp.org",
-        viewCount: 5200000,
-        qualityScore: 9.5
-      }
+  // Curated catalog video for a title (see fallbackVideoService), used when
+  // the quota is exhausted
+  async getFallbackVideo(title, excludeVideoIds = [], options = {}) {
+    const match = await fallbackVideoService.match(title, {
+      ...options,
+      channelRules: options.channelRules || (await this._channelRules()),
+      excludeVideoIds,
+    });
+    if (!match) {
+      console.log(`⚠️ No fallback video available for "${title}"`);
+      return null;
+    }
+
+    const { video, technology, score } = match;
+    console.log(`📺 Using fallback video for "${title}": ${video.title} (topic: ${technology}, score: ${score})`);
+
+    return {
+      title: video.title,
+      videoId: video.videoId,
+      description: video.description,
+      duration: video.duration,
+      durationMinutes: video.durationMinutes,
+      publishedAt: video.publishedAt,
+      channelTitle: video.channelTitle,
+      viewCount: video.viewCount,
+      qualityScore: video.qualityScore,
+      scoreBreakdown: null,
+      language: video.language,
     };
+  }
 
-    // Enhanced topic detection with broader technology coverage
-    const titleLower = title.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
-
-    // Detect the main programming language/technology
-    let detectedTopic = this.detectTechnologyFromTitle(titleLower);
-    
-    console.log(`🔍 Detected topic: "${detectedTopic}" from title: "${title}"`);
-
-    // Find the best matching video based on topic and keywords
-    for (const [key, video] of Object.entries(fallbackVideos)) {
-      if (!excludeVideoIds.includes(video.videoId)) {
-        let score = 0;
-        
-        // High score for exact topic match
-        if (detectedTopic && key.startsWith(detectedTopic)) {
-          score += 150; // Increased from 100
-        }
-        
-        // Additional score for keyword matching
-        const keywords = key.split(' ');
-        for (const keyword of keywords) {
-          if (titleLower.includes(keyword)) {
-            score += keyword.length * 2; // Increased multiplier
-          }
-        }
-        
-        // Bonus for specific concept matches
-        if (titleLower.includes('component') && key.includes('component')) score += 50;
-        if (titleLower.includes('props') && key.includes('props')) score += 50;
-        if (titleLower.includes('state') && key.includes('state')) score += 50;
-        if (titleLower.includes('function') && key.includes('function')) score += 50;
-        if (titleLower.includes('variable') && key.includes('variable')) score += 50;
-        if (titleLower.includes('loop') && key.includes('loop')) score += 50;
-        
-        if (score > bestScore) {
-          bestMatch = video;
-          bestScore = score;
-        }
+  async getVideoDetails(videoId) {
+    const details = await this.getVideosDetails([videoId]);
+    return details.get(videoId) || null;
+  }
+
+  // Details for many videos: cached ids are served from the cache, the rest
+  // are fetched with one videos.list call per 50 ids. Returns Map<videoId, details>.
+  async getVideosDetails(videoIds) {
+    // snippet is only read for the language; the call costs 1 unit either way
+    const part = "snippet,contentDetails,statistics";
+    const details = new Map();
+    const missing = [];
+
+    for (const videoId of new Set(videoIds)) {
+      const cached = await cacheService.lookup("youtube_videos", [part, videoId]);
+      if (cached !== undefined) {
+        details.set(videoId, cached);
+      } else {
+        missing.push(videoId);
       }
     }
 
-    // Enhanced fallback selection with technology awareness
-    if (!bestMatch || bestScore === 0) {
-      console.log(`⚠️ No specific match found, using general fallback for topic: ${detectedTopic}`);
-      
-      switch (detectedTopic) {
-        case "python":
-          bestMatch = fallbackVideos["python basics"];
-          break;
-        case "java":
-          bestMatch = fallbackVideos["java basics"];
-          break;
-        case "react":
-        case "javascript":
-        case "js":
-          // For React/JS topics, don't default to Python
-          bestMatch = {
-            title: "React.js Course - Beginner's Tutorial for React JavaScript Library",
-            videoId: "bMknfKXIFA8",
-            description: "Learn React.js in this full course for beginners",
-            duration: "11:55:27",
-            durationMinutes: 715,
-            publishedAt: "2022-12-15T00:00:00Z",
-            channelTitle: "freeCodeCamp.org",
-            viewCount: 5200000,
-            qualityScore: 9.5
+    try {
+      for (let i = 0; i < missing.length; i += VIDEOS_LIST_MAX_IDS) {
+        const response = await this._callApi("videos.list", () =>
+          this.youtube.videos.list({
+            part,
+            id: missing.slice(i, i + VIDEOS_LIST_MAX_IDS).join(","),
+            maxResults: VIDEOS_LIST_MAX_IDS,
+          })
+        );
+
+        for (const item of response.data.items || []) {
+          const duration = item.contentDetails.duration;
+          const videoDetails = {
+            duration: this.formatDuration(duration),
+            durationMinutes: this.parseDuration(duration),
+            viewCount: item.statistics.viewCount,
+            // Absent when the uploader hides likes
+            likeCount: item.statistics.likeCount ?? null,
+            hasCaptions: item.contentDetails.caption === "true",
+            definition: item.contentDetails.definition || null,
+            language:
+              item.snippet?.defaultAudioLanguage || item.snippet?.defaultLanguage || null,
           };
-          break;
-        default:
-          // Only use Python as last resort for actual programming topics
-          if (this.isProgrammingTopic(titleLower)) {
-            bestMatch = fallbackVideos["python basics"];
-          } else {
-            // For non-programming topics, use a more general educational video
-            bestMatch = {
-              title: "Programming Fundamentals - Complete Course",
-              videoId: "zOjov-2OZ0E",
-              description: "Learn programming fundamentals and concepts",
-              duration: "04:25:30",
-              durationMinutes: 265,
-              publishedAt: "2023-01-10T00:00:00Z",
-              channelTitle: "Programming Academy",
-              viewCount: 1500000,
-              qualityScore: 8.0
-            };
-          }
+
+          details.set(item.id, videoDetails);
+          await cacheService.set("youtube_videos", [part, item.id], videoDetails);
+        }
       }
+    } catch (error) {
+      // Quota errors reach the search callers, which fall back to the catalog
+      if (this._isQuotaError(error)) {
+        throw error;
+      }
+      console.error("Error getting video details:", error);
     }
 
-    console.log(`📺 Using fallback video for "${title}": ${bestMatch.title} (topic: ${detectedTopic}, score: ${bestScore})`);
-    return bestMatch;
+    return details;
   }
 
-  // New method to detect technology from title
-  detectTechnologyFromTitle(titleLower) {
-    // React and related technologies
-    if (titleLower.includes('react') || titleLower.includes('jsx') || titleLower.includes('component')) {
-      return 'react';
-    }
-    
-    // JavaScript and Node.js
-    if (titleLower.includes('javascript') || titleLower.includes('js ') || titleLower.includes('node')) {
-      return 'javascript';
-    }
-    
-    // Python
-    if (titleLower.includes('python') || titleLower.includes('django') || titleLower.includes('flask')) {
-      return 'python';
-    }
-    
-    // Java
-    if (titleLower.includes('java') && !titleLower.includes('javascript')) {
-      return 'java';
-    }
-    
-    // Web technologies
-    if (titleLower.includes('html') || titleLower.includes('css') || titleLower.includes('web')) {
-      return 'web';
-    }
-    
-    // Mobile development
-    if (titleLower.includes('android') || titleLower.includes('ios') || titleLower.includes('mobile')) {
-      return 'mobile';
-    }
-    
-    // Database
-    if (titleLower.includes('sql') || titleLower.includes('database') || titleLower.includes('db')) {
-      return 'database';
-    }
-    
-    return 'general';
-  }
+  // Whether stored videos can still be watched, checked with one videos.list
+  // call per 50 ids. Not cached, and errors are thrown rather than read as
+  // "unavailable". Returns Map<videoId, {available, reason}>.
+  async getVideosAvailability(videoIds, region = null) {
+    const ids = [...new Set(videoIds)];
+    const availability = new Map();
+
+    for (let i = 0; i < ids.length; i += VIDEOS_LIST_MAX_IDS) {
+      const batch = ids.slice(i, i + VIDEOS_LIST_MAX_IDS);
+      const response = await this._callApi("videos.list", () =>
+        this.youtube.videos.list({
+          part: "status,contentDetails",
+          id: batch.join(","),
+          maxResults: VIDEOS_LIST_MAX_IDS,
+        })
+      );
 
-  // New method to check if topic is programming related
-  isProgrammingTopic(titleLower) {
-    const programmingKeywords = [
-      'programming', 'coding', 'code', 'algorithm', 'function', 'variable',
-      'loop', 'array', 'object', 'class', 'method', 'syntax', 'debug',
-      'compile', 'runtime', 'framework', 'library', 'api'
-    ];
-    
-    return programmingKeywords.some(keyword => titleLower.includes(keyword));
-  }
+      const items = new Map((response.data.items || []).map((item) => [item.id, item]));
+      for (const videoId of batch) {
+        availability.set(videoId, this._videoAvailability(items.get(videoId), region));
+      }
+    }
 
-  calculateTitleMatch(title, keyword) {
-    return title.includes(keyword) ? keyword.length : 0;
+    return availability;
   }
 
-  async getVideoDetails(videoId) {
-    try {
-      const response = await this.youtube.videos.list({
-        part: "contentDetails,statistics",
-        id: videoId,
-      });
-
-      if (response.data.items && response.data.items.length > 0) {
-        const item = response.data.items[0];
-        const duration = item.contentDetails.duration;
-        const durationMinutes = this.parseDuration(duration);
-
-        return {
-          duration: this.formatDuration(duration),
-          durationMinutes: durationMinutes,
-          viewCount: item.statistics.viewCount,
-        };
-      }
+  _videoAvailability(item, region) {
+    // Deleted and private videos are simply left out of the response
+    if (!item) {
+      return { available: false, reason: "removed" };
+    }
+    if (item.status?.privacyStatus === "private") {
+      return { available: false, reason: "private" };
+    }
+    if (["deleted", "failed", "rejected"].includes(item.status?.uploadStatus)) {
+      return { available: false, reason: "removed" };
+    }
 
-      return null;
-    } catch (error) {
-      console.error("Error getting video details:", error);
-      return null;
+    const restriction = item.contentDetails?.regionRestriction;
+    if (
+      region &&
+      restriction &&
+      (restriction.blocked?.includes(region) ||
+        (restriction.allowed && !restriction.allowed.includes(region)))
+    ) {
+      return { available: false, reason: "region_blocked" };
     }
+
+    return { available: true, reason: null };
   }
 
   parseDuration(duration) {
@@ -447,110 +427,49 @@ class YouTubeService {
     }
   }
 
-  calculateQualityScore(video, searchTitle) {
-    let score = 0;
-
-    const viewCount = parseInt(video.viewCount) || 0;
-    if (viewCount > 0) {
-      score += Math.min(Math.log10(viewCount) * 10, 50);
-    }
-
-    const titleLower = video.title.toLowerCase();
-    const searchLower = searchTitle.toLowerCase();
-    const searchWords = searchLower.split(" ");
-
-    let titleMatchScore = 0;
-    searchWords.forEach((word) => {
-      if (word.length > 2 && titleLower.includes(word)) {
-        titleMatchScore += 10;
-      }
-    });
-    score += Math.min(titleMatchScore, 30);
-
-    const duration = video.durationMinutes;
-    if (duration >= 8 && duration <= 45) {
-      score += 20;
-    } else if (duration >= 5 && duration <= 60) {
-      score += 10;
-    }
-
-    if (video.channelTitle) {
-      const channelLower = video.channelTitle.toLowerCase();
-      const qualityChannelKeywords = [
-        "academy",
-        "university",
-        "course",
-        "official",
-        "education",
-        "tutorial",
-      ];
-      qualityChannelKeywords.forEach((keyword) => {
-        if (channelLower.includes(keyword)) {
-          score += 5;
-        }
-      });
-    }
-
-    if (video.publishedAt) {
-      const publishDate = new Date(video.publishedAt);
-      const now = new Date();
-      const daysDiff = (now - publishDate) / (1000 * 60 * 60 * 24);
-
-      if (daysDiff <= 365) {
-        score += 10;
-      } else if (daysDiff <= 1095) {
-        score += 5;
-      }
-    }
-
-    return score;
-  }
-
-  async searchMultipleVideos(titles, userPreferences = {}) {
+  // `seen` holds videos picked elsewhere (e.g. other steps of the roadmap);
+  // those and their near-duplicates are skipped, and new picks are added to it.
+  // `topic` is the roadmap topic, for ranking by user feedback.
+  async searchMultipleVideos(
+    titles,
+    userPreferences = {},
+    { seen = createDuplicateFilter(), topic = null } = {}
+  ) {
     try {
-      const excludeVideoIds = new Set();
       const results = [];
 
-      const videoLengthMapping = {
-        Short: {
-          minDuration: 8,
-        },
-        Medium: {
-          minDuration: 15,
-        },
-        Long: {
-          minDuration: 30,
-        },
-      };
-
-      const lengthConfig =
-        videoLengthMapping[userPreferences.videoLength] ||
-        videoLengthMapping["Medium"];
-      const minDuration = lengthConfig.minDuration;
-
-      for (const title of titles) {
+      // Accepts stored settings (default_video_length, preferred_language)
+      // or request preferences (videoLength, language)
+      const search = await this._searchOptions(userPreferences, topic);
+
+      // Titles are searched concurrently, then a video is picked for each
+      // title in order, skipping ones already taken
+      const searches = await mapWithConcurrency(titles, SEARCH_CONCURRENCY, async (title) => {
         try {
-          const result = await this.searchVideoByTitle(
-            title,
-            Array.from(excludeVideoIds),
-            minDuration
-          );
-
-          if (result) {
-            excludeVideoIds.add(result.videoId);
-            results.push(result);
-          }
+          return { ranked: await this._rankSearchResults(title, search) };
         } catch (error) {
           console.error(`Error searching for video "${title}":`, error);
-          
+          return { error };
+        }
+      });
+
+      for (const [index, title] of titles.entries()) {
+        const { ranked, error } = searches[index];
+        let result = null;
+
+        if (!error) {
+          result = ranked.find((video) => !seen.isDuplicate(video));
+        } else if (this._isQuotaError(error)) {
           // If quota exceeded, try fallback videos
-          if (error.message.includes('quota') || error.message.includes('quotaExceeded')) {
-            const fallbackVideo = this.getFallbackVideo(title, Array.from(excludeVideoIds));
-            if (fallbackVideo && !excludeVideoIds.has(fallbackVideo.videoId)) {
-              excludeVideoIds.add(fallbackVideo.videoId);
-              results.push(fallbackVideo);
-            }
-          }
+          result = await this.getFallbackVideo(title, seen.videoIds(), {
+            language: search.language,
+            channelRules: search.channelRules,
+          });
+        }
+
+        if (result && !seen.isDuplicate(result)) {
+          seen.add(result);
+          results.push(result);
         }
       }
 
@@ -0,0 +1,60 @@
+/**
+ * Parse CSV text (RFC 4180: comma separated, double-quoted fields may
+ * contain commas, newlines and "" escapes) into objects keyed by the header row
+ * @param {string} text - CSV document; the first non-empty line is the header
+ * @returns {Array<Object>} One object per data row, values as trimmed strings
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((cells) =>
+    Object.fromEntries(header.map((name, index) => [name, (cells[index] ?? "").trim()]))
+  );
+};
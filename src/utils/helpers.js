@@ -77,3 +77,29 @@ export const validateEnvironmentVariables = (requiredVars) => {
 export const delay = (ms) => {
   return new Promise((resolve) => setTimeout(resolve, ms));
 };
+
+/**
+ * Map over items with at most `limit` calls of `fn` in flight at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+};
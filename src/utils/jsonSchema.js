@@ -0,0 +1,92 @@
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+const childPath = (path, key) =>
+  /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+
+/**
+ * Validate a value against a JSON Schema subset (type, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, enum, minimum,
+ * maximum)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+ */
+export const validateSchema = (value, schema, path = "$") => {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} items, got ${value.length}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items, got ${value.length}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(path, key), message: "is required" });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(child, propertySchema, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: "is not allowed" });
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Format validation errors one per line, e.g. "$.questions[3].options: must contain at least 4 items"
+ * @param {Array<{path: string, message: string}>} errors - Errors from validateSchema
+ * @returns {string} Human readable error list
+ */
+export const formatSchemaErrors = (errors) => {
+  return errors.map((error) => `${error.path}: ${error.message}`).join("\n");
+};
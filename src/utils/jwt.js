@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const base64UrlEncode = (value) => {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value);
+  return buffer
+    .toString("base64")
+    .replace(/=/g, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+};
+
+const base64UrlDecode = (value) => {
+  const normalized = value.replace(/-/g, "+").replace(/_/g, "/");
+  return Buffer.from(normalized, "base64");
+};
+
+const createSignature = (data, secret) => {
+  return base64UrlEncode(
+    crypto.createHmac("sha256", secret).update(data).digest()
+  );
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const tokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Sign a JWT using HMAC-SHA256
+ * @param {Object} payload - Claims to include in the token
+ * @param {string} secret - Signing secret
+ * @param {number} expiresInSeconds - Token lifetime in seconds
+ * @returns {string} Signed JWT
+ */
+export const signToken = (payload, secret, expiresInSeconds) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    ...payload,
+    iat: issuedAt,
+    exp: issuedAt + expiresInSeconds,
+  };
+
+  const encodedHeader = base64UrlEncode(JSON.stringify(HEADER));
+  const encodedPayload = base64UrlEncode(JSON.stringify(claims));
+  const signature = createSignature(`${encodedHeader}.${encodedPayload}`, secret);
+
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+};
+
+/**
+ * Verify a JWT signed with HMAC-SHA256 and return its claims
+ * @param {string} token - JWT to verify
+ * @param {string} secret - Signing secret
+ * @returns {Object} Decoded claims
+ * @throws {Error} With code INVALID_TOKEN or TOKEN_EXPIRED
+ */
+export const verifyToken = (token, secret) => {
+  if (typeof token !== "string") {
+    throw tokenError("INVALID_TOKEN", "Token must be a string");
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw tokenError("INVALID_TOKEN", "Malformed token");
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString("utf8"));
+    claims = JSON.parse(base64UrlDecode(encodedPayload).toString("utf8"));
+    // Valid JSON such as `null` or `1` is not a header or claim set
+    if (!isPlainObject(header) || !isPlainObject(claims)) {
+      throw new TypeError("Header and payload must be JSON objects");
+    }
+  } catch (error) {
+    throw tokenError("INVALID_TOKEN", "Malformed token");
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw tokenError("INVALID_TOKEN", "Unsupported token algorithm");
+  }
+
+  const expected = Buffer.from(
+    createSignature(`${encodedHeader}.${encodedPayload}`, secret)
+  );
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw tokenError("INVALID_TOKEN", "Invalid token signature");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw tokenError("TOKEN_EXPIRED", "Token has expired");
+  }
+
+  return claims;
+};
@@ -68,7 +68,8 @@ export const errorLogger = (err, req, res, next) => {
     timestamp,
     method: req.method,
     url: req.url,
-    headers: req.headers,
+    // Access tokens stay out of the logs
+    headers: { ...req.headers, ...(req.headers.authorization && { authorization: "[redacted]" }) },
     body: req.body,
     error: err.message,
     stack: err.stack,
@@ -0,0 +1,54 @@
+/**
+ * Parse the completed part of a JSON document that is still being streamed.
+ * The text is cut after the last closed object or array and the containers
+ * still open at that point are closed, so partially written strings, keys
+ * and numbers are never returned.
+ * @param {string} text - JSON received so far (code fences and leading prose are skipped)
+ * @returns {Object|Array|null} Parsed value, or null if nothing has completed yet
+ */
+export const parsePartialJson = (text) => {
+  if (!text) return null;
+
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let cut = -1;
+  let closers = "";
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      stack.push(char === "{" ? "}" : "]");
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+      cut = i + 1;
+      closers = stack.slice().reverse().join("");
+      if (stack.length === 0) break;
+    }
+  }
+
+  if (cut === -1) return null;
+
+  try {
+    return JSON.parse(text.slice(start, cut) + closers);
+  } catch (error) {
+    return null;
+  }
+};
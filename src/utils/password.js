@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Hash format: $scrypt$v=1$N=32768,r=8,p=1$<salt b64>$<hash b64>
+// The version and cost parameters travel with every hash so they can be
+// raised later without invalidating existing credentials.
+const HASH_PREFIX = "$scrypt$";
+const CURRENT_VERSION = 1;
+const CURRENT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+// Stored hashes weaker than this are rejected rather than trusted
+const MIN_PARAMS = { N: 16384, r: 8, p: 1 };
+
+const maxMemoryFor = ({ N, r }) => 256 * N * r;
+
+const parseHash = (storedHash) => {
+  const parts = storedHash.split("$");
+  // ["", "scrypt", "v=1", "N=...,r=...,p=...", salt, hash]
+  if (parts.length !== 6 || parts[1] !== "scrypt") {
+    return null;
+  }
+
+  const version = parseInt(parts[2].replace("v=", ""), 10);
+  const params = {};
+  for (const pair of parts[3].split(",")) {
+    const [key, value] = pair.split("=");
+    params[key] = parseInt(value, 10);
+  }
+
+  if (
+    !version ||
+    !(params.N >= MIN_PARAMS.N) ||
+    !(params.r >= MIN_PARAMS.r) ||
+    !(params.p >= MIN_PARAMS.p) ||
+    (params.N & (params.N - 1)) !== 0
+  ) {
+    return null;
+  }
+
+  const salt = Buffer.from(parts[4], "base64");
+  const hash = Buffer.from(parts[5], "base64");
+  // An empty key would match any password (scrypt derives an empty buffer)
+  if (salt.length === 0 || hash.length !== KEY_LENGTH) {
+    return null;
+  }
+
+  return { version, params, salt, hash };
+};
+
+/**
+ * Check whether a stored password value uses the versioned hash format
+ * @param {string} storedHash - Value from the users.password column
+ * @returns {boolean} True if the value is a scrypt hash
+ */
+export const isPasswordHash = (storedHash) => {
+  return typeof storedHash === "string" && storedHash.startsWith(HASH_PREFIX);
+};
+
+/**
+ * Hash a password with a random salt using scrypt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Versioned hash string
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derivedKey = await scryptAsync(password, salt, KEY_LENGTH, {
+    ...CURRENT_PARAMS,
+    maxmem: maxMemoryFor(CURRENT_PARAMS),
+  });
+
+  const { N, r, p } = CURRENT_PARAMS;
+  return `${HASH_PREFIX}v=${CURRENT_VERSION}$N=${N},r=${r},p=${p}$${salt.toString(
+    "base64"
+  )}$${derivedKey.toString("base64")}`;
+};
+
+/**
+ * Verify a password against a stored value. Legacy plaintext values are
+ * compared in constant time so existing accounts keep working until they
+ * are upgraded.
+ * @param {string} password - Plaintext password supplied by the user
+ * @param {string} storedHash - Value from the users.password column
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== "string" || typeof storedHash !== "string") {
+    return false;
+  }
+
+  if (!isPasswordHash(storedHash)) {
+    const supplied = Buffer.from(password);
+    const stored = Buffer.from(storedHash);
+    if (supplied.length !== stored.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(supplied, stored);
+  }
+
+  const parsed = parseHash(storedHash);
+  if (!parsed) {
+    return false;
+  }
+
+  const derivedKey = await scryptAsync(password, parsed.salt, KEY_LENGTH, {
+    ...parsed.params,
+    maxmem: maxMemoryFor(parsed.params),
+  });
+
+  return crypto.timingSafeEqual(derivedKey, parsed.hash);
+};
+
+/**
+ * Check whether a stored value should be rehashed with the current settings
+ * @param {string} storedHash - Value from the users.password column
+ * @returns {boolean} True for plaintext values and outdated hashes
+ */
+export const needsRehash = (storedHash) => {
+  if (!isPasswordHash(storedHash)) {
+    return true;
+  }
+
+  const parsed = parseHash(storedHash);
+  if (!parsed || parsed.version !== CURRENT_VERSION) {
+    return true;
+  }
+
+  return (
+    parsed.params.N !== CURRENT_PARAMS.N ||
+    parsed.params.r !== CURRENT_PARAMS.r ||
+    parsed.params.p !== CURRENT_PARAMS.p
+  );
+};
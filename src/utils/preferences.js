@@ -0,0 +1,124 @@
+// Requests use Fast/Balanced/Detailed and Short/Medium/Long, stored settings
+// use the lowercase values below; both resolve to the same preference.
+const REQUEST_DEPTHS = {
+  Fast: "basic",
+  Balanced: "detailed",
+  Detailed: "comprehensive",
+};
+
+export const ROADMAP_DEPTHS = ["basic", "detailed", "comprehensive"];
+
+/**
+ * How each video length preference maps onto YouTube search. `buckets` are
+ * search.list videoDuration values (short < 4 min, medium 4-20, long > 20) in
+ * the order they are tried; `range` is the duration filter and `idealRange`
+ * the span that earns the full duration bonus. When too few videos pass the
+ * filter, videos within `relaxedRange` are used after them. `null` = no upper limit.
+ */
+export const VIDEO_LENGTH_PROFILES = {
+  short: {
+    label: "Short",
+    buckets: ["medium"],
+    range: [5, 20],
+    idealRange: [8, 15],
+    relaxedRange: [3, 25],
+  },
+  medium: {
+    label: "Medium",
+    buckets: ["medium", "long"],
+    range: [10, 45],
+    idealRange: [15, 30],
+    relaxedRange: [6, 60],
+  },
+  long: {
+    label: "Long",
+    buckets: ["long", "medium"],
+    range: [25, null],
+    idealRange: [30, 180],
+    relaxedRange: [15, null],
+  },
+};
+
+/**
+ * Roadmap depth from either preference shape
+ * @param {Object} preferences - { default_roadmap_depth } or { depth }
+ * @returns {string} "basic", "detailed" or "comprehensive"
+ */
+export const resolveRoadmapDepth = (preferences = {}) => {
+  const depth =
+    preferences?.default_roadmap_depth || REQUEST_DEPTHS[preferences?.depth];
+  return ROADMAP_DEPTHS.includes(depth) ? depth : "detailed";
+};
+
+/**
+ * Video length from either preference shape
+ * @param {Object} preferences - { default_video_length } or { videoLength }
+ * @returns {string} "short", "medium" or "long"
+ */
+export const resolveVideoLength = (preferences = {}) => {
+  const length = String(
+    preferences?.default_video_length || preferences?.videoLength || ""
+  ).toLowerCase();
+  return VIDEO_LENGTH_PROFILES[length] ? length : "medium";
+};
+
+/**
+ * Search profile for the preferred video length
+ * @param {Object} preferences - User or request preferences
+ * @returns {Object} Entry of VIDEO_LENGTH_PROFILES, plus its `key`
+ */
+export const getVideoLengthProfile = (preferences = {}) => {
+  const key = resolveVideoLength(preferences);
+  return { key, ...VIDEO_LENGTH_PROFILES[key] };
+};
+
+/**
+ * Whether a duration falls within a [min, max] range (max null = open)
+ * @param {Array<number|null>} range - Inclusive bounds in minutes
+ * @param {number} minutes - Video duration
+ * @returns {boolean}
+ */
+export const isWithinRange = ([min, max], minutes) =>
+  minutes >= min && (max === null || minutes <= max);
+
+export const DEFAULT_LANGUAGE = "en";
+
+// ISO 639-1 code with an optional script or region subtag ("pt-BR", "zh-Hant")
+export const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Za-z]{2,4})?$/;
+// ISO 3166-1 alpha-2, as YouTube's regionCode expects
+export const REGION_PATTERN = /^[A-Z]{2}$/;
+
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * Content language from either preference shape
+ * @param {Object} preferences - { preferred_language } or { language }
+ * @returns {string} Language code, "en" by default
+ */
+export const resolveLanguage = (preferences = {}) => {
+  const language = preferences?.preferred_language || preferences?.language;
+  return LANGUAGE_PATTERN.test(language || "") ? language : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Search region from either preference shape
+ * @param {Object} preferences - { region }
+ * @returns {string|null} Region code, or null for no regional scoping
+ */
+export const resolveRegion = (preferences = {}) => {
+  const region = String(preferences?.region || "").toUpperCase();
+  return REGION_PATTERN.test(region) ? region : null;
+};
+
+/**
+ * English name of a language for use in prompts
+ * @param {string} language - Language code
+ * @returns {string} e.g. "Spanish" for "es"; the code itself if unknown
+ */
+export const getLanguageName = (language) => {
+  try {
+    return languageNames.of(language) || language;
+  } catch (error) {
+    return language;
+  }
+};
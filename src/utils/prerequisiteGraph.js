@@ -0,0 +1,187 @@
+// Prerequisites of roadmap points. Each point lists the ids of the points to
+// finish before it, and together they must form a DAG.
+
+const LEVELS = ["beginner", "intermediate", "advanced"];
+
+const refKey = (text) =>
+  String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+/**
+ * Maps the prerequisites a generated point declares (titles or step ids) to
+ * step ids. Only points added before it can be referenced, so generated
+ * roadmaps are acyclic; anything else is dropped.
+ * @returns {{resolve: Function, add: Function}} `resolve(refs)` (undefined when
+ * the point declares no prerequisites) and `add(pointId, title)`
+ */
+export const createPrerequisiteResolver = () => {
+  const earlier = new Map();
+
+  return {
+    resolve: (refs) =>
+      Array.isArray(refs)
+        ? [...new Set(refs.map((ref) => earlier.get(refKey(ref))).filter(Boolean))]
+        : undefined,
+    add: (pointId, title) => {
+      earlier.set(refKey(pointId), pointId);
+      if (title) earlier.set(refKey(title), pointId);
+    },
+  };
+};
+
+const levelSteps = (roadmapData, level) => {
+  const steps = roadmapData?.roadmap?.[level];
+  return steps && !Array.isArray(steps) && typeof steps === "object" ? Object.entries(steps) : [];
+};
+
+/**
+ * Point ids used in more than one level. Roadmaps converted before step
+ * numbers ran across levels start every level at step_1; progress and videos
+ * of such a point are shared by every level that has its id.
+ * @param {Object} roadmapData - roadmap_data with step-keyed levels
+ * @returns {Set<string>} Shared point ids
+ */
+export const getSharedPointIds = (roadmapData) => {
+  const levelsById = new Map();
+  for (const level of LEVELS) {
+    for (const [stepId, step] of levelSteps(roadmapData, level)) {
+      const pointId = step.pointId || stepId;
+      levelsById.set(pointId, (levelsById.get(pointId) || 0) + 1);
+    }
+  }
+  return new Set([...levelsById].filter(([, count]) => count > 1).map(([pointId]) => pointId));
+};
+
+/**
+ * Points of a roadmap in order with their prerequisite ids. Points stored
+ * before prerequisites existed depend on the point before them, which keeps
+ * the linear order those roadmaps were built for. Points whose id is shared
+ * by several levels (see getSharedPointIds) get no such dependency: it would
+ * lead back to the other level's point with the same id and form a cycle.
+ * @param {Object} roadmapData - roadmap_data with step-keyed levels (see processRoadmapWithStepIds)
+ * @returns {Array<{pointId: string, title: string, level: string, order: number, prerequisites: Array<string>}>}
+ */
+export const getPrerequisitePoints = (roadmapData) => {
+  const sharedIds = getSharedPointIds(roadmapData);
+  const points = [];
+
+  for (const level of LEVELS) {
+    for (const [stepId, step] of levelSteps(roadmapData, level)) {
+      const pointId = step.pointId || stepId;
+      const previous = points[points.length - 1];
+      points.push({
+        pointId,
+        title: step.pointTitle || step.title,
+        level,
+        order: points.length + 1,
+        prerequisites:
+          step.prerequisites !== undefined
+            ? step.prerequisites
+            : previous && !sharedIds.has(pointId)
+              ? [previous.pointId]
+              : [],
+      });
+    }
+  }
+
+  return points;
+};
+
+// Prerequisites by point id; points sharing an id are completed together, so
+// their prerequisites are merged
+const prerequisitesById = (points) => {
+  const byId = new Map();
+  for (const point of points) {
+    byId.set(point.pointId, [...(byId.get(point.pointId) || []), ...point.prerequisites]);
+  }
+  return byId;
+};
+
+/**
+ * First prerequisite cycle found, as the point ids along it
+ * @param {Array<Object>} points - From getPrerequisitePoints
+ * @returns {Array<string>|null} e.g. ["step_2", "step_5", "step_2"], or null for a DAG
+ */
+export const findPrerequisiteCycle = (points) => {
+  const byId = prerequisitesById(points);
+  // visiting: on the current path; done: no cycle reachable from it
+  const state = new Map();
+  const path = [];
+
+  const visit = (pointId) => {
+    state.set(pointId, "visiting");
+    path.push(pointId);
+
+    for (const prerequisite of byId.get(pointId)) {
+      if (!byId.has(prerequisite) || prerequisite === pointId) continue;
+      if (state.get(prerequisite) === "visiting") {
+        return [...path.slice(path.indexOf(prerequisite)), prerequisite];
+      }
+      if (!state.has(prerequisite)) {
+        const cycle = visit(prerequisite);
+        if (cycle) return cycle;
+      }
+    }
+
+    state.set(pointId, "done");
+    path.pop();
+    return null;
+  };
+
+  for (const point of points) {
+    if (!state.has(point.pointId)) {
+      const cycle = visit(point.pointId);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+/**
+ * Problems that keep the prerequisites from forming a DAG: malformed lists,
+ * unknown or self references, and cycles
+ * @param {Array<Object>} points - From getPrerequisitePoints
+ * @returns {Array<{pointId: string, message: string}>} Errors (empty when valid)
+ */
+export const validatePrerequisiteGraph = (points) => {
+  const ids = new Set(points.map((point) => point.pointId));
+  const errors = [];
+
+  for (const point of points) {
+    if (
+      !Array.isArray(point.prerequisites) ||
+      !point.prerequisites.every((id) => typeof id === "string")
+    ) {
+      errors.push({ pointId: point.pointId, message: "prerequisites must be an array of point ids" });
+      continue;
+    }
+
+    for (const id of point.prerequisites) {
+      if (id === point.pointId) {
+        errors.push({ pointId: point.pointId, message: "a point cannot be its own prerequisite" });
+      } else if (!ids.has(id)) {
+        errors.push({ pointId: point.pointId, message: `unknown prerequisite ${id}` });
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycle = findPrerequisiteCycle(points);
+    if (cycle) {
+      errors.push({ pointId: cycle[0], message: `prerequisites form a cycle: ${cycle.join(" -> ")}` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Prerequisites of a point that are not completed yet
+ * @param {Object} point - From getPrerequisitePoints
+ * @param {Set<string>} completedIds - Completed point ids
+ * @returns {Array<string>} Point ids
+ */
+export const unmetPrerequisites = (point, completedIds) =>
+  point.prerequisites.filter((id) => !completedIds.has(id));
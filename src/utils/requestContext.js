@@ -0,0 +1,59 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that makes the current request reachable from code that
+ * does not receive it as an argument (e.g. service-level usage accounting)
+ * @returns {Function} Express middleware
+ */
+export const requestContext = () => (req, res, next) => {
+  storage.run({ req }, () => next());
+};
+
+/**
+ * Run a function with an explicit context, for work outside a request such as
+ * background jobs
+ * @param {{userId?: string, endpoint?: string, noCache?: boolean}} context - Identity to
+ * attribute work to
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+const wantsFreshResponse = (req) => {
+  const cacheControl = (req.get("cache-control") || "").toLowerCase();
+  return (
+    cacheControl.includes("no-cache") ||
+    cacheControl.includes("no-store") ||
+    (req.get("pragma") || "").toLowerCase() === "no-cache"
+  );
+};
+
+/**
+ * Who the current work is for. Resolved lazily because req.user and req.route
+ * are only set once the matching route's middleware has run.
+ * @returns {{userId: string|null, endpoint: string|null, noCache: boolean}} Current user,
+ * endpoint and whether the client asked to bypass cached responses
+ */
+export const getRequestContext = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return { userId: null, endpoint: null, noCache: false };
+  }
+
+  if (store.req) {
+    const { req } = store;
+    return {
+      userId: req.user?.id || null,
+      endpoint: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+      noCache: wantsFreshResponse(req),
+    };
+  }
+
+  return {
+    userId: store.userId || null,
+    endpoint: store.endpoint || null,
+    noCache: !!store.noCache,
+  };
+};
@@ -0,0 +1,57 @@
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch a response to a Server-Sent Events stream
+ * @param {import("express").Request} req - Incoming request, watched for client disconnects
+ * @param {import("express").Response} res - Response to stream events on
+ * @returns {{send: Function, close: Function, isClosed: Function}} Stream handle
+ */
+export const openEventStream = (req, res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  // compression() buffers writes until flushed
+  const write = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  const heartbeat = setInterval(() => write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+
+  req.on("close", cleanup);
+
+  return {
+    /**
+     * Send one event
+     * @param {string} event - Event name
+     * @param {*} data - Payload, serialized as JSON
+     */
+    send(event, data) {
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      cleanup();
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    },
+  };
+};
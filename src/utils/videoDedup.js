@@ -0,0 +1,122 @@
+// Title words that mark a copy of a video rather than a different one
+const COPY_MARKERS = new Set([
+  "official",
+  "reupload",
+  "reuploaded",
+  "mirror",
+  "copy",
+  "backup",
+  "hd",
+  "hq",
+  "4k",
+  "1080p",
+  "720p",
+]);
+const YEAR = /^(19|20)\d{2}$/;
+const NUMBER = /^\d+$/;
+
+// Titles this similar are the same video on different channels (mirrors),
+// or on the same channel (re-uploads, which are often renamed slightly)
+const MIRROR_SIMILARITY = 0.9;
+const REUPLOAD_SIMILARITY = 0.75;
+
+const YOUTUBE_VIDEO_ID = /(?:[?&]v=|youtu\.be\/)([A-Za-z0-9_-]{11})/;
+
+const tokenize = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/re-upload/g, "reupload")
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter(Boolean);
+
+/**
+ * YouTube id of a search result or stored playlist item
+ * @param {Object} video - Has `videoId` or a `videoUrl`
+ * @returns {string|null} Video id, or null if it cannot be read
+ */
+export const getVideoId = (video) =>
+  video?.videoId || video?.videoUrl?.match(YOUTUBE_VIDEO_ID)?.[1] || null;
+
+/**
+ * Title words that tell videos apart: lowercase, without accents, copy
+ * markers ("reupload", "HD") or years
+ * @param {string} title - Video title
+ * @returns {Array<string>} Words
+ */
+export const normalizeVideoTitle = (title) =>
+  tokenize(title).filter((word) => !COPY_MARKERS.has(word) && !YEAR.test(word));
+
+const sameWords = (a, b) => a.length === b.length && a.every((word) => b.includes(word));
+
+/**
+ * Whether two videos are the same content: the same id, or titles that match
+ * after normalization (channel names, which mirrors often add, are ignored)
+ * with a similar duration. Numbered titles ("Part 2") only match the same numbers.
+ * @param {Object} a - Video with videoId/videoUrl, title, channelId/channelTitle, durationMinutes
+ * @param {Object} b - Video to compare with
+ * @returns {boolean}
+ */
+export const isNearDuplicate = (a, b) => {
+  const idA = getVideoId(a);
+  if (idA && idA === getVideoId(b)) {
+    return true;
+  }
+
+  const channelWords = new Set([...tokenize(a.channelTitle), ...tokenize(b.channelTitle)]);
+  const wordsA = new Set(normalizeVideoTitle(a.title).filter((word) => !channelWords.has(word)));
+  const wordsB = new Set(normalizeVideoTitle(b.title).filter((word) => !channelWords.has(word)));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return false;
+  }
+
+  const numbers = (words) => [...words].filter((word) => NUMBER.test(word));
+  if (!sameWords(numbers(wordsA), numbers(wordsB))) {
+    return false;
+  }
+
+  const minutesA = Number(a.durationMinutes);
+  const minutesB = Number(b.durationMinutes);
+  if (
+    minutesA > 0 &&
+    minutesB > 0 &&
+    Math.abs(minutesA - minutesB) > Math.max(2, Math.max(minutesA, minutesB) * 0.1)
+  ) {
+    return false;
+  }
+
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  const similarity = (2 * shared) / (wordsA.size + wordsB.size);
+  const channelA = tokenize(a.channelTitle).join(" ");
+  const sameChannel =
+    (a.channelId && a.channelId === b.channelId) ||
+    (channelA !== "" && channelA === tokenize(b.channelTitle).join(" "));
+
+  return similarity >= (sameChannel ? REUPLOAD_SIMILARITY : MIRROR_SIMILARITY);
+};
+
+/**
+ * Videos already picked, for skipping repeats and near-duplicates of them
+ * @param {Array<Object>} videos - Videos to start with (e.g. stored for the roadmap)
+ * @returns {{isDuplicate: Function, add: Function, videoIds: Function}} `isDuplicate(video)`,
+ * `add(video)` and `videoIds()` (ids to exclude from searches)
+ */
+export const createDuplicateFilter = (videos = []) => {
+  const kept = [];
+  const ids = new Set();
+
+  const filter = {
+    isDuplicate: (video) =>
+      ids.has(getVideoId(video)) || kept.some((other) => isNearDuplicate(video, other)),
+    add: (video) => {
+      const videoId = getVideoId(video);
+      if (videoId) ids.add(videoId);
+      kept.push(video);
+    },
+    videoIds: () => [...ids],
+  };
+
+  videos.forEach(filter.add);
+  return filter;
+};
@@ -0,0 +1,45 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users, neonDbService } from "./helpers.js";
+
+let app;
+let migrations = 0;
+
+before(async () => {
+  app = await startTestApp(async () => []);
+  neonDbService.migrateAllRoadmapsToStepIds = async () => {
+    migrations++;
+    return { migrated: 0, skipped: 0, errors: 0 };
+  };
+  neonDbService.migrateAllRoadmaps = async () => {
+    migrations++;
+    return { migrated: 0, skipped: 0, errors: 0 };
+  };
+});
+
+after(() => {
+  app.close();
+});
+
+for (const path of ["/api/users/migrate-roadmaps", "/api/users/admin/migrate-roadmaps"]) {
+  test(`${path}: 401 without a token`, async () => {
+    const { status } = await app.request("POST", path);
+    assert.equal(status, 401);
+  });
+
+  test(`${path}: 403 for a user who is not an admin`, async () => {
+    const before = migrations;
+    const { status, body } = await app.request("POST", path, tokenFor(users.alice));
+    assert.equal(status, 403);
+    assert.equal(body.error.code, "FORBIDDEN");
+    assert.equal(migrations, before);
+  });
+
+  test(`${path}: runs for an admin`, async () => {
+    const before = migrations;
+    const { status } = await app.request("POST", path, tokenFor(users.admin));
+    assert.equal(status, 200);
+    assert.equal(migrations, before + 1);
+  });
+}
@@ -0,0 +1,125 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { neonDbService } from "./helpers.js";
+import cacheService, { topicKey } from "../src/services/cacheService.js";
+import { runWithContext } from "../src/utils/requestContext.js";
+
+// The suite runs with CACHE_ENABLED=false; each test turns on what it needs
+beforeEach(() => {
+  cacheService.enabled = true;
+  cacheService.usePostgres = false;
+  cacheService.maxEntries = 1000;
+  cacheService.entries.clear();
+  cacheService.stats.clear();
+  neonDbService.sql = null;
+});
+
+// Stub `sql` backing the response_cache table with a Map
+const cacheTableSql = (rows = new Map()) => {
+  const sql = async (strings, ...values) => {
+    const query = strings.join("?");
+    if (query.includes("FROM response_cache")) {
+      const row = rows.get(values[0]);
+      return row ? [row] : [];
+    }
+    if (query.includes("INSERT INTO response_cache")) {
+      const [cacheKey, , value, expiresAt] = values;
+      rows.set(cacheKey, { value: JSON.parse(value), expires_at: expiresAt });
+      return [];
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  sql.rows = rows;
+  return sql;
+};
+
+test("the least recently used entry is evicted first", async () => {
+  cacheService.maxEntries = 2;
+
+  await cacheService.set("roadmap", ["a"], 1);
+  await cacheService.set("roadmap", ["b"], 2);
+  assert.equal(await cacheService.get("roadmap", ["a"]), 1);
+  await cacheService.set("roadmap", ["c"], 3);
+
+  assert.equal(await cacheService.get("roadmap", ["b"]), undefined);
+  assert.equal(await cacheService.get("roadmap", ["a"]), 1);
+  assert.equal(await cacheService.get("roadmap", ["c"]), 3);
+  assert.equal(cacheService.getStats().namespaces.roadmap.evictions, 1);
+});
+
+test("cached values are copies", async () => {
+  await cacheService.set("video_titles", ["js"], ["Closures"]);
+
+  const titles = await cacheService.get("video_titles", ["js"]);
+  titles.push("Mutated");
+
+  assert.deepEqual(await cacheService.get("video_titles", ["js"]), ["Closures"]);
+});
+
+test("wrap computes once and does not cache empty results", async () => {
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    return calls === 1 ? null : { points: [] };
+  };
+
+  assert.equal(await cacheService.wrap("roadmap", ["js"], compute), null);
+  assert.deepEqual(await cacheService.wrap("roadmap", ["js"], compute), { points: [] });
+  assert.deepEqual(await cacheService.wrap("roadmap", ["js"], compute), { points: [] });
+  assert.equal(calls, 2);
+});
+
+test("the Postgres tier is written through and read back into memory", async () => {
+  cacheService.usePostgres = true;
+  const sql = cacheTableSql();
+  neonDbService.sql = sql;
+
+  await cacheService.set("youtube_search", ["closures"], { items: ["v1"] });
+  assert.deepEqual(sql.rows.get("youtube_search:closures").value, { items: ["v1"] });
+
+  // Another instance filled Postgres; this process only has an empty LRU
+  cacheService.entries.clear();
+  assert.deepEqual(await cacheService.get("youtube_search", ["closures"]), { items: ["v1"] });
+  assert.ok(cacheService.entries.has("youtube_search:closures"));
+
+  const stats = cacheService.getStats().namespaces.youtube_search;
+  assert.equal(stats.postgresHits, 1);
+  assert.equal(stats.memoryHits, 0);
+});
+
+test("a failing Postgres tier counts as a miss", async () => {
+  cacheService.usePostgres = true;
+  neonDbService.sql = async () => {
+    throw new Error("connection reset");
+  };
+
+  assert.equal(await cacheService.get("roadmap", ["js"]), undefined);
+  assert.equal(cacheService.getStats().namespaces.roadmap.errors, 1);
+});
+
+test("no-cache requests skip the lookup but refresh the entry", async () => {
+  await cacheService.set("roadmap", ["js"], "stale");
+
+  const value = await runWithContext({ noCache: true }, () =>
+    cacheService.wrap("roadmap", ["js"], async () => "fresh")
+  );
+
+  assert.equal(value, "fresh");
+  assert.equal(await cacheService.lookup("roadmap", ["js"]), "fresh");
+  assert.equal(cacheService.getStats().namespaces.roadmap.bypassed, 1);
+});
+
+test("a disabled cache neither stores nor returns values", async () => {
+  cacheService.enabled = false;
+
+  await cacheService.set("roadmap", ["js"], "value");
+  assert.equal(await cacheService.lookup("roadmap", ["js"]), undefined);
+  assert.equal(cacheService.entries.size, 0);
+});
+
+test("topic keys keep C, C++ and C# apart", () => {
+  const keys = new Set(["C", "C++", "C#"].map(topicKey));
+  assert.equal(keys.size, 3);
+  assert.equal(topicKey("  JavaScript "), topicKey("javascript"));
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users } from "./helpers.js";
+import { parseCsv } from "../src/utils/csv.js";
+
+const IMPORT_PATH = "/api/admin/fallback-videos/import";
+
+// fallback_videos rows by video id; a transaction commits all its inserts or none
+const catalog = new Map();
+let failOnVideoId = null;
+
+const insertRow = ({ values }) => {
+  const [videoId, title] = values;
+  if (videoId === failOnVideoId) {
+    throw new Error("value too long for type character varying");
+  }
+  return { video_id: videoId, title, inserted: !catalog.has(videoId) };
+};
+
+const stubSql = (strings, ...values) => {
+  const query = strings.join("?");
+  if (query.includes("INSERT INTO fallback_videos")) {
+    return { values };
+  }
+  return Promise.resolve([]);
+};
+
+stubSql.transaction = async (queries) => {
+  const rows = queries.map(insertRow);
+  for (const row of rows) {
+    catalog.set(row.video_id, row);
+  }
+  return rows.map((row) => [row]);
+};
+
+let app;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+});
+
+after(() => {
+  app.close();
+});
+
+test("parseCsv handles quoted fields, escaped quotes and CRLF", () => {
+  const rows = parseCsv(
+    '\uFEFFvideoId,title,tags\r\n' +
+      'PkZNo7MFNFg,"Learn JavaScript, Full Course","js;basics"\r\n' +
+      '\r\n' +
+      'rfscVS0vtbw,"The ""Python"" course\nfor beginners",\r\n'
+  );
+
+  assert.deepEqual(rows, [
+    { videoId: "PkZNo7MFNFg", title: "Learn JavaScript, Full Course", tags: "js;basics" },
+    { videoId: "rfscVS0vtbw", title: 'The "Python" course\nfor beginners', tags: "" },
+  ]);
+});
+
+test("parseCsv returns no rows for a header-only or empty document", () => {
+  assert.deepEqual(parseCsv("videoId,title\n"), []);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("import requires an admin", async () => {
+  const { status } = await app.request("POST", IMPORT_PATH, tokenFor(users.alice), [
+    { videoId: "PkZNo7MFNFg", title: "Learn JavaScript", technology: "javascript" },
+  ]);
+  assert.equal(status, 403);
+});
+
+test("a CSV import creates and updates catalog rows", async () => {
+  catalog.clear();
+  catalog.set("PkZNo7MFNFg", { video_id: "PkZNo7MFNFg", title: "Old title" });
+
+  const { status, body } = await app.request(
+    "POST",
+    IMPORT_PATH,
+    tokenFor(users.admin),
+    "videoId,title,technology,level,durationMinutes,isDefault\n" +
+      "PkZNo7MFNFg,Learn JavaScript,javascript,beginner,210,yes\n" +
+      "rfscVS0vtbw,Learn Python,python,,,\n"
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { imported: 2, created: 1, updated: 1 });
+  assert.equal(catalog.get("PkZNo7MFNFg").title, "Learn JavaScript");
+});
+
+test("an invalid row rejects the whole import", async () => {
+  catalog.clear();
+
+  const { status, body } = await app.request("POST", IMPORT_PATH, tokenFor(users.admin), {
+    videos: [
+      { videoId: "PkZNo7MFNFg", title: "Learn JavaScript", technology: "javascript" },
+      { videoId: "rfscVS0vtbw", title: "Learn Python", level: "expert" },
+      { videoId: "PkZNo7MFNFg", title: "Again", technology: "javascript" },
+    ],
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.message, "2 of 3 rows are invalid");
+  assert.match(body.error.details, /^row 2: .*technology/m);
+  assert.match(body.error.details, /^row 3: \$\.videoId: PkZNo7MFNFg appears more than once$/m);
+  assert.equal(catalog.size, 0);
+});
+
+test("a failing insert rolls back the rows before it", async () => {
+  catalog.clear();
+  failOnVideoId = "rfscVS0vtbw";
+
+  try {
+    const { status } = await app.request("POST", IMPORT_PATH, tokenFor(users.admin), [
+      { videoId: "PkZNo7MFNFg", title: "Learn JavaScript", technology: "javascript" },
+      { videoId: "rfscVS0vtbw", title: "Learn Python", technology: "python" },
+    ]);
+
+    assert.equal(status, 500);
+    assert.equal(catalog.size, 0);
+  } finally {
+    failOnVideoId = null;
+  }
+});
@@ -0,0 +1,91 @@
+// Shared setup for route tests: the app's routers on an ephemeral port with
+// neonDbService.sql stubbed, and real access tokens for test users.
+
+// Route logging goes to stdout, which the test runner also reads
+for (const method of ["log", "info", "warn", "error"]) {
+  console[method] = () => {};
+}
+
+// Configure before the app modules read the environment. There is no
+// DATABASE_URL: neonDbService gets the stubbed `sql` instead.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-secret";
+process.env.YOUTUBE_API_KEY = "test-key";
+process.env.LLM_PROVIDER = "fixture";
+process.env.CACHE_ENABLED = "false";
+process.env.ADMIN_USERNAMES = "admin";
+delete process.env.DATABASE_URL;
+
+const { default: express } = await import("express");
+const { default: neonDbService } = await import("../src/services/neonDbService.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: userRoutes } = await import("../src/routes/userRoutes.js");
+const { default: playlistRoutes } = await import("../src/routes/playlistRoutes.js");
+const { default: quizRoutes } = await import("../src/routes/quizRoutes.js");
+const { default: adminRoutes } = await import("../src/routes/adminRoutes.js");
+const { default: noteRoutes } = await import("../src/routes/noteRoutes.js");
+
+export { neonDbService };
+
+export const users = {
+  alice: { id: "0b7e6a52-3f9e-4c1a-9d2b-1a2b3c4d5e01", username: "alice" },
+  bob: { id: "0b7e6a52-3f9e-4c1a-9d2b-1a2b3c4d5e02", username: "bob" },
+  admin: { id: "0b7e6a52-3f9e-4c1a-9d2b-1a2b3c4d5e03", username: "admin" },
+};
+
+const sessions = new Map();
+
+/**
+ * Access token for a test user, backed by an active session
+ * @param {{id: string, username: string}} user - One of `users`
+ * @returns {string} Bearer token
+ */
+export const tokenFor = (user) => {
+  const sessionId = `session-${user.username}`;
+  sessions.set(sessionId, {
+    id: sessionId,
+    user_id: user.id,
+    username: user.username,
+    revoked_at: null,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  });
+  return authService._signAccessToken(user, sessionId);
+};
+
+/**
+ * Start the API routers with a stubbed database
+ * @param {Function} sql - Tagged template standing in for neonDbService.sql
+ * @returns {Promise<{request: Function, close: Function}>} `request(method, path, token?, body?)`
+ * resolves to `{ status, body }`; a string body is sent as CSV
+ */
+export const startTestApp = async (sql) => {
+  neonDbService.sql = sql;
+  neonDbService.getUserSession = async (sessionId) => sessions.get(sessionId) || null;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/users", userRoutes);
+  app.use("/api/playlists", playlistRoutes);
+  app.use("/api/quizzes", quizRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api/notes", noteRoutes);
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, token, body) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const csv = typeof body === "string";
+    if (body !== undefined) headers["Content-Type"] = csv ? "text/csv" : "application/json";
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined && !csv ? JSON.stringify(body) : body,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { request, close: () => server.close() };
+};
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signToken, verifyToken } from "../src/utils/jwt.js";
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+test("a signed token verifies", () => {
+  const claims = verifyToken(signToken({ sub: "user-1" }, "secret", 60), "secret");
+  assert.equal(claims.sub, "user-1");
+});
+
+test("a header or payload that is not a JSON object is an invalid token", () => {
+  const header = encode({ alg: "HS256", typ: "JWT" });
+  for (const token of [
+    `${encode(null)}.${encode({})}.sig`,
+    `${encode(1)}.${encode({})}.sig`,
+    `${header}.${encode(null)}.sig`,
+    `${header}.${encode(["sub"])}.sig`,
+  ]) {
+    assert.throws(() => verifyToken(token, "secret"), { code: "INVALID_TOKEN" });
+  }
+});
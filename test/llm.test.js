@@ -0,0 +1,136 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createLlmProvider, getLlmProviderName } from "../src/services/llm/index.js";
+import FixtureProvider from "../src/services/llm/fixtureProvider.js";
+import OpenAiProvider from "../src/services/llm/openAiProvider.js";
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test("LLM_PROVIDER selects the provider", () => {
+  assert.equal(getLlmProviderName({}), "gemini");
+  assert.equal(getLlmProviderName({ LLM_PROVIDER: " OpenAI " }), "openai");
+  assert.ok(createLlmProvider({ LLM_PROVIDER: "fixture" }) instanceof FixtureProvider);
+  assert.ok(createLlmProvider({ LLM_PROVIDER: "openai" }) instanceof OpenAiProvider);
+  assert.throws(() => createLlmProvider({ LLM_PROVIDER: "llama" }), /Unknown LLM_PROVIDER "llama"/);
+});
+
+test("the fixture provider answers from its builders", async () => {
+  const provider = new FixtureProvider();
+  const prompt = 'Suggest video titles for learning "Closures" in the context of "javascript"';
+  const { text, usage, model } = await provider.generateText(prompt, { task: "videoTitles" });
+
+  const titles = JSON.parse(text);
+  assert.equal(titles.length, 5);
+  assert.ok(titles.every((title) => title.includes("Closures") && title.includes("javascript")));
+  assert.equal(model, "fixture");
+  assert.equal(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+  assert.ok(usage.completionTokens > 0);
+});
+
+test("the fixture provider streams the same text in chunks", async () => {
+  const provider = new FixtureProvider();
+  const prompt = 'Generate 15 questions for "javascript" quiz';
+  const { text: expected } = await provider.generateText(prompt, { task: "quiz" });
+
+  const chunks = [];
+  const { text } = await provider.streamText(prompt, { task: "quiz" }, (chunk, soFar) => {
+    chunks.push(chunk);
+    assert.equal(soFar, chunks.join(""));
+  });
+
+  assert.equal(text, expected);
+  assert.ok(chunks.length > 1);
+});
+
+test("fixture files override the builders", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  try {
+    fs.writeFileSync(path.join(dir, "videoTitles.json"), '["From file"]');
+    const provider = new FixtureProvider({ fixturesDir: dir });
+
+    assert.equal((await provider.generateText("anything", { task: "videoTitles" })).text, '["From file"]');
+    await assert.rejects(provider.generateText("anything", { task: "poem" }), /No LLM fixture available for task "poem"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("the OpenAI provider posts chat completions and normalizes usage", async () => {
+  let request;
+  globalThis.fetch = async (url, init) => {
+    request = { url, init };
+    return new Response(
+      JSON.stringify({
+        model: "served-model",
+        choices: [{ message: { content: '{"ok":true}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 },
+      }),
+      { status: 200 }
+    );
+  };
+
+  const provider = new OpenAiProvider({ apiKey: "key", baseUrl: "http://llm.local/v1/", model: "small" });
+  const result = await provider.generateText("Say ok", { json: true });
+
+  assert.equal(request.url, "http://llm.local/v1/chat/completions");
+  assert.equal(request.init.headers.Authorization, "Bearer key");
+  const body = JSON.parse(request.init.body);
+  assert.equal(body.model, "small");
+  assert.deepEqual(body.messages, [{ role: "user", content: "Say ok" }]);
+  assert.deepEqual(body.response_format, { type: "json_object" });
+  assert.deepEqual(result, {
+    text: '{"ok":true}',
+    usage: { promptTokens: 12, completionTokens: 5, totalTokens: 17 },
+    model: "served-model",
+  });
+});
+
+test("the OpenAI provider reads streamed chunks and the final usage", async () => {
+  const events = [
+    { choices: [{ delta: { content: "Hel" } }] },
+    { choices: [{ delta: { content: "lo" } }] },
+    { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } },
+  ];
+  const sse = events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join("") + "data: [DONE]\n\n";
+  // Split mid-line so chunks have to be buffered
+  const bytes = new TextEncoder().encode(sse);
+  globalThis.fetch = async () =>
+    new Response(
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(bytes.slice(0, 20));
+          controller.enqueue(bytes.slice(20));
+          controller.close();
+        },
+      }),
+      { status: 200 }
+    );
+
+  const streamed = [];
+  const provider = new OpenAiProvider({ model: "small" });
+  const result = await provider.streamText("Say hello", {}, (chunk) => streamed.push(chunk));
+
+  assert.deepEqual(streamed, ["Hel", "lo"]);
+  assert.deepEqual(result, {
+    text: "Hello",
+    usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 },
+    model: "small",
+  });
+});
+
+test("the OpenAI provider reports failed requests", async () => {
+  globalThis.fetch = async () => new Response("rate limited", { status: 429 });
+
+  await assert.rejects(
+    new OpenAiProvider().generateText("Say ok"),
+    /LLM request failed with status 429: rate limited/
+  );
+});
@@ -0,0 +1,95 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import "./helpers.js";
+import { validateSchema, formatSchemaErrors } from "../src/utils/jsonSchema.js";
+
+const { default: geminiService } = await import("../src/services/geminiService.js");
+
+afterEach(() => {
+  geminiService.provider = null;
+});
+
+const schema = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    level: { enum: ["beginner", "advanced"] },
+    score: { type: "number", minimum: 0, maximum: 1 },
+    options: { type: "array", minItems: 2, maxItems: 3, items: { type: "string" } },
+  },
+  required: ["title", "options"],
+  additionalProperties: false,
+};
+
+test("a matching value has no errors", () => {
+  assert.deepEqual(
+    validateSchema({ title: "Closures", level: "beginner", score: 1, options: ["a", "b"] }, schema),
+    []
+  );
+});
+
+test("errors name the path of each problem", () => {
+  const errors = validateSchema(
+    { title: "  ", level: "expert", score: 2, options: ["a", 3], "extra key": true },
+    schema
+  );
+
+  assert.deepEqual(formatSchemaErrors(errors).split("\n"), [
+    "$.title: must be at least 1 characters",
+    '$.level: must be one of "beginner", "advanced"',
+    "$.score: must be <= 1",
+    "$.options[1]: expected string, got integer",
+    '$["extra key"]: is not allowed',
+  ]);
+});
+
+test("missing keys, item counts and wrong types are reported", () => {
+  assert.deepEqual(validateSchema({ options: ["a"] }, schema), [
+    { path: "$.title", message: "is required" },
+    { path: "$.options", message: "must contain at least 2 items, got 1" },
+  ]);
+  assert.deepEqual(validateSchema([], schema), [{ path: "$", message: "expected object, got array" }]);
+});
+
+// Provider answering with the given texts in order, recording the prompts
+const scriptedProvider = (...answers) => {
+  const prompts = [];
+  return {
+    prompts,
+    async generateText(prompt) {
+      prompts.push(prompt);
+      const text = answers.shift();
+      return { text, usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }, model: "scripted" };
+    },
+  };
+};
+
+test("an invalid response is repaired with one re-prompt", async () => {
+  const provider = scriptedProvider("[]", '```json\n["Closures explained"]\n```');
+  geminiService.provider = provider;
+
+  const titles = await geminiService.generateVideoTitles("javascript", "Closures");
+
+  assert.deepEqual(titles, ["Closures explained"]);
+  assert.equal(provider.prompts.length, 2);
+  assert.match(provider.prompts[1], /Previous response:\s+\[\]/);
+  assert.match(provider.prompts[1], /\$: must contain at least 1 items, got 0/);
+});
+
+test("a valid response is not re-prompted", async () => {
+  const provider = scriptedProvider('["Closures explained"]');
+  geminiService.provider = provider;
+
+  assert.deepEqual(await geminiService.generateVideoTitles("javascript", "Closures"), ["Closures explained"]);
+  assert.equal(provider.prompts.length, 1);
+});
+
+test("a response still invalid after the repair fails", async () => {
+  geminiService.provider = scriptedProvider("not json", '{"titles": []}');
+
+  await assert.rejects(
+    geminiService.generateVideoTitles("javascript", "Closures"),
+    /Invalid videoTitles response after repair attempt:\n\$: expected array, got object/
+  );
+});
@@ -0,0 +1,215 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+
+import { startTestApp, tokenFor, users } from "./helpers.js";
+
+const { alice, bob } = users;
+
+const roadmapId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60001";
+const videoId = "PkZNo7MFNFg";
+
+// Alice owns the roadmap
+const roadmapRow = {
+  id: roadmapId,
+  user_topic_id: "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60003",
+  roadmap_data: { roadmap: {} },
+  created_at: "2025-01-01T00:00:00Z",
+  updated_at: "2025-01-01T00:00:00Z",
+  user_id: alice.id,
+  topic: "javascript",
+};
+
+// video_notes rows by id
+const notes = new Map();
+let searches;
+
+const stubSql = async (strings, ...values) => {
+  const query = strings.join("?");
+  if (query.includes("FROM user_roadmaps ur") && query.includes("WHERE ur.id =")) {
+    return values[0] === roadmapId ? [roadmapRow] : [];
+  }
+  if (query.includes("INSERT INTO video_notes")) {
+    const [userId, noteRoadmapId, pointId, noteVideoId, timestampSeconds, body] = values;
+    const row = {
+      id: randomUUID(),
+      user_id: userId,
+      roadmap_id: noteRoadmapId,
+      point_id: pointId,
+      video_id: noteVideoId,
+      timestamp_seconds: timestampSeconds,
+      body,
+      created_at: "2025-01-01T00:00:00Z",
+      updated_at: "2025-01-01T00:00:00Z",
+    };
+    notes.set(row.id, row);
+    return [row];
+  }
+  if (query.includes("SELECT * FROM video_notes WHERE id =")) {
+    return notes.has(values[0]) ? [notes.get(values[0])] : [];
+  }
+  if (query.includes("UPDATE video_notes")) {
+    const [timestampSeconds, body, noteId] = values;
+    Object.assign(notes.get(noteId), { timestamp_seconds: timestampSeconds, body });
+    return [notes.get(noteId)];
+  }
+  if (query.includes("DELETE FROM video_notes")) {
+    return notes.delete(values[0]) ? [{ id: values[0] }] : [];
+  }
+  if (query.includes("websearch_to_tsquery")) {
+    const [searchText, userId, , , limit] = values;
+    searches.push({ searchText, limit });
+    return [...notes.values()]
+      .filter((row) => row.user_id === userId && row.body.includes(searchText))
+      .map((row) => ({ ...row, topic: "javascript", rank: "0.5", snippet: `<b>${searchText}</b>` }));
+  }
+  if (query.includes("SELECT * FROM video_notes")) {
+    const [userId, noteRoadmapId] = values;
+    return [...notes.values()].filter(
+      (row) => row.user_id === userId && row.roadmap_id === noteRoadmapId
+    );
+  }
+  return [];
+};
+
+let app;
+let aliceToken;
+let bobToken;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+  aliceToken = tokenFor(alice);
+  bobToken = tokenFor(bob);
+});
+
+after(() => {
+  app.close();
+});
+
+beforeEach(() => {
+  notes.clear();
+  searches = [];
+});
+
+const createNote = (fields, token = aliceToken) =>
+  app.request("POST", "/api/notes", token, { roadmapId, pointId: "step-1", videoId, ...fields });
+
+test("a note is created with a formatted timestamp", async () => {
+  const { status, body } = await createNote({ body: "Closures keep **scope**", timestampSeconds: 3903 });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.timestamp, "1:05:03");
+  assert.equal(body.data.body, "Closures keep **scope**");
+  assert.equal(body.data.isBookmark, false);
+});
+
+test("a timestamp without a body is a bookmark", async () => {
+  const { status, body } = await createNote({ body: "   ", timestampSeconds: 65 });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.body, "");
+  assert.equal(body.data.isBookmark, true);
+  assert.equal(body.data.timestamp, "1:05");
+});
+
+test("a note needs a body or a timestamp", async () => {
+  const { status, body } = await createNote({ body: " " });
+
+  assert.equal(status, 400);
+  assert.match(body.error.details, /Either a note body or a timestamp is required/);
+  assert.equal(notes.size, 0);
+});
+
+test("note input is validated", async () => {
+  for (const fields of [
+    { videoId: "watch?v=abc", body: "Note" },
+    { body: "Note", timestampSeconds: -1 },
+    { body: 42 },
+  ]) {
+    const { status } = await createNote(fields);
+    assert.equal(status, 400, JSON.stringify(fields));
+  }
+  assert.equal(notes.size, 0);
+});
+
+test("notes cannot be added to another user's roadmap", async () => {
+  const { status } = await createNote({ body: "Note" }, bobToken);
+
+  assert.equal(status, 403);
+  assert.equal(notes.size, 0);
+});
+
+test("an update keeps the fields it leaves out", async () => {
+  const created = await createNote({ body: "First draft", timestampSeconds: 30 });
+
+  const { status, body } = await app.request("PUT", `/api/notes/${created.body.data.id}`, aliceToken, {
+    body: "Second draft",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.body, "Second draft");
+  assert.equal(body.data.timestampSeconds, 30);
+});
+
+test("a bookmark cannot lose its timestamp", async () => {
+  const created = await createNote({ timestampSeconds: 30 });
+
+  const { status } = await app.request("PUT", `/api/notes/${created.body.data.id}`, aliceToken, {
+    timestampSeconds: null,
+  });
+
+  assert.equal(status, 400);
+  assert.equal(notes.get(created.body.data.id).timestamp_seconds, 30);
+});
+
+test("another user's note cannot be read, changed or deleted", async () => {
+  const created = await createNote({ body: "Private" });
+  const path = `/api/notes/${created.body.data.id}`;
+
+  assert.equal((await app.request("GET", path, bobToken)).status, 403);
+  assert.equal((await app.request("PUT", path, bobToken, { body: "Mine" })).status, 403);
+  assert.equal((await app.request("DELETE", path, bobToken)).status, 403);
+  assert.equal(notes.get(created.body.data.id).body, "Private");
+});
+
+test("an owner can delete a note", async () => {
+  const created = await createNote({ body: "Temporary" });
+  const path = `/api/notes/${created.body.data.id}`;
+
+  assert.equal((await app.request("DELETE", path, aliceToken)).status, 200);
+  assert.equal((await app.request("GET", path, aliceToken)).status, 404);
+});
+
+test("notes of a roadmap are listed for its owner only", async () => {
+  await createNote({ body: "One" });
+  await createNote({ timestampSeconds: 10 });
+
+  const own = await app.request("GET", `/api/notes?roadmapId=${roadmapId}`, aliceToken);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.count, 2);
+
+  const other = await app.request("GET", `/api/notes?roadmapId=${roadmapId}`, bobToken);
+  assert.equal(other.status, 403);
+});
+
+test("search returns ranked snippets and caps the limit", async () => {
+  await createNote({ body: "Closures capture variables" });
+  await createNote({ body: "Promises chain" });
+
+  const { status, body } = await app.request("GET", "/api/notes/search?q=Closures&limit=500", aliceToken);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.count, 1);
+  assert.deepEqual(
+    { topic: body.data.notes[0].topic, rank: body.data.notes[0].rank, snippet: body.data.notes[0].snippet },
+    { topic: "javascript", rank: 0.5, snippet: "<b>Closures</b>" }
+  );
+  assert.deepEqual(searches, [{ searchText: "Closures", limit: 100 }]);
+});
+
+test("search needs a query text", async () => {
+  const { status } = await app.request("GET", "/api/notes/search?q=%20", aliceToken);
+
+  assert.equal(status, 400);
+  assert.equal(searches.length, 0);
+});
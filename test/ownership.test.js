@@ -0,0 +1,131 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users } from "./helpers.js";
+
+const { alice, bob } = users;
+
+const roadmapId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60001";
+const quizId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60002";
+const missingId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f6ffff";
+
+// Alice owns the roadmap and its quiz
+const roadmapRow = {
+  id: roadmapId,
+  user_topic_id: "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60003",
+  roadmap_data: { roadmap: {} },
+  created_at: "2025-01-01T00:00:00Z",
+  updated_at: "2025-01-01T00:00:00Z",
+  user_id: alice.id,
+  topic: "javascript",
+};
+const quizRow = {
+  id: quizId,
+  user_roadmap_id: roadmapId,
+  quiz_data: { questions: [] },
+  total_questions: 0,
+  difficulty_level: "mixed",
+  created_at: "2025-01-01T00:00:00Z",
+  updated_at: "2025-01-01T00:00:00Z",
+  user_id: alice.id,
+};
+
+// Answers the ownership lookups from the rows above; every other query
+// returns no rows
+const stubSql = async (strings, ...values) => {
+  const query = strings.join("?");
+  if (query.includes("FROM user_quizzes uq") && query.includes("WHERE uq.id =")) {
+    return values[0] === quizId ? [quizRow] : [];
+  }
+  if (query.includes("FROM user_roadmaps ur") && query.includes("WHERE ur.id =")) {
+    return values[0] === roadmapId ? [roadmapRow] : [];
+  }
+  return [];
+};
+
+let app;
+let aliceToken;
+let bobToken;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+  aliceToken = tokenFor(alice);
+  bobToken = tokenFor(bob);
+});
+
+after(() => {
+  app.close();
+});
+
+const request = (path, token) => app.request("GET", path, token);
+
+const routes = [
+  {
+    name: "roadmap progress",
+    path: (id) => `/api/users/roadmaps/${id}/progress`,
+    id: roadmapId,
+    resource: "ROADMAP",
+  },
+  {
+    name: "roadmap videos",
+    path: (id) => `/api/users/videos/${id}`,
+    id: roadmapId,
+    resource: "ROADMAP",
+  },
+  {
+    name: "playlist point videos",
+    path: (id) => `/api/playlists/point-videos/${id}/beginner`,
+    id: roadmapId,
+    resource: "ROADMAP",
+  },
+  {
+    name: "quiz",
+    path: (id) => `/api/quizzes/id/${id}`,
+    id: quizId,
+    resource: "QUIZ",
+  },
+  {
+    name: "roadmap quiz",
+    path: (id) => `/api/quizzes/${id}`,
+    id: roadmapId,
+    resource: "ROADMAP",
+  },
+];
+
+for (const route of routes) {
+  test(`${route.name}: 401 without a token`, async () => {
+    const { status, body } = await request(route.path(route.id));
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "AUTH_REQUIRED");
+  });
+
+  test(`${route.name}: 401 with an invalid token`, async () => {
+    const { status, body } = await request(route.path(route.id), "not-a-token");
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "INVALID_TOKEN");
+  });
+
+  test(`${route.name}: 403 for another user's resource`, async () => {
+    const { status, body } = await request(route.path(route.id), bobToken);
+    assert.equal(status, 403);
+    assert.equal(body.error.code, `${route.resource}_FORBIDDEN`);
+  });
+
+  test(`${route.name}: 404 for a missing resource`, async () => {
+    const { status, body } = await request(route.path(missingId), aliceToken);
+    assert.equal(status, 404);
+    assert.equal(body.error.code, `${route.resource}_NOT_FOUND`);
+  });
+
+  test(`${route.name}: 404 for a malformed id`, async () => {
+    const { status, body } = await request(route.path("not-a-uuid"), aliceToken);
+    assert.equal(status, 404);
+    assert.equal(body.error.code, `${route.resource}_NOT_FOUND`);
+  });
+
+  test(`${route.name}: owner is let through`, async () => {
+    const { status } = await request(route.path(route.id), aliceToken);
+    assert.notEqual(status, 401);
+    assert.notEqual(status, 403);
+  });
+}
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hashPassword, verifyPassword, needsRehash } from "../src/utils/password.js";
+
+const withParts = (hash, params, key) => {
+  const [, , version, storedParams, salt, storedKey] = hash.split("$");
+  return `$scrypt$${version}$${params ?? storedParams}$${salt}$${key ?? storedKey}`;
+};
+
+test("a hash verifies its own password only", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("wrong", hash), false);
+  assert.equal(needsRehash(hash), false);
+});
+
+test("a hash with an empty key matches no password", async () => {
+  assert.equal(await verifyPassword("anything", "$scrypt$v=1$N=16,r=1,p=1$AAAA$"), false);
+  assert.equal(await verifyPassword("anything", "$scrypt$v=1$N=32768,r=8,p=1$AAAA$"), false);
+});
+
+test("a hash with a truncated key is rejected", async () => {
+  const hash = await hashPassword("secret");
+  const shortKey = Buffer.from(hash.split("$")[5], "base64").subarray(0, 16).toString("base64");
+  assert.equal(await verifyPassword("secret", withParts(hash, null, shortKey)), false);
+});
+
+test("weak or invalid scrypt parameters are rejected", async () => {
+  const hash = await hashPassword("secret");
+  for (const params of ["N=1024,r=8,p=1", "N=32768,r=1,p=1", "N=32768,r=8,p=0", "N=30000,r=8,p=1"]) {
+    assert.equal(await verifyPassword("secret", withParts(hash, params)), false, params);
+  }
+});
@@ -0,0 +1,79 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users, neonDbService } from "./helpers.js";
+
+const { default: playlistGenerationService, toPlaylistItem } = await import(
+  "../src/services/playlistGenerationService.js"
+);
+
+const { alice } = users;
+const roadmapId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60001";
+
+const roadmapRow = {
+  id: roadmapId,
+  user_topic_id: "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60003",
+  roadmap_data: { roadmap: {} },
+  created_at: "2025-01-01T00:00:00Z",
+  updated_at: "2025-01-01T00:00:00Z",
+  user_id: alice.id,
+  topic: "javascript",
+};
+
+// Answers the ownership lookup; every other query returns no rows
+const stubSql = async (strings, ...values) => {
+  const query = strings.join("?");
+  if (query.includes("FROM user_roadmaps ur") && query.includes("WHERE ur.id =")) {
+    return values[0] === roadmapId ? [roadmapRow] : [];
+  }
+  return [];
+};
+
+let app;
+let generated;
+let stored;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+  neonDbService.getUserSettings = async () => ({});
+  neonDbService.getUserVideos = async () => [];
+  neonDbService.storeUserVideos = async (...args) => {
+    stored.push(args);
+  };
+  playlistGenerationService.generatePointVideos = async (topic, pointTitle, userPreferences, seen) => {
+    generated.push({ topic, pointTitle, seen });
+    return [
+      toPlaylistItem({ title: "Closures explained", videoId: "abc123", duration: "12:00", durationMinutes: 12 }),
+    ];
+  };
+});
+
+beforeEach(() => {
+  generated = [];
+  stored = [];
+});
+
+after(() => {
+  app.close();
+});
+
+const body = {
+  topic: "javascript",
+  pointTitle: "Closures",
+  userRoadmapId: roadmapId,
+  level: "beginner",
+  pointId: "step_1",
+};
+
+for (const path of ["/api/playlists/generate", "/api/playlists/regenerate"]) {
+  test(`${path} generates through playlistGenerationService`, async () => {
+    const { status, body: response } = await app.request("POST", path, tokenFor(alice), body);
+
+    assert.equal(status, 200);
+    assert.equal(generated.length, 1);
+    assert.equal(generated[0].pointTitle, "Closures");
+    assert.ok(generated[0].seen, "the roadmap duplicate filter is passed on");
+    assert.equal(response.data[0].videoUrl, "https://youtube.com/watch?v=abc123");
+    assert.equal(stored.length, 1);
+  });
+}
@@ -0,0 +1,108 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users } from "./helpers.js";
+import {
+  getPrerequisitePoints,
+  validatePrerequisiteGraph,
+} from "../src/utils/prerequisiteGraph.js";
+
+const { alice } = users;
+const roadmapId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60001";
+
+const step = (pointId, title) => ({ pointId, pointTitle: title, title });
+
+// Converted before step numbers ran across levels: every level starts at step_1
+const legacyRoadmapData = {
+  roadmap: {
+    beginner: { step_1: step("step_1", "Variables"), step_2: step("step_2", "Functions"), step_3: step("step_3", "Loops") },
+    intermediate: { step_1: step("step_1", "Closures"), step_2: step("step_2", "Promises") },
+    advanced: { step_1: step("step_1", "Performance") },
+  },
+};
+
+const roadmapRow = {
+  id: roadmapId,
+  user_topic_id: "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60003",
+  roadmap_data: legacyRoadmapData,
+  created_at: "2025-01-01T00:00:00Z",
+  updated_at: "2025-01-01T00:00:00Z",
+  user_id: alice.id,
+  topic: "javascript",
+};
+
+// Answers the ownership lookup and roadmap updates; every other query
+// returns no rows
+const stubSql = async (strings, ...values) => {
+  const query = strings.join("?");
+  if (query.includes("FROM user_roadmaps ur") && query.includes("WHERE ur.id =")) {
+    return values[0] === roadmapId ? [roadmapRow] : [];
+  }
+  if (query.includes("UPDATE user_roadmaps")) {
+    return [{ ...roadmapRow, roadmap_data: JSON.parse(values[0]) }];
+  }
+  return [];
+};
+stubSql.transaction = (queries) => Promise.all(queries);
+
+let app;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+});
+
+after(() => {
+  app.close();
+});
+
+test("ids shared by several levels do not form a cycle", () => {
+  const points = getPrerequisitePoints(legacyRoadmapData);
+
+  assert.deepEqual(validatePrerequisiteGraph(points), []);
+  // step_3 is only in beginner, so it still follows the point before it
+  assert.deepEqual(points.find((point) => point.pointId === "step_3").prerequisites, ["step_2"]);
+});
+
+test("ids unique to the roadmap still follow the point before them", () => {
+  const points = getPrerequisitePoints({
+    roadmap: {
+      beginner: { step_1: step("step_1", "Variables"), step_2: step("step_2", "Functions") },
+      intermediate: { step_3: step("step_3", "Closures") },
+    },
+  });
+
+  assert.deepEqual(
+    points.map((point) => point.prerequisites),
+    [[], ["step_1"], ["step_2"]]
+  );
+});
+
+test("declared cycles through a shared id are still rejected", () => {
+  const roadmapData = structuredClone(legacyRoadmapData);
+  roadmapData.roadmap.beginner.step_1.prerequisites = ["step_3"];
+  roadmapData.roadmap.beginner.step_3.prerequisites = ["step_1"];
+
+  const errors = validatePrerequisiteGraph(getPrerequisitePoints(roadmapData));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /cycle/);
+});
+
+test("next steps of a legacy roadmap", async () => {
+  const { status, body } = await app.request(
+    "GET",
+    `/api/users/roadmaps/${roadmapId}/next-steps`,
+    tokenFor(alice)
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.data.totalPoints, 6);
+  assert.ok(body.data.nextSteps.some((point) => point.level === "intermediate"));
+});
+
+test("a legacy roadmap can be saved again", async () => {
+  const { status } = await app.request("PUT", `/api/users/roadmaps/${roadmapId}`, tokenFor(alice), {
+    roadmapData: legacyRoadmapData,
+  });
+
+  assert.equal(status, 200);
+});
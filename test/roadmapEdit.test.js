@@ -0,0 +1,180 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { startTestApp, tokenFor, users } from "./helpers.js";
+
+const { alice } = users;
+const roadmapId = "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60001";
+
+const step = (pointId, title) => ({ pointId, pointTitle: title, title });
+
+// Converted before step numbers ran across levels: every level starts at step_1
+const legacyRoadmapData = () => ({
+  roadmap: {
+    beginner: { step_1: step("step_1", "Variables"), step_2: step("step_2", "Functions"), step_3: step("step_3", "Loops") },
+    intermediate: { step_1: step("step_1", "Closures"), step_2: step("step_2", "Promises") },
+    advanced: {},
+  },
+});
+
+const roadmapData = () => ({
+  roadmap: {
+    beginner: { step_1: step("step_1", "Variables"), step_2: step("step_2", "Functions") },
+    intermediate: { step_3: step("step_3", "Closures") },
+    advanced: {},
+  },
+  nextStepNumber: 10,
+  revision: 2,
+});
+
+let roadmapRow;
+let queries;
+
+// Answers the ownership lookup from roadmapRow and applies the revision
+// check of roadmap updates; every query is recorded
+const stubSql = async (strings, ...values) => {
+  const query = strings.join("?");
+  queries.push({ query, values });
+
+  if (query.includes("FROM user_roadmaps ur") && query.includes("WHERE ur.id =")) {
+    return values[0] === roadmapId ? [roadmapRow] : [];
+  }
+  if (query.includes("UPDATE user_roadmaps")) {
+    const revision = roadmapRow.roadmap_data.revision || 0;
+    return revision === values[2] ? [{ ...roadmapRow, roadmap_data: JSON.parse(values[0]) }] : [];
+  }
+  return [];
+};
+stubSql.transaction = (statements) => Promise.all(statements);
+
+// Values of the first recorded statement containing `text`
+const valuesOf = (text) => queries.find(({ query }) => query.includes(text))?.values;
+
+const withRoadmap = (data) => {
+  roadmapRow = {
+    id: roadmapId,
+    user_topic_id: "5d1f3c2a-7b8e-4f90-a1b2-c3d4e5f60003",
+    roadmap_data: data,
+    created_at: "2025-01-01T00:00:00Z",
+    updated_at: "2025-01-01T00:00:00Z",
+    user_id: alice.id,
+    topic: "javascript",
+  };
+};
+
+let app;
+
+before(async () => {
+  app = await startTestApp(stubSql);
+});
+
+beforeEach(() => {
+  queries = [];
+});
+
+after(() => {
+  app.close();
+});
+
+const edit = (operations) =>
+  app.request("PATCH", `/api/users/roadmaps/${roadmapId}/points`, tokenFor(alice), { operations });
+
+test("a shared id needs fromLevel", async () => {
+  withRoadmap(legacyRoadmapData());
+  const { status, body } = await edit([{ op: "rename", pointId: "step_1", title: "Scope" }]);
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, "INVALID_OPERATION");
+  assert.match(body.error.details, /operations\[0\]: point step_1 is in beginner and intermediate; set fromLevel/);
+});
+
+test("renaming a shared id only changes its level", async () => {
+  withRoadmap(legacyRoadmapData());
+  const { status, body } = await edit([
+    { op: "rename", pointId: "step_1", fromLevel: "intermediate", title: "Scope" },
+  ]);
+
+  assert.equal(status, 200);
+  const saved = body.data.roadmap.roadmap_data.roadmap;
+  assert.equal(saved.beginner.step_1.title, "Variables");
+  assert.equal(saved.intermediate.step_1.title, "Scope");
+});
+
+test("deleting a shared id from one level keeps the other level's data", async () => {
+  withRoadmap(legacyRoadmapData());
+  const { status, body } = await edit([{ op: "delete", pointId: "step_2", fromLevel: "intermediate" }]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.deleted, [{ pointId: "step_2", level: "intermediate" }]);
+  assert.deepEqual(valuesOf("DELETE FROM user_videos").slice(0, 2), [["step_2"], ["intermediate"]]);
+  // beginner still has step_2, so its progress and notes stay
+  assert.deepEqual(valuesOf("DELETE FROM roadmap_progress")[1], []);
+  assert.deepEqual(valuesOf("DELETE FROM video_notes")[1], []);
+  assert.ok(body.data.roadmap.roadmap_data.roadmap.beginner.step_2);
+});
+
+test("deleting a point removes its notes", async () => {
+  withRoadmap(roadmapData());
+  const { status } = await edit([{ op: "delete", pointId: "step_2" }]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(valuesOf("DELETE FROM video_notes")[1], ["step_2"]);
+  assert.deepEqual(valuesOf("DELETE FROM video_watch_progress")[1], ["step_2"]);
+  assert.deepEqual(valuesOf("DELETE FROM roadmap_progress")[1], ["step_2"]);
+});
+
+test("moving a point into a level that has its id is refused", async () => {
+  withRoadmap(legacyRoadmapData());
+  const { status, body } = await edit([
+    { op: "move", pointId: "step_1", fromLevel: "beginner", level: "intermediate" },
+  ]);
+
+  assert.equal(status, 400);
+  assert.match(body.error.details, /intermediate already has a point step_1/);
+  assert.equal(valuesOf("UPDATE user_roadmaps"), undefined);
+});
+
+test("moved points take their videos from their own level", async () => {
+  withRoadmap(legacyRoadmapData());
+  const { status, body } = await edit([
+    { op: "move", pointId: "step_1", fromLevel: "intermediate", level: "advanced" },
+    { op: "move", pointId: "step_1", fromLevel: "beginner", level: "intermediate" },
+  ]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.moved, [
+    { pointId: "step_1", fromLevel: "beginner", level: "intermediate" },
+    { pointId: "step_1", fromLevel: "intermediate", level: "advanced" },
+  ]);
+  assert.deepEqual(valuesOf("UPDATE user_videos").slice(0, 3), [
+    ["step_1", "step_1"],
+    ["beginner", "intermediate"],
+    ["intermediate", "advanced"],
+  ]);
+});
+
+const replace = (data) =>
+  app.request("PUT", `/api/users/roadmaps/${roadmapId}`, tokenFor(alice), { roadmapData: data });
+
+test("PUT keeps the revision and nextStepNumber", async () => {
+  withRoadmap(roadmapData());
+  const { status, body } = await replace({
+    roadmap: { beginner: { step_1: step("step_1", "Variables") } },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.roadmap_data.revision, 3);
+  assert.equal(body.data.roadmap_data.nextStepNumber, 10);
+});
+
+test("PUT with a stale revision answers 409", async () => {
+  withRoadmap(roadmapData());
+  const { status, body } = await replace({
+    roadmap: { beginner: { step_1: step("step_1", "Variables") } },
+    revision: 1,
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.error.code, "ROADMAP_CONFLICT");
+  assert.equal(valuesOf("UPDATE user_roadmaps"), undefined);
+});
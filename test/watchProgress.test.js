@@ -0,0 +1,87 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { neonDbService, users } from "./helpers.js";
+import watchProgressService from "../src/services/watchProgressService.js";
+
+const ROADMAP_ID = "roadmap-1";
+const POINT_ID = "step-1";
+
+const video = (videoId, extra = {}) => ({
+  title: `Video ${videoId}`,
+  videoUrl: `https://youtube.com/watch?v=${videoId}`,
+  ...extra,
+});
+
+let pointVideos;
+let watchRows;
+let progressRows;
+let completed;
+
+beforeEach(() => {
+  pointVideos = [video("aaaaaaaaaaa"), video("bbbbbbbbbbb")];
+  watchRows = [];
+  progressRows = [];
+  completed = [];
+
+  neonDbService.getCurrentPointVideoData = async () => pointVideos;
+  neonDbService.getVideoWatchProgress = async () => watchRows;
+  neonDbService.getRoadmapProgress = async () => progressRows;
+  neonDbService.markRoadmapPointComplete = async (...args) => {
+    completed.push(args);
+  };
+});
+
+const watched = (...videoIds) => videoIds.map((videoId) => ({ video_id: videoId, completed: true }));
+
+const completePoint = () =>
+  watchProgressService._completePointIfWatched(users.alice.id, ROADMAP_ID, POINT_ID);
+
+test("the point is completed once every video is watched", async () => {
+  watchRows = watched("aaaaaaaaaaa", "bbbbbbbbbbb");
+
+  assert.equal(await completePoint(), true);
+  assert.deepEqual(completed, [[users.alice.id, ROADMAP_ID, POINT_ID, true]]);
+});
+
+test("the point stays open while a video is unwatched", async () => {
+  watchRows = [...watched("aaaaaaaaaaa"), { video_id: "bbbbbbbbbbb", completed: false }];
+
+  assert.equal(await completePoint(), false);
+  assert.equal(completed.length, 0);
+});
+
+test("unavailable videos do not hold the point open", async () => {
+  pointVideos = [video("aaaaaaaaaaa"), video("bbbbbbbbbbb", { unavailable: true })];
+  watchRows = watched("aaaaaaaaaaa");
+
+  assert.equal(await completePoint(), true);
+});
+
+test("a point without videos is not completed", async () => {
+  pointVideos = [video("bbbbbbbbbbb", { unavailable: true })];
+
+  assert.equal(await completePoint(), false);
+  assert.equal(completed.length, 0);
+});
+
+test("an already completed point is left alone", async () => {
+  watchRows = watched("aaaaaaaaaaa", "bbbbbbbbbbb");
+  progressRows = [
+    { point_id: "step-2", is_completed: false },
+    { point_id: POINT_ID, is_completed: true },
+  ];
+
+  assert.equal(await completePoint(), false);
+  assert.equal(completed.length, 0);
+});
+
+test("a failed read does not complete the point", async () => {
+  watchRows = watched("aaaaaaaaaaa", "bbbbbbbbbbb");
+  neonDbService.getRoadmapProgress = async () => {
+    throw new Error("connection reset");
+  };
+
+  assert.equal(await completePoint(), false);
+  assert.equal(completed.length, 0);
+});
@@ -0,0 +1,129 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import "./helpers.js";
+
+const { default: youtubeService } = await import("../src/services/youtubeService.js");
+const { default: youtubeQuotaService } = await import("../src/services/youtubeQuotaService.js");
+
+const originalReserve = youtubeQuotaService.reserve;
+
+afterEach(() => {
+  youtubeQuotaService.reserve = originalReserve;
+  youtubeQuotaService.exhausted = false;
+  youtubeQuotaService.used = 0;
+  delete youtubeService.youtube.videos.list;
+  delete youtubeService.youtube.search.list;
+});
+
+const videoItem = (id) => ({
+  id,
+  contentDetails: { duration: "PT12M30S" },
+  statistics: { viewCount: "1000" },
+});
+
+test("getVideosDetails batches ids into one videos.list call per 50", async () => {
+  const calls = [];
+  youtubeService.youtube.videos.list = async (params) => {
+    const ids = params.id.split(",");
+    calls.push(ids.length);
+    return { data: { items: ids.map(videoItem) } };
+  };
+
+  const ids = Array.from({ length: 60 }, (_, i) => `video${i}`);
+  const details = await youtubeService.getVideosDetails([...ids, "video0"]);
+
+  assert.deepEqual(calls, [50, 10]);
+  assert.equal(details.size, 60);
+  assert.deepEqual(details.get("video7"), {
+    duration: "12:30",
+    durationMinutes: 13,
+    viewCount: "1000",
+    likeCount: null,
+    definition: null,
+    hasCaptions: false,
+    language: null,
+  });
+});
+
+test("getVideosDetails rethrows an exhausted quota", async () => {
+  youtubeQuotaService.reserve = async () => {
+    const error = new Error("YouTube quota exhausted for today, not calling videos.list (quotaExceeded)");
+    error.code = "QUOTA_EXHAUSTED";
+    throw error;
+  };
+
+  await assert.rejects(youtubeService.getVideosDetails(["abc123"]), { code: "QUOTA_EXHAUSTED" });
+});
+
+test("getVideosDetails rethrows quota errors from the API", async () => {
+  youtubeService.youtube.videos.list = async () => {
+    throw new Error("The request cannot be completed because you have exceeded your quota.");
+  };
+
+  await assert.rejects(youtubeService.getVideosDetails(["abc123"]), /quota/);
+});
+
+test("getVideosDetails skips other failures", async () => {
+  youtubeService.youtube.videos.list = async () => {
+    throw new Error("Backend Error");
+  };
+
+  const details = await youtubeService.getVideosDetails(["abc123"]);
+  assert.equal(details.size, 0);
+});
+
+// Every page has results, none with details, so the search keeps widening
+const stubEmptySearch = () => {
+  const calls = { search: 0 };
+  youtubeService.youtube.search.list = async () => {
+    calls.search++;
+    return {
+      data: {
+        items: [{ id: { videoId: `video${calls.search}` }, snippet: { title: "Video" } }],
+        nextPageToken: `page${calls.search + 1}`,
+      },
+    };
+  };
+  youtubeService.youtube.videos.list = async () => ({ data: { items: [] } });
+  return calls;
+};
+
+test("searches are widened while few videos fit", async () => {
+  const calls = stubEmptySearch();
+
+  await youtubeService.searchVideoByTitle("Widening with quota left");
+  assert.equal(calls.search, 3);
+});
+
+test("searches are not widened past the remaining quota", async () => {
+  stubEmptySearch();
+  youtubeQuotaService.used = youtubeQuotaService.dailyLimit - 150;
+  // Counts attempts, including ones reserve() would refuse
+  const reserved = [];
+  youtubeQuotaService.reserve = async function (method) {
+    reserved.push(method);
+    return originalReserve.call(this, method);
+  };
+
+  await youtubeService.searchVideoByTitle("Widening near the quota limit");
+  assert.equal(reserved.filter((method) => method === "search.list").length, 1);
+  assert.equal(youtubeQuotaService.exhausted, false);
+});
+
+test("searchVideoByTitle ranks with the roadmap topic", async () => {
+  const originalRank = youtubeService._rankSearchResults;
+  const topics = [];
+  youtubeService._rankSearchResults = async (title, search) => {
+    topics.push(search.topic);
+    return [{ videoId: "abc123", title }];
+  };
+
+  try {
+    const video = await youtubeService.searchVideoByTitle("Closures", [], {}, "javascript");
+    assert.equal(video.videoId, "abc123");
+    assert.deepEqual(topics, ["javascript"]);
+  } finally {
+    youtubeService._rankSearchResults = originalRank;
+  }
+});
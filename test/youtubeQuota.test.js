@@ -0,0 +1,124 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { neonDbService } from "./helpers.js";
+import youtubeQuotaService, {
+  getQuotaDay,
+  getQuotaResetTime,
+} from "../src/services/youtubeQuotaService.js";
+
+beforeEach(() => {
+  neonDbService.sql = null;
+  Object.assign(youtubeQuotaService, {
+    dailyLimit: 10000,
+    bulkThreshold: 0.8,
+    day: getQuotaDay(),
+    used: 0,
+    byMethod: {},
+    exhausted: false,
+    loadedDay: null,
+  });
+});
+
+test("the quota day follows Pacific time", () => {
+  assert.equal(getQuotaDay(new Date("2026-01-15T07:59:00Z")), "2026-01-14");
+  assert.equal(getQuotaDay(new Date("2026-01-15T08:00:00Z")), "2026-01-15");
+  assert.equal(getQuotaDay(new Date("2026-07-15T06:59:00Z")), "2026-07-14");
+  assert.equal(getQuotaDay(new Date("2026-07-15T07:00:00Z")), "2026-07-15");
+});
+
+test("the quota resets at the next Pacific midnight, across DST changes", () => {
+  assert.equal(
+    getQuotaResetTime(new Date("2026-01-15T12:00:00Z")).toISOString(),
+    "2026-01-16T08:00:00.000Z"
+  );
+  // 1am PST on the day clocks move forward; midnight after is PDT
+  assert.equal(
+    getQuotaResetTime(new Date("2026-03-08T09:00:00Z")).toISOString(),
+    "2026-03-09T07:00:00.000Z"
+  );
+  assert.equal(
+    getQuotaResetTime(new Date("2026-11-01T08:00:00Z")).toISOString(),
+    "2026-11-02T08:00:00.000Z"
+  );
+});
+
+test("counters roll over when the Pacific day changes", () => {
+  Object.assign(youtubeQuotaService, {
+    day: "2000-01-01",
+    used: 9500,
+    byMethod: { "search.list": { units: 9500, calls: 95 } },
+    exhausted: true,
+  });
+
+  assert.equal(youtubeQuotaService.isBulkThrottled(), false);
+
+  const status = youtubeQuotaService.getStatus();
+  assert.equal(status.day, getQuotaDay());
+  assert.equal(status.used, 0);
+  assert.deepEqual(status.byMethod, {});
+});
+
+test("bulk jobs are throttled from the threshold share of the daily quota", () => {
+  youtubeQuotaService.used = 7999;
+  assert.equal(youtubeQuotaService.isBulkThrottled(), false);
+
+  youtubeQuotaService.used = 8000;
+  assert.equal(youtubeQuotaService.isBulkThrottled(), true);
+
+  youtubeQuotaService.used = 0;
+  youtubeQuotaService.markExhausted();
+  assert.equal(youtubeQuotaService.isBulkThrottled(), true);
+  assert.equal(youtubeQuotaService.getStatus().remaining, 0);
+});
+
+test("reserve counts units and refuses calls the quota cannot cover", async () => {
+  youtubeQuotaService.dailyLimit = 201;
+
+  await youtubeQuotaService.reserve("search.list");
+  await youtubeQuotaService.reserve("videos.list");
+  await youtubeQuotaService.reserve("search.list");
+  await assert.rejects(youtubeQuotaService.reserve("videos.list"), { code: "QUOTA_EXHAUSTED" });
+
+  assert.equal(youtubeQuotaService.used, 201);
+  assert.deepEqual(youtubeQuotaService.byMethod, {
+    "search.list": { units: 200, calls: 2 },
+    "videos.list": { units: 1, calls: 1 },
+  });
+});
+
+test("usage recorded by other instances is loaded once per day", async () => {
+  let loads = 0;
+  neonDbService.sql = async (strings, ...values) => {
+    const query = strings.join("?");
+    if (query.includes("SELECT method, units, calls")) {
+      loads++;
+      assert.equal(values[0], getQuotaDay());
+      return [{ method: "search.list", units: 7900, calls: 79 }];
+    }
+    if (query.includes("INSERT INTO youtube_quota_usage")) {
+      return [];
+    }
+    if (query.includes("SUM(units)")) {
+      return [{ units: 8000 }];
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+
+  await youtubeQuotaService.reserve("search.list");
+  await youtubeQuotaService.reserve("videos.list");
+
+  assert.equal(loads, 1);
+  assert.equal(youtubeQuotaService.used, 8001);
+  assert.equal(youtubeQuotaService.isBulkThrottled(), true);
+});
+
+test("canAfford checks the remaining quota without counting", () => {
+  youtubeQuotaService.used = youtubeQuotaService.dailyLimit - 100;
+
+  assert.equal(youtubeQuotaService.canAfford("search.list"), true);
+  assert.equal(youtubeQuotaService.canAfford("search.list"), true);
+  youtubeQuotaService.used++;
+  assert.equal(youtubeQuotaService.canAfford("search.list"), false);
+  assert.equal(youtubeQuotaService.canAfford("videos.list"), true);
+});